@@ -7,19 +7,14 @@
 # Copyright (c) 2017, Joyent, Inc.
 #
 # This command shows the reasoning that dapi (embedded within cnapi)
-# used when deciding where the most recent allocation should go. When
-# dapi makes an allocation, it dumps a gzipped & base64-encoded JSON
-# blob into cnapi's logs which includes a great deal of information about
-# the allocation, including the 'steps' attribute; that attribute is what
-# we seek to extract here.
+# used when deciding where an allocation should go. Every allocation is
+# recorded by cnapi along with the steps dapi took and, for each server
+# that was rejected, the step that rejected it and why (see AllocationGet
+# in the cnapi docs); this command looks that up and prints the steps.
 #
-# If this command receives an argument, it is assumed to be a VM UUID
-# (which the command converts to a request_id), or a request_id. The request_id
-# is used to search through cnapi's logs.
-#
-# If the VM UUID isn't provided, the command will only display the most
-# recent dapi dump -- this may omit details if an allocation took several
-# trips through dapi to complete.
+# The argument can be a VM UUID, in which case the most recent allocation
+# for that VM is shown, or the request_id of the allocation request.
+# With -r, the per-server rejection reasons are shown instead of the steps.
 
 if [[ -n "$TRACE" ]]; then
     export PS4='[\D{%FT%TZ}] ${BASH_SOURCE}:${LINENO}: ${FUNCNAME[0]:+${FUNCNAME[0]}(): }'
@@ -29,34 +24,19 @@ set -o errexit
 set -o pipefail
 
 
+FIELD=steps
+if [[ "$1" == "-r" ]]; then
+    FIELD=rejections
+    shift
+fi
+
 if [[ $# -ne 1 ]]; then
-    echo "Usage: alloc-reasons.sh [-l] [UUID]" 1>&2
-    echo "  UUID must be a VM or request UUID. It can be omitted if -l is provided instead." 1>&2
-    echo "  -l shows the latest allocation snapshot, but may miss some allocation steps." 1>&2
+    echo "Usage: alloc-reasons.sh [-r] UUID" 1>&2
+    echo "  UUID must be a VM or request UUID." 1>&2
+    echo "  -r shows why each rejected server was rejected, instead of the steps." 1>&2
     exit 1
 fi
 
-if [[ "$1" == "-l" ]]; then
-    MAX_RESULTS=1
-    ID=snapshot
-
-    echo "Some allocation details may be missed without a VM or request UUID" 1>&2
-else
-    MAX_RESULTS=9999
-
-    UUID=$1
-    WFAPI_URL=$(json wfapi.url < /opt/smartdc/cnapi/config/config.json)
-    ID=$(curl -s $WFAPI_URL/jobs?vm_uuid=$UUID | json -Ha params.x-request-id | tail -1)
-
-    if [[ -z "$ID" ]]; then
-        ID=$UUID
-    fi
-fi
+CNAPI_URL=$(json cnapi.url < /opt/smartdc/cnapi/config/config.json)
 
-grep -h $ID $(ls /var/log/sdc/upload/cnapi_* 2> /dev/null | sort) $(svcs -L cnapi) \
-    | bunyan -c this.snapshot -o bunyan --strict \
-    | tail -$MAX_RESULTS \
-    | json -ga snapshot \
-| while read snap; do
-    echo "$snap" | /opt/local/bin/base64 -d | gunzip - | json steps
-done
+curl -sf $CNAPI_URL/allocations/$1 | json $FIELD
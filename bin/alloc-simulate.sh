@@ -0,0 +1,62 @@
+#!/bin/bash
+
+# This Source Code Form is subject to the terms of the Mozilla Public
+# License, v. 2.0. If a copy of the MPL was not distributed with this
+# file, You can obtain one at http://mozilla.org/MPL/2.0/.
+#
+# Copyright 2021 Joyent, Inc.
+#
+# This command replays recorded allocations against a saved snapshot of the
+# servers and their VMs with a different allocator config, and prints how the
+# placements and rejections compare with the config in use (see
+# SelectServerSimulate in the cnapi docs).
+#
+# First save a snapshot with -S, then replay allocations against it. The
+# config file holds a JSON object with an allocationDescription and/or
+# changeDefaults, in the same form as dapi.allocationDescription and
+# dapi.changeDefaults in the cnapi config. Each UUID is a VM or request UUID,
+# as for alloc-reasons.sh, and they're replayed in the order given.
+
+if [[ -n "$TRACE" ]]; then
+    export PS4='[\D{%FT%TZ}] ${BASH_SOURCE}:${LINENO}: ${FUNCNAME[0]:+${FUNCNAME[0]}(): }'
+    set -o xtrace
+fi
+set -o errexit
+set -o pipefail
+
+
+function usage() {
+    echo "Usage: alloc-simulate.sh -S SNAPSHOT" 1>&2
+    echo "       alloc-simulate.sh SNAPSHOT CONFIG UUID..." 1>&2
+    echo "  -S saves a snapshot of the servers and their VMs to SNAPSHOT." 1>&2
+    echo "  CONFIG is a JSON file with the allocator config to try." 1>&2
+    echo "  Each UUID must be a VM or request UUID." 1>&2
+    exit 1
+}
+
+CNAPI_URL=$(json cnapi.url < /opt/smartdc/cnapi/config/config.json)
+
+if [[ "$1" == "-S" ]]; then
+    if [[ $# -ne 2 ]]; then
+        usage
+    fi
+
+    curl -sf "$CNAPI_URL/servers?extras=all" > $2
+    exit 0
+fi
+
+if [[ $# -lt 3 ]]; then
+    usage
+fi
+
+SNAPSHOT=$1
+CONFIG=$2
+shift 2
+
+ALLOCATIONS=$(printf '"%s",' "$@")
+
+(echo "{\"servers\": "; cat $SNAPSHOT; \
+    echo ", \"config\": "; cat $CONFIG; \
+    echo ", \"allocations\": [${ALLOCATIONS%,}]}") | \
+    curl -sf -X POST -H 'Content-Type: application/json' \
+    --data-binary @- $CNAPI_URL/allocate/simulate | json
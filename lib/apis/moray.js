@@ -19,6 +19,8 @@ var mod_jsprim = require('jsprim');
 var mod_moray = require('moray');
 var VError = require('verror');
 
+var REINDEX_BATCH_SIZE = 100;
+
 var BUCKETS = {
     'servers': {
         name: 'cnapi_servers',
@@ -27,11 +29,109 @@ var BUCKETS = {
                 datacenter: { type: 'string' },
                 headnode: { type: 'boolean' },
                 hostname: { type: 'string' },
+                next_reboot: { type: 'string' },
                 overprovision_ratios: { type: 'string' },
                 reserved: { type: 'boolean' },
                 reservoir: { type: 'boolean' },
                 setup: { type: 'boolean' },
                 uuid: { type: 'string', unique: true }
+            },
+            options: {
+                version: 1
+            }
+        }
+    },
+    'allocations': {
+        name: 'cnapi_allocations',
+        bucket: {
+            index: {
+                created: { type: 'string' },
+                req_id: { type: 'string' },
+                uuid: { type: 'string', unique: true },
+                vm_uuid: { type: 'string' }
+            }
+        }
+    },
+    'allocator_config': {
+        name: 'cnapi_allocator_config',
+        bucket: {
+            index: {
+                updated: { type: 'string' }
+            }
+        }
+    },
+    'capacity_holds': {
+        name: 'cnapi_capacity_holds',
+        bucket: {
+            index: {
+                created: { type: 'string' },
+                expires_at: { type: 'string' },
+                owner_uuid: { type: 'string' },
+                server_uuid: { type: 'string' },
+                uuid: { type: 'string', unique: true }
+            }
+        }
+    },
+    'fault_domains': {
+        name: 'cnapi_fault_domains',
+        bucket: {
+            index: {
+                name: { type: 'string' },
+                parent_uuid: { type: 'string' },
+                type: { type: 'string' },
+                uuid: { type: 'string', unique: true }
+            }
+        }
+    },
+    'owner_quotas': {
+        name: 'cnapi_owner_quotas',
+        bucket: {
+            index: {
+                owner_uuid: { type: 'string', unique: true },
+                servers: { type: '[string]' },
+                updated: { type: 'string' }
+            }
+        }
+    },
+    'placement_groups': {
+        name: 'cnapi_placement_groups',
+        bucket: {
+            index: {
+                created: { type: 'string' },
+                name: { type: 'string' },
+                owner_uuid: { type: 'string' },
+                uuid: { type: 'string', unique: true }
+            }
+        }
+    },
+    'platform_rollouts': {
+        name: 'cnapi_platform_rollouts',
+        bucket: {
+            index: {
+                created: { type: 'string' },
+                state: { type: 'string' },
+                uuid: { type: 'string', unique: true }
+            }
+        }
+    },
+    'reboot_plans': {
+        name: 'cnapi_reboot_plans',
+        bucket: {
+            index: {
+                created: { type: 'string' },
+                state: { type: 'string' },
+                uuid: { type: 'string', unique: true }
+            }
+        }
+    },
+    'server_history': {
+        name: 'cnapi_server_history',
+        bucket: {
+            index: {
+                fields: { type: '[string]' },
+                server_uuid: { type: 'string' },
+                timestamp: { type: 'string' },
+                uuid: { type: 'string', unique: true }
             }
         }
     },
@@ -53,6 +153,7 @@ var BUCKETS = {
             index: {
                 created_at: { type: 'string' },
                 expires_at: { type: 'string' },
+                group_uuid: { type: 'string' },
                 id: { type: 'string' },
                 scope: { type: 'string' },
                 server_uuid: { type: 'string' },
@@ -79,6 +180,15 @@ var BUCKETS = {
             }
         }
     },
+    'status_history': {
+        name: 'cnapi_status_history',
+        bucket: {
+            index: {
+                server_uuid: { type: 'string', unique: true },
+                updated: { type: 'string' }
+            }
+        }
+    },
     'status': {
         name: 'cnapi_status',
         bucket: {
@@ -190,6 +300,45 @@ Moray.prototype.ensureClientReady = function (callback) {
         });
 };
 
+/*
+ * The version of a bucket's schema, which is bumped whenever an index is added
+ * to it. Buckets created before they had versions are version 0.
+ */
+function bucketVersion(bucket) {
+    return ((bucket && bucket.options && bucket.options.version) || 0);
+}
+
+
+/*
+ * Reindex the objects in a bucket until there are none left to reindex, so
+ * that an index added by updateBucket() along with a new bucket version covers
+ * the objects written before it.
+ */
+Moray.prototype.reindexBucket = function (name, callback) {
+    var self = this;
+    var moray = self.getClient();
+    var processed;
+
+    async.doWhilst(
+        function (next) {
+            moray.reindexObjects(name, REINDEX_BATCH_SIZE, function (err, res) {
+                if (err) {
+                    next(err);
+                    return;
+                }
+                processed = res.processed;
+                if (processed > 0) {
+                    self.log.info('Reindexed %d objects in moray bucket %s',
+                        processed, name);
+                }
+                next();
+            });
+        },
+        function () { return processed > 0; },
+        callback);
+};
+
+
 Moray.prototype.initializeBuckets = function (callback) {
     var self = this;
     var moray = self.getClient();
@@ -213,7 +362,7 @@ Moray.prototype.initializeBuckets = function (callback) {
 
                     moray.getBucket(name, onbucket);
 
-                    function onbucket(error) {
+                    function onbucket(error, existing) {
                         if (error) {
                             if (VError.hasCauseWithName(error,
                                                         'BucketNotFoundError'))
@@ -236,7 +385,22 @@ Moray.prototype.initializeBuckets = function (callback) {
                             'Ensuring moray bucket %s up to date', name);
                         moray.updateBucket(
                             name,
-                            bucket, fecb);
+                            bucket, function (updateError) {
+                                if (updateError) {
+                                    fecb(updateError);
+                                    return;
+                                }
+
+                                // Moray only has objects to reindex when the
+                                // version has been bumped.
+                                if (bucketVersion(bucket) >
+                                    bucketVersion(existing)) {
+
+                                    self.reindexBucket(name, fecb);
+                                    return;
+                                }
+                                fecb();
+                            });
                     }
                 },
                 function (feError) {
@@ -30,13 +30,24 @@ var common = require('./common');
 var createServer = require('./server').createServer;
 var Designation = require('./designation');
 var HeartbeatReconciler = require('./heartbeat_reconciler');
+var ModelAllocation = require('./models/allocation');
+var ModelAllocatorConfig = require('./models/allocator_config');
 var ModelBase = require('./models/base');
+var ModelCapacityHold = require('./models/capacity_hold');
+var ModelFaultDomain = require('./models/fault_domain');
 var ModelImage = require('./models/image');
+var ModelOwnerQuota = require('./models/owner_quota');
+var ModelPlacementGroup = require('./models/placement_group');
 var ModelPlatform = require('./models/platform');
+var ModelPlatformRollout = require('./models/platform_rollout');
+var ModelRebootPlan = require('./models/reboot_plan');
 var ModelWaitlist = require('./models/waitlist');
 var ModelServer = require('./models/server');
+var ModelServerHistory = require('./models/server_history');
+var ModelStatusHistory = require('./models/status_history');
 var ModelVM = require('./models/vm');
 var Moray = require('./apis/moray');
+var RebootScheduler = require('./reboot_scheduler');
 var Ur = require('./ur');
 var Workflow = require('./apis/workflow');
 
@@ -44,6 +55,12 @@ var Workflow = require('./apis/workflow');
 
 var TASK_CLEANUP_MAX_AGE = 30 * 24 * 60 * 60;
 var TASK_CLEANUP_PERIOD = 60 * 60;
+var ALLOCATION_CLEANUP_PERIOD = 60 * 60;
+var CAPACITY_HOLD_CLEANUP_PERIOD = 60 * 60;
+var SERVER_HISTORY_CLEANUP_PERIOD = 60 * 60;
+var ALLOCATOR_CONFIG_CHECK_PERIOD = 60;
+
+// Used when unsetupSysinfoTimeoutSeconds is not in the config.
 var UNSETUP_UR_SYSINFO_TIMEOUT_SECONDS = 90;
 
 
@@ -81,10 +98,20 @@ function App(config, opts) {
     // Will store info about unsetup servers so we know when they are running.
     self.unsetupServers = {};
 
+    ModelAllocation.init(self);
+    ModelAllocatorConfig.init(self);
     ModelBase.init(self);
+    ModelCapacityHold.init(self);
+    ModelFaultDomain.init(self);
     ModelImage.init(self);
+    ModelOwnerQuota.init(self);
+    ModelPlacementGroup.init(self);
     ModelPlatform.init(self);
+    ModelPlatformRollout.init(self);
+    ModelRebootPlan.init(self);
     ModelServer.init(self);
+    ModelServerHistory.init(self);
+    ModelStatusHistory.init(self);
     ModelWaitlist.init(self);
     ModelVM.init(self);
 
@@ -227,6 +254,85 @@ App.prototype.startTaskCleaner = function (uuid) {
 };
 
 
+/*
+ * Periodically delete the allocator's decisions once they're older than
+ * allocationLogRetentionSeconds (see ModelAllocation).
+ */
+App.prototype.startAllocationCleaner = function () {
+    var self = this;
+
+    schedule();
+
+    function schedule() {
+        self.allocationCleanerTimeout = setTimeout(
+            cleanup, ALLOCATION_CLEANUP_PERIOD * 1000);
+    }
+
+    function cleanup() {
+        schedule();
+
+        ModelAllocation.cleanup(function _onCleanup(error) {
+            if (error) {
+                self.log.error(error, 'failed to clean up allocations');
+            }
+        });
+    }
+};
+
+
+/*
+ * Periodically delete the capacity holds which have expired. They're already
+ * ignored once they expire, so this only keeps them from piling up (see
+ * ModelCapacityHold).
+ */
+App.prototype.startCapacityHoldCleaner = function () {
+    var self = this;
+
+    schedule();
+
+    function schedule() {
+        self.capacityHoldCleanerTimeout = setTimeout(
+            cleanup, CAPACITY_HOLD_CLEANUP_PERIOD * 1000);
+    }
+
+    function cleanup() {
+        schedule();
+
+        ModelCapacityHold.cleanup(function _onCleanup(error) {
+            if (error) {
+                self.log.error(error, 'failed to clean up capacity holds');
+            }
+        });
+    }
+};
+
+
+/*
+ * Periodically delete the server history entries once they're older than
+ * serverHistoryRetentionSeconds (see ModelServerHistory).
+ */
+App.prototype.startServerHistoryCleaner = function () {
+    var self = this;
+
+    schedule();
+
+    function schedule() {
+        self.serverHistoryCleanerTimeout = setTimeout(
+            cleanup, SERVER_HISTORY_CLEANUP_PERIOD * 1000);
+    }
+
+    function cleanup() {
+        schedule();
+
+        ModelServerHistory.cleanup(function _onCleanup(error) {
+            if (error) {
+                self.log.error(error, 'failed to clean up server history');
+            }
+        });
+    }
+};
+
+
 /**
  * When we startup, we need to look for any servers that are unsetup and have
  * state=running. When operating normally, unsetup servers should be blasting
@@ -331,9 +437,15 @@ App.prototype.initializeConnections = function (callback) {
     self.setupWorkflowClient();
     self.setupWaitlistDirector();
     self.setupServerHeartbeatReconciler();
+    self.setupServerHistoryRecorder();
+    self.setupRebootScheduler();
+    self.setupAllocatorConfigWatcher();
 
     self.setupAmqpClient();
     self.startTaskCleaner();
+    self.startAllocationCleaner();
+    self.startCapacityHoldCleaner();
+    self.startServerHistoryCleaner();
     self._startUnsetupTimers();
 
     callback();
@@ -364,6 +476,7 @@ function setupServerHeartbeatReconciler() {
     function onMorayConnection() {
         self.heartbeatReconciler = new HeartbeatReconciler({
             app: self,
+            heartbeatLifetimeSeconds: self.config.heartbeatLifetimeSeconds,
             log: self.log,
             metricsManager: self.metricsManager,
             moray: self.moray.getClient()
@@ -376,6 +489,115 @@ function setupServerHeartbeatReconciler() {
 };
 
 
+/**
+ * Record each change made to a server record (as published by
+ * ModelServer.upsert) in the server's history, and changes to its status in
+ * its status history. Failing to record history is logged, but does not affect
+ * the change itself which has already been made.
+ */
+
+App.prototype.setupServerHistoryRecorder =
+function setupServerHistoryRecorder() {
+    var self = this;
+
+    ModelServer.changeFeed.on('change', function _onChange(change, states) {
+        ModelServerHistory.record(change, states, function _onRecord(err) {
+            if (err) {
+                self.log.warn({err: err, change: change},
+                    'failed to record server history');
+            }
+        });
+
+        ModelStatusHistory.record(change, states, function _onRecord(err) {
+            if (err) {
+                self.log.warn({err: err, change: change},
+                    'failed to record server status history');
+            }
+        });
+    });
+};
+
+
+/**
+ * Periodically check the allocator config stored in moray (see
+ * ModelAllocatorConfig), and switch the allocators over to it whenever it's
+ * been changed, whether by this CNAPI instance or another. The first check is
+ * made as soon as moray is connected, so a stored config takes over from the
+ * config file's at startup.
+ */
+
+App.prototype.setupAllocatorConfigWatcher =
+function setupAllocatorConfigWatcher() {
+    var self = this;
+
+    async.until(
+        function () {
+            return self.moray.connected;
+        }, function (cb) {
+            setTimeout(cb, 1000);
+        }, check);
+
+    function check() {
+        ModelAllocatorConfig.get(function _onGet(err, config) {
+            var configErr;
+
+            setTimeout(check, ALLOCATOR_CONFIG_CHECK_PERIOD * 1000);
+
+            if (err) {
+                self.log.error(err, 'failed to check the allocator config');
+                return;
+            }
+
+            if (!config || config.updated === Designation.configUpdated) {
+                return;
+            }
+
+            configErr = Designation.configure(config.allocationDescription,
+                config.changeDefaults, config.updated);
+            if (configErr) {
+                self.log.error({err: configErr, config: config},
+                    'stored allocator config is invalid, not using it');
+                return;
+            }
+
+            self.log.info({config: config}, 'switched to new allocator config');
+        });
+    }
+};
+
+
+/**
+ * Starts the timer for the reboot scheduler, which will periodically reboot
+ * servers whose next_reboot has passed and move reboot plans and platform
+ * rollouts along.
+ */
+
+App.prototype.setupRebootScheduler = function setupRebootScheduler() {
+    var self = this;
+
+    async.until(
+        function () {
+            return (self.moray.connected && self.workflow.connected);
+        }, function (cb) {
+            setTimeout(cb, 1000);
+        }, function onConnected() {
+            self.rebootScheduler = new RebootScheduler({log: self.log});
+            self.resetPeriodicRebootSchedulerTimer();
+        });
+};
+
+
+App.prototype.resetPeriodicRebootSchedulerTimer =
+function AppResetPeriodicRebootSchedulerTimer() {
+    var self = this;
+    self.periodicRebootSchedulerTimer = setTimeout(function () {
+        self.rebootScheduler.run(function _onRun() {
+            self.resetPeriodicRebootSchedulerTimer();
+        });
+    }, RebootScheduler.REBOOT_SCHEDULER_PERIOD_SECONDS * 1000);
+};
+
+
 App.prototype.resetPeriodicHeartbeatReconcilerTimer =
 function AppResetPeriodicHeartbeatReconcilerTimer() {
     var self = this;
@@ -394,7 +616,8 @@ App.prototype.setupWaitlistDirector = function () {
 
     var wldOpts = {
         cnapiUuid: self.uuid,
-        log: self.log
+        log: self.log,
+        notifier: ModelWaitlist.notifier
     };
 
     self.waitlistDirector = new ModelWaitlist.createWaitlistDirector(wldOpts);
@@ -420,6 +643,8 @@ App.prototype.setupAmqpClient = function () {
         connection.connected = true;
         self.log.info('AMQP connection ready');
 
+        ModelWaitlist.notifier.useConnection(connection);
+
         self.moray.ensureClientReady(function () {
 
             self.ur.useConnection(self.amqpConnection);
@@ -429,11 +654,13 @@ App.prototype.setupAmqpClient = function () {
 
     connection.on('error', function (e) {
         connection.connected = false;
+        ModelWaitlist.notifier.connectionLost();
         self.log.error(e);
     });
 
     connection.on('end', function () {
         connection.connected = false;
+        ModelWaitlist.notifier.connectionLost();
     });
 
     // Set up Ur client.
@@ -539,39 +766,94 @@ App.prototype.onStatusUpdate = function onStatusUpdate(opts, callback) {
         });
 };
 
+/*
+ * Set a timer to mark an unsetup server "unknown" if we don't see another
+ * sysinfo from it within unsetupSysinfoTimeoutSeconds. When the timer expires
+ * we look up the server's status_grace_seconds, and if it has one we wait that
+ * much longer before marking it.
+ */
 App.prototype._setSysinfoTimer =
 function _setSysinfoTimer(serverUuid, lastSeen) {
     var self = this;
 
+    var timeoutSeconds = self.config.unsetupSysinfoTimeoutSeconds ||
+        UNSETUP_UR_SYSINFO_TIMEOUT_SECONDS;
+
     if (!self.unsetupServers[serverUuid]) {
         self.unsetupServers[serverUuid] = {};
     }
     self.unsetupServers[serverUuid].lastUrSysinfo = lastSeen;
     self.unsetupServers[serverUuid].sysinfoTimer =
-        setTimeout(function _markUnknown() {
-            if (self.observedHeartbeats[serverUuid]) {
-                self.log.info({
-                    serverUuid: serverUuid
-                }, 'Server is heartbeating. No longer relying on Ur sysinfo ' +
-                    'messages to set status');
+        setTimeout(_checkGracePeriod, timeoutSeconds * 1000);
+
+    function _isHeartbeating() {
+        if (self.observedHeartbeats[serverUuid]) {
+            self.log.info({
+                serverUuid: serverUuid
+            }, 'Server is heartbeating. No longer relying on Ur sysinfo ' +
+                'messages to set status');
+            return true;
+        }
+        return false;
+    }
+
+    function _checkGracePeriod() {
+        var timer = self.unsetupServers[serverUuid] &&
+            self.unsetupServers[serverUuid].sysinfoTimer;
+
+        if (_isHeartbeating()) {
+            return;
+        }
+
+        ModelServer.get(serverUuid, function _onGet(err, _, serverObj) {
+            var graceSeconds = (!err && serverObj &&
+                serverObj.status_grace_seconds) || 0;
+
+            // If a sysinfo came in while we were looking, there's a new timer
+            // and nothing more for us to do.
+            if (!self.unsetupServers[serverUuid] ||
+                self.unsetupServers[serverUuid].sysinfoTimer !== timer) {
+
+                return;
+            }
+
+            if (graceSeconds === 0) {
+                _markUnknown(0);
                 return;
             }
 
-            self.log.warn('No sysinfo for %d seconds, ' +
-                'marking status="unknown"',
-                UNSETUP_UR_SYSINFO_TIMEOUT_SECONDS);
+            self.log.info({
+                graceSeconds: graceSeconds,
+                serverUuid: serverUuid
+            }, 'No sysinfo for %d seconds, waiting for grace period',
+                timeoutSeconds);
 
-            ModelServer.upsert(serverUuid, {status: 'unknown'}, {
-                etagRetries: 0
-            }, function _markedUnknown(markUnknownErr) {
-                if (markUnknownErr) {
-                    self.log.warn({
-                        err: markUnknownErr,
-                        serverUuid: serverUuid
-                    }, 'failed to mark server "unknown"');
-                }
-            });
-        }, UNSETUP_UR_SYSINFO_TIMEOUT_SECONDS * 1000);
+            self.unsetupServers[serverUuid].sysinfoTimer =
+                setTimeout(function _onGraceExpired() {
+                    _markUnknown(graceSeconds);
+                }, graceSeconds * 1000);
+        });
+    }
+
+    function _markUnknown(graceSeconds) {
+        if (_isHeartbeating()) {
+            return;
+        }
+
+        self.log.warn({serverUuid: serverUuid}, 'No sysinfo for %d seconds, ' +
+            'marking status="unknown"', timeoutSeconds + graceSeconds);
+
+        ModelServer.upsert(serverUuid, {status: 'unknown'}, {
+            etagRetries: 0
+        }, function _markedUnknown(markUnknownErr) {
+            if (markUnknownErr) {
+                self.log.warn({
+                    err: markUnknownErr,
+                    serverUuid: serverUuid
+                }, 'failed to mark server "unknown"');
+            }
+        });
+    }
 };
 
 App.prototype.onSysinfoReceivedUr =
@@ -592,8 +874,9 @@ function onSysinfoReceivedUr(message, routingKey) {
     //  * clear existing timers
     //  * ensure the server record is created/updated
     //  * ensure the server record has status=running (it's alive!)
-    //  * set a timer so that in 90 seconds if we haven't seen another sysinfo,
-    //    we mark the status=unknown.
+    //  * set a timer so that in 90 seconds (unsetupSysinfoTimeoutSeconds, plus
+    //    the server's status_grace_seconds) if we haven't seen another
+    //    sysinfo, we mark the status=unknown.
     //
     // This code should all be able to be removed (we can ignore all ur.sysinfo
     // messages) once cn-agent is automatically running on new servers.
@@ -43,21 +43,55 @@ var DEFAULT_FILTER_NON_DOCKER_NFS_VOLUMES_AUTOMOUNT_MIN_PLATFORM =
 var DEFAULT_FILTER_VOLAPI_NFS_V2_MIN_PLATFORM = '20200213T123742Z';
 var DEFAULT_FILTER_FLEXIBLE_DISK_MIN_PLATFORM = '20181206T190647Z';
 
+/*
+ * The fault domains across which an owner's VMs can be spread. This is done by
+ * CNAPI before the servers are given to dapi, so the changeDefault for it
+ * (owner_fault_domain_spread) isn't passed on to dapi.
+ */
+var OWNER_FAULT_DOMAIN_SPREADS = ['rack', 'room'];
+
 
 function Designation() {}
 
 
 Designation.init = function init(app) {
     var config = app.config.dapi;
-    Designation.defaults = getDefaults(config.changeDefaults);
 
-    var err = dapiValid.validateDefaults(Designation.defaults);
+    Designation.log = app.log;
+
+    var err = Designation.configure(config.allocationDescription,
+        config.changeDefaults);
     if (err) {
         throw new Error(err);
     }
+};
+
+
+/*
+ * Create the allocators from an allocation pipeline description and a set of
+ * changeDefaults (in the same form as dapi.allocationDescription and
+ * dapi.changeDefaults in the config), replacing the ones in use. This is done
+ * at startup, and again whenever the allocator config is changed through
+ * AllocatorConfigUpdate. 'updated' is when the config was last changed, and is
+ * undefined for the config file's.
+ *
+ * If the description or defaults are invalid, the allocators in use are left
+ * alone and the error message is returned.
+ */
+Designation.configure =
+function configure(allocationDescription, changeDefaults, updated) {
+    var defaults = getDefaults(changeDefaults);
+    var allocator;
+    var allocCapacity;
+
+    var err = dapiValid.validateDefaults(defaults) ||
+        validateOwnerFaultDomainSpread(changeDefaults);
+    if (err) {
+        return err;
+    }
 
     var opts = {
-        log: app.log
+        log: Designation.log
     };
 
     opts.getVm = function getVm(params, extras, cb) {
@@ -87,18 +121,67 @@ Designation.init = function init(app) {
         ModelVm.listVmsViaVmapi(vmOpts, cb);
     };
 
-    Designation.allocator = new dapiAlloc(opts, config.allocationDescription,
-                                          Designation.defaults);
+    // dapi throws when the description names steps it doesn't have.
+    try {
+        allocator = new dapiAlloc(opts, allocationDescription, defaults);
+
+        // XXX dapi currently doesn't support disabling getServerVms() per
+        // request, but cnapi provides its own filled `vms` attribute when
+        // adding unreserved_* attributes. When dapi does support disabling
+        // the above per request, this second instance should be removed
+        allocCapacity = new dapiAlloc({
+            log: Designation.log
+        }, allocationDescription, defaults);
+    } catch (e) {
+        return e.message;
+    }
+
+    Designation.allocationDescription = allocationDescription;
+    Designation.changeDefaults = changeDefaults;
+    Designation.configUpdated = updated;
+    Designation.defaults = defaults;
+    Designation.allocator = allocator;
+    Designation.allocCapacity = allocCapacity;
+    Designation.filterHeadnode = defaults.filter_headnode;
+    Designation.ownerFaultDomainSpread =
+        changeDefaults.owner_fault_domain_spread || null;
+
+    return null;
+};
+
+
+/*
+ * Create an allocator from an allocation pipeline description and a set of
+ * changeDefaults without putting it into use, so that a different config can
+ * be tried out (see SelectServerSimulate). Unlike Designation.allocator, it
+ * never looks up VMs in VMAPI, so the servers given to it must have their
+ * `vms` filled in already.
+ *
+ * The callback gets the error message if the description or defaults are
+ * invalid, otherwise the allocator and the defaults it uses.
+ */
+Designation.createAllocator =
+function createAllocator(allocationDescription, changeDefaults, cb) {
+    var defaults = getDefaults(changeDefaults);
+    var allocator;
+
+    var err = dapiValid.validateDefaults(defaults) ||
+        validateOwnerFaultDomainSpread(changeDefaults);
+    if (err) {
+        cb(err);
+        return;
+    }
 
-    // XXX dapi currently doesn't support disabling getServerVms() per request,
-    // but cnapi provides its own filled `vms` attribute when adding
-    // unreserved_* attributes. When dapi does support disabling the above per
-    // request, this second instance should be removed
-    Designation.allocCapacity = new dapiAlloc({
-        log: app.log
-    }, config.allocationDescription, Designation.defaults);
+    try {
+        allocator = new dapiAlloc({
+            log: Designation.log
+        }, allocationDescription, defaults);
+    } catch (e) {
+        cb(e.message);
+        return;
+    }
 
-    Designation.filterHeadnode = Designation.defaults.filter_headnode;
+    cb(null, allocator, defaults);
 };
 
 
@@ -136,6 +219,18 @@ function serverCapacity(server, cb) {
 };
 
 
+function validateOwnerFaultDomainSpread(changeDefaults) {
+    var spread = changeDefaults.owner_fault_domain_spread;
+
+    if (spread && OWNER_FAULT_DOMAIN_SPREADS.indexOf(spread) === -1) {
+        return ('owner_fault_domain_spread must be one of: ' +
+            OWNER_FAULT_DOMAIN_SPREADS.join(', '));
+    }
+
+    return null;
+}
+
+
 function getDefaults(changeDefaults) {
     var defaults = {};
 
@@ -10,40 +10,95 @@
 
 /*
  * DAPI (allocator) endpoints. The main HTTP endpoint (/allocate) picks a server
- * where to place a new VM. Another endpoint (/capacity) returns how much spare
- * space there is on a set of servers.
+ * where to place a new VM, and /allocate/batch does the same for several VMs
+ * at once. /allocate/explain says why a given server would or wouldn't be
+ * picked, and /allocate/simulate how placements would change with another
+ * allocator config. Another endpoint (/capacity) returns how much spare space
+ * there is on a set of servers, /capacity/fit how many instances of some
+ * packages would fit there, and /allocations/:id returns why the allocator
+ * made the decision it did. /allocator/config looks up and changes how the
+ * allocator decides.
  */
 
 var async     = require('async');
+var libuuid   = require('libuuid');
 var restify   = require('restify');
-var zlib      = require('zlib');
+var VError    = require('verror');
 
 var Designation   = require('../designation');
+var ModelAllocation = require('../models/allocation');
+var ModelAllocatorConfig = require('../models/allocator_config');
+var ModelCapacityHold = require('../models/capacity_hold');
+var ModelFaultDomain = require('../models/fault_domain');
+var ModelOwnerQuota = require('../models/owner_quota');
+var ModelPlacementGroup = require('../models/placement_group');
 var ModelServer   = require('../models/server');
 var ModelWaitlist = require('../models/waitlist');
 var validation    = require('../validation/endpoints');
 var common        = require('../common');
 var errors        = require('../errors');
+var endpoints     = require('../endpoints');
 
 
-var UUID_RE = /^[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12}$/i;
-
 var ALLOC_VALIDATION_RULES = {
     servers:  ['optional', 'isArrayType'],
     package:  ['optional', 'isObjectType'],
     image:    ['isObjectType'],
     vm:       ['isObjectType'],
     nic_tag_requirements: ['optional', 'isArrayType'],
-    nic_tags: ['isArrayType']
+    nic_tags: ['isArrayType'],
+    placement_group: ['optional', 'isStringType']
+};
+
+var EXPLAIN_VALIDATION_RULES = {
+    server_uuid: ['isStringType'],
+    package:  ['optional', 'isObjectType'],
+    image:    ['isObjectType'],
+    vm:       ['isObjectType'],
+    nic_tag_requirements: ['optional', 'isArrayType'],
+    nic_tags: ['isArrayType'],
+    placement_group: ['optional', 'isStringType']
+};
+
+var BATCH_VALIDATION_RULES = {
+    servers:  ['optional', 'isArrayType'],
+    vms:      ['isArrayType']
+};
+
+var SIMULATE_VALIDATION_RULES = {
+    servers:  ['isArrayType'],
+    allocations: ['optional', 'isArrayType'],
+    requests: ['optional', 'isArrayType'],
+    config:   ['isObjectType']
 };
 
 var CAPACITY_VALIDATION_RULES = {
-    servers:  ['optional', 'isArrayType']
+    servers:  ['optional', 'isArrayType'],
+    aggregate: ['optional', 'isStringType']
+};
+
+var CAPACITY_FIT_VALIDATION_RULES = {
+    packages: ['isArrayType'],
+    servers:  ['optional', 'isArrayType'],
+    image:    ['optional', 'isObjectType'],
+    nic_tags: ['optional', 'isArrayType']
 };
 
+var ALLOCATOR_CONFIG_VALIDATION_RULES = {
+    allocationDescription: ['optional', 'isArrayType'],
+    changeDefaults: ['optional', 'isObjectType']
+};
+
+var ALLOCATOR_CONFIG_ETAG_RETRIES = 3;
+
 var SERVER_CHUNK_SIZE = 50;
 
 var VOLUMES_MSG = 'Servers containing VMs required for volumes-from';
+var MAINTENANCE_MSG = 'Servers which are not in maintenance';
+var OWNER_QUOTA_MSG = 'Servers within the owner\'s quotas';
+var PLACEMENT_GROUP_MSG = 'Servers apart from the rest of the placement group';
+var PLACEMENT_GROUP_FALLBACK_MSG =
+    'Servers with the rest of the placement group';
 
 
 function Allocations() {}
@@ -60,9 +115,24 @@ function Allocations() {}
  * parameters must be constructed.
  *
  * Be aware when inpecting steps output that the servers which are considered
- * for allocation must be both setup and unreserved. If a server you expected
- * does not turn up in steps output, its because the server didn't meet those
- * two criteria.
+ * for allocation must be setup, unreserved and not in maintenance (see
+ * ServerMaintenanceSet). If a server you expected does not turn up in steps
+ * output, its because the server didn't meet those criteria.
+ *
+ * When a placement group is given (see PlacementGroupCreate), the VM is kept
+ * apart from the other VMs in the group according to its spread and policy,
+ * and added to the group once a server is chosen. The step which leaves out
+ * the servers with the rest of the group comes first in the steps output.
+ *
+ * If the allocator's owner_fault_domain_spread is set to 'rack' or 'room' (see
+ * AllocatorConfigUpdate), servers in the racks or rooms with the fewest of the
+ * VM owner's VMs are preferred (see FaultDomainCreate), and the step which
+ * does so comes next.
+ *
+ * Servers which would take the VM over its owner's quotas, or which are
+ * restricted to another owner, are never chosen (see OwnerQuotaSet). When
+ * there are any quotas, the step which leaves those servers out comes before
+ * all the others.
  *
  * @name SelectServer
  * @endpoint POST /allocate
@@ -73,6 +143,7 @@ function Allocations() {}
  * @param {Object} image Description of image used to construct VM
  * @param {Array} nic_tags Names of nic tags which servers must have
  * @param {Array} servers Optionally limit which servers to consider by providing their UUIDs
+ * @param {String} placement_group Optionally the UUID of the VM's placement group
  *
  * @response 200 Object Server selected and steps taken
  * @response 409 Object No server found, and steps and reasons why not
@@ -81,9 +152,6 @@ function Allocations() {}
 /* END JSSTYLED */
 
 Allocations.allocate = function handlerAllocationsAllocate(req, res, next) {
-    var allocator = Designation.allocator;
-    var err;
-
     if (validation.ensureParamsValid(req, res, ALLOC_VALIDATION_RULES)) {
         next();
         return;
@@ -94,73 +162,49 @@ Allocations.allocate = function handlerAllocationsAllocate(req, res, next) {
     var img     = params.image;
     var pkg     = params.package;
     var vm      = params.vm;
-    var tagreqs = params.nic_tag_requirements;
-    var tags    = params.nic_tags;
-
-    err = Designation.validations.validateImage(img);
-    if (err) {
-        invalid('image', err, res, next);
-        return;
-    }
 
-    if (pkg) {
-        err = Designation.validations.validatePackage(pkg);
-        if (err) {
-            invalid('package', err, res, next);
-            return;
-        }
-    }
-
-    var requirements = params.image.requirements;
-    err = Designation.validations.validateVmPayload(vm, requirements);
-    if (err) {
-        invalid('vm', err, res, next);
+    if (validateAllocationParams(params, res, next)) {
         return;
     }
 
     if (servers) {
         for (var i = 0; i !== servers.length; i++) {
-            if (!UUID_RE.test(servers[i])) {
+            if (!endpoints.isUuid(servers[i])) {
                 invalid('servers', 'invalid server UUID', res, next);
                 return;
             }
         }
     }
 
-    if (tagreqs) {
-        err = Designation.validations.validateNicTagRequirements(tagreqs);
-        if (err) {
-            invalid('nic_tag_requirements', err, res, next);
-            return;
-        }
-    }
-
-    vm.nic_tag_requirements = tagreqs;
+    if (params.placement_group !== undefined &&
+        !endpoints.isUuid(params.placement_group)) {
 
-    for (i = 0; i !== tags.length; i++) {
-        if (typeof (tags[i]) !== 'string') {
-            invalid('nic_tags', 'invalid nic_tag', res, next);
-            return;
-        }
+        invalid('placement_group', 'invalid placement group UUID', res, next);
+        return;
     }
 
-    vm.nic_tags = tags;
-
     var log = req.log;
+    var allSteps = [];
+    var constraints;
     var httpBody;
     var serverDetails;
     var tickets;
 
     async.series([
         function getAllUnreservedServers(cb) {
-            getServers(log, servers, false, allocator.filterHeadnode,
+            getServers(log, servers, false,
+                       Designation.allocator.filterHeadnode,
                        function serversCb(err2, _details) {
                 if (err2) {
                     cb(new restify.InternalError(err2.message));
                     return;
                 }
 
-                serverDetails = _details;
+                // Servers in maintenance are draining, so they must not be
+                // given anything new.
+                serverDetails = _details.filter(function (server) {
+                    return (!server.maintenance);
+                });
                 cb();
             });
         },
@@ -180,91 +224,71 @@ Allocations.allocate = function handlerAllocationsAllocate(req, res, next) {
             });
         },
 
+        function getConstraints(cb) {
+            loadVmConstraints(vm, params.placement_group, [], tickets,
+                    function (err, _constraints) {
+                constraints = _constraints;
+                cb(err);
+            });
+        },
+
         function allocateToServer(cb) {
             log.debug({ tickets: tickets },
                       'Tickets found, running allocator...');
 
-            common.randSort(serverDetails); // mutates with a random reorder
-
-            // cut servers into arrays of max size SERVER_CHUNK_SIZE
-            var chunks = [];
-            for (var j = 0; j <= serverDetails.length; j += SERVER_CHUNK_SIZE) {
-                chunks.push(serverDetails.slice(j, j + SERVER_CHUNK_SIZE));
-            }
-
-            function allocChunk() {
-                var serversChunk = chunks.pop();
-                var startTime = new Date();
-
-                allocator.allocate(serversChunk, vm, img, pkg, tickets,
-                        function (err2, server, stepSummary) {
-                    if (err2) {
-                        log.error('Error while running dapi:', err2);
-                        cb(err);
-                        return;
-                    }
-
-                    var deltaTime = new Date() - startTime;
-                    log.debug('Allocator run took', deltaTime, 'ms');
-
-                    logResults(log, server, serversChunk, req.params, tickets,
-                               allocator.defaults, stepSummary);
-
-                    // after allocation and logging, remove vms hash so the
-                    // GC can collect it
-                    serversChunk.forEach(function (s) { delete s.vms; });
-
-                    httpBody = {
-                        server: server,
-                        steps: stepSummary
-                    };
-                    log.debug(httpBody, 'Allocator run');
-
-                    if (server) {
-                        cb();
-                        return;
-                    }
+            allocateVm(log, constraints, serverDetails, vm, img, pkg, tickets,
+                    function (err2, server, stepSummary, _allSteps) {
+                if (err2) {
+                    cb(err2);
+                    return;
+                }
 
-                    // check if we should run another chunk through dapi
-                    if (chunks.length > 0) {
-                        allocChunk();
-                        return;
-                    }
+                allSteps = _allSteps;
+                httpBody = {
+                    server: server,
+                    steps: stepSummary
+                };
 
-                    var failed = stepSummary.slice(-1)[0];
+                if (!server) {
+                    cb(noAllocatableServersError(stepSummary));
+                    return;
+                }
 
-                    // XXX we need a better way of determining which step in
-                    // particular we were on when the sequence came to an end
-                    if (failed.step === VOLUMES_MSG) {
-                        cb(new errors.VolumeServerNoResourcesError());
-                        return;
-                    }
+                cb();
+            });
+        },
 
-                    // Grab the reason for the last step that resulted in no
-                    // servers being left.
-                    var reason = failed.reasons && failed.reasons['*'];
-                    if (!reason) {
-                        var stepName = failed.step || '';
-                        // Uncapitalize the step name.
-                        stepName = stepName[0].toLowerCase() +
-                            stepName.slice(1);
-                        // Convert 'servers ...' to 'no servers ...' - this is
-                        // to make the error message more readable.
-                        if (stepName.slice(0, 8) === 'servers ') {
-                            stepName = 'no ' + stepName;
-                        }
-                        reason = stepName;
-                    }
+        function addToPlacementGroup(cb) {
+            if (!constraints.group) {
+                cb();
+                return;
+            }
 
-                    cb(new errors.NoAllocatableServersError(reason));
+            // The VMs placed in the group after this one are kept apart from
+            // it from now on.
+            ModelPlacementGroup.addVm(constraints.group.uuid, vm.vm_uuid,
+                    function (err) {
+                if (err) {
+                    cb(new restify.InternalError(err.message));
                     return;
-                });
-            }
+                }
 
-            allocChunk();
+                cb();
+            });
         }
 
     ], function (asyncErr) {
+        // Only record the decision if the allocator actually ran.
+        if (httpBody) {
+            recordAllocation(log, {
+                error: asyncErr ? asyncErr.message : undefined,
+                req_id: req.getId(),
+                request: allocationRequest(params),
+                server_uuid: httpBody.server ? httpBody.server.uuid : undefined,
+                steps: allSteps
+            });
+        }
+
         if (asyncErr) {
             next(asyncErr);
             return;
@@ -281,167 +305,2085 @@ Allocations.allocate = function handlerAllocationsAllocate(req, res, next) {
 
 /* BEGIN JSSTYLED */
 /**
- * Returns how much spare capacity there is on each server, specifically RAM
- * (in MiB), CPU (in percentage of CPU, where 100 = 1 core), and disk (in MiB).
+ * Explains whether SelectServer could choose a given server for a new VM. The
+ * server is run through the whole allocation pipeline on its own, and the
+ * response has the first step that rejected it (`rejected_by`, with the step
+ * and the reason it gave, or null if none did), the spare RAM (in MiB), disk
+ * (in MiB) and CPU (in percentage of CPU) the allocator calculates the server
+ * has, the score the allocator gave it (null if it was rejected before being
+ * scored), and the steps taken.
  *
- * This call isn't cheap, so it's preferable to make fewer calls, and restrict
- * the results to only the servers you're interested in by passing in the
- * desired servers' UUIDs.
+ * Since the server is considered on its own, steps which only rank or prefer
+ * servers relative to each other don't reject it. As with SelectServer, the
+ * VM's owner's quotas and restricted servers (see OwnerQuotaSet) and its
+ * placement group, if one is given, are applied. Unlike SelectServer,
+ * reserved servers and the headnode are not left out beforehand, so the step
+ * which rejects them is reported. Servers in maintenance are rejected without
+ * running the pipeline. Nothing is allocated.
  *
- * @name ServerCapacity
- * @endpoint POST /capacity
+ * @name SelectServerExplain
+ * @endpoint POST /allocate/explain
  * @section Allocation API
  *
- * @param {Array} servers Optionally limit which servers to consider by providing their UUIDs
+ * @param {String} server_uuid The server to explain
+ * @param {Object} vm Various required metadata for VM construction
+ * @param {Object} package Description of dimensions used to construct VM
+ * @param {Object} image Description of image used to construct VM
+ * @param {Array} nic_tags Names of nic tags which servers must have
+ * @param {String} placement_group Optionally the UUID of the VM's placement group
  *
- * @response 200 Object Server capacities and any associated errors
+ * @response 200 Object Whether and why the server would be rejected
+ * @response 404 Error No such server
  * @response 500 Error Could not process request
  */
 /* END JSSTYLED */
 
-Allocations.capacity = function handlerAllocationsCapacity(req, res, next) {
-    if (validation.ensureParamsValid(req, res, CAPACITY_VALIDATION_RULES)) {
+Allocations.explain = function handlerAllocationsExplain(req, res, next) {
+    if (validation.ensureParamsValid(req, res, EXPLAIN_VALIDATION_RULES)) {
         next();
         return;
     }
 
-    var servers = req.params.servers;
-    var log = req.log;
+    var params = req.params;
+    var serverUuid = params.server_uuid;
 
-    if (servers) {
-        for (var i = 0; i !== servers.length; i++) {
-            if (!UUID_RE.test(servers[i])) {
-                invalid('servers', 'invalid server UUID', res, next);
-                return;
-            }
-        }
+    if (validateAllocationParams(params, res, next)) {
+        return;
     }
 
-    getServers(log, servers, null, null,
-               function serverCb(err, serverDetails) {
-        if (err) {
-            next(new restify.InternalError(err.message));
-            return;
-        }
-
-        log.debug({ servers: serverDetails },
-                      'Servers found, running capacity');
+    if (!endpoints.isUuid(serverUuid)) {
+        invalid('server_uuid', 'invalid server UUID', res, next);
+        return;
+    }
 
-        Designation.serverCapacity(serverDetails,
-                function (err2, capacities, reasons) {
-            if (err2) {
-                log.error(err2, 'Error while determining capacity');
-                next(new restify.InternalError(err2.message));
-                return;
-            }
+    if (params.placement_group !== undefined &&
+        !endpoints.isUuid(params.placement_group)) {
 
-            var httpBody = {
-                capacities: capacities
-            };
+        invalid('placement_group', 'invalid placement group UUID', res, next);
+        return;
+    }
 
-            log.debug(httpBody, 'Capacity run');
+    var log = req.log;
+    var constraints;
+    var httpBody = {
+        rejected_by: null,
+        score: null,
+        server_uuid: serverUuid,
+        steps: []
+    };
+    var server;
+    var tickets;
 
-            res.send(httpBody);
-            next();
-            return;
-        });
-    });
+    async.series([
+        function getServer(cb) {
+            ModelServer.list({
+                uuid: [serverUuid],
+                default: false,
+                extras: {
+                    status: true,
+                    sysinfo: true,
+                    memory: true,
+                    disk: true
+                }
+            }, function (err, servers) {
+                if (err) {
+                    cb(new restify.InternalError(err.message));
+                    return;
+                }
 
-    return;
-};
+                if (servers.length === 0) {
+                    cb(new restify.ResourceNotFoundError(
+                        'Server ' + serverUuid + ' not found'));
+                    return;
+                }
 
+                server = servers[0];
+                cb();
+            });
+        },
 
-function getServers(log, serverUuids, reserved, filterHeadnode, cb) {
-    var options = {
-        uuid: serverUuids,
-        default: false,
-        setup: true,
-        status: 'running',
-        extras: {
-            status: true,
-            sysinfo: true,
-            memory: true,
-            disk: true
-        }
-    };
+        function getOpenTickets(cb) {
+            getOpenProvisioningTickets(log, function (err, _tickets) {
+                if (err) {
+                    cb(new restify.InternalError(err.message));
+                    return;
+                }
 
-    if (typeof (reserved) === 'boolean') {
-        options.reserved = reserved;
-    }
+                tickets = _tickets;
+                cb();
+            });
+        },
 
-    if (filterHeadnode) {
-        options.headnode = false;
-    }
+        function getConstraints(cb) {
+            loadVmConstraints(params.vm, params.placement_group, [], tickets,
+                    function (err, _constraints) {
+                constraints = _constraints;
+                cb(err);
+            });
+        },
 
-    log.debug(options, 'Searching for servers');
+        function runAllocator(cb) {
+            // SelectServer never gives servers in maintenance to the
+            // allocator, so there's nothing more to explain.
+            if (server.maintenance) {
+                httpBody.rejected_by = {
+                    reason: 'Server is in maintenance',
+                    step: MAINTENANCE_MSG
+                };
+                cb();
+                return;
+            }
 
-    var start = new Date();
+            allocateVm(log, constraints, [server], params.vm, params.image,
+                    params.package, tickets,
+                    function (err, chosen, stepSummary) {
+                if (err) {
+                    cb(new restify.InternalError(err.message));
+                    return;
+                }
 
-    ModelServer.list(options, function (err, servers) {
-        var delta = new Date() - start;
-        log.debug('Servers search took ' + delta + ' ms');
+                // A server left out by a preference (such as a soft placement
+                // group) may still be chosen when the pipeline falls back.
+                httpBody.rejected_by = chosen ? null :
+                    getRejectingStep(serverUuid, stepSummary);
+                httpBody.steps = stepSummary;
 
-        cb(err, servers);
-    });
-}
+                // The allocator's scoring steps add the score to the server.
+                if (!httpBody.rejected_by && server.score !== undefined) {
+                    httpBody.score = server.score;
+                }
 
+                cb();
+            });
+        },
 
-function getOpenProvisioningTickets(log, cb) {
-    log.debug('Searching for open provisioning tickets');
+        function getCapacity(cb) {
+            Designation.serverCapacity([server],
+                    function (err, capacities) {
+                if (err) {
+                    log.error(err, 'Error while determining capacity');
+                    cb(new restify.InternalError(err.message));
+                    return;
+                }
 
-    var filter = '&(scope=vm)(action=provision)' +
-                 '(|(status=active)(status=queued))';
+                var capacity = capacities[serverUuid] || {};
 
-    var start = new Date();
+                httpBody.unreserved_cpu = capacity.cpu;
+                httpBody.unreserved_disk = capacity.disk;
+                httpBody.unreserved_ram = capacity.ram;
+                cb();
+            });
+        }
+    ], function (asyncErr) {
+        if (asyncErr) {
+            next(asyncErr);
+            return;
+        }
 
-    ModelWaitlist.query(filter, {}, function (err, tickets) {
-        var delta = new Date() - start;
-        log.debug('Open provisioning tickets search took ' + delta + ' ms');
+        log.debug(httpBody, 'Allocator explain run');
 
-        cb(err, tickets);
+        res.send(httpBody);
+        next();
     });
-}
-
-
-function invalid(param, errMsg, res, next) {
-    var err = [ {
-        param: param,
-        msg: errMsg
-    } ];
-
-    res.send(500, validation.formatValidationErrors(err));
-    next();
-}
+};
 
 
-/*
- * Sometimes ops see allocation failures or disagree with the reasoning that
- * DAPI provided about an allocation. When that happens, it's handy to have a
- * snapshot in the logs of what DAPI saw.
+/* BEGIN JSSTYLED */
+/**
+ * Chooses servers for several new VMs at once, such as the members of a
+ * cluster. Each entry in `vms` takes the same vm, package, image, nic_tags,
+ * nic_tag_requirements and placement_group parameters as SelectServer, and
+ * optionally an `affinity_group` and an `anti_affinity_group`: VMs with the
+ * same affinity_group are placed on the same server, and VMs with the same
+ * anti_affinity_group are placed on different servers. Each VM is placed by
+ * the same pipeline as SelectServer, so its owner's quotas, its placement
+ * group and its owner's fault domain spread are applied as well.
  *
- * This is an out-of-band async function, so it never invokes a callback.
+ * The VMs are placed in the order given, without going back to revisit
+ * earlier placements, and the capacity each placement uses is taken into
+ * account for the ones after it, as though each VM already had a waitlist
+ * ticket on its server. This includes their owners' quotas and placement
+ * groups, and the VMs are only added to their placement groups once they have
+ * all been placed. Either every VM is placed and the placements are
+ * returned, or none are and the 409 error names each VM that couldn't be
+ * placed and why in its `errors`. As with SelectServer, nothing is created,
+ * and each decision can be looked up with AllocationGet.
+ *
+ * @name SelectServerBatch
+ * @endpoint POST /allocate/batch
+ * @section Allocation API
+ *
+ * @param {Array} vms The VMs to place, each with vm, package, image, nic_tags, and optionally placement_group, affinity_group and anti_affinity_group
+ * @param {Array} servers Optionally limit which servers to consider by providing their UUIDs
+ *
+ * @response 200 Object The server chosen for each VM (`placements`)
+ * @response 409 Error Some VMs could not be placed
+ * @response 500 Error Could not process request
  */
+/* END JSSTYLED */
+
+Allocations.batch = function handlerAllocationsBatch(req, res, next) {
+    if (validation.ensureParamsValid(req, res, BATCH_VALIDATION_RULES)) {
+        next();
+        return;
+    }
+
+    var servers = req.params.servers;
+    var requests = req.params.vms;
+    var vmUuids = {};
+    var i;
+
+    if (requests.length === 0) {
+        invalid('vms', 'value was an empty array', res, next);
+        return;
+    }
+
+    for (i = 0; i !== requests.length; i++) {
+        if (validateBatchRequest(requests[i], 'vms.' + i, res, next)) {
+            return;
+        }
+
+        if (vmUuids[requests[i].vm.vm_uuid]) {
+            invalid('vms.' + i + '.vm', 'duplicate vm_uuid', res, next);
+            return;
+        }
+        vmUuids[requests[i].vm.vm_uuid] = true;
+    }
+
+    if (servers) {
+        for (i = 0; i !== servers.length; i++) {
+            if (!endpoints.isUuid(servers[i])) {
+                invalid('servers', 'invalid server UUID', res, next);
+                return;
+            }
+        }
+    }
+
+    var log = req.log;
+    var affinityServers = {};
+    var antiAffinityServers = {};
+    var failures = [];
+    var groupVms = {};
+    var placements = [];
+    var serverDetails;
+    var tickets;
+
+    function placeVm(request, cb) {
+        var vm = request.vm;
+        var affinityServer = affinityServers[request.affinity_group];
+        var avoidServers = antiAffinityServers[request.anti_affinity_group] ||
+            [];
+        var groupUuid = request.placement_group;
+
+        var candidates = serverDetails.filter(function (server) {
+            return ((!affinityServer || server.uuid === affinityServer) &&
+                avoidServers.indexOf(server.uuid) === -1);
+        });
+
+        // The VMs placed so far are in the tickets, so they count against
+        // their owner's quotas and fault domain spread and, through groupVms,
+        // their placement group.
+        loadVmConstraints(vm, groupUuid, groupVms[groupUuid] || [], tickets,
+                function (constraintsErr, constraints) {
+            if (constraintsErr) {
+                cb(constraintsErr);
+                return;
+            }
+
+            allocateVm(log, constraints, candidates, vm, request.image,
+                request.package, tickets, onAllocate);
+        });
+
+        function onAllocate(err, server, stepSummary, allSteps) {
+            if (err) {
+                cb(new restify.InternalError(err.message));
+                return;
+            }
+
+            var allocErr = server ? null :
+                noAllocatableServersError(stepSummary);
+
+            recordAllocation(log, {
+                error: allocErr ? allocErr.message : undefined,
+                req_id: req.getId(),
+                request: allocationRequest(request),
+                server_uuid: server ? server.uuid : undefined,
+                steps: allSteps
+            });
+
+            if (allocErr) {
+                failures.push({
+                    code: allocErr.restCode,
+                    message: allocErr.message,
+                    vm_uuid: vm.vm_uuid
+                });
+                cb();
+                return;
+            }
+
+            placements.push({
+                placement_group: groupUuid,
+                server_uuid: server.uuid,
+                vm_uuid: vm.vm_uuid
+            });
+
+            if (groupUuid) {
+                groupVms[groupUuid] = (groupVms[groupUuid] || []).concat(
+                    [vm.vm_uuid]);
+            }
+
+            if (request.affinity_group) {
+                affinityServers[request.affinity_group] = server.uuid;
+            }
+
+            if (request.anti_affinity_group) {
+                avoidServers.push(server.uuid);
+                antiAffinityServers[request.anti_affinity_group] =
+                    avoidServers;
+            }
+
+            // The allocator sees VMs which are being provisioned through
+            // their waitlist tickets, so the VMs placed so far are added to
+            // the tickets it's given to account for what they use.
+            tickets.push(batchTicket(server.uuid, vm, request.package));
+            cb();
+        }
+    }
+
+    async.series([
+        function getAllUnreservedServers(cb) {
+            getServers(log, servers, false,
+                       Designation.allocator.filterHeadnode,
+                       function serversCb(err, _details) {
+                if (err) {
+                    cb(new restify.InternalError(err.message));
+                    return;
+                }
+
+                // Servers in maintenance are draining, so they must not be
+                // given anything new.
+                serverDetails = _details.filter(function (server) {
+                    return (!server.maintenance);
+                });
+                cb();
+            });
+        },
+
+        function getOpenTickets(cb) {
+            getOpenProvisioningTickets(log, function (err, _tickets) {
+                if (err) {
+                    cb(new restify.InternalError(err.message));
+                    return;
+                }
+
+                tickets = _tickets;
+                cb();
+            });
+        },
+
+        function placeVms(cb) {
+            async.eachSeries(requests, placeVm, cb);
+        },
+
+        function addToPlacementGroups(cb) {
+            // Nothing is placed unless every VM is.
+            if (failures.length > 0) {
+                cb();
+                return;
+            }
+
+            async.eachSeries(placements, function (placement, cb2) {
+                if (!placement.placement_group) {
+                    cb2();
+                    return;
+                }
+
+                ModelPlacementGroup.addVm(placement.placement_group,
+                        placement.vm_uuid, function (err) {
+                    if (err) {
+                        cb2(new restify.InternalError(err.message));
+                        return;
+                    }
+
+                    cb2();
+                });
+            }, cb);
+        }
+
+    ], function (asyncErr) {
+        if (asyncErr) {
+            next(asyncErr);
+            return;
+        }
+
+        if (failures.length > 0) {
+            next(new errors.NoAllocatableServersError(
+                'could not place ' + failures.map(function (failure) {
+                    return failure.vm_uuid;
+                }).join(', '), failures));
+            return;
+        }
+
+        res.send({ placements: placements.map(function (placement) {
+            return {
+                server_uuid: placement.server_uuid,
+                vm_uuid: placement.vm_uuid
+            };
+        }) });
+        next();
+    });
+};
+
+
+/* BEGIN JSSTYLED */
+/**
+ * Replays allocation requests against a snapshot of servers with a different
+ * allocator config, and compares where the VMs end up with where the config
+ * in use puts them. The snapshot is an array of servers as returned by
+ * ServerList with `extras=all`, so that each has its `vms`, and can be saved
+ * at any time for later use (see bin/alloc-simulate.sh). The requests are
+ * either decisions recorded by SelectServer or SelectServerBatch, given by
+ * their ids as for AllocationGet (`allocations`), or given in full in the
+ * same form as SelectServerBatch's `vms` (`requests`), or both, in which case
+ * the recorded ones are replayed first.
+ *
+ * `config` is the alternative config, with an `allocationDescription` which
+ * replaces the pipeline in use, and `changeDefaults` which are merged into the
+ * ones in use as with AllocatorConfigUpdate. Either may be left out.
+ *
+ * With each config, the VMs are placed in order against a copy of the
+ * snapshot, taking the capacity used by the ones before them into account as
+ * SelectServerBatch does. Only the servers SelectServer would consider are
+ * used (setup, running, unreserved, out of maintenance, and not the headnode
+ * unless the config allows it). The response has, for the `current` and the
+ * `alternative` config, the server chosen for each VM (or the error if none
+ * was), how many VMs were `placed` and how many `failed`, and how many times
+ * each step rejected a server (`rejections`), along with the VMs which were
+ * placed differently (`changed`).
+ *
+ * Nothing is allocated or recorded, and the config in use is left alone. The
+ * pipeline's random weighting and tie-breaking mean that a config may not
+ * place VMs the same way twice, so small differences are to be expected.
+ *
+ * @name SelectServerSimulate
+ * @endpoint POST /allocate/simulate
+ * @section Allocation API
+ *
+ * @param {Array} servers The snapshot of servers, with their VMs
+ * @param {Array} allocations Ids of recorded decisions whose requests to replay
+ * @param {Array} requests Requests to replay, each with vm, package, image and nic_tags
+ * @param {Object} config The allocationDescription and changeDefaults to try
+ *
+ * @response 200 Object The placements with each config and how they differ
+ * @response 404 Error No such allocation decision
+ * @response 409 Error The alternative config is invalid
+ * @response 500 Error Could not process request
+ */
+/* END JSSTYLED */
+
+Allocations.simulate = function handlerAllocationsSimulate(req, res, next) {
+    if (validation.ensureParamsValid(req, res, SIMULATE_VALIDATION_RULES)) {
+        next();
+        return;
+    }
+
+    var params = req.params;
+    var allocationIds = params.allocations || [];
+    var config = params.config;
+    var inlineRequests = params.requests || [];
+    var snapshot = params.servers;
+    var i;
+
+    for (i = 0; i !== snapshot.length; i++) {
+        if (typeof (snapshot[i]) !== 'object' || snapshot[i] === null ||
+            !endpoints.isUuid(snapshot[i].uuid)) {
+
+            invalid('servers', 'invalid server', res, next);
+            return;
+        }
+    }
+
+    for (i = 0; i !== allocationIds.length; i++) {
+        if (typeof (allocationIds[i]) !== 'string') {
+            invalid('allocations', 'invalid allocation id', res, next);
+            return;
+        }
+    }
+
+    for (i = 0; i !== inlineRequests.length; i++) {
+        if (validateBatchRequest(inlineRequests[i], 'requests.' + i, res,
+            next)) {
+
+            return;
+        }
+    }
+
+    if (allocationIds.length + inlineRequests.length === 0) {
+        next(new restify.InvalidArgumentError(
+            'allocations or requests is required'));
+        return;
+    }
+
+    if (config.allocationDescription !== undefined &&
+        !Array.isArray(config.allocationDescription)) {
+
+        invalid('config.allocationDescription', 'value was not of type array',
+            res, next);
+        return;
+    }
+
+    var changes = config.changeDefaults || {};
+    var badName = invalidChangeDefault(changes);
+    if (badName) {
+        next(new restify.InvalidArgumentError(
+            'config.changeDefaults.%s must be a string, number, boolean or ' +
+            'null', badName));
+        return;
+    }
+
+    var log = req.log;
+    var httpBody = {};
+    var requests = [];
+
+    async.series([
+        function getRecordedRequests(cb) {
+            async.eachSeries(allocationIds, function (id, cb2) {
+                ModelAllocation.get(id, function (err, allocation) {
+                    if (err) {
+                        cb2(new restify.InternalError(err.message));
+                        return;
+                    }
+
+                    if (!allocation) {
+                        cb2(new restify.ResourceNotFoundError(
+                            'Allocation ' + id + ' not found'));
+                        return;
+                    }
+
+                    if (!allocation.request) {
+                        cb2(new restify.InvalidArgumentError(
+                            'Allocation %s was recorded without its request',
+                            id));
+                        return;
+                    }
+
+                    requests.push(allocation.request);
+                    cb2();
+                });
+            }, function (err) {
+                requests = requests.concat(inlineRequests.map(
+                    allocationRequest));
+                cb(err);
+            });
+        },
+
+        function simulateCurrent(cb) {
+            simulateAllocations(Designation.allocCapacity,
+                Designation.defaults, snapshot, requests,
+                function (err, result) {
+                if (err) {
+                    cb(new restify.InternalError(err.message));
+                    return;
+                }
+
+                httpBody.current = result;
+                cb();
+            });
+        },
+
+        function simulateAlternative(cb) {
+            Designation.createAllocator(
+                config.allocationDescription ||
+                    Designation.allocationDescription,
+                mergeChangeDefaults(Designation.changeDefaults, changes),
+                function (configErr, allocator, defaults) {
+                if (configErr) {
+                    cb(new restify.InvalidArgumentError(
+                        'Invalid allocator config: %s', configErr));
+                    return;
+                }
+
+                simulateAllocations(allocator, defaults, snapshot, requests,
+                    function (err, result) {
+                    if (err) {
+                        cb(new restify.InternalError(err.message));
+                        return;
+                    }
+
+                    httpBody.alternative = result;
+                    cb();
+                });
+            });
+        }
+    ], function (asyncErr) {
+        if (asyncErr) {
+            next(asyncErr);
+            return;
+        }
+
+        httpBody.changed = [];
+
+        // Both configs place the same VMs in the same order.
+        httpBody.current.placements.forEach(function (current, j) {
+            var alternative = httpBody.alternative.placements[j];
+
+            if (current.server_uuid !== alternative.server_uuid) {
+                httpBody.changed.push({
+                    alternative: alternative.server_uuid,
+                    current: current.server_uuid,
+                    vm_uuid: current.vm_uuid
+                });
+            }
+        });
+
+        log.debug({
+            changed: httpBody.changed.length,
+            requests: requests.length
+        }, 'Allocation simulation run');
+
+        res.send(httpBody);
+        next();
+    });
+};
+
+
+/* BEGIN JSSTYLED */
+/**
+ * Returns how much spare capacity there is on each server, specifically RAM
+ * (in MiB), CPU (in percentage of CPU, where 100 = 1 core), and disk (in MiB).
+ *
+ * This call isn't cheap, so it's preferable to make fewer calls, and restrict
+ * the results to only the servers you're interested in by passing in the
+ * desired servers' UUIDs.
+ *
+ * If aggregate is 'datacenter', 'room' or 'rack', the spare capacity is also
+ * added up per fault domain at that level (see FaultDomainCreate), and returned
+ * in `fault_domains`. Each has where it is (its datacenter, and room and rack
+ * down to the level asked for, which are null where they aren't known), the
+ * UUIDs of its servers, and their total spare `cpu`, `ram` and `disk`.
+ *
+ * What capacity holds keep on each server is subtracted from its spare RAM and
+ * disk, and the holds on the servers are returned in `capacity_holds` (see
+ * CapacityHoldCreate).
+ *
+ * @name ServerCapacity
+ * @endpoint POST /capacity
+ * @section Allocation API
+ *
+ * @param {Array} servers Optionally limit which servers to consider by providing their UUIDs
+ * @param {String} aggregate Optionally add up capacity per 'datacenter', 'room' or 'rack'
+ *
+ * @response 200 Object Server capacities and any associated errors
+ * @response 500 Error Could not process request
+ */
+/* END JSSTYLED */
+
+Allocations.capacity = function handlerAllocationsCapacity(req, res, next) {
+    if (validation.ensureParamsValid(req, res, CAPACITY_VALIDATION_RULES)) {
+        next();
+        return;
+    }
+
+    var aggregate = req.params.aggregate;
+    var servers = req.params.servers;
+    var log = req.log;
+
+    if (servers) {
+        for (var i = 0; i !== servers.length; i++) {
+            if (!endpoints.isUuid(servers[i])) {
+                invalid('servers', 'invalid server UUID', res, next);
+                return;
+            }
+        }
+    }
+
+    if (aggregate !== undefined &&
+        ModelFaultDomain.FAULT_DOMAIN_LEVELS.indexOf(aggregate) === -1) {
+
+        invalid('aggregate', 'aggregate must be one of: ' +
+            ModelFaultDomain.FAULT_DOMAIN_LEVELS.join(', '), res, next);
+        return;
+    }
+
+    getServers(log, servers, null, null,
+               function serverCb(err, serverDetails) {
+        if (err) {
+            next(new restify.InternalError(err.message));
+            return;
+        }
+
+        log.debug({ servers: serverDetails },
+                      'Servers found, running capacity');
+
+        Designation.serverCapacity(serverDetails,
+                function (err2, capacities, reasons) {
+            if (err2) {
+                log.error(err2, 'Error while determining capacity');
+                next(new restify.InternalError(err2.message));
+                return;
+            }
+
+            var httpBody = {
+                capacities: capacities
+            };
+
+            async.series([
+                function applyCapacityHolds(cb) {
+                    ModelCapacityHold.listAll({}, function (err3, holds) {
+                        if (err3) {
+                            cb(err3);
+                            return;
+                        }
+
+                        httpBody.capacity_holds = holds.filter(
+                            function (hold) {
+                            return (capacities[hold.server_uuid] !==
+                                undefined);
+                        });
+                        ModelCapacityHold.applyToCapacities(
+                            httpBody.capacity_holds, capacities);
+                        cb();
+                    });
+                },
+
+                function aggregateCapacity(cb) {
+                    if (aggregate === undefined) {
+                        cb();
+                        return;
+                    }
+
+                    ModelFaultDomain.loadTree(function (err3, tree) {
+                        if (err3) {
+                            cb(err3);
+                            return;
+                        }
+
+                        httpBody.fault_domains =
+                            ModelFaultDomain.aggregateCapacity(tree,
+                                serverDetails, aggregate, capacities);
+                        cb();
+                    });
+                }
+
+            ], function (asyncErr) {
+                if (asyncErr) {
+                    next(new restify.InternalError(asyncErr.message));
+                    return;
+                }
+
+                log.debug(httpBody, 'Capacity run');
+                res.send(httpBody);
+                next();
+            });
+        });
+    });
+
+    return;
+};
+
+
+/* BEGIN JSSTYLED */
+/**
+ * Returns how many more instances of each of the given packages fit on each
+ * server, and in total in each datacenter, for capacity planning.
+ *
+ * Only the servers SelectServer would consider are counted (setup, running,
+ * unreserved, out of maintenance, and not the headnode unless the allocator
+ * allows it). Each server is run through the allocation pipeline on its own
+ * with a VM built from each package and owned by the admin user, so a server
+ * which any of the pipeline's filters would reject (including servers
+ * restricted to another owner, see OwnerQuotaSet) fits no instances, and
+ * `rejected_by` says which step rejected it and why. Otherwise the number
+ * which fit is worked out from the spare RAM, disk and CPU the allocator
+ * calculates for the package, which takes overprovision ratios and open
+ * provisioning tickets into account. The image and nic_tags are passed on to
+ * the allocator as with SelectServer, and default to an empty image and no nic
+ * tags.
+ *
+ * Reservoir servers are only given VMs by SelectServer when nothing else
+ * fits, so each datacenter's total for them is kept separately in
+ * `reservoir_instances`.
+ *
+ * This call is even more expensive than ServerCapacity, since the allocator
+ * looks up the VMs on each server for each package, so restrict it to the
+ * servers you're interested in where you can.
+ *
+ * @name ServerCapacityFit
+ * @endpoint POST /capacity/fit
+ * @section Allocation API
+ *
+ * @param {Array} packages The packages to fit, as passed to SelectServer
+ * @param {Object} image Optionally the image the instances would use
+ * @param {Array} nic_tags Optionally names of nic tags which servers must have
+ * @param {Array} servers Optionally limit which servers to consider by providing their UUIDs
+ *
+ * @response 200 Object How many instances of each package fit
+ * @response 500 Error Could not process request
+ */
+/* END JSSTYLED */
+
+Allocations.capacityFit =
+function handlerAllocationsCapacityFit(req, res, next) {
+    var allocator = Designation.allocator;
+
+    if (validation.ensureParamsValid(req, res,
+            CAPACITY_FIT_VALIDATION_RULES)) {
+        next();
+        return;
+    }
+
+    var params = req.params;
+    var img = params.image || {};
+    var packages = params.packages;
+    var servers = params.servers;
+    var tags = params.nic_tags || [];
+    var err;
+    var i;
+
+    if (packages.length === 0) {
+        invalid('packages', 'value was an empty array', res, next);
+        return;
+    }
+
+    for (i = 0; i !== packages.length; i++) {
+        err = Designation.validations.validatePackage(packages[i]);
+        if (!err && !(packages[i].max_physical_memory > 0)) {
+            err = 'max_physical_memory must be a positive number';
+        }
+
+        if (err) {
+            invalid('packages.' + i, err, res, next);
+            return;
+        }
+    }
+
+    if (servers) {
+        for (i = 0; i !== servers.length; i++) {
+            if (!endpoints.isUuid(servers[i])) {
+                invalid('servers', 'invalid server UUID', res, next);
+                return;
+            }
+        }
+    }
+
+    for (i = 0; i !== tags.length; i++) {
+        if (typeof (tags[i]) !== 'string') {
+            invalid('nic_tags', 'invalid nic_tag', res, next);
+            return;
+        }
+    }
+
+    var log = req.log;
+    var fits = [];
+    var serverDetails;
+    var tickets;
+
+    function fitPackage(pkg, cb) {
+        var fit = {
+            datacenters: {},
+            package_uuid: pkg.uuid,
+            servers: []
+        };
+        var vm = {
+            brand: pkg.brand || 'joyent',
+            cpu_cap: pkg.cpu_cap,
+            nic_tags: tags,
+            owner_uuid: ModelServer.getConfig().adminUuid,
+            quota: pkg.quota && Math.ceil(pkg.quota / 1024),
+            ram: pkg.max_physical_memory,
+            vm_uuid: libuuid.create()
+        };
+
+        function fitServer(constraints, server, nextServer) {
+            allocateVm(log, constraints, [server], vm, img, pkg, tickets,
+                    function (err2, chosen, stepSummary) {
+                if (err2) {
+                    nextServer(new restify.InternalError(err2.message));
+                    return;
+                }
+
+                var rejectedBy = chosen ? null :
+                    getRejectingStep(server.uuid, stepSummary);
+                var instances = rejectedBy ? 0 : instancesThatFit(server, pkg);
+                var dc = fit.datacenters[server.datacenter];
+
+                if (!dc) {
+                    dc = fit.datacenters[server.datacenter] = {
+                        instances: 0,
+                        reservoir_instances: 0
+                    };
+                }
+
+                if (server.reservoir) {
+                    dc.reservoir_instances += instances;
+                } else {
+                    dc.instances += instances;
+                }
+
+                fit.servers.push({
+                    datacenter: server.datacenter,
+                    instances: instances,
+                    rejected_by: rejectedBy,
+                    reservoir: Boolean(server.reservoir),
+                    server_uuid: server.uuid
+                });
+
+                nextServer();
+            });
+        }
+
+        loadVmConstraints(vm, undefined, [], tickets,
+                function (err2, constraints) {
+            if (err2) {
+                cb(err2);
+                return;
+            }
+
+            async.eachSeries(serverDetails, fitServer.bind(null, constraints),
+                    function (err3) {
+                if (err3) {
+                    cb(err3);
+                    return;
+                }
+
+                fits.push(fit);
+                cb();
+            });
+        });
+    }
+
+    async.series([
+        function getAllUnreservedServers(cb) {
+            getServers(log, servers, false, allocator.filterHeadnode,
+                       function serversCb(err2, _details) {
+                if (err2) {
+                    cb(new restify.InternalError(err2.message));
+                    return;
+                }
+
+                serverDetails = _details.filter(function (server) {
+                    return (!server.maintenance);
+                });
+                cb();
+            });
+        },
+
+        function getOpenTickets(cb) {
+            getOpenProvisioningTickets(log, function (err2, _tickets) {
+                if (err2) {
+                    cb(new restify.InternalError(err2.message));
+                    return;
+                }
+
+                tickets = _tickets;
+                cb();
+            });
+        },
+
+        function fitPackages(cb) {
+            async.eachSeries(packages, fitPackage, cb);
+        }
+
+    ], function (asyncErr) {
+        if (asyncErr) {
+            next(asyncErr);
+            return;
+        }
+
+        res.send({ fits: fits });
+        next();
+    });
+};
+
+
+/* BEGIN JSSTYLED */
+/**
+ * Returns the allocator config this CNAPI instance is using: the
+ * `allocationDescription` pipeline, the `changeDefaults` (in the same form as
+ * dapi.allocationDescription and dapi.changeDefaults in the config), the
+ * `defaults` the allocator ends up with once those are applied, and when the
+ * config was last changed through AllocatorConfigUpdate (`updated`, null if it
+ * never has been and the config file's is being used).
+ *
+ * @name AllocatorConfigGet
+ * @endpoint GET /allocator/config
+ * @section Allocation API
+ *
+ * @response 200 Object The allocator config
+ */
+/* END JSSTYLED */
+
+Allocations.getConfig = function handlerAllocationsGetConfig(req, res, next) {
+    res.send(200, allocatorConfig());
+    next();
+};
+
+
+/* BEGIN JSSTYLED */
+/**
+ * Changes the allocator config without a restart. The new allocation pipeline
+ * replaces the current one, and the given changeDefaults are merged into the
+ * current ones (a null value removes one, so that the allocator's default is
+ * used). Values are passed on as strings, so booleans are "true" and "false",
+ * as with SAPI.
+ *
+ * The new config is validated by dapi and used by this CNAPI instance right
+ * away. It's stored in moray, and other CNAPI instances switch over to it
+ * within a minute, including after a restart. The config file's
+ * dapi.allocationDescription and dapi.changeDefaults are then only used
+ * until the stored config is loaded.
+ *
+ * @name AllocatorConfigUpdate
+ * @endpoint PUT /allocator/config
+ * @section Allocation API
+ *
+ * @param {Array} allocationDescription The new allocation pipeline
+ * @param {Object} changeDefaults Changes to make to the allocator's defaults
+ *
+ * @response 200 Object The new allocator config
+ * @response 409 Error The new config is invalid
+ * @response 500 Error Could not process request
+ */
+/* END JSSTYLED */
+
+Allocations.updateConfig =
+function handlerAllocationsUpdateConfig(req, res, next) {
+    if (validation.ensureParamsValid(req, res,
+            ALLOCATOR_CONFIG_VALIDATION_RULES, { strict: true })) {
+        next();
+        return;
+    }
+
+    var params = req.params;
+    var changes = params.changeDefaults || {};
+    var etagRetries = ALLOCATOR_CONFIG_ETAG_RETRIES;
+
+    if (!params.allocationDescription && !params.changeDefaults) {
+        next(new restify.InvalidArgumentError(
+            'allocationDescription or changeDefaults is required'));
+        return;
+    }
+
+    var badName = invalidChangeDefault(changes);
+    if (badName) {
+        next(new restify.InvalidArgumentError(
+            'changeDefaults.%s must be a string, number, boolean or null',
+            badName));
+        return;
+    }
+
+    function _tryUpdate() {
+        ModelAllocatorConfig.get(function (err, stored, etag) {
+            if (err) {
+                next(new restify.InternalError(err.message));
+                return;
+            }
+
+            // Changes are made to the stored config, which may be newer than
+            // the one this instance is using if it was just changed elsewhere.
+            var current = stored || allocatorConfig();
+            var config = {
+                allocationDescription: params.allocationDescription ||
+                    current.allocationDescription,
+                changeDefaults: mergeChangeDefaults(current.changeDefaults,
+                    changes),
+                updated: (new Date()).toISOString()
+            };
+
+            // The config is only put into use once it has been stored, so it
+            // is checked by building an allocator from it first.
+            Designation.createAllocator(config.allocationDescription,
+                config.changeDefaults, function (configErr) {
+                if (configErr) {
+                    next(new restify.InvalidArgumentError(
+                        'Invalid allocator config: %s', configErr));
+                    return;
+                }
+
+                ModelAllocatorConfig.put(config, etag || null,
+                    function (putErr) {
+                    if (putErr) {
+                        if (etagRetries > 0 && VError.hasCauseWithName(putErr,
+                            'EtagConflictError')) {
+
+                            etagRetries--;
+                            _tryUpdate();
+                            return;
+                        }
+
+                        next(new restify.InternalError(putErr.message));
+                        return;
+                    }
+
+                    var installErr = Designation.configure(
+                        config.allocationDescription, config.changeDefaults,
+                        config.updated);
+                    if (installErr) {
+                        next(new restify.InternalError(installErr));
+                        return;
+                    }
+
+                    req.log.info({config: config},
+                        'allocator config updated');
+
+                    res.send(200, allocatorConfig());
+                    next();
+                });
+            });
+        });
+    }
+
+    _tryUpdate();
+};
+
+
+/* BEGIN JSSTYLED */
+/**
+ * Returns a decision made by SelectServer: the server chosen (or the error if
+ * none was), the steps the allocator took (with the number of servers remaining
+ * after each, `remaining_count`, and any reasons which applied to the step as a
+ * whole), for each server it rejected, the step which rejected it and why
+ * (`rejections`), and the vm, image, package and nic tag
+ * parameters it was given (`request`). The id can be the id of the request to
+ * SelectServer (its x-request-id header), or the UUID of the VM being
+ * allocated, in which case the most recent decision for that VM is returned.
+ *
+ * Decisions are kept for allocationLogRetentionSeconds (seven days by
+ * default). As with SelectServer's steps, servers which were not setup,
+ * unreserved and out of maintenance were never considered, so they have no
+ * rejection reasons.
+ *
+ * @name AllocationGet
+ * @endpoint GET /allocations/:id
+ * @section Allocation API
+ *
+ * @response 200 Object The allocation decision
+ * @response 404 Error No such allocation decision
+ * @response 500 Error Could not process request
+ */
+/* END JSSTYLED */
+
+Allocations.get = function handlerAllocationsGet(req, res, next) {
+    var rules = {
+        'id': ['isStringType']
+    };
+
+    if (validation.ensureParamsValid(req, res, rules, { strict: true })) {
+        next();
+        return;
+    }
+
+    ModelAllocation.get(req.params.id, function (err, allocation) {
+        if (err) {
+            next(new restify.InternalError(err.message));
+            return;
+        }
+
+        if (!allocation) {
+            next(new restify.ResourceNotFoundError(
+                'Allocation ' + req.params.id + ' not found'));
+            return;
+        }
+
+        res.send(200, allocation);
+        next();
+    });
+};
+
+
+function getServers(log, serverUuids, reserved, filterHeadnode, cb) {
+    var options = {
+        uuid: serverUuids,
+        default: false,
+        setup: true,
+        status: 'running',
+        extras: {
+            status: true,
+            sysinfo: true,
+            memory: true,
+            disk: true
+        }
+    };
+
+    if (typeof (reserved) === 'boolean') {
+        options.reserved = reserved;
+    }
+
+    if (filterHeadnode) {
+        options.headnode = false;
+    }
+
+    log.debug(options, 'Searching for servers');
+
+    var start = new Date();
+
+    ModelServer.list(options, function (err, servers) {
+        var delta = new Date() - start;
+        log.debug('Servers search took ' + delta + ' ms');
+
+        cb(err, servers);
+    });
+}
+
+
+/*
+ * Return the open provisioning tickets, along with a ticket for each capacity
+ * hold (see ModelCapacityHold.toTicket), so that the allocator leaves what
+ * they use or hold alone. Use ticketsForVm() to leave out the holds a VM may
+ * use.
+ */
+function getOpenProvisioningTickets(log, cb) {
+    log.debug('Searching for open provisioning tickets');
+
+    var filter = '&(scope=vm)(action=provision)' +
+                 '(|(status=active)(status=queued))';
+
+    var start = new Date();
+
+    ModelWaitlist.query(filter, {}, function (err, tickets) {
+        var delta = new Date() - start;
+        log.debug('Open provisioning tickets search took ' + delta + ' ms');
+
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        ModelCapacityHold.listAll({}, function (err2, holds) {
+            if (err2) {
+                cb(err2);
+                return;
+            }
+
+            cb(null, tickets.concat(holds.map(ModelCapacityHold.toTicket)));
+        });
+    });
+}
+
+
+/*
+ * Return the tickets to give the allocator for a VM: all of them, except for
+ * the tickets for capacity held for the VM's owner, which the VM may use.
+ */
+function ticketsForVm(tickets, vm) {
+    return tickets.filter(function (ticket) {
+        return (!ticket.capacity_hold || !vm.owner_uuid ||
+            ticket.extra.owner_uuid !== vm.owner_uuid);
+    });
+}
+
+
+/*
+ * Run the allocator over the given servers in chunks of SERVER_CHUNK_SIZE, in
+ * a random order, until it chooses one. The callback gets the server chosen
+ * (or null), the steps of the last run and the steps of every run.
+ */
+function allocateInChunks(log, servers, vm, img, pkg, tickets, cb) {
+    var allocator = Designation.allocator;
+    var allSteps = [];
+
+    common.randSort(servers); // mutates with a random reorder
+
+    // cut servers into arrays of max size SERVER_CHUNK_SIZE
+    var chunks = [];
+    for (var j = 0; j <= servers.length; j += SERVER_CHUNK_SIZE) {
+        chunks.push(servers.slice(j, j + SERVER_CHUNK_SIZE));
+    }
+
+    function allocChunk() {
+        var serversChunk = chunks.pop();
+        var startTime = new Date();
+
+        allocator.allocate(serversChunk, vm, img, pkg,
+                ticketsForVm(tickets, vm),
+                function (err, server, stepSummary) {
+            if (err) {
+                log.error('Error while running dapi:', err);
+                cb(err);
+                return;
+            }
+
+            var deltaTime = new Date() - startTime;
+            log.debug('Allocator run took', deltaTime, 'ms');
+
+            allSteps = allSteps.concat(stepSummary);
+
+            // after allocation, remove vms hash so the GC can collect it
+            serversChunk.forEach(function (s) { delete s.vms; });
+
+            log.debug({ server: server, steps: stepSummary }, 'Allocator run');
+
+            // check if we should run another chunk through dapi
+            if (!server && chunks.length > 0) {
+                allocChunk();
+                return;
+            }
+
+            cb(null, server || null, stepSummary, allSteps);
+        });
+    }
+
+    allocChunk();
+}
+
+
+/*
+ * Place the VMs of the given allocation requests in turn with the given
+ * allocator (which must not look up VMs itself, see
+ * Designation.createAllocator) on a copy of a snapshot of servers. As with
+ * SelectServerBatch, each VM placed is added to the tickets given to the
+ * allocator, so the VMs after it see the capacity it uses. The callback gets
+ * the server chosen for each VM (or why none was), how many VMs were placed
+ * and failed, and how many times each step rejected a server.
+ */
+function simulateAllocations(allocator, defaults, snapshot, requests, cb) {
+    var result = {
+        failed: 0,
+        placed: 0,
+        placements: [],
+        rejections: {}
+    };
+    var tickets = [];
+
+    // The allocator adds to the servers and VMs it's given, so it gets copies
+    // to keep each simulation from seeing the other's.
+    var servers = JSON.parse(JSON.stringify(snapshot)).filter(
+        function (server) {
+        return (server.setup && server.status === 'running' &&
+            !server.reserved && !server.maintenance &&
+            !(defaults.filter_headnode && server.headnode));
+    });
+    requests = JSON.parse(JSON.stringify(requests));
+
+    async.eachSeries(requests, function (request, cb2) {
+        var vm = request.vm;
+
+        allocator.allocate(servers, vm, request.image, request.package,
+                tickets, function (err, server, stepSummary) {
+            if (err) {
+                cb2(err);
+                return;
+            }
+
+            stepSummary.forEach(function (step) {
+                Object.keys(step.reasons || {}).forEach(function (uuid) {
+                    if (uuid !== '*') {
+                        result.rejections[step.step] =
+                            (result.rejections[step.step] || 0) + 1;
+                    }
+                });
+            });
+
+            if (!server) {
+                result.failed++;
+                result.placements.push({
+                    error: noAllocatableServersError(stepSummary).message,
+                    server_uuid: null,
+                    vm_uuid: vm.vm_uuid
+                });
+                cb2();
+                return;
+            }
+
+            result.placed++;
+            result.placements.push({
+                server_uuid: server.uuid,
+                vm_uuid: vm.vm_uuid
+            });
+
+            tickets.push(batchTicket(server.uuid, vm, request.package));
+            cb2();
+        });
+    }, function (err) {
+        cb(err, result);
+    });
+}
+
+
+/*
+ * Load what allocateVm() needs to place a VM besides the servers and tickets:
+ * the VM's placement group (`group`, if placementGroupUuid is given) and where
+ * the group's other VMs are (`placement`), its owner's quotas (`ownerQuotas`,
+ * see ModelOwnerQuota.loadForAllocation()), and how its owner's VMs are spread
+ * across fault domains (`ownerSpread`, see allocateAcrossFaultDomains()).
+ * 'groupVms' are the UUIDs of VMs to count as being in the group along with
+ * the ones already added to it, such as the VMs placed before this one in a
+ * batch. The callback is called with a restify error on failure.
+ */
+function loadVmConstraints(vm, placementGroupUuid, groupVms, tickets, cb) {
+    var constraints = {
+        group: null,
+        ownerQuotas: null,
+        ownerSpread: null,
+        placement: null
+    };
+
+    async.series([
+        function getPlacementGroup(next) {
+            if (placementGroupUuid === undefined) {
+                next();
+                return;
+            }
+
+            ModelPlacementGroup.get(placementGroupUuid,
+                    function (err, group) {
+                if (err) {
+                    next(new restify.InternalError(err.message));
+                    return;
+                }
+
+                if (!group) {
+                    next(new restify.InvalidArgumentError(
+                        'placement group %s not found', placementGroupUuid));
+                    return;
+                }
+
+                if (group.owner_uuid && group.owner_uuid !== vm.owner_uuid) {
+                    next(new restify.InvalidArgumentError(
+                        'placement group %s belongs to another owner',
+                        placementGroupUuid));
+                    return;
+                }
+
+                group.vms = group.vms.concat(groupVms.filter(function (uuid) {
+                    return (group.vms.indexOf(uuid) === -1);
+                }));
+                constraints.group = group;
+
+                ModelPlacementGroup.getPlacement(group, vm.vm_uuid, tickets,
+                        function (err2, placement) {
+                    if (err2) {
+                        next(new restify.InternalError(err2.message));
+                        return;
+                    }
+
+                    constraints.placement = placement;
+                    next();
+                });
+            });
+        },
+
+        function getOwnerSpread(next) {
+            var level = Designation.ownerFaultDomainSpread;
+
+            if (!level || !vm.owner_uuid) {
+                next();
+                return;
+            }
+
+            ModelFaultDomain.loadTree(function (err, tree) {
+                if (err) {
+                    next(new restify.InternalError(err.message));
+                    return;
+                }
+
+                ModelFaultDomain.countOwnerVms(vm.owner_uuid, tree, level,
+                        tickets, function (err2, counts) {
+                    if (err2) {
+                        next(new restify.InternalError(err2.message));
+                        return;
+                    }
+
+                    constraints.ownerSpread = {
+                        counts: counts,
+                        level: level,
+                        tree: tree
+                    };
+                    next();
+                });
+            });
+        },
+
+        function getOwnerQuotas(next) {
+            ModelOwnerQuota.loadForAllocation(vm.owner_uuid, tickets,
+                    function (err, ownerQuotas) {
+                if (err) {
+                    next(new restify.InternalError(err.message));
+                    return;
+                }
+
+                constraints.ownerQuotas = ownerQuotas;
+                next();
+            });
+        }
+    ], function (err) {
+        cb(err, constraints);
+    });
+}
+
+
+/*
+ * Run the whole allocation pipeline for a VM over the given servers, with what
+ * loadVmConstraints() loaded: the step which leaves out the servers that would
+ * take the VM over its owner's quotas comes first, then the VM is kept apart
+ * from its placement group and its owner's VMs are spread across fault domains
+ * (see allocateInPlacementGroup). The callback is called as allocateInChunks
+ * calls it.
+ */
+function allocateVm(log, constraints, servers, vm, img, pkg, tickets, cb) {
+    var candidates = servers;
+    var ownerQuotas = constraints.ownerQuotas;
+    var quotaStep;
+
+    // The owner's quotas come before everything else, so that their step is
+    // the first in the steps output.
+    if (ownerQuotas.quota ||
+        Object.keys(ownerQuotas.restricted).length > 0) {
+
+        quotaStep = ownerQuotaStep(ownerQuotas, servers, vm, pkg);
+        candidates = servers.filter(function (server) {
+            return (quotaStep.remaining.indexOf(server.uuid) !== -1);
+        });
+    }
+
+    allocateInPlacementGroup(log, constraints.group, constraints.placement,
+            constraints.ownerSpread, candidates, vm, img, pkg, tickets,
+            function (err, server, stepSummary, allSteps) {
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        if (quotaStep) {
+            stepSummary = [quotaStep].concat(stepSummary);
+            allSteps = [quotaStep].concat(allSteps);
+        }
+
+        cb(null, server, stepSummary, allSteps);
+    });
+}
+
+
+/*
+ * Return a step which leaves out the servers that would take the VM over its
+ * owner's quotas, or which are restricted to another owner (see
+ * OwnerQuotaSet), given what ModelOwnerQuota.loadForAllocation() loaded.
+ */
+function ownerQuotaStep(ownerQuotas, servers, vm, pkg) {
+    var ram = vm.ram || (pkg && pkg.max_physical_memory);
+    var reasons = {};
+    var remaining = [];
+
+    servers.forEach(function (server) {
+        var reason = ModelOwnerQuota.rejectReason(ownerQuotas, vm.owner_uuid,
+            vm.vm_uuid, server, ram);
+
+        if (reason) {
+            reasons[server.uuid] = reason;
+        } else {
+            remaining.push(server.uuid);
+        }
+    });
+
+    return {
+        reasons: reasons,
+        remaining: remaining,
+        step: OWNER_QUOTA_MSG
+    };
+}
+
+
+/*
+ * Run the allocator as allocateInChunks does, keeping the VM apart from the
+ * rest of its placement group (if it has one), and spreading its owner's VMs
+ * across fault domains (see allocateAcrossFaultDomains). The servers the
+ * group's spread rules out are left out by a step of their own at the start
+ * of the steps. With a soft policy, if none of the other servers can be
+ * chosen, the allocator is run again over the ones which were left out.
+ */
+function allocateInPlacementGroup(log, group, placement, ownerSpread, servers,
+    vm, img, pkg, tickets, cb) {
+
+    function allocate(_servers, next) {
+        allocateAcrossFaultDomains(log, ownerSpread, _servers, vm, img, pkg,
+            tickets, next);
+    }
+
+    if (!group) {
+        allocate(servers, cb);
+        return;
+    }
+
+    var apart = [];
+    var reasons = {};
+    var together = [];
+
+    servers.forEach(function (server) {
+        var reason;
+
+        if (placement.servers.indexOf(server.uuid) !== -1) {
+            reason = 'Server has VMs in placement group ' + group.uuid;
+        } else if (group.spread === 'rack' && server.rack_identifier &&
+            placement.racks.indexOf(server.rack_identifier) !== -1) {
+
+            reason = 'Rack ' + server.rack_identifier +
+                ' has VMs in placement group ' + group.uuid;
+        }
+
+        if (reason) {
+            reasons[server.uuid] = reason;
+            together.push(server);
+        } else {
+            apart.push(server);
+        }
+    });
+
+    var groupStep = {
+        reasons: reasons,
+        remaining: apart.map(getUuid),
+        step: PLACEMENT_GROUP_MSG
+    };
+
+    var fallbackStep = group.policy === 'hard' ? null : {
+        reasons: {
+            '*': 'No server apart from the rest of the placement group ' +
+                'could be chosen'
+        },
+        remaining: together.map(getUuid),
+        step: PLACEMENT_GROUP_FALLBACK_MSG
+    };
+
+    allocatePreferring(allocate, groupStep, apart, fallbackStep, together, cb);
+}
+
+
+/*
+ * Run the allocator as allocateInChunks does, preferring the servers in the
+ * fault domains (racks or rooms, see ModelFaultDomain) with the fewest of the
+ * VM owner's VMs. 'ownerSpread' has the fault domain `level`, the `tree` from
+ * ModelFaultDomain.loadTree() and the `counts` of the owner's VMs from
+ * ModelFaultDomain.countOwnerVms(), and is null if owners' VMs aren't spread.
+ * Spreading is only a preference: if none of the preferred servers can be
+ * chosen, the allocator is run again over the rest.
+ */
+function allocateAcrossFaultDomains(log, ownerSpread, servers, vm, img, pkg,
+    tickets, cb) {
+
+    function allocate(_servers, next) {
+        allocateInChunks(log, _servers, vm, img, pkg, tickets, next);
+    }
+
+    if (!ownerSpread || servers.length === 0) {
+        allocate(servers, cb);
+        return;
+    }
+
+    var level = ownerSpread.level;
+    var counts = servers.map(function (server) {
+        var key = ModelFaultDomain.domainKey(ownerSpread.tree, server, level);
+        return (ownerSpread.counts[key] || 0);
+    });
+    var fewest = Math.min.apply(null, counts);
+    var others = [];
+    var preferred = [];
+    var reasons = {};
+
+    servers.forEach(function (server, i) {
+        if (counts[i] === fewest) {
+            preferred.push(server);
+            return;
+        }
+
+        reasons[server.uuid] = 'Server\'s ' + level + ' has ' + counts[i] +
+            ' of the owner\'s VMs, where others have ' + fewest;
+        others.push(server);
+    });
+
+    var spreadStep = {
+        reasons: reasons,
+        remaining: preferred.map(getUuid),
+        step: 'Servers in the ' + level +
+            's with the fewest of the owner\'s VMs'
+    };
+
+    var fallbackStep = {
+        reasons: {
+            '*': 'No server in the ' + level + 's with the fewest of the ' +
+                'owner\'s VMs could be chosen'
+        },
+        remaining: others.map(getUuid),
+        step: 'Servers in the ' + level + 's with more of the owner\'s VMs'
+    };
+
+    allocatePreferring(allocate, spreadStep, preferred, fallbackStep, others,
+        cb);
+}
+
+
+/*
+ * Run 'allocate' (called as `allocate(servers, cb)`, and calling back as
+ * allocateInChunks does) over the preferred servers, with 'step' (the step
+ * which picked them out) at the start of the steps. If none of them is chosen
+ * and there's a 'fallbackStep', run it again over the other servers, with
+ * 'fallbackStep' at the start of the steps from that run.
+ */
+function allocatePreferring(allocate, step, preferred, fallbackStep, others,
+    cb) {
+
+    function allocatePreferred(next) {
+        if (preferred.length === 0) {
+            next(null, null, [step], [step]);
+            return;
+        }
+
+        allocate(preferred, function (err, server, stepSummary, allSteps) {
+            if (err) {
+                next(err);
+                return;
+            }
+
+            next(null, server, [step].concat(stepSummary),
+                [step].concat(allSteps));
+        });
+    }
+
+    allocatePreferred(function (err, server, stepSummary, allSteps) {
+        if (err || server || !fallbackStep || others.length === 0) {
+            cb(err, server, stepSummary, allSteps);
+            return;
+        }
+
+        allocate(others, function (err2, server2, stepSummary2, allSteps2) {
+            if (err2) {
+                cb(err2);
+                return;
+            }
+
+            cb(null, server2, [fallbackStep].concat(stepSummary2),
+                allSteps.concat([fallbackStep], allSteps2));
+        });
+    });
+}
+
+
+function getUuid(server) {
+    return (server.uuid);
+}
+
+
+/*
+ * Return a ticket like the one VMAPI creates when it provisions the given VM
+ * on the given server, so the allocator accounts for it when placing the VMs
+ * after it in a batch. It's never written to the waitlist.
+ */
+function batchTicket(serverUuid, vm, pkg) {
+    pkg = pkg || {};
+
+    return {
+        action: 'provision',
+        extra: {
+            brand: vm.brand,
+            cpu_cap: vm.cpu_cap || pkg.cpu_cap,
+            max_physical_memory: vm.ram || pkg.max_physical_memory,
+            owner_uuid: vm.owner_uuid,
+            quota: vm.quota
+        },
+        id: vm.vm_uuid,
+        scope: 'vm',
+        server_uuid: serverUuid,
+        status: 'active'
+    };
+}
+
+
+/*
+ * Return the parameters of an allocation request which the allocator uses, so
+ * they can be recorded and replayed later (see SelectServerSimulate).
+ */
+function allocationRequest(params) {
+    return {
+        image: params.image,
+        nic_tag_requirements: params.nic_tag_requirements,
+        nic_tags: params.nic_tags,
+        package: params.package,
+        vm: params.vm
+    };
+}
+
+
+/*
+ * Return the allocator config in use, as returned by AllocatorConfigGet.
+ */
+function allocatorConfig() {
+    return {
+        allocationDescription: Designation.allocationDescription,
+        changeDefaults: Designation.changeDefaults,
+        defaults: Designation.defaults,
+        updated: Designation.configUpdated || null
+    };
+}
+
+
+/*
+ * Return the name of the first of the given changeDefaults whose value isn't a
+ * string, number, boolean or null, or undefined if they're all valid.
+ */
+function invalidChangeDefault(changes) {
+    var names = Object.keys(changes);
+
+    for (var i = 0; i !== names.length; i++) {
+        var value = changes[names[i]];
+
+        if (value !== null && ['boolean', 'number', 'string'].indexOf(
+            typeof (value)) === -1) {
+
+            return names[i];
+        }
+    }
+
+    return undefined;
+}
+
+
+/*
+ * Return a copy of changeDefaults with the given changes merged in. A null
+ * value removes a default, so that the allocator's own is used, and other
+ * values are turned into strings as in the config.
+ */
+function mergeChangeDefaults(changeDefaults, changes) {
+    var merged = {};
+
+    Object.keys(changeDefaults).forEach(function (name) {
+        merged[name] = changeDefaults[name];
+    });
 
-function logResults(log, server, servers, params, tickets, defaults, steps) {
-    var json = JSON.stringify({
-       serverChosen: server,
-       servers: servers,
-       params: params,
-       tickets: tickets,
-       defaults: defaults,
-       steps: steps
+    Object.keys(changes).forEach(function (name) {
+        if (changes[name] === null) {
+            delete merged[name];
+        } else {
+            merged[name] = String(changes[name]);
+        }
     });
 
-    return zlib.gzip(json, function (err, gz) {
-        if (err)
-            return log.error('Error gzipping snapshot JSON for logging');
+    return merged;
+}
+
+
+/*
+ * Return how many instances of the package fit in the spare RAM (in MiB), disk
+ * (in MiB) and CPU (in percentage of CPU) the allocator calculated the server
+ * has. Packages without a quota or cpu_cap aren't limited by disk or CPU.
+ */
+function instancesThatFit(server, pkg) {
+    var limits = [
+        Math.floor(server.unreserved_ram / pkg.max_physical_memory)
+    ];
+
+    if (pkg.quota) {
+        limits.push(Math.floor(server.unreserved_disk / pkg.quota));
+    }
+
+    if (pkg.cpu_cap) {
+        limits.push(Math.floor(server.unreserved_cpu / pkg.cpu_cap));
+    }
+
+    return Math.max(0, Math.min.apply(null, limits)) || 0;
+}
+
+
+/*
+ * Return the error for when the allocator's last run (whose steps are given)
+ * didn't choose a server.
+ */
+function noAllocatableServersError(stepSummary) {
+    var failed = stepSummary.slice(-1)[0];
+
+    // XXX we need a better way of determining which step in
+    // particular we were on when the sequence came to an end
+    if (failed.step === VOLUMES_MSG) {
+        return new errors.VolumeServerNoResourcesError();
+    }
+
+    // Grab the reason for the last step that resulted in no
+    // servers being left.
+    var reason = failed.reasons && failed.reasons['*'];
+    if (!reason) {
+        var stepName = failed.step || '';
+        // Uncapitalize the step name.
+        stepName = stepName[0].toLowerCase() + stepName.slice(1);
+        // Convert 'servers ...' to 'no servers ...' - this is
+        // to make the error message more readable.
+        if (stepName.slice(0, 8) === 'servers ') {
+            stepName = 'no ' + stepName;
+        }
+        reason = stepName;
+    }
+
+    return new errors.NoAllocatableServersError(reason);
+}
+
+
+/*
+ * Return the first step in the allocator's steps which no longer has the given
+ * server remaining, along with the reason it gave for the server (or for the
+ * step as a whole). Returns null if the server made it through every step.
+ */
+function getRejectingStep(serverUuid, steps) {
+    for (var i = 0; i !== steps.length; i++) {
+        var step = steps[i];
+
+        if (step.remaining && step.remaining.indexOf(serverUuid) === -1) {
+            var reasons = step.reasons || {};
+
+            return {
+                reason: reasons[serverUuid] || reasons['*'],
+                step: step.step
+            };
+        }
+    }
+
+    return null;
+}
+
+
+/*
+ * Validate one of the VMs passed to SelectServerBatch, whose parameters are
+ * named with 'prefix'. If it's invalid, the error has been sent and true is
+ * returned.
+ */
+function validateBatchRequest(request, prefix, res, next) {
+    function typeOf(value) {
+        return Object.prototype.toString.call(value);
+    }
+
+    if (typeOf(request) !== '[object Object]') {
+        invalid(prefix, 'value is not an object', res, next);
+        return true;
+    }
+
+    var types = {
+        affinity_group: '[object String]',
+        anti_affinity_group: '[object String]',
+        image: '[object Object]',
+        nic_tag_requirements: '[object Array]',
+        nic_tags: '[object Array]',
+        package: '[object Object]',
+        placement_group: '[object String]',
+        vm: '[object Object]'
+    };
+    var optional = [
+        'affinity_group',
+        'anti_affinity_group',
+        'nic_tag_requirements',
+        'package',
+        'placement_group'
+    ];
+    var names = Object.keys(types);
+
+    for (var i = 0; i !== names.length; i++) {
+        var name = names[i];
+
+        if (request[name] === undefined && optional.indexOf(name) !== -1) {
+            continue;
+        }
+
+        if (typeOf(request[name]) !== types[name]) {
+            invalid(prefix + '.' + name, 'value was not of type ' +
+                types[name].slice(8, -1).toLowerCase(), res, next);
+            return true;
+        }
+    }
+
+    if (request.placement_group !== undefined &&
+        !endpoints.isUuid(request.placement_group)) {
+
+        invalid(prefix + '.placement_group', 'invalid placement group UUID',
+            res, next);
+        return true;
+    }
+
+    return validateAllocationParams(request, res, next, prefix + '.');
+}
+
+
+/*
+ * Validate the vm, image, package and nic tag parameters shared by the
+ * allocation endpoints, and add the nic tags to the vm as the allocator
+ * expects. If any are invalid, the error (with the parameter name prefixed by
+ * 'prefix', if given) has been sent and true is returned.
+ */
+function validateAllocationParams(params, res, next, prefix) {
+    var img     = params.image;
+    var pkg     = params.package;
+    var vm      = params.vm;
+    var tagreqs = params.nic_tag_requirements;
+    var tags    = params.nic_tags;
+    var err;
+
+    prefix = prefix || '';
+
+    err = Designation.validations.validateImage(img);
+    if (err) {
+        invalid(prefix + 'image', err, res, next);
+        return true;
+    }
+
+    if (pkg) {
+        err = Designation.validations.validatePackage(pkg);
+        if (err) {
+            invalid(prefix + 'package', err, res, next);
+            return true;
+        }
+    }
+
+    var requirements = img.requirements;
+    err = Designation.validations.validateVmPayload(vm, requirements);
+    if (err) {
+        invalid(prefix + 'vm', err, res, next);
+        return true;
+    }
+
+    if (tagreqs) {
+        err = Designation.validations.validateNicTagRequirements(tagreqs);
+        if (err) {
+            invalid(prefix + 'nic_tag_requirements', err, res, next);
+            return true;
+        }
+    }
 
-        // normally this should go under a debug level, but we need this logged
-        // despite the default log level of CNAPI being info
-        log.info({ snapshot: gz.toString('base64') },
-                 'Snapshot of request, results, and reasoning by DAPI');
+    vm.nic_tag_requirements = tagreqs;
+
+    for (var i = 0; i !== tags.length; i++) {
+        if (typeof (tags[i]) !== 'string') {
+            invalid(prefix + 'nic_tags', 'invalid nic_tag', res, next);
+            return true;
+        }
+    }
+
+    vm.nic_tags = tags;
+
+    return false;
+}
+
+
+function invalid(param, errMsg, res, next) {
+    var err = [ {
+        param: param,
+        msg: errMsg
+    } ];
 
-        return null;
+    res.send(500, validation.formatValidationErrors(err));
+    next();
+}
+
+
+/*
+ * Sometimes ops see allocation failures or disagree with the reasoning that
+ * DAPI provided about an allocation. When that happens, it's handy to be able
+ * to look up what DAPI decided and why (see AllocationGet).
+ *
+ * This is an out-of-band async function, so it never invokes a callback.
+ */
+
+function recordAllocation(log, params) {
+    ModelAllocation.record(params, function (err, allocation) {
+        if (err) {
+            log.error(err, 'Error recording allocation');
+            return;
+        }
+
+        log.info({ allocation_uuid: allocation.uuid },
+                 'Recorded allocation');
     });
 }
 
@@ -471,6 +2413,75 @@ function attachTo(http, app) {
                 Allocations[path](req, res, next);
             });
     });
+
+    // Look up the allocator config
+    http.get(
+        { path: '/allocator/config', name: 'AllocatorConfigGet' },
+        ensure({
+            connectionTimeoutSeconds: 60 * 60,
+            app: app
+        }),
+        Allocations.getConfig);
+
+    // Change the allocator config
+    http.put(
+        { path: '/allocator/config', name: 'AllocatorConfigUpdate' },
+        ensure({
+            connectionTimeoutSeconds: 60 * 60,
+            app: app,
+            connected: ['moray']
+        }),
+        Allocations.updateConfig);
+
+    // Work out how many instances of some packages fit
+    http.post(
+        { path: '/capacity/fit', name: 'ServerCapacityFit' },
+        ensure({
+            connectionTimeoutSeconds: 60 * 60,
+            app: app,
+            connected: ['moray']
+        }),
+        Allocations.capacityFit);
+
+    // Choose servers for several VMs at once
+    http.post(
+        { path: '/allocate/batch', name: 'SelectServerBatch' },
+        ensure({
+            connectionTimeoutSeconds: 60 * 60,
+            app: app,
+            connected: ['moray']
+        }),
+        Allocations.batch);
+
+    // Replay allocations against a snapshot with another allocator config
+    http.post(
+        { path: '/allocate/simulate', name: 'SelectServerSimulate' },
+        ensure({
+            connectionTimeoutSeconds: 60 * 60,
+            app: app,
+            connected: ['moray']
+        }),
+        Allocations.simulate);
+
+    // Explain whether a server could be chosen
+    http.post(
+        { path: '/allocate/explain', name: 'SelectServerExplain' },
+        ensure({
+            connectionTimeoutSeconds: 60 * 60,
+            app: app,
+            connected: ['moray']
+        }),
+        Allocations.explain);
+
+    // Look up an allocation decision
+    http.get(
+        { path: '/allocations/:id', name: 'AllocationGet' },
+        ensure({
+            connectionTimeoutSeconds: 60 * 60,
+            app: app,
+            connected: ['moray']
+        }),
+        Allocations.get);
 }
 
 
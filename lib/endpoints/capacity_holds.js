@@ -0,0 +1,383 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2021 Joyent, Inc.
+ */
+
+/*
+ * HTTP endpoints for managing capacity holds, which keep some of a server's
+ * capacity for one owner until they expire (see lib/models/capacity_hold.js).
+ */
+
+var restify = require('restify');
+
+var ModelCapacityHold = require('../models/capacity_hold');
+var ModelServer = require('../models/server');
+var validation = require('../validation/endpoints');
+var endpoints = require('../endpoints');
+
+
+// ---- globals/constants
+
+var CAPACITY_HOLD_LIST_MIN_LIMIT = 1;
+var CAPACITY_HOLD_LIST_MAX_LIMIT = 1000;
+
+
+function CapacityHold() {}
+
+
+/* BEGIN JSSTYLED */
+/**
+ * Hold some of a server's RAM or disk (or both) for an owner until a given
+ * time. SelectServer treats what's held as used when choosing a server for any
+ * other owner's VMs, but the owner's own VMs may use it. It's also subtracted
+ * from the spare capacity ServerGet, ServerList and ServerCapacity return.
+ * Unlike reserving the server, the rest of its capacity is still used.
+ *
+ * The hold is released when it expires, or when it's deleted with
+ * CapacityHoldDelete, which should be done once the owner's VMs have been
+ * created on the server.
+ *
+ * @name CapacityHoldCreate
+ * @endpoint POST /capacity-holds
+ * @section Capacity Holds API
+ *
+ * @param {String} server_uuid The server to hold capacity on
+ * @param {String} owner_uuid The owner to hold it for
+ * @param {Integer} ram Optionally the RAM to hold, in MiB
+ * @param {Integer} disk Optionally the disk to hold, in MiB
+ * @param {String} expires_at ISO timestamp when the hold is released
+ *
+ * @example POST /capacity-holds
+ *          -d '{ "server_uuid": "372bdb58-f8dd-11e1-8038-0b6dfcbd8a01", "owner_uuid": "930896af-bf8c-48d4-885c-6573a94b1853", "ram": 65536, "expires_at": "2021-11-01T00:00:00.000Z" }'
+ *
+ * @response 200 Object The newly created hold
+ * @response 409 Error Invalid parameters
+ * @response 500 Error Could not process request
+ */
+/* END JSSTYLED */
+
+CapacityHold.create = function handlerCapacityHoldCreate(req, res, next) {
+    var rules = {
+        'disk': ['optional', 'isNumberType'],
+        'expires_at': ['isStringType', 'isTrim'],
+        'owner_uuid': ['isStringType', 'isTrim'],
+        'ram': ['optional', 'isNumberType'],
+        'server_uuid': ['isStringType', 'isTrim']
+    };
+
+    if (validation.ensureParamsValid(req, res, rules, { strict: true })) {
+        next();
+        return;
+    }
+
+    var params = req.params;
+
+    if (!endpoints.isUuid(params.server_uuid)) {
+        next(new restify.InvalidArgumentError('Invalid server_uuid'));
+        return;
+    }
+
+    if (!endpoints.isUuid(params.owner_uuid)) {
+        next(new restify.InvalidArgumentError('Invalid owner_uuid'));
+        return;
+    }
+
+    var invalid = ['ram', 'disk'].filter(function _isInvalid(param) {
+        return (params[param] !== undefined &&
+            (typeof (params[param]) !== 'number' || params[param] < 0 ||
+            params[param] % 1 !== 0));
+    });
+    if (invalid.length > 0) {
+        next(new restify.InvalidArgumentError(
+            '%s must be a non-negative integer', invalid[0]));
+        return;
+    }
+
+    if (!params.ram && !params.disk) {
+        next(new restify.InvalidArgumentError(
+            'ram or disk must be greater than zero'));
+        return;
+    }
+
+    var expiresAt = new Date(params.expires_at);
+    if (isNaN(expiresAt.getTime())) {
+        next(new restify.InvalidArgumentError(
+            'expires_at must be an ISO timestamp'));
+        return;
+    }
+    if (expiresAt.getTime() <= Date.now()) {
+        next(new restify.InvalidArgumentError(
+            'expires_at must be in the future'));
+        return;
+    }
+
+    ModelServer.get(params.server_uuid, function (getErr, model, server) {
+        if (getErr) {
+            next(new restify.InternalError(getErr.message));
+            return;
+        }
+
+        if (!server) {
+            next(new restify.InvalidArgumentError('server %s not found',
+                params.server_uuid));
+            return;
+        }
+
+        ModelCapacityHold.create({
+            disk: params.disk,
+            expires_at: expiresAt.toISOString(),
+            owner_uuid: params.owner_uuid,
+            ram: params.ram || 0,
+            server_uuid: params.server_uuid
+        }, function _onCreate(createErr, hold) {
+            if (createErr) {
+                next(new restify.InternalError(createErr.message));
+                return;
+            }
+
+            req.log.info({hold: hold}, 'created capacity hold');
+
+            res.send(200, hold);
+            next();
+        });
+    });
+};
+
+
+/* BEGIN JSSTYLED */
+/**
+ * Returns the capacity holds which haven't expired, soonest to expire first.
+ *
+ * @name CapacityHoldList
+ * @endpoint GET /capacity-holds
+ * @section Capacity Holds API
+ *
+ * @param {String} server_uuid Only return holds on this server
+ * @param {String} owner_uuid Only return holds for this owner
+ * @param {Integer} limit Maximum number of results to return. It must be between 1-1000, inclusive. Defaults to 1000.
+ * @param {Integer} offset Offset the subset of results returned
+ *
+ * @response 200 Array The capacity holds
+ * @response 500 Error Could not process request
+ */
+/* END JSSTYLED */
+
+CapacityHold.list = function handlerCapacityHoldList(req, res, next) {
+    var rules = {
+        'limit': ['optional', 'isInt'],
+        'offset': ['optional', 'isInt'],
+        'owner_uuid': ['optional', 'isStringType', 'isTrim'],
+        'server_uuid': ['optional', 'isStringType', 'isTrim']
+    };
+
+    if (validation.ensureParamsValid(req, res, rules, { strict: true })) {
+        next();
+        return;
+    }
+
+    var limit;
+    var params = {};
+    var uuidParams = ['server_uuid', 'owner_uuid'];
+
+    for (var i = 0; i < uuidParams.length; i++) {
+        if (req.params[uuidParams[i]] !== undefined) {
+            if (!endpoints.isUuid(req.params[uuidParams[i]])) {
+                next(new restify.InvalidArgumentError('Invalid %s',
+                    uuidParams[i]));
+                return;
+            }
+            params[uuidParams[i]] = req.params[uuidParams[i]];
+        }
+    }
+
+    if (req.params.limit !== undefined) {
+        limit = Number(req.params.limit);
+        if (limit < CAPACITY_HOLD_LIST_MIN_LIMIT ||
+            CAPACITY_HOLD_LIST_MAX_LIMIT < limit) {
+
+            res.send(400, validation.formatValidationErrors([ {
+                param: 'limit',
+                msg: 'limit must be in the range ' +
+                    CAPACITY_HOLD_LIST_MIN_LIMIT + '-' +
+                    CAPACITY_HOLD_LIST_MAX_LIMIT + ' (inclusive)'
+            }]));
+            next();
+            return;
+        }
+        params.limit = limit;
+    }
+
+    if (req.params.offset !== undefined) {
+        params.offset = Number(req.params.offset);
+    }
+
+    ModelCapacityHold.list(params, function (err, holds) {
+        if (err) {
+            next(new restify.InternalError(err.message));
+            return;
+        }
+
+        res.send(200, holds);
+        next();
+    });
+};
+
+
+/* BEGIN JSSTYLED */
+/**
+ * Returns a capacity hold.
+ *
+ * @name CapacityHoldGet
+ * @endpoint GET /capacity-holds/:capacity_hold_uuid
+ * @section Capacity Holds API
+ *
+ * @response 200 Object The capacity hold
+ * @response 404 Error No such capacity hold, or it has expired
+ * @response 500 Error Could not process request
+ */
+/* END JSSTYLED */
+
+CapacityHold.get = function handlerCapacityHoldGet(req, res, next) {
+    var rules = {
+        'capacity_hold_uuid': ['isStringType']
+    };
+
+    if (validation.ensureParamsValid(req, res, rules, { strict: true })) {
+        next();
+        return;
+    }
+
+    if (!endpoints.isUuid(req.params.capacity_hold_uuid)) {
+        next(new restify.InvalidArgumentError('Invalid capacity_hold_uuid'));
+        return;
+    }
+
+    ModelCapacityHold.get(req.params.capacity_hold_uuid,
+        function (err, hold) {
+            if (err) {
+                next(new restify.InternalError(err.message));
+                return;
+            }
+
+            if (!hold) {
+                next(new restify.ResourceNotFoundError('Capacity hold ' +
+                    req.params.capacity_hold_uuid + ' not found'));
+                return;
+            }
+
+            res.send(200, hold);
+            next();
+        });
+};
+
+
+/* BEGIN JSSTYLED */
+/**
+ * Delete a capacity hold, releasing what it held.
+ *
+ * @name CapacityHoldDelete
+ * @endpoint DELETE /capacity-holds/:capacity_hold_uuid
+ * @section Capacity Holds API
+ *
+ * @response 204 None The capacity hold was deleted
+ * @response 404 Error No such capacity hold, or it has expired
+ * @response 500 Error Could not process request
+ */
+/* END JSSTYLED */
+
+CapacityHold.del = function handlerCapacityHoldDelete(req, res, next) {
+    var rules = {
+        'capacity_hold_uuid': ['isStringType']
+    };
+
+    if (validation.ensureParamsValid(req, res, rules, { strict: true })) {
+        next();
+        return;
+    }
+
+    if (!endpoints.isUuid(req.params.capacity_hold_uuid)) {
+        next(new restify.InvalidArgumentError('Invalid capacity_hold_uuid'));
+        return;
+    }
+
+    ModelCapacityHold.get(req.params.capacity_hold_uuid,
+        function (err, hold) {
+            if (err) {
+                next(new restify.InternalError(err.message));
+                return;
+            }
+
+            if (!hold) {
+                next(new restify.ResourceNotFoundError('Capacity hold ' +
+                    req.params.capacity_hold_uuid + ' not found'));
+                return;
+            }
+
+            ModelCapacityHold.del(hold.uuid, function (delErr) {
+                if (delErr) {
+                    next(new restify.InternalError(delErr.message));
+                    return;
+                }
+
+                req.log.info({hold: hold}, 'deleted capacity hold');
+
+                res.send(204);
+                next();
+            });
+        });
+};
+
+
+function attachTo(http, app) {
+    var ensure = require('../endpoints').ensure;
+
+    // Hold capacity on a server
+    http.post(
+        { path: '/capacity-holds', name: 'CapacityHoldCreate' },
+        ensure({
+            connectionTimeoutSeconds: 60 * 60,
+            app: app,
+            connected: ['moray']
+        }),
+        CapacityHold.create);
+
+    // List capacity holds
+    http.get(
+        { path: '/capacity-holds', name: 'CapacityHoldList' },
+        ensure({
+            connectionTimeoutSeconds: 60 * 60,
+            app: app,
+            connected: ['moray']
+        }),
+        CapacityHold.list);
+
+    // Get a capacity hold
+    http.get({
+        path: '/capacity-holds/:capacity_hold_uuid',
+        name: 'CapacityHoldGet' },
+        ensure({
+            connectionTimeoutSeconds: 60 * 60,
+            app: app,
+            connected: ['moray']
+        }),
+        CapacityHold.get);
+
+    // Release a capacity hold
+    http.del({
+        path: '/capacity-holds/:capacity_hold_uuid',
+        name: 'CapacityHoldDelete' },
+        ensure({
+            connectionTimeoutSeconds: 60 * 60,
+            app: app,
+            connected: ['moray']
+        }),
+        CapacityHold.del);
+}
+
+
+exports.attachTo = attachTo;
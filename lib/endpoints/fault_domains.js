@@ -0,0 +1,482 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2021 Joyent, Inc.
+ */
+
+/*
+ * HTTP endpoints for managing the rooms and racks servers are in (see
+ * lib/models/fault_domain.js).
+ */
+
+var restify = require('restify');
+
+var ModelFaultDomain = require('../models/fault_domain');
+var validation = require('../validation/endpoints');
+var endpoints = require('../endpoints');
+
+
+function FaultDomain() {}
+
+
+/*
+ * Check that a room or rack being created or changed to have the given type,
+ * name and parent_uuid doesn't share its name with another of the same type,
+ * and that a rack's parent is a room. 'uuid' is that of the one being
+ * changed, if any. The callback is called with the error, if there is one.
+ */
+function checkFaultDomain(type, name, parentUuid, uuid, callback) {
+    if (name === '') {
+        callback(new restify.InvalidArgumentError('name must not be empty'));
+        return;
+    }
+
+    if (parentUuid !== undefined && parentUuid !== null) {
+        if (type !== 'rack') {
+            callback(new restify.InvalidArgumentError(
+                'only racks have a parent_uuid'));
+            return;
+        }
+
+        if (!endpoints.isUuid(parentUuid)) {
+            callback(new restify.InvalidArgumentError('Invalid parent_uuid'));
+            return;
+        }
+    }
+
+    ModelFaultDomain.list({
+        name: name,
+        type: type
+    }, function _onList(err, domains) {
+        if (err) {
+            callback(new restify.InternalError(err.message));
+            return;
+        }
+
+        var others = domains.filter(function _isOther(domain) {
+            return (domain.uuid !== uuid);
+        });
+        if (others.length > 0) {
+            callback(new restify.InvalidArgumentError(
+                'a %s named %s already exists', type, name));
+            return;
+        }
+
+        if (parentUuid === undefined || parentUuid === null) {
+            callback();
+            return;
+        }
+
+        ModelFaultDomain.get(parentUuid, function _onParent(getErr, parent) {
+            if (getErr) {
+                callback(new restify.InternalError(getErr.message));
+                return;
+            }
+
+            if (!parent || parent.type !== 'room') {
+                callback(new restify.InvalidArgumentError(
+                    'parent_uuid %s is not a room', parentUuid));
+                return;
+            }
+
+            callback();
+        });
+    });
+}
+
+
+/* BEGIN JSSTYLED */
+/**
+ * Create a room or a rack. A rack's `name` is the `rack_identifier` of the
+ * servers in it, and its `parent_uuid` is the room it's in. Rooms are in the
+ * datacenter of this CNAPI. Names are unique among the rooms and among the
+ * racks.
+ *
+ * @name FaultDomainCreate
+ * @endpoint POST /fault-domains
+ * @section Fault Domains API
+ *
+ * @param {String} type Either room or rack
+ * @param {String} name The name of the room, or the rack_identifier of the servers in the rack
+ * @param {String} parent_uuid The UUID of the room a rack is in
+ *
+ * @example POST /fault-domains
+ *          -d '{ "type": "rack", "name": "R1", "parent_uuid": "9ed7a1e6-2a7c-11ec-9b1e-8f3a5c6d7e01" }'
+ *
+ * @response 200 Object The newly created room or rack
+ * @response 409 Error Invalid parameters
+ * @response 500 Error Could not process request
+ */
+/* END JSSTYLED */
+
+FaultDomain.create = function handlerFaultDomainCreate(req, res, next) {
+    var rules = {
+        'name': ['isStringType', 'isTrim'],
+        'parent_uuid': ['optional', 'isStringType', 'isTrim'],
+        'type': ['isStringType', 'isTrim']
+    };
+
+    if (validation.ensureParamsValid(req, res, rules, { strict: true })) {
+        next();
+        return;
+    }
+
+    var params = req.params;
+
+    if (ModelFaultDomain.FAULT_DOMAIN_TYPES.indexOf(params.type) === -1) {
+        next(new restify.InvalidArgumentError('type must be one of: %s',
+            ModelFaultDomain.FAULT_DOMAIN_TYPES.join(', ')));
+        return;
+    }
+
+    checkFaultDomain(params.type, params.name, params.parent_uuid, undefined,
+        function _onCheck(checkErr) {
+            if (checkErr) {
+                next(checkErr);
+                return;
+            }
+
+            ModelFaultDomain.create({
+                name: params.name,
+                parent_uuid: params.parent_uuid,
+                type: params.type
+            }, function _onCreate(err, domain) {
+                if (err) {
+                    next(new restify.InternalError(err.message));
+                    return;
+                }
+
+                req.log.info({domain: domain}, 'created fault domain');
+
+                res.send(200, domain);
+                next();
+            });
+        });
+};
+
+
+/* BEGIN JSSTYLED */
+/**
+ * Returns rooms and racks, sorted by name.
+ *
+ * @name FaultDomainList
+ * @endpoint GET /fault-domains
+ * @section Fault Domains API
+ *
+ * @param {String} type Only return rooms or only racks
+ * @param {String} parent_uuid Only return the racks in this room
+ *
+ * @response 200 Array The rooms and racks
+ * @response 500 Error Could not process request
+ */
+/* END JSSTYLED */
+
+FaultDomain.list = function handlerFaultDomainList(req, res, next) {
+    var rules = {
+        'parent_uuid': ['optional', 'isStringType', 'isTrim'],
+        'type': ['optional', 'isStringType', 'isTrim']
+    };
+
+    if (validation.ensureParamsValid(req, res, rules, { strict: true })) {
+        next();
+        return;
+    }
+
+    var params = {};
+
+    if (req.params.type !== undefined) {
+        if (ModelFaultDomain.FAULT_DOMAIN_TYPES.indexOf(req.params.type) ===
+            -1) {
+
+            next(new restify.InvalidArgumentError('type must be one of: %s',
+                ModelFaultDomain.FAULT_DOMAIN_TYPES.join(', ')));
+            return;
+        }
+        params.type = req.params.type;
+    }
+
+    if (req.params.parent_uuid !== undefined) {
+        if (!endpoints.isUuid(req.params.parent_uuid)) {
+            next(new restify.InvalidArgumentError('Invalid parent_uuid'));
+            return;
+        }
+        params.parent_uuid = req.params.parent_uuid;
+    }
+
+    ModelFaultDomain.list(params, function (err, domains) {
+        if (err) {
+            next(new restify.InternalError(err.message));
+            return;
+        }
+
+        res.send(200, domains);
+        next();
+    });
+};
+
+
+/* BEGIN JSSTYLED */
+/**
+ * Returns a room or rack.
+ *
+ * @name FaultDomainGet
+ * @endpoint GET /fault-domains/:fault_domain_uuid
+ * @section Fault Domains API
+ *
+ * @response 200 Object The room or rack
+ * @response 404 Error No such room or rack
+ * @response 500 Error Could not process request
+ */
+/* END JSSTYLED */
+
+FaultDomain.get = function handlerFaultDomainGet(req, res, next) {
+    var rules = {
+        'fault_domain_uuid': ['isStringType']
+    };
+
+    if (validation.ensureParamsValid(req, res, rules, { strict: true })) {
+        next();
+        return;
+    }
+
+    if (!endpoints.isUuid(req.params.fault_domain_uuid)) {
+        next(new restify.InvalidArgumentError('Invalid fault_domain_uuid'));
+        return;
+    }
+
+    ModelFaultDomain.get(req.params.fault_domain_uuid, function (err, domain) {
+        if (err) {
+            next(new restify.InternalError(err.message));
+            return;
+        }
+
+        if (!domain) {
+            next(new restify.ResourceNotFoundError('Fault domain ' +
+                req.params.fault_domain_uuid + ' not found'));
+            return;
+        }
+
+        res.send(200, domain);
+        next();
+    });
+};
+
+
+/* BEGIN JSSTYLED */
+/**
+ * Rename a room or rack, or move a rack to another room. Renaming a rack
+ * doesn't change the rack_identifier of its servers, so they should be
+ * updated to match with ServerUpdate.
+ *
+ * @name FaultDomainUpdate
+ * @endpoint POST /fault-domains/:fault_domain_uuid
+ * @section Fault Domains API
+ *
+ * @param {String} name The new name
+ * @param {String} parent_uuid The UUID of the room a rack is in
+ *
+ * @response 200 Object The room or rack
+ * @response 404 Error No such room or rack
+ * @response 409 Error Invalid parameters
+ * @response 500 Error Could not process request
+ */
+/* END JSSTYLED */
+
+FaultDomain.update = function handlerFaultDomainUpdate(req, res, next) {
+    var rules = {
+        'fault_domain_uuid': ['isStringType'],
+        'name': ['optional', 'isStringType', 'isTrim'],
+        'parent_uuid': ['optional', 'isStringType', 'isTrim']
+    };
+
+    if (validation.ensureParamsValid(req, res, rules, { strict: true })) {
+        next();
+        return;
+    }
+
+    if (!endpoints.isUuid(req.params.fault_domain_uuid)) {
+        next(new restify.InvalidArgumentError('Invalid fault_domain_uuid'));
+        return;
+    }
+
+    ModelFaultDomain.get(req.params.fault_domain_uuid,
+        function (getErr, domain, etag) {
+            if (getErr) {
+                next(new restify.InternalError(getErr.message));
+                return;
+            }
+
+            if (!domain) {
+                next(new restify.ResourceNotFoundError('Fault domain ' +
+                    req.params.fault_domain_uuid + ' not found'));
+                return;
+            }
+
+            var name = (req.params.name !== undefined) ? req.params.name :
+                domain.name;
+            var parentUuid = (req.params.parent_uuid !== undefined) ?
+                req.params.parent_uuid : domain.parent_uuid;
+
+            checkFaultDomain(domain.type, name, parentUuid, domain.uuid,
+                function _onCheck(checkErr) {
+                    if (checkErr) {
+                        next(checkErr);
+                        return;
+                    }
+
+                    domain.name = name;
+                    domain.parent_uuid = parentUuid;
+
+                    ModelFaultDomain.put(domain, etag, function (putErr) {
+                        if (putErr) {
+                            next(new restify.InternalError(putErr.message));
+                            return;
+                        }
+
+                        req.log.info({domain: domain},
+                            'updated fault domain');
+
+                        res.send(200, domain);
+                        next();
+                    });
+                });
+        });
+};
+
+
+/* BEGIN JSSTYLED */
+/**
+ * Delete a room or rack. Rooms can only be deleted once they have no racks in
+ * them. Deleting a rack leaves the rack_identifier of its servers alone.
+ *
+ * @name FaultDomainDelete
+ * @endpoint DELETE /fault-domains/:fault_domain_uuid
+ * @section Fault Domains API
+ *
+ * @response 204 None The room or rack was deleted
+ * @response 404 Error No such room or rack
+ * @response 409 Error The room still has racks in it
+ * @response 500 Error Could not process request
+ */
+/* END JSSTYLED */
+
+FaultDomain.del = function handlerFaultDomainDelete(req, res, next) {
+    var rules = {
+        'fault_domain_uuid': ['isStringType']
+    };
+
+    if (validation.ensureParamsValid(req, res, rules, { strict: true })) {
+        next();
+        return;
+    }
+
+    if (!endpoints.isUuid(req.params.fault_domain_uuid)) {
+        next(new restify.InvalidArgumentError('Invalid fault_domain_uuid'));
+        return;
+    }
+
+    ModelFaultDomain.get(req.params.fault_domain_uuid, function (err, domain) {
+        if (err) {
+            next(new restify.InternalError(err.message));
+            return;
+        }
+
+        if (!domain) {
+            next(new restify.ResourceNotFoundError('Fault domain ' +
+                req.params.fault_domain_uuid + ' not found'));
+            return;
+        }
+
+        ModelFaultDomain.list({
+            parent_uuid: domain.uuid
+        }, function (listErr, children) {
+            if (listErr) {
+                next(new restify.InternalError(listErr.message));
+                return;
+            }
+
+            if (children.length > 0) {
+                next(new restify.InvalidArgumentError(
+                    'room %s still has racks in it', domain.name));
+                return;
+            }
+
+            ModelFaultDomain.del(domain.uuid, function (delErr) {
+                if (delErr) {
+                    next(new restify.InternalError(delErr.message));
+                    return;
+                }
+
+                req.log.info({domain: domain}, 'deleted fault domain');
+
+                res.send(204);
+                next();
+            });
+        });
+    });
+};
+
+
+function attachTo(http, app) {
+    var ensure = require('../endpoints').ensure;
+
+    // Create a room or rack
+    http.post(
+        { path: '/fault-domains', name: 'FaultDomainCreate' },
+        ensure({
+            connectionTimeoutSeconds: 60 * 60,
+            app: app,
+            connected: ['moray']
+        }),
+        FaultDomain.create);
+
+    // List rooms and racks
+    http.get(
+        { path: '/fault-domains', name: 'FaultDomainList' },
+        ensure({
+            connectionTimeoutSeconds: 60 * 60,
+            app: app,
+            connected: ['moray']
+        }),
+        FaultDomain.list);
+
+    // Get a room or rack
+    http.get({
+        path: '/fault-domains/:fault_domain_uuid',
+        name: 'FaultDomainGet' },
+        ensure({
+            connectionTimeoutSeconds: 60 * 60,
+            app: app,
+            connected: ['moray']
+        }),
+        FaultDomain.get);
+
+    // Change a room or rack
+    http.post({
+        path: '/fault-domains/:fault_domain_uuid',
+        name: 'FaultDomainUpdate' },
+        ensure({
+            connectionTimeoutSeconds: 60 * 60,
+            app: app,
+            connected: ['moray']
+        }),
+        FaultDomain.update);
+
+    // Delete a room or rack
+    http.del({
+        path: '/fault-domains/:fault_domain_uuid',
+        name: 'FaultDomainDelete' },
+        ensure({
+            connectionTimeoutSeconds: 60 * 60,
+            app: app,
+            connected: ['moray']
+        }),
+        FaultDomain.del);
+}
+
+
+exports.attachTo = attachTo;
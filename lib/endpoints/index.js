@@ -24,9 +24,15 @@ var ModelWaitlist = require('../models/waitlist');
 var allocations = require('./allocations');
 var errors = require('../errors');
 var boot_params = require('./boot_params');
+var capacity_holds = require('./capacity_holds');
+var fault_domains = require('./fault_domains');
 var images = require('./images');
 var nics = require('./nics');
+var owner_quotas = require('./owner_quotas');
+var placement_groups = require('./placement_groups');
+var platform_rollouts = require('./platform_rollouts');
 var platforms = require('./platforms');
+var reboot_plans = require('./reboot_plans');
 var servers = require('./servers');
 var tasks = require('./tasks');
 var vms = require('./vms');
@@ -396,9 +402,15 @@ function attachTo(http, app) {
         res.send(send);
     });
 
+    capacity_holds.attachTo(http, app);
+    fault_domains.attachTo(http, app);
     images.attachTo(http, app);
     nics.attachTo(http, app);
+    owner_quotas.attachTo(http, app);
+    placement_groups.attachTo(http, app);
+    platform_rollouts.attachTo(http, app);
     platforms.attachTo(http, app);
+    reboot_plans.attachTo(http, app);
     servers.attachTo(http, app);
     waitlist.attachTo(http, app);
     vms.attachTo(http, app);
@@ -410,3 +422,4 @@ function attachTo(http, app) {
 
 exports.attachTo = attachTo;
 exports.ensure = ensure;
+exports.isUuid = isUuid;
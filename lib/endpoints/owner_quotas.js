@@ -0,0 +1,397 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2021 Joyent, Inc.
+ */
+
+/*
+ * HTTP endpoints for managing owner quotas, which SelectServer enforces when
+ * choosing servers for an owner's VMs (see lib/models/owner_quota.js).
+ */
+
+var restify = require('restify');
+
+var ModelOwnerQuota = require('../models/owner_quota');
+var validation = require('../validation/endpoints');
+var endpoints = require('../endpoints');
+
+
+// ---- globals/constants
+
+var OWNER_QUOTA_LIST_MIN_LIMIT = 1;
+var OWNER_QUOTA_LIST_MAX_LIMIT = 1000;
+
+
+function OwnerQuota() {}
+
+
+/*
+ * Check the parameters of OwnerQuotaSet, returning an error for the first
+ * that's invalid.
+ */
+function validateQuotaParams(params) {
+    var invalid;
+
+    if (!endpoints.isUuid(params.owner_uuid)) {
+        return new restify.InvalidArgumentError('Invalid owner_uuid');
+    }
+
+    invalid = ['max_vms_per_server', 'max_ram_per_server'].filter(
+        function _isInvalid(param) {
+            return (params[param] !== undefined &&
+                (typeof (params[param]) !== 'number' || params[param] < 1 ||
+                params[param] % 1 !== 0));
+        });
+    if (invalid.length > 0) {
+        return new restify.InvalidArgumentError(
+            '%s must be a positive integer', invalid[0]);
+    }
+
+    if (params.servers !== undefined) {
+        invalid = params.servers.filter(function _isInvalid(u) {
+            return (!endpoints.isUuid(u));
+        });
+        if (invalid.length > 0) {
+            return new restify.InvalidArgumentError(
+                'servers contains invalid UUIDs: %s', invalid.join(', '));
+        }
+    }
+
+    return null;
+}
+
+
+/* BEGIN JSSTYLED */
+/**
+ * Returns owner quotas, sorted by owner UUID.
+ *
+ * @name OwnerQuotaList
+ * @endpoint GET /owner-quotas
+ * @section Owner Quotas API
+ *
+ * @param {String} server_uuid Only return the quota of the owner this server is restricted to
+ * @param {Integer} limit Maximum number of results to return. It must be between 1-1000, inclusive. Defaults to 1000.
+ * @param {Integer} offset Offset the subset of results returned
+ *
+ * @response 200 Array The owner quotas
+ * @response 500 Error Could not process request
+ */
+/* END JSSTYLED */
+
+OwnerQuota.list = function handlerOwnerQuotaList(req, res, next) {
+    var rules = {
+        'limit': ['optional', 'isInt'],
+        'offset': ['optional', 'isInt'],
+        'server_uuid': ['optional', 'isStringType', 'isTrim']
+    };
+
+    if (validation.ensureParamsValid(req, res, rules, { strict: true })) {
+        next();
+        return;
+    }
+
+    var limit;
+    var params = {};
+
+    if (req.params.server_uuid !== undefined) {
+        if (!endpoints.isUuid(req.params.server_uuid)) {
+            next(new restify.InvalidArgumentError('Invalid server_uuid'));
+            return;
+        }
+        params.server_uuid = req.params.server_uuid;
+    }
+
+    if (req.params.limit !== undefined) {
+        limit = Number(req.params.limit);
+        if (limit < OWNER_QUOTA_LIST_MIN_LIMIT ||
+            OWNER_QUOTA_LIST_MAX_LIMIT < limit) {
+
+            res.send(400, validation.formatValidationErrors([ {
+                param: 'limit',
+                msg: 'limit must be in the range ' +
+                    OWNER_QUOTA_LIST_MIN_LIMIT + '-' +
+                    OWNER_QUOTA_LIST_MAX_LIMIT + ' (inclusive)'
+            }]));
+            next();
+            return;
+        }
+        params.limit = limit;
+    }
+
+    if (req.params.offset !== undefined) {
+        params.offset = Number(req.params.offset);
+    }
+
+    ModelOwnerQuota.list(params, function (err, quotas) {
+        if (err) {
+            next(new restify.InternalError(err.message));
+            return;
+        }
+
+        res.send(200, quotas);
+        next();
+    });
+};
+
+
+/* BEGIN JSSTYLED */
+/**
+ * Returns an owner's quota.
+ *
+ * @name OwnerQuotaGet
+ * @endpoint GET /owner-quotas/:owner_uuid
+ * @section Owner Quotas API
+ *
+ * @response 200 Object The owner's quota
+ * @response 404 Error The owner has no quota
+ * @response 500 Error Could not process request
+ */
+/* END JSSTYLED */
+
+OwnerQuota.get = function handlerOwnerQuotaGet(req, res, next) {
+    var rules = {
+        'owner_uuid': ['isStringType']
+    };
+
+    if (validation.ensureParamsValid(req, res, rules, { strict: true })) {
+        next();
+        return;
+    }
+
+    if (!endpoints.isUuid(req.params.owner_uuid)) {
+        next(new restify.InvalidArgumentError('Invalid owner_uuid'));
+        return;
+    }
+
+    ModelOwnerQuota.get(req.params.owner_uuid, function (err, quota) {
+        if (err) {
+            next(new restify.InternalError(err.message));
+            return;
+        }
+
+        if (!quota) {
+            next(new restify.ResourceNotFoundError('Owner ' +
+                req.params.owner_uuid + ' has no quota'));
+            return;
+        }
+
+        res.send(200, quota);
+        next();
+    });
+};
+
+
+/* BEGIN JSSTYLED */
+/**
+ * Set an owner's quota, replacing the one they have (if any). SelectServer
+ * won't put more than `max_vms_per_server` of the owner's VMs, or more than
+ * `max_ram_per_server` MiB of their VMs' RAM, on any one server, and won't
+ * put any other owner's VMs on the `servers` restricted to them. A limit left
+ * out means there's no such limit. VMs already over a limit are left where
+ * they are.
+ *
+ * A server can only be restricted to one owner, so servers restricted to
+ * another owner can't be listed in `servers`.
+ *
+ * @name OwnerQuotaSet
+ * @endpoint PUT /owner-quotas/:owner_uuid
+ * @section Owner Quotas API
+ *
+ * @param {Integer} max_vms_per_server The most of the owner's VMs on any one server
+ * @param {Integer} max_ram_per_server The most RAM in MiB of the owner's VMs on any one server
+ * @param {Array} servers UUIDs of the servers restricted to the owner
+ *
+ * @example PUT /owner-quotas/930896af-bf8c-48d4-885c-6573a94b1853
+ *          -d '{ "max_vms_per_server": 4, "max_ram_per_server": 65536 }'
+ *
+ * @response 200 Object The owner's quota
+ * @response 409 Error Invalid parameters
+ * @response 500 Error Could not process request
+ */
+/* END JSSTYLED */
+
+OwnerQuota.set = function handlerOwnerQuotaSet(req, res, next) {
+    var rules = {
+        'max_ram_per_server': ['optional', 'isNumberType'],
+        'max_vms_per_server': ['optional', 'isNumberType'],
+        'owner_uuid': ['isStringType'],
+        'servers': ['optional', 'isArrayType']
+    };
+
+    if (validation.ensureParamsValid(req, res, rules, { strict: true })) {
+        next();
+        return;
+    }
+
+    var err = validateQuotaParams(req.params);
+    if (err) {
+        next(err);
+        return;
+    }
+
+    var ownerUuid = req.params.owner_uuid;
+    var servers = req.params.servers || [];
+
+    ModelOwnerQuota.list({}, function (listErr, quotas) {
+        if (listErr) {
+            next(new restify.InternalError(listErr.message));
+            return;
+        }
+
+        var taken = [];
+
+        quotas.forEach(function (other) {
+            if (other.owner_uuid === ownerUuid) {
+                return;
+            }
+
+            (other.servers || []).forEach(function (serverUuid) {
+                if (servers.indexOf(serverUuid) !== -1) {
+                    taken.push(serverUuid);
+                }
+            });
+        });
+
+        if (taken.length > 0) {
+            next(new restify.InvalidArgumentError(
+                'servers already restricted to another owner: %s',
+                taken.join(', ')));
+            return;
+        }
+
+        ModelOwnerQuota.get(ownerUuid, function (getErr, quota, etag) {
+            if (getErr) {
+                next(new restify.InternalError(getErr.message));
+                return;
+            }
+
+            var newQuota = {
+                created: quota ? quota.created : undefined,
+                max_ram_per_server: req.params.max_ram_per_server || null,
+                max_vms_per_server: req.params.max_vms_per_server || null,
+                owner_uuid: ownerUuid,
+                servers: servers
+            };
+
+            ModelOwnerQuota.put(newQuota, etag, function (putErr) {
+                if (putErr) {
+                    next(new restify.InternalError(putErr.message));
+                    return;
+                }
+
+                req.log.info({quota: newQuota}, 'set owner quota');
+
+                res.send(200, newQuota);
+                next();
+            });
+        });
+    });
+};
+
+
+/* BEGIN JSSTYLED */
+/**
+ * Delete an owner's quota, lifting its limits and unrestricting its servers.
+ *
+ * @name OwnerQuotaDelete
+ * @endpoint DELETE /owner-quotas/:owner_uuid
+ * @section Owner Quotas API
+ *
+ * @response 204 None The owner's quota was deleted
+ * @response 404 Error The owner has no quota
+ * @response 500 Error Could not process request
+ */
+/* END JSSTYLED */
+
+OwnerQuota.del = function handlerOwnerQuotaDelete(req, res, next) {
+    var rules = {
+        'owner_uuid': ['isStringType']
+    };
+
+    if (validation.ensureParamsValid(req, res, rules, { strict: true })) {
+        next();
+        return;
+    }
+
+    if (!endpoints.isUuid(req.params.owner_uuid)) {
+        next(new restify.InvalidArgumentError('Invalid owner_uuid'));
+        return;
+    }
+
+    ModelOwnerQuota.get(req.params.owner_uuid, function (err, quota) {
+        if (err) {
+            next(new restify.InternalError(err.message));
+            return;
+        }
+
+        if (!quota) {
+            next(new restify.ResourceNotFoundError('Owner ' +
+                req.params.owner_uuid + ' has no quota'));
+            return;
+        }
+
+        ModelOwnerQuota.del(quota.owner_uuid, function (delErr) {
+            if (delErr) {
+                next(new restify.InternalError(delErr.message));
+                return;
+            }
+
+            req.log.info({quota: quota}, 'deleted owner quota');
+
+            res.send(204);
+            next();
+        });
+    });
+};
+
+
+function attachTo(http, app) {
+    var ensure = require('../endpoints').ensure;
+
+    // List owner quotas
+    http.get(
+        { path: '/owner-quotas', name: 'OwnerQuotaList' },
+        ensure({
+            connectionTimeoutSeconds: 60 * 60,
+            app: app,
+            connected: ['moray']
+        }),
+        OwnerQuota.list);
+
+    // Get an owner's quota
+    http.get(
+        { path: '/owner-quotas/:owner_uuid', name: 'OwnerQuotaGet' },
+        ensure({
+            connectionTimeoutSeconds: 60 * 60,
+            app: app,
+            connected: ['moray']
+        }),
+        OwnerQuota.get);
+
+    // Set an owner's quota
+    http.put(
+        { path: '/owner-quotas/:owner_uuid', name: 'OwnerQuotaSet' },
+        ensure({
+            connectionTimeoutSeconds: 60 * 60,
+            app: app,
+            connected: ['moray']
+        }),
+        OwnerQuota.set);
+
+    // Delete an owner's quota
+    http.del(
+        { path: '/owner-quotas/:owner_uuid', name: 'OwnerQuotaDelete' },
+        ensure({
+            connectionTimeoutSeconds: 60 * 60,
+            app: app,
+            connected: ['moray']
+        }),
+        OwnerQuota.del);
+}
+
+
+exports.attachTo = attachTo;
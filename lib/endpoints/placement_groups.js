@@ -0,0 +1,487 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2021 Joyent, Inc.
+ */
+
+/*
+ * HTTP endpoints for managing placement groups, which SelectServer uses to
+ * keep VMs apart from each other (see lib/models/placement_group.js).
+ */
+
+var restify = require('restify');
+
+var ModelPlacementGroup = require('../models/placement_group');
+var validation = require('../validation/endpoints');
+var endpoints = require('../endpoints');
+
+
+// ---- globals/constants
+
+var PLACEMENT_GROUP_LIST_MIN_LIMIT = 1;
+var PLACEMENT_GROUP_LIST_MAX_LIMIT = 1000;
+
+
+function PlacementGroup() {}
+
+
+/*
+ * Check the parameters shared by PlacementGroupCreate and
+ * PlacementGroupUpdate, returning an error for the first that's invalid.
+ */
+function validateGroupParams(params) {
+    var invalid;
+
+    if (params.name !== undefined && params.name === '') {
+        return new restify.InvalidArgumentError('name must not be empty');
+    }
+
+    if (params.policy !== undefined &&
+        ModelPlacementGroup.PLACEMENT_GROUP_POLICIES.indexOf(
+            params.policy) === -1) {
+
+        return new restify.InvalidArgumentError('policy must be one of: %s',
+            ModelPlacementGroup.PLACEMENT_GROUP_POLICIES.join(', '));
+    }
+
+    if (params.spread !== undefined &&
+        ModelPlacementGroup.PLACEMENT_GROUP_SPREADS.indexOf(
+            params.spread) === -1) {
+
+        return new restify.InvalidArgumentError('spread must be one of: %s',
+            ModelPlacementGroup.PLACEMENT_GROUP_SPREADS.join(', '));
+    }
+
+    if (params.owner_uuid !== undefined &&
+        !endpoints.isUuid(params.owner_uuid)) {
+
+        return new restify.InvalidArgumentError('Invalid owner_uuid');
+    }
+
+    if (params.vms !== undefined) {
+        invalid = params.vms.filter(function _isInvalid(u) {
+            return (!endpoints.isUuid(u));
+        });
+        if (invalid.length > 0) {
+            return new restify.InvalidArgumentError(
+                'vms contains invalid UUIDs: %s', invalid.join(', '));
+        }
+
+        invalid = params.vms.filter(function _isDuplicate(u, idx) {
+            return (params.vms.indexOf(u) !== idx);
+        });
+        if (invalid.length > 0) {
+            return new restify.InvalidArgumentError(
+                'vms contains duplicate UUIDs: %s', invalid.join(', '));
+        }
+    }
+
+    return null;
+}
+
+
+/* BEGIN JSSTYLED */
+/**
+ * Create a placement group: a named set of VMs which SelectServer keeps apart
+ * from each other when it's given the group's UUID as `placement_group`. The
+ * `spread` says whether they're kept on different servers (`server`, the
+ * default) or in different racks according to the servers' `rack_identifier`
+ * (`rack`). The `policy` says whether that's required (`hard`), in which case
+ * SelectServer fails rather than put a VM with the others, or only preferred
+ * (`soft`, the default), in which case servers with the others are only
+ * chosen when no other server can be.
+ *
+ * VMs are added to the group when SelectServer chooses a server for them, so
+ * there's usually no need to list them here, except for VMs which were
+ * created before the group was.
+ *
+ * @name PlacementGroupCreate
+ * @endpoint POST /placement-groups
+ * @section Placement Groups API
+ *
+ * @param {String} name The name of the group
+ * @param {String} policy Either hard or soft (default soft)
+ * @param {String} spread Either server or rack (default server)
+ * @param {Array} vms UUIDs of VMs already in the group
+ * @param {String} owner_uuid Only allow VMs with this owner in the group
+ *
+ * @example POST /placement-groups
+ *          -d '{ "name": "db-cluster", "policy": "hard", "spread": "rack" }'
+ *
+ * @response 200 Object The newly created group
+ * @response 409 Error Invalid parameters
+ * @response 500 Error Could not process request
+ */
+/* END JSSTYLED */
+
+PlacementGroup.create = function handlerPlacementGroupCreate(req, res, next) {
+    var rules = {
+        'name': ['isStringType', 'isTrim'],
+        'owner_uuid': ['optional', 'isStringType', 'isTrim'],
+        'policy': ['optional', 'isStringType', 'isTrim'],
+        'spread': ['optional', 'isStringType', 'isTrim'],
+        'vms': ['optional', 'isArrayType']
+    };
+
+    if (validation.ensureParamsValid(req, res, rules, { strict: true })) {
+        next();
+        return;
+    }
+
+    var err = validateGroupParams(req.params);
+    if (err) {
+        next(err);
+        return;
+    }
+
+    ModelPlacementGroup.create({
+        name: req.params.name,
+        owner_uuid: req.params.owner_uuid,
+        policy: req.params.policy || 'soft',
+        spread: req.params.spread || 'server',
+        vms: req.params.vms || []
+    }, function _onCreate(createErr, group) {
+        if (createErr) {
+            next(new restify.InternalError(createErr.message));
+            return;
+        }
+
+        req.log.info({group: group}, 'created placement group');
+
+        res.send(200, group);
+        next();
+    });
+};
+
+
+/* BEGIN JSSTYLED */
+/**
+ * Returns placement groups, newest first.
+ *
+ * @name PlacementGroupList
+ * @endpoint GET /placement-groups
+ * @section Placement Groups API
+ *
+ * @param {String} name Only return groups with this name
+ * @param {String} owner_uuid Only return groups with this owner
+ * @param {Integer} limit Maximum number of results to return. It must be between 1-1000, inclusive. Defaults to 1000.
+ * @param {Integer} offset Offset the subset of results returned
+ *
+ * @response 200 Array The placement groups
+ * @response 500 Error Could not process request
+ */
+/* END JSSTYLED */
+
+PlacementGroup.list = function handlerPlacementGroupList(req, res, next) {
+    var rules = {
+        'limit': ['optional', 'isInt'],
+        'name': ['optional', 'isStringType', 'isTrim'],
+        'offset': ['optional', 'isInt'],
+        'owner_uuid': ['optional', 'isStringType', 'isTrim']
+    };
+
+    if (validation.ensureParamsValid(req, res, rules, { strict: true })) {
+        next();
+        return;
+    }
+
+    var limit;
+    var params = {};
+
+    if (req.params.name !== undefined) {
+        params.name = req.params.name;
+    }
+
+    if (req.params.owner_uuid !== undefined) {
+        if (!endpoints.isUuid(req.params.owner_uuid)) {
+            next(new restify.InvalidArgumentError('Invalid owner_uuid'));
+            return;
+        }
+        params.owner_uuid = req.params.owner_uuid;
+    }
+
+    if (req.params.limit !== undefined) {
+        limit = Number(req.params.limit);
+        if (limit < PLACEMENT_GROUP_LIST_MIN_LIMIT ||
+            PLACEMENT_GROUP_LIST_MAX_LIMIT < limit) {
+
+            res.send(400, validation.formatValidationErrors([ {
+                param: 'limit',
+                msg: 'limit must be in the range ' +
+                    PLACEMENT_GROUP_LIST_MIN_LIMIT + '-' +
+                    PLACEMENT_GROUP_LIST_MAX_LIMIT + ' (inclusive)'
+            }]));
+            next();
+            return;
+        }
+        params.limit = limit;
+    }
+
+    if (req.params.offset !== undefined) {
+        params.offset = Number(req.params.offset);
+    }
+
+    ModelPlacementGroup.list(params, function (err, groups) {
+        if (err) {
+            next(new restify.InternalError(err.message));
+            return;
+        }
+
+        res.send(200, groups);
+        next();
+    });
+};
+
+
+/* BEGIN JSSTYLED */
+/**
+ * Returns a placement group.
+ *
+ * @name PlacementGroupGet
+ * @endpoint GET /placement-groups/:placement_group_uuid
+ * @section Placement Groups API
+ *
+ * @response 200 Object The placement group
+ * @response 404 Error No such placement group
+ * @response 500 Error Could not process request
+ */
+/* END JSSTYLED */
+
+PlacementGroup.get = function handlerPlacementGroupGet(req, res, next) {
+    var rules = {
+        'placement_group_uuid': ['isStringType']
+    };
+
+    if (validation.ensureParamsValid(req, res, rules, { strict: true })) {
+        next();
+        return;
+    }
+
+    if (!endpoints.isUuid(req.params.placement_group_uuid)) {
+        next(new restify.InvalidArgumentError('Invalid placement_group_uuid'));
+        return;
+    }
+
+    ModelPlacementGroup.get(req.params.placement_group_uuid,
+        function (err, group) {
+            if (err) {
+                next(new restify.InternalError(err.message));
+                return;
+            }
+
+            if (!group) {
+                next(new restify.ResourceNotFoundError('Placement group ' +
+                    req.params.placement_group_uuid + ' not found'));
+                return;
+            }
+
+            res.send(200, group);
+            next();
+        });
+};
+
+
+/* BEGIN JSSTYLED */
+/**
+ * Change a placement group. Any of the parameters given replace the group's
+ * own, so `vms` is the whole new list of VMs in the group. The new policy and
+ * spread only affect VMs allocated from then on.
+ *
+ * @name PlacementGroupUpdate
+ * @endpoint POST /placement-groups/:placement_group_uuid
+ * @section Placement Groups API
+ *
+ * @param {String} name The name of the group
+ * @param {String} policy Either hard or soft
+ * @param {String} spread Either server or rack
+ * @param {Array} vms UUIDs of the VMs in the group
+ * @param {String} owner_uuid Only allow VMs with this owner in the group
+ *
+ * @response 200 Object The placement group
+ * @response 404 Error No such placement group
+ * @response 409 Error Invalid parameters
+ * @response 500 Error Could not process request
+ */
+/* END JSSTYLED */
+
+PlacementGroup.update = function handlerPlacementGroupUpdate(req, res, next) {
+    var rules = {
+        'name': ['optional', 'isStringType', 'isTrim'],
+        'owner_uuid': ['optional', 'isStringType', 'isTrim'],
+        'placement_group_uuid': ['isStringType'],
+        'policy': ['optional', 'isStringType', 'isTrim'],
+        'spread': ['optional', 'isStringType', 'isTrim'],
+        'vms': ['optional', 'isArrayType']
+    };
+
+    if (validation.ensureParamsValid(req, res, rules, { strict: true })) {
+        next();
+        return;
+    }
+
+    if (!endpoints.isUuid(req.params.placement_group_uuid)) {
+        next(new restify.InvalidArgumentError('Invalid placement_group_uuid'));
+        return;
+    }
+
+    var err = validateGroupParams(req.params);
+    if (err) {
+        next(err);
+        return;
+    }
+
+    ModelPlacementGroup.get(req.params.placement_group_uuid,
+        function (getErr, group, etag) {
+            if (getErr) {
+                next(new restify.InternalError(getErr.message));
+                return;
+            }
+
+            if (!group) {
+                next(new restify.ResourceNotFoundError('Placement group ' +
+                    req.params.placement_group_uuid + ' not found'));
+                return;
+            }
+
+            ['name', 'owner_uuid', 'policy', 'spread', 'vms'].forEach(
+                function _setParam(param) {
+                    if (req.params[param] !== undefined) {
+                        group[param] = req.params[param];
+                    }
+                });
+
+            ModelPlacementGroup.put(group, etag, function (putErr) {
+                if (putErr) {
+                    next(new restify.InternalError(putErr.message));
+                    return;
+                }
+
+                req.log.info({group: group}, 'updated placement group');
+
+                res.send(200, group);
+                next();
+            });
+        });
+};
+
+
+/* BEGIN JSSTYLED */
+/**
+ * Delete a placement group. The VMs in it are left where they are.
+ *
+ * @name PlacementGroupDelete
+ * @endpoint DELETE /placement-groups/:placement_group_uuid
+ * @section Placement Groups API
+ *
+ * @response 204 None The placement group was deleted
+ * @response 404 Error No such placement group
+ * @response 500 Error Could not process request
+ */
+/* END JSSTYLED */
+
+PlacementGroup.del = function handlerPlacementGroupDelete(req, res, next) {
+    var rules = {
+        'placement_group_uuid': ['isStringType']
+    };
+
+    if (validation.ensureParamsValid(req, res, rules, { strict: true })) {
+        next();
+        return;
+    }
+
+    if (!endpoints.isUuid(req.params.placement_group_uuid)) {
+        next(new restify.InvalidArgumentError('Invalid placement_group_uuid'));
+        return;
+    }
+
+    ModelPlacementGroup.get(req.params.placement_group_uuid,
+        function (err, group) {
+            if (err) {
+                next(new restify.InternalError(err.message));
+                return;
+            }
+
+            if (!group) {
+                next(new restify.ResourceNotFoundError('Placement group ' +
+                    req.params.placement_group_uuid + ' not found'));
+                return;
+            }
+
+            ModelPlacementGroup.del(group.uuid, function (delErr) {
+                if (delErr) {
+                    next(new restify.InternalError(delErr.message));
+                    return;
+                }
+
+                req.log.info({group: group}, 'deleted placement group');
+
+                res.send(204);
+                next();
+            });
+        });
+};
+
+
+function attachTo(http, app) {
+    var ensure = require('../endpoints').ensure;
+
+    // Create a placement group
+    http.post(
+        { path: '/placement-groups', name: 'PlacementGroupCreate' },
+        ensure({
+            connectionTimeoutSeconds: 60 * 60,
+            app: app,
+            connected: ['moray']
+        }),
+        PlacementGroup.create);
+
+    // List placement groups
+    http.get(
+        { path: '/placement-groups', name: 'PlacementGroupList' },
+        ensure({
+            connectionTimeoutSeconds: 60 * 60,
+            app: app,
+            connected: ['moray']
+        }),
+        PlacementGroup.list);
+
+    // Get a placement group
+    http.get({
+        path: '/placement-groups/:placement_group_uuid',
+        name: 'PlacementGroupGet' },
+        ensure({
+            connectionTimeoutSeconds: 60 * 60,
+            app: app,
+            connected: ['moray']
+        }),
+        PlacementGroup.get);
+
+    // Change a placement group
+    http.post({
+        path: '/placement-groups/:placement_group_uuid',
+        name: 'PlacementGroupUpdate' },
+        ensure({
+            connectionTimeoutSeconds: 60 * 60,
+            app: app,
+            connected: ['moray']
+        }),
+        PlacementGroup.update);
+
+    // Delete a placement group
+    http.del({
+        path: '/placement-groups/:placement_group_uuid',
+        name: 'PlacementGroupDelete' },
+        ensure({
+            connectionTimeoutSeconds: 60 * 60,
+            app: app,
+            connected: ['moray']
+        }),
+        PlacementGroup.del);
+}
+
+
+exports.attachTo = attachTo;
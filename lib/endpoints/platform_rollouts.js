@@ -0,0 +1,507 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2021 Joyent, Inc.
+ */
+
+/*
+ * HTTP endpoints for creating and following platform rollouts. The rollouts
+ * are carried out by the reboot scheduler (see lib/reboot_scheduler.js).
+ */
+
+var restify = require('restify');
+var vasync = require('vasync');
+
+var ModelPlatform = require('../models/platform');
+var ModelPlatformRollout = require('../models/platform_rollout');
+var ModelServer = require('../models/server');
+var serverFilter = require('../server_filter');
+var validation = require('../validation/endpoints');
+var endpoints = require('../endpoints');
+
+
+// ---- globals/constants
+
+var PLATFORM_ROLLOUT_MAX_BATCH_SIZE = 50;
+
+var PLATFORM_ROLLOUT_LIST_MIN_LIMIT = 1;
+var PLATFORM_ROLLOUT_LIST_MAX_LIMIT = 1000;
+
+
+function PlatformRollout() {}
+
+
+/* BEGIN JSSTYLED */
+/**
+ * Create a rollout to move a set of servers onto a platform image. The servers
+ * are given either as a list of `servers` or as a `filter` expression (see
+ * [Filtering servers](#filtering-servers)), which is evaluated when the
+ * rollout is created.
+ *
+ * The servers are moved in batches of at most `batch_size`, in the order given
+ * (or by UUID for a filter). For each batch, the servers' `boot_platform` is
+ * set to `platform` and, if `reboot` is true, a reboot plan is created to
+ * reboot them (see RebootPlanCreate). A server has converged once it is
+ * running with the platform as its `current_platform` (the `Live Image` from
+ * its sysinfo), and has failed if it boots a different platform or its reboot
+ * fails. The next batch is started once every server in the current one has
+ * converged or failed. When `reboot` is false, servers wait to be rebooted
+ * some other way (e.g. by setting their `next_reboot`).
+ *
+ * The rollout is carried out by CNAPI in the background; use
+ * PlatformRolloutGet to follow its progress. A server cannot be added to a
+ * rollout while it is in another active rollout.
+ *
+ * @name PlatformRolloutCreate
+ * @endpoint POST /platform-rollouts
+ * @section Platform Rollouts API
+ *
+ * @param {String} platform The platform image to move the servers onto
+ * @param {Array} servers UUIDs of the servers, in the order they should be moved
+ * @param {String} filter Move the servers matching this filter expression
+ * @param {Number} batch_size Maximum number of servers in each batch (1-50, default 1)
+ * @param {Boolean} reboot Reboot each batch onto the platform (default false)
+ * @param {Boolean} stop_on_failure Stop starting batches when a server fails (default true)
+ * @param {Boolean} drain Wait for each server's cn-agent to be drained before rebooting it (default false)
+ * @param {String} origin Name of the tool or service creating the rollout
+ * @param {String} creator_uuid UUID of the user creating the rollout
+ *
+ * @example POST /platform-rollouts
+ *          -d '{ "platform": "20210826T002459Z", "filter": "rack_identifier=R1", "batch_size": 5, "reboot": true }'
+ *
+ * @response 202 Object The newly created rollout
+ * @response 409 Error Invalid parameters
+ * @response 500 Error Could not process request
+ */
+/* END JSSTYLED */
+
+PlatformRollout.create = function handlerPlatformRolloutCreate(req, res, next) {
+    var rules = {
+        'batch_size': ['optional', 'isNumberType'],
+        'creator_uuid': ['optional', 'isStringType', 'isTrim'],
+        'drain': ['optional', 'isBooleanType'],
+        'filter': ['optional', 'isStringType'],
+        'origin': ['optional', 'isStringType', 'isTrim'],
+        'platform': ['isStringType', 'isTrim'],
+        'reboot': ['optional', 'isBooleanType'],
+        'servers': ['optional', 'isArrayType'],
+        'stop_on_failure': ['optional', 'isBooleanType']
+    };
+
+    if (validation.ensureParamsValid(req, res, rules, { strict: true })) {
+        next();
+        return;
+    }
+
+    var batchSize = 1;
+    var filterAst;
+    var invalid;
+    var platform = req.params.platform;
+
+    if ((req.params.servers === undefined) ===
+        (req.params.filter === undefined)) {
+
+        next(new restify.InvalidArgumentError(
+            'exactly one of servers or filter must be specified'));
+        return;
+    }
+
+    if (req.params.servers) {
+        invalid = req.params.servers.filter(function _isInvalid(u) {
+            return (!endpoints.isUuid(u));
+        });
+        if (invalid.length > 0) {
+            next(new restify.InvalidArgumentError(
+                'servers contains invalid UUIDs: %s', invalid.join(', ')));
+            return;
+        }
+
+        invalid = req.params.servers.filter(function _isDuplicate(u, idx) {
+            return (req.params.servers.indexOf(u) !== idx);
+        });
+        if (invalid.length > 0) {
+            next(new restify.InvalidArgumentError(
+                'servers contains duplicate UUIDs: %s', invalid.join(', ')));
+            return;
+        }
+    } else {
+        try {
+            filterAst = serverFilter.parse(req.params.filter);
+        } catch (parseErr) {
+            next(new restify.InvalidArgumentError(
+                'Invalid filter: ' + parseErr.message));
+            return;
+        }
+    }
+
+    if (req.params.batch_size !== undefined) {
+        batchSize = req.params.batch_size;
+        if (batchSize !== Math.floor(batchSize) || batchSize < 1 ||
+            batchSize > PLATFORM_ROLLOUT_MAX_BATCH_SIZE) {
+
+            next(new restify.InvalidArgumentError(
+                'batch_size must be an integer in the range 1-%d',
+                PLATFORM_ROLLOUT_MAX_BATCH_SIZE));
+            return;
+        }
+    }
+
+    vasync.waterfall([
+        function _checkPlatform(cb) {
+            ModelPlatform.list({}, function (err, platforms) {
+                if (err) {
+                    cb(new restify.InternalError(err.message));
+                    return;
+                }
+
+                if (!platforms.hasOwnProperty(platform)) {
+                    cb(new restify.InvalidArgumentError(
+                        'Platform \'%s\' does not exist', platform));
+                    return;
+                }
+
+                cb();
+            });
+        },
+        function _getServerUuids(cb) {
+            if (filterAst) {
+                ModelServer.listUuids(filterAst, function (err, uuids) {
+                    if (err) {
+                        cb(new restify.InternalError(err.message));
+                        return;
+                    }
+                    cb(null, uuids);
+                });
+                return;
+            }
+
+            ModelServer.list({
+                raw: true,
+                uuid: req.params.servers
+            }, function _onServers(err, servers) {
+                var found = {};
+
+                if (err) {
+                    cb(new restify.InternalError(err.message));
+                    return;
+                }
+
+                servers.forEach(function _addFound(server) {
+                    found[server.uuid] = true;
+                });
+
+                invalid = req.params.servers.filter(function _isUnknown(u) {
+                    return (!found[u]);
+                });
+                if (invalid.length > 0) {
+                    cb(new restify.InvalidArgumentError(
+                        'unknown servers: %s', invalid.join(', ')));
+                    return;
+                }
+
+                cb(null, req.params.servers);
+            });
+        },
+        function _checkActive(serverUuids, cb) {
+            if (serverUuids.length === 0) {
+                cb(new restify.InvalidArgumentError(
+                    'no servers to roll out to'));
+                return;
+            }
+
+            ModelPlatformRollout.listActive(function _onActive(err, rollouts) {
+                var busy = [];
+
+                if (err) {
+                    cb(new restify.InternalError(err.message));
+                    return;
+                }
+
+                rollouts.forEach(function _checkRollout(rollout) {
+                    rollout.servers.forEach(function _checkServer(server) {
+                        if (serverUuids.indexOf(server.server_uuid) !== -1) {
+                            busy.push(server.server_uuid + ' (' +
+                                rollout.uuid + ')');
+                        }
+                    });
+                });
+
+                if (busy.length > 0) {
+                    cb(new restify.InvalidArgumentError(
+                        'servers already in an active platform rollout: %s',
+                        busy.join(', ')));
+                    return;
+                }
+
+                cb(null, serverUuids);
+            });
+        },
+        function _create(serverUuids, cb) {
+            ModelPlatformRollout.create({
+                batch_size: batchSize,
+                creator_uuid: req.params.creator_uuid,
+                drain: Boolean(req.params.drain),
+                origin: req.params.origin,
+                platform: platform,
+                reboot: Boolean(req.params.reboot),
+                servers: serverUuids,
+                stop_on_failure: (req.params.stop_on_failure !== false)
+            }, function _onCreate(err, rollout) {
+                if (err) {
+                    cb(new restify.InternalError(err.message));
+                    return;
+                }
+
+                cb(null, rollout);
+            });
+        }
+    ], function _done(err, rollout) {
+        if (err) {
+            next(err);
+            return;
+        }
+
+        req.log.info({rollout: rollout}, 'created platform rollout');
+
+        res.send(202, rollout);
+        next();
+    });
+};
+
+
+/* BEGIN JSSTYLED */
+/**
+ * Returns platform rollouts, newest first. Each rollout has a `state` which is
+ * one of `running`, `stopping` (no more batches will be started, but some
+ * servers are still rebooting), `stopped` or `complete`, a `counts` object
+ * with the number of servers in each state, and a `servers` array with the
+ * state of each server: `pending`, `staged` (`boot_platform` has been set and
+ * the server is waiting to be booted onto the platform), `rebooting` (with the
+ * `reboot_plan_uuid` of its batch), `converged` or `failed` (with an `error`).
+ *
+ * @name PlatformRolloutList
+ * @endpoint GET /platform-rollouts
+ * @section Platform Rollouts API
+ *
+ * @param {String} state Only return rollouts in this state
+ * @param {Integer} limit Maximum number of results to return. It must be between 1-1000, inclusive. Defaults to 1000.
+ * @param {Integer} offset Offset the subset of results returned
+ *
+ * @response 200 Array The platform rollouts
+ * @response 500 Error Could not process request
+ */
+/* END JSSTYLED */
+
+PlatformRollout.list = function handlerPlatformRolloutList(req, res, next) {
+    var rules = {
+        'limit': ['optional', 'isInt'],
+        'offset': ['optional', 'isInt'],
+        'state': ['optional', 'isStringType', 'isTrim']
+    };
+
+    if (validation.ensureParamsValid(req, res, rules, { strict: true })) {
+        next();
+        return;
+    }
+
+    var limit;
+    var params = {};
+    var states = ModelPlatformRollout.PLATFORM_ROLLOUT_STATES;
+
+    if (req.params.state !== undefined) {
+        if (states.indexOf(req.params.state) === -1) {
+            next(new restify.InvalidArgumentError(
+                'state must be one of: %s', states.join(', ')));
+            return;
+        }
+        params.state = req.params.state;
+    }
+
+    if (req.params.limit !== undefined) {
+        limit = Number(req.params.limit);
+        if (limit < PLATFORM_ROLLOUT_LIST_MIN_LIMIT ||
+            PLATFORM_ROLLOUT_LIST_MAX_LIMIT < limit) {
+
+            res.send(400, validation.formatValidationErrors([ {
+                param: 'limit',
+                msg: 'limit must be in the range ' +
+                    PLATFORM_ROLLOUT_LIST_MIN_LIMIT + '-' +
+                    PLATFORM_ROLLOUT_LIST_MAX_LIMIT + ' (inclusive)'
+            }]));
+            next();
+            return;
+        }
+        params.limit = limit;
+    }
+
+    if (req.params.offset !== undefined) {
+        params.offset = Number(req.params.offset);
+    }
+
+    ModelPlatformRollout.list(params, function (err, rollouts) {
+        if (err) {
+            next(new restify.InternalError(err.message));
+            return;
+        }
+
+        res.send(200, rollouts);
+        next();
+    });
+};
+
+
+/* BEGIN JSSTYLED */
+/**
+ * Returns a platform rollout and the progress of each of its servers (see
+ * PlatformRolloutList).
+ *
+ * @name PlatformRolloutGet
+ * @endpoint GET /platform-rollouts/:platform_rollout_uuid
+ * @section Platform Rollouts API
+ *
+ * @response 200 Object The platform rollout
+ * @response 404 Error No such platform rollout
+ * @response 500 Error Could not process request
+ */
+/* END JSSTYLED */
+
+PlatformRollout.get = function handlerPlatformRolloutGet(req, res, next) {
+    var rules = {
+        'platform_rollout_uuid': ['isStringType']
+    };
+
+    if (validation.ensureParamsValid(req, res, rules, { strict: true })) {
+        next();
+        return;
+    }
+
+    if (!endpoints.isUuid(req.params.platform_rollout_uuid)) {
+        next(new restify.InvalidArgumentError(
+            'Invalid platform_rollout_uuid'));
+        return;
+    }
+
+    ModelPlatformRollout.get(req.params.platform_rollout_uuid,
+        function (err, rollout) {
+            if (err) {
+                next(new restify.InternalError(err.message));
+                return;
+            }
+
+            if (!rollout) {
+                next(new restify.ResourceNotFoundError('Platform rollout ' +
+                    req.params.platform_rollout_uuid + ' not found'));
+                return;
+            }
+
+            res.send(200, rollout);
+            next();
+        });
+};
+
+
+/* BEGIN JSSTYLED */
+/**
+ * Stop a running platform rollout. No more batches will be started, but
+ * servers which are already rebooting are still followed until they are done,
+ * so the rollout is `stopping` until then and `stopped` afterward. Stopping a
+ * rollout which is no longer running does nothing. The `boot_platform` of
+ * servers that have already been staged is not changed back.
+ *
+ * @name PlatformRolloutStop
+ * @endpoint POST /platform-rollouts/:platform_rollout_uuid/stop
+ * @section Platform Rollouts API
+ *
+ * @response 200 Object The platform rollout
+ * @response 404 Error No such platform rollout
+ * @response 500 Error Could not process request
+ */
+/* END JSSTYLED */
+
+PlatformRollout.stop = function handlerPlatformRolloutStop(req, res, next) {
+    var rules = {
+        'platform_rollout_uuid': ['isStringType']
+    };
+
+    if (validation.ensureParamsValid(req, res, rules, { strict: true })) {
+        next();
+        return;
+    }
+
+    if (!endpoints.isUuid(req.params.platform_rollout_uuid)) {
+        next(new restify.InvalidArgumentError(
+            'Invalid platform_rollout_uuid'));
+        return;
+    }
+
+    ModelPlatformRollout.stop(req.params.platform_rollout_uuid,
+        'stopped by request', function (err, rollout) {
+            if (err) {
+                next(new restify.InternalError(err.message));
+                return;
+            }
+
+            if (!rollout) {
+                next(new restify.ResourceNotFoundError('Platform rollout ' +
+                    req.params.platform_rollout_uuid + ' not found'));
+                return;
+            }
+
+            res.send(200, rollout);
+            next();
+        });
+};
+
+
+function attachTo(http, app) {
+    var ensure = require('../endpoints').ensure;
+
+    // Create a platform rollout
+    http.post(
+        { path: '/platform-rollouts', name: 'PlatformRolloutCreate' },
+        ensure({
+            connectionTimeoutSeconds: 60 * 60,
+            app: app,
+            connected: ['moray']
+        }),
+        PlatformRollout.create);
+
+    // List platform rollouts
+    http.get(
+        { path: '/platform-rollouts', name: 'PlatformRolloutList' },
+        ensure({
+            connectionTimeoutSeconds: 60 * 60,
+            app: app,
+            connected: ['moray']
+        }),
+        PlatformRollout.list);
+
+    // Get a platform rollout
+    http.get({
+        path: '/platform-rollouts/:platform_rollout_uuid',
+        name: 'PlatformRolloutGet' },
+        ensure({
+            connectionTimeoutSeconds: 60 * 60,
+            app: app,
+            connected: ['moray']
+        }),
+        PlatformRollout.get);
+
+    // Stop a platform rollout
+    http.post({
+        path: '/platform-rollouts/:platform_rollout_uuid/stop',
+        name: 'PlatformRolloutStop' },
+        ensure({
+            connectionTimeoutSeconds: 60 * 60,
+            app: app,
+            connected: ['moray']
+        }),
+        PlatformRollout.stop);
+}
+
+
+exports.attachTo = attachTo;
@@ -0,0 +1,425 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2021 Joyent, Inc.
+ */
+
+/*
+ * HTTP endpoints for creating and following reboot plans. The plans are
+ * carried out by the reboot scheduler (see lib/reboot_scheduler.js).
+ */
+
+var restify = require('restify');
+
+var ModelRebootPlan = require('../models/reboot_plan');
+var ModelServer = require('../models/server');
+var validation = require('../validation/endpoints');
+var endpoints = require('../endpoints');
+
+
+// ---- globals/constants
+
+var REBOOT_PLAN_MAX_CONCURRENCY = 50;
+
+var REBOOT_PLAN_LIST_MIN_LIMIT = 1;
+var REBOOT_PLAN_LIST_MAX_LIMIT = 1000;
+
+
+function RebootPlan() {}
+
+
+/* BEGIN JSSTYLED */
+/**
+ * Create a plan to reboot a set of servers, rebooting at most `concurrency` of
+ * them at once. The servers are rebooted in the order given using the
+ * server-reboot workflow, and a server is considered to have been rebooted once
+ * it is running again with a new `last_boot`. When `stop_on_failure` is true
+ * (the default), no more reboots are started once a server fails to reboot.
+ *
+ * The plan is carried out by CNAPI in the background; use RebootPlanGet to
+ * follow its progress. A server cannot be added to a plan while it is pending
+ * or rebooting in another plan.
+ *
+ * CNAPI also creates plans itself for running servers whose `next_reboot` has
+ * passed (within the last 24 hours). These plans have `scheduled` set to
+ * true, and the `next_reboot` of each server in them is cleared.
+ *
+ * @name RebootPlanCreate
+ * @endpoint POST /reboot-plans
+ * @section Reboot Plans API
+ *
+ * @param {Array} servers UUIDs of the servers to reboot, in the order they should be rebooted
+ * @param {Number} concurrency Maximum number of servers rebooting at once (1-50, default 1)
+ * @param {Boolean} stop_on_failure Stop starting reboots when a server fails to reboot (default true)
+ * @param {Boolean} drain Wait for each server's cn-agent to be drained before rebooting it (default false)
+ * @param {String} origin Name of the tool or service creating the plan
+ * @param {String} creator_uuid UUID of the user creating the plan
+ *
+ * @example POST /reboot-plans
+ *          -d '{ "servers": [ "12494d5e-3960-4d65-a61a-0ca6252d6914" ], "concurrency": 2 }'
+ *
+ * @response 202 Object The newly created plan
+ * @response 409 Error Invalid parameters
+ * @response 500 Error Could not process request
+ */
+/* END JSSTYLED */
+
+RebootPlan.create = function handlerRebootPlanCreate(req, res, next) {
+    var rules = {
+        'concurrency': ['optional', 'isNumberType'],
+        'creator_uuid': ['optional', 'isStringType', 'isTrim'],
+        'drain': ['optional', 'isBooleanType'],
+        'origin': ['optional', 'isStringType', 'isTrim'],
+        'servers': ['isArrayType'],
+        'stop_on_failure': ['optional', 'isBooleanType']
+    };
+
+    if (validation.ensureParamsValid(req, res, rules, { strict: true })) {
+        next();
+        return;
+    }
+
+    var concurrency = 1;
+    var invalid;
+    var serverUuids = req.params.servers;
+
+    invalid = serverUuids.filter(function _isInvalid(u) {
+        return (!endpoints.isUuid(u));
+    });
+    if (invalid.length > 0) {
+        next(new restify.InvalidArgumentError(
+            'servers contains invalid UUIDs: %s', invalid.join(', ')));
+        return;
+    }
+
+    if (serverUuids.length === 0) {
+        next(new restify.InvalidArgumentError('servers must not be empty'));
+        return;
+    }
+
+    invalid = serverUuids.filter(function _isDuplicate(u, idx) {
+        return (serverUuids.indexOf(u) !== idx);
+    });
+    if (invalid.length > 0) {
+        next(new restify.InvalidArgumentError(
+            'servers contains duplicate UUIDs: %s', invalid.join(', ')));
+        return;
+    }
+
+    if (req.params.concurrency !== undefined) {
+        concurrency = req.params.concurrency;
+        if (concurrency !== Math.floor(concurrency) || concurrency < 1 ||
+            concurrency > REBOOT_PLAN_MAX_CONCURRENCY) {
+
+            next(new restify.InvalidArgumentError(
+                'concurrency must be an integer in the range 1-%d',
+                REBOOT_PLAN_MAX_CONCURRENCY));
+            return;
+        }
+    }
+
+    ModelServer.list({
+        raw: true,
+        uuid: serverUuids
+    }, function _onServers(listErr, servers) {
+        var found = {};
+
+        if (listErr) {
+            next(new restify.InternalError(listErr.message));
+            return;
+        }
+
+        servers.forEach(function _addFound(server) {
+            found[server.uuid] = true;
+        });
+
+        invalid = serverUuids.filter(function _isUnknown(u) {
+            return (!found[u]);
+        });
+        if (invalid.length > 0) {
+            next(new restify.InvalidArgumentError(
+                'unknown servers: %s', invalid.join(', ')));
+            return;
+        }
+
+        ModelRebootPlan.listActive(function _onActive(activeErr, plans) {
+            var busy = [];
+
+            if (activeErr) {
+                next(new restify.InternalError(activeErr.message));
+                return;
+            }
+
+            plans.forEach(function _checkPlan(plan) {
+                plan.servers.forEach(function _checkServer(server) {
+                    if ((server.state === 'pending' ||
+                        server.state === 'rebooting') &&
+                        serverUuids.indexOf(server.server_uuid) !== -1) {
+
+                        busy.push(server.server_uuid + ' (' + plan.uuid + ')');
+                    }
+                });
+            });
+
+            if (busy.length > 0) {
+                next(new restify.InvalidArgumentError(
+                    'servers already in an active reboot plan: %s',
+                    busy.join(', ')));
+                return;
+            }
+
+            ModelRebootPlan.create({
+                concurrency: concurrency,
+                creator_uuid: req.params.creator_uuid,
+                drain: Boolean(req.params.drain),
+                origin: req.params.origin,
+                servers: serverUuids,
+                stop_on_failure: (req.params.stop_on_failure !== false)
+            }, function _onCreate(err, plan) {
+                if (err) {
+                    next(new restify.InternalError(err.message));
+                    return;
+                }
+
+                req.log.info({plan: plan}, 'created reboot plan');
+
+                res.send(202, plan);
+                next();
+            });
+        });
+    });
+};
+
+
+/* BEGIN JSSTYLED */
+/**
+ * Returns reboot plans, newest first. Each plan has a `state` which is one of
+ * `running`, `stopping` (no more reboots will be started, but some servers are
+ * still rebooting), `stopped` or `complete`, a `counts` object with the number
+ * of servers in each state, and a `servers` array with the state of each
+ * server's reboot: `pending`, `rebooting`, `complete` or `failed` (with an
+ * `error`).
+ *
+ * @name RebootPlanList
+ * @endpoint GET /reboot-plans
+ * @section Reboot Plans API
+ *
+ * @param {String} state Only return plans in this state
+ * @param {Integer} limit Maximum number of results to return. It must be between 1-1000, inclusive. Defaults to 1000.
+ * @param {Integer} offset Offset the subset of results returned
+ *
+ * @response 200 Array The reboot plans
+ * @response 500 Error Could not process request
+ */
+/* END JSSTYLED */
+
+RebootPlan.list = function handlerRebootPlanList(req, res, next) {
+    var rules = {
+        'limit': ['optional', 'isInt'],
+        'offset': ['optional', 'isInt'],
+        'state': ['optional', 'isStringType', 'isTrim']
+    };
+
+    if (validation.ensureParamsValid(req, res, rules, { strict: true })) {
+        next();
+        return;
+    }
+
+    var limit;
+    var params = {};
+
+    if (req.params.state !== undefined) {
+        if (ModelRebootPlan.REBOOT_PLAN_STATES.indexOf(req.params.state) ===
+            -1) {
+
+            next(new restify.InvalidArgumentError(
+                'state must be one of: %s',
+                ModelRebootPlan.REBOOT_PLAN_STATES.join(', ')));
+            return;
+        }
+        params.state = req.params.state;
+    }
+
+    if (req.params.limit !== undefined) {
+        limit = Number(req.params.limit);
+        if (limit < REBOOT_PLAN_LIST_MIN_LIMIT ||
+            REBOOT_PLAN_LIST_MAX_LIMIT < limit) {
+
+            res.send(400, validation.formatValidationErrors([ {
+                param: 'limit',
+                msg: 'limit must be in the range ' +
+                    REBOOT_PLAN_LIST_MIN_LIMIT + '-' +
+                    REBOOT_PLAN_LIST_MAX_LIMIT + ' (inclusive)'
+            }]));
+            next();
+            return;
+        }
+        params.limit = limit;
+    }
+
+    if (req.params.offset !== undefined) {
+        params.offset = Number(req.params.offset);
+    }
+
+    ModelRebootPlan.list(params, function (err, plans) {
+        if (err) {
+            next(new restify.InternalError(err.message));
+            return;
+        }
+
+        res.send(200, plans);
+        next();
+    });
+};
+
+
+/* BEGIN JSSTYLED */
+/**
+ * Returns a reboot plan and the progress of each server's reboot (see
+ * RebootPlanList).
+ *
+ * @name RebootPlanGet
+ * @endpoint GET /reboot-plans/:reboot_plan_uuid
+ * @section Reboot Plans API
+ *
+ * @response 200 Object The reboot plan
+ * @response 404 Error No such reboot plan
+ * @response 500 Error Could not process request
+ */
+/* END JSSTYLED */
+
+RebootPlan.get = function handlerRebootPlanGet(req, res, next) {
+    var rules = {
+        'reboot_plan_uuid': ['isStringType']
+    };
+
+    if (validation.ensureParamsValid(req, res, rules, { strict: true })) {
+        next();
+        return;
+    }
+
+    if (!endpoints.isUuid(req.params.reboot_plan_uuid)) {
+        next(new restify.InvalidArgumentError('Invalid reboot_plan_uuid'));
+        return;
+    }
+
+    ModelRebootPlan.get(req.params.reboot_plan_uuid, function (err, plan) {
+        if (err) {
+            next(new restify.InternalError(err.message));
+            return;
+        }
+
+        if (!plan) {
+            next(new restify.ResourceNotFoundError(
+                'Reboot plan ' + req.params.reboot_plan_uuid + ' not found'));
+            return;
+        }
+
+        res.send(200, plan);
+        next();
+    });
+};
+
+
+/* BEGIN JSSTYLED */
+/**
+ * Stop a running reboot plan. No more reboots will be started, but servers
+ * which are already rebooting are still followed until they are done, so the
+ * plan is `stopping` until then and `stopped` afterward. Stopping a plan which
+ * is no longer running does nothing.
+ *
+ * @name RebootPlanStop
+ * @endpoint POST /reboot-plans/:reboot_plan_uuid/stop
+ * @section Reboot Plans API
+ *
+ * @response 200 Object The reboot plan
+ * @response 404 Error No such reboot plan
+ * @response 500 Error Could not process request
+ */
+/* END JSSTYLED */
+
+RebootPlan.stop = function handlerRebootPlanStop(req, res, next) {
+    var rules = {
+        'reboot_plan_uuid': ['isStringType']
+    };
+
+    if (validation.ensureParamsValid(req, res, rules, { strict: true })) {
+        next();
+        return;
+    }
+
+    if (!endpoints.isUuid(req.params.reboot_plan_uuid)) {
+        next(new restify.InvalidArgumentError('Invalid reboot_plan_uuid'));
+        return;
+    }
+
+    ModelRebootPlan.stop(req.params.reboot_plan_uuid, 'stopped by request',
+        function (err, plan) {
+            if (err) {
+                next(new restify.InternalError(err.message));
+                return;
+            }
+
+            if (!plan) {
+                next(new restify.ResourceNotFoundError('Reboot plan ' +
+                    req.params.reboot_plan_uuid + ' not found'));
+                return;
+            }
+
+            res.send(200, plan);
+            next();
+        });
+};
+
+
+function attachTo(http, app) {
+    var ensure = require('../endpoints').ensure;
+
+    // Create a reboot plan
+    http.post(
+        { path: '/reboot-plans', name: 'RebootPlanCreate' },
+        ensure({
+            connectionTimeoutSeconds: 60 * 60,
+            app: app,
+            connected: ['moray', 'workflow']
+        }),
+        RebootPlan.create);
+
+    // List reboot plans
+    http.get(
+        { path: '/reboot-plans', name: 'RebootPlanList' },
+        ensure({
+            connectionTimeoutSeconds: 60 * 60,
+            app: app,
+            connected: ['moray']
+        }),
+        RebootPlan.list);
+
+    // Get a reboot plan
+    http.get(
+        { path: '/reboot-plans/:reboot_plan_uuid', name: 'RebootPlanGet' },
+        ensure({
+            connectionTimeoutSeconds: 60 * 60,
+            app: app,
+            connected: ['moray']
+        }),
+        RebootPlan.get);
+
+    // Stop a reboot plan
+    http.post({
+        path: '/reboot-plans/:reboot_plan_uuid/stop',
+        name: 'RebootPlanStop' },
+        ensure({
+            connectionTimeoutSeconds: 60 * 60,
+            app: app,
+            connected: ['moray']
+        }),
+        RebootPlan.stop);
+}
+
+
+exports.attachTo = attachTo;
@@ -25,15 +25,36 @@ var VError = require('verror');
 
 var Designation = require('../designation');
 var errors = require('../errors');
+var serverFilter = require('../server_filter');
+var ModelCapacityHold = require('../models/capacity_hold');
+var ModelFaultDomain = require('../models/fault_domain');
 var ModelPlatform = require('../models/platform');
 var ModelServer = require('../models/server');
+var ModelServerHistory = require('../models/server_history');
+var ModelStatusHistory = require('../models/status_history');
 var validation = require('../validation/endpoints');
+var endpoints = require('../endpoints');
 
 
 // ---- globals/constants
 
 var SERVER_LIST_MIN_LIMIT = 1;
 var SERVER_LIST_MAX_LIMIT = 1000;
+var SERVER_LIST_CURSOR_HEADER = 'x-next-cursor';
+
+var SERVER_HISTORY_MIN_LIMIT = 1;
+var SERVER_HISTORY_MAX_LIMIT = 1000;
+
+var BULK_UPDATE_DEFAULT_CONCURRENCY = 10;
+var BULK_UPDATE_MAX_CONCURRENCY = 50;
+
+// The properties which can be set by ServerBulkUpdate, and their types.
+var BULK_UPDATE_PROPERTIES = {
+    next_reboot: 'string',
+    rack_identifier: 'string',
+    reserved: 'boolean',
+    traits: 'object'
+};
 
 var TASK_COMMAND_EXECUTE_MIN_VERSON = '2.6.0';
 var TASK_SERVER_REBOOT_MIN_VERSION = '2.11.0';
@@ -67,6 +88,30 @@ function getCnAgentFromStashedServer(stashedServer) {
 }
 
 
+// ServerList cursors are opaque to clients, but are just the UUID of the last
+// server on the previous page.
+function encodeServerListCursor(serverUuid) {
+    return Buffer.from(JSON.stringify({after: serverUuid})).toString('base64');
+}
+
+// Returns the server UUID from a cursor, or undefined if the cursor is invalid.
+function decodeServerListCursor(cursor) {
+    var decoded;
+
+    try {
+        decoded = JSON.parse(Buffer.from(cursor, 'base64').toString());
+    } catch (e) {
+        return undefined;
+    }
+
+    if (!decoded || !endpoints.isUuid(decoded.after)) {
+        return undefined;
+    }
+
+    return decoded.after;
+}
+
+
 // ---- exports
 
 function Server() {}
@@ -76,6 +121,22 @@ function Server() {}
 /**
  * Returns Servers present in datacenter.
  *
+ * Servers are returned sorted by UUID. To walk through a large number of
+ * servers, pass the value of the x-next-cursor response header as `cursor` in
+ * the request for the next page. Unlike with `offset`, servers won't be
+ * skipped or returned twice when servers are added or removed between
+ * requests. The header is omitted when there are no more servers.
+ *
+ * With the capacity extra, each server includes the capacity holds on it as
+ * `capacity_holds`, and what they keep is subtracted from its unreserved_ram
+ * and unreserved_disk (see CapacityHoldCreate).
+ *
+ * If aggregate is 'datacenter', 'room' or 'rack', the spare capacity of the
+ * page of servers is added up per fault domain at that level (see
+ * FaultDomainCreate), and the fault domains are returned instead of the
+ * servers, as in ServerCapacity's `fault_domains`. This implies the capacity
+ * extra, and fields is ignored.
+ *
  * @name ServerList
  * @endpoint GET /servers
  * @section Server API
@@ -86,24 +147,36 @@ function Server() {}
  * @param {Boolean} reserved Return only reserved servers
  * @param {Boolean} reservoir Return only reservoir servers
  * @param {String} hostname Return machine with given hostname
+ * @param {String} filter Return servers matching this filter expression (see [Filtering servers](#filtering-servers))
  * @param {String} extras Comma seperated values: agents, vms, memory, disk, sysinfo, capacity, all
  * @param {String} fields Comma seperated string values for which server fields to return with
  * @param {Integer} limit Maximum number of results to return. It must be between 1-1000, inclusive. Defaults to 1000 (the maxmimum allowed value).
  * @param {Integer} offset Offset the subset of results returned
+ * @param {String} cursor Return the page of results following the one which returned this cursor in its x-next-cursor header. Cannot be combined with offset.
+ * @param {String} aggregate Return the spare capacity per 'datacenter', 'room' or 'rack' instead of the servers
  *
  * @example GET /servers
  * @example GET /servers?uuids=uuid1,uuid2
  * @example GET /servers?setup=true
  * @example GET /servers?headnode=false
+ * @example GET /servers?filter=status%3Drunning%20and%20traits.ssd%3Dtrue
+ * @example GET /servers?setup=true&aggregate=rack
  *
- * @response 200 Array The returned servers
+ * @response 200 Array The returned servers. When there may be more servers, the x-next-cursor header contains the cursor to use to fetch the next page.
  */
 /* END JSSTYLED */
 
 Server.list = function handlerSeverList(req, res, next) {
+    var aggregated;
+    var capacityRun = false;
     var result;
 
     var rules = {
+        'aggregate': [
+            ['optional', undefined],
+            ['regex', RegExp(/^(datacenter|room|rack)$/)]
+        ],
+        'cursor': ['optional', 'isStringType'],
         'setup': [
             ['optional', undefined],
             ['regex', RegExp(/^(true|false)$/i)],
@@ -134,6 +207,7 @@ Server.list = function handlerSeverList(req, res, next) {
             ['regex', RegExp(/^(true|false)$/i)],
             ['sanitize', 'toBoolean']
         ],
+        'filter': ['optional', 'isStringType'],
         'hostname': ['optional', 'isStringType', 'isTrim'],
         'limit': ['optional', 'isInt'],
         'offset': ['optional', 'isInt'],
@@ -149,6 +223,17 @@ Server.list = function handlerSeverList(req, res, next) {
         return;
     }
 
+    var filterAst;
+    if (req.params.filter !== undefined) {
+        try {
+            filterAst = serverFilter.parse(req.params.filter);
+        } catch (parseErr) {
+            next(new restify.InvalidArgumentError(
+                'Invalid filter: ' + parseErr.message));
+            return;
+        }
+    }
+
     var limit;
     if (req.params.limit !== undefined) {
         limit = Number(req.params.limit);
@@ -163,6 +248,21 @@ Server.list = function handlerSeverList(req, res, next) {
         }
     }
 
+    var after;
+    if (req.params.cursor !== undefined) {
+        if (req.params.offset !== undefined) {
+            next(new restify.InvalidArgumentError(
+                'cursor and offset cannot be used together'));
+            return;
+        }
+
+        after = decodeServerListCursor(req.params.cursor);
+        if (!after) {
+            next(new restify.InvalidArgumentError('Invalid cursor'));
+            return;
+        }
+    }
+
     async.waterfall([
         function (cb) {
             var options = {};
@@ -174,6 +274,7 @@ Server.list = function handlerSeverList(req, res, next) {
             options.headnode = req.params.headnode;
             options.reservoir = req.params.reservoir;
             options.hostname = req.params.hostname;
+            options.filter = filterAst;
             options.default = false;
 
             // Set up paging
@@ -183,15 +284,24 @@ Server.list = function handlerSeverList(req, res, next) {
             if (req.params.offset !== undefined) {
                 options.offset = Number(req.params.offset);
             }
+            options.after = after;
 
             // Set up extras
-            if (req.params.extras) {
+            if (req.params.extras || req.params.aggregate) {
                 var extras = { status: true, last_heartbeat: true };
                 options.extras = extras;
 
-                req.params.extras.split(',').forEach(function (f) {
-                    extras[f] = true;
-                });
+                if (req.params.extras) {
+                    req.params.extras.split(',').forEach(function (f) {
+                        extras[f] = true;
+                    });
+                }
+
+                // Adding up capacity per fault domain needs the capacity of
+                // each server.
+                if (req.params.aggregate) {
+                    extras.capacity = true;
+                }
 
                 // Capacity requires most of the data from CNAPI. Unfortunately,
                 // this means we need to clean up the largest additions
@@ -243,6 +353,7 @@ Server.list = function handlerSeverList(req, res, next) {
                     }
 
                     req.log.debug({reasons: reasons}, 'Done running capacity');
+                    capacityRun = true;
 
                     if (noAll) {
                         // if noAll is true, options.extras exists
@@ -263,6 +374,51 @@ Server.list = function handlerSeverList(req, res, next) {
                     cb();
                 });
             });
+        },
+
+        function (cb) {
+            if (!capacityRun) {
+                cb();
+                return;
+            }
+
+            ModelCapacityHold.listAll({}, function (err, holds) {
+                if (err) {
+                    cb(err);
+                    return;
+                }
+
+                ModelCapacityHold.applyToServers(holds, result);
+                cb();
+            });
+        },
+
+        function (cb) {
+            if (!req.params.aggregate) {
+                cb();
+                return;
+            }
+
+            ModelFaultDomain.loadTree(function (err, tree) {
+                if (err) {
+                    cb(err);
+                    return;
+                }
+
+                var capacities = {};
+
+                result.forEach(function (server) {
+                    capacities[server.uuid] = {
+                        cpu: server.unreserved_cpu,
+                        disk: server.unreserved_disk,
+                        ram: server.unreserved_ram
+                    };
+                });
+
+                aggregated = ModelFaultDomain.aggregateCapacity(tree, result,
+                    req.params.aggregate, capacities);
+                cb();
+            });
         }
     ],
     function (error) {
@@ -271,6 +427,22 @@ Server.list = function handlerSeverList(req, res, next) {
             return;
         }
 
+        // A full page means there may be more servers after this one. Since
+        // servers are sorted by UUID, the next page starts after the last one
+        // here, no matter what is added or removed in the meantime.
+        if (result.length > 0 &&
+            result.length === (limit || SERVER_LIST_MAX_LIMIT)) {
+
+            res.header(SERVER_LIST_CURSOR_HEADER,
+                encodeServerListCursor(result[result.length - 1].uuid));
+        }
+
+        if (aggregated) {
+            res.send(aggregated);
+            next();
+            return;
+        }
+
         if (!req.query.fields) {
             res.send(result);
             next();
@@ -296,7 +468,92 @@ Server.list = function handlerSeverList(req, res, next) {
 
 /* BEGIN JSSTYLED */
 /**
- * Look up a single Server by UUID.
+ * Stream changes made to server records. The response is a chunked stream of
+ * newline-separated JSON objects, one for each write made to a server record
+ * by this CNAPI instance. Each change contains a `seq` sequence number, the
+ * `server_uuid`, the list of top-level server properties that `changed`, and
+ * a `timestamp`. The stream stays open until the client disconnects.
+ *
+ * Sequence numbers increase monotonically, so a client that gets disconnected
+ * can reconnect with `since` set to the last `seq` it saw in order to receive
+ * the changes it missed. Only a limited number of recent changes are retained,
+ * and sequence numbers are reset when CNAPI restarts, so if the changes
+ * following `since` are no longer available, a 410 is returned. In that case,
+ * the client should re-list servers with ServerList and then follow the feed
+ * again without `since`.
+ *
+ * @name ServerChanges
+ * @endpoint GET /servers/changes
+ * @section Server API
+ *
+ * @param {Integer} since Only return changes with a sequence number greater than this. Defaults to only returning changes made after the request was received.
+ *
+ * @example GET /servers/changes?since=1234
+ *
+ * @response 200 Stream Newline-separated JSON change objects
+ * @response 410 Error The changes following `since` are no longer available
+ */
+/* END JSSTYLED */
+
+Server.changes = function handlerServerChanges(req, res, next) {
+    var rules = {
+        'since': ['optional', 'isInt']
+    };
+
+    if (validation.ensureParamsValid(req, res, rules, { strict: true })) {
+        next();
+        return;
+    }
+
+    var backlog;
+    var feed = ModelServer.changeFeed;
+    var since = feed.seq;
+
+    if (req.params.since !== undefined) {
+        since = Number(req.params.since);
+    }
+
+    backlog = feed.eventsSince(since);
+    if (backlog === undefined) {
+        next(new restify.GoneError(sprintf(
+            'changes since %d are no longer available, latest is %d',
+            since, feed.seq)));
+        return;
+    }
+
+    function writeChange(change) {
+        res.write(JSON.stringify(change) + '\n');
+    }
+
+    function onClose() {
+        feed.removeListener('change', writeChange);
+        req.log.debug({since: since, seq: feed.seq},
+            'server changes client disconnected');
+        next();
+    }
+
+    // This connection lives for as long as the client wants to follow
+    // changes, so we don't want the default timeout to apply.
+    req.connection.setTimeout(0);
+
+    res.writeHead(200, {'content-type': 'application/x-json-stream'});
+    backlog.forEach(writeChange);
+
+    feed.on('change', writeChange);
+    req.once('close', onClose);
+};
+
+
+/* BEGIN JSSTYLED */
+/**
+ * Look up a single Server by UUID. The server includes a `flapping` property,
+ * which is true when its status has dropped out of `running` too often recently
+ * (see ServerStatusHistory).
+ *
+ * The capacity holds on the server are included as `capacity_holds`, and what
+ * they keep is subtracted from its unreserved_ram and unreserved_disk (see
+ * CapacityHoldCreate). If the holds can't be looked up, the server is returned
+ * without `capacity_holds`.
  *
  * @name ServerGet
  * @endpoint GET /servers/:server\_uuid
@@ -344,8 +601,33 @@ Server.get = function handlerServerGet(req, res, next) {
 
                 req.log.debug('Done running capacity');
 
-                res.send(server);
-                next();
+                ModelCapacityHold.listAll({
+                    server_uuid: server.uuid
+                }, function _onHolds(holdsErr, holds) {
+                    // Likewise, if the holds can't be found the server is
+                    // returned without them.
+                    if (holdsErr) {
+                        req.log.warn(holdsErr,
+                            'failed to get server capacity holds');
+                    } else {
+                        ModelCapacityHold.applyToServers(holds, [server]);
+                    }
+
+                    ModelStatusHistory.get(server.uuid,
+                        function _onStatusHistory(historyErr, history) {
+                            // Not being able to tell whether the server is
+                            // flapping shouldn't stop us returning it.
+                            if (historyErr) {
+                                req.log.warn(historyErr,
+                                    'failed to get server status history');
+                            } else {
+                                server.flapping = history.flapping;
+                            }
+
+                            res.send(server);
+                            next();
+                        });
+                });
             });
         });
 };
@@ -365,7 +647,7 @@ Server.get = function handlerServerGet(req, res, next) {
  * @param {Number} etag_retries number of times to retry update in case of ETag conflict
  * @param {String} rack_identifier The id of the server's rack
  * @param {String} comments Any comments about the server
- * @param {String} next_reboot ISO timestamp when next reboot is scheduled for
+ * @param {String} next_reboot ISO timestamp when next reboot is scheduled for. CNAPI reboots the server at this time (see RebootPlanCreate)
  * @param {Array} nics List of NICs to update (see `Updating NICs` section)
  * @param {Boolean} reserved Server is available for provisioning
  * @param {Boolean} reservoir Server should be considered last for provisioning
@@ -374,8 +656,11 @@ Server.get = function handlerServerGet(req, res, next) {
  * @param {String} serial Serial device
  * @param {Boolean} setup True if server has been set up
  * @param {Boolean} setting_up True if server is in the process of setting up
+ * @param {Number} status_grace_seconds Extra seconds to wait for a heartbeat (or for sysinfo, if the server is not setup) before marking the server's status unknown
  * @param {String} transitional_status A value to use to override status when the server has status 'unknown'. This is for internal use only and currently is only used by server-reboot to set the state to 'rebooting' while a server is rebooting.
  * @param {Object} traits Server traits
+ * @param {String} origin Name of the tool or service making the change, recorded in the server's history
+ * @param {String} creator_uuid UUID of the user making the change, recorded in the server's history
  *
  * @example POST /servers/12494d5e-3960-4d65-a61a
  *          -d '{ "default_console": "vga", "setup", true }'
@@ -394,11 +679,13 @@ Server.update = function handlerServerUpdate(req, res, next) {
         'boot_params': ['optional', 'isObjectType'],
         'boot_platform': ['optional', 'isStringType', 'isTrim'],
         'comments': ['optional', 'isStringType', 'isTrim'],
+        'creator_uuid': ['optional', 'isStringType', 'isTrim'],
         'datacenter': ['optional', 'isStringType', 'isTrim'],
         'default_console': ['optional', 'isStringType', 'isTrim'],
         'etag_retries': ['optional', 'isNumberType'],
         'next_reboot': ['optional', 'isStringType', 'isTrim'],
         'nics': ['optional', 'isArrayType'],
+        'origin': ['optional', 'isStringType', 'isTrim'],
         'overprovision_ratios': ['optional', 'isObjectType'],
         'rack_identifier': ['optional', 'isStringType', 'isTrim'],
         'reservation_ratio': ['optional', 'isNumberType'],
@@ -408,6 +695,7 @@ Server.update = function handlerServerUpdate(req, res, next) {
         'server_uuid': ['isStringType'],
         'setting_up': ['optional', 'isBooleanType'],
         'setup': ['optional', 'isBooleanType'],
+        'status_grace_seconds': ['optional', 'isNumberType'],
         'traits': ['optional', 'isObjectType'],
         'transitional_status': ['optional', 'isStringType', 'isTrim']
     };
@@ -448,6 +736,15 @@ Server.update = function handlerServerUpdate(req, res, next) {
         return;
     }
 
+    var graceSeconds = req.params.status_grace_seconds;
+    if (graceSeconds !== undefined &&
+        (graceSeconds !== Math.floor(graceSeconds) || graceSeconds < 0)) {
+
+        next(new restify.InvalidArgumentError(
+            'status_grace_seconds must be a non-negative integer'));
+        return;
+    }
+
     // Ensure values are cast to the correct types
     var attrs = [
         ['agents', Array],
@@ -465,6 +762,7 @@ Server.update = function handlerServerUpdate(req, res, next) {
         ['serial', String],
         ['setting_up', Boolean],
         ['setup', Boolean],
+        ['status_grace_seconds', Number],
         ['traits', Object],
         ['transitional_status', String]
     ];
@@ -563,7 +861,12 @@ Server.update = function handlerServerUpdate(req, res, next) {
             // didn't either. This means as a client you'll get an ETag error if
             // something changes between the getObject and putObject in the
             // upsert.
-            etagRetries: req.params.etag_retries || 0
+            etagRetries: req.params.etag_retries || 0,
+            source: {
+                creator_uuid: req.params.creator_uuid,
+                origin: req.params.origin,
+                req_id: req.getId()
+            }
         }, function (modifyError) {
             if (modifyError) {
                 next(new restify.InternalError(modifyError.message));
@@ -577,6 +880,176 @@ Server.update = function handlerServerUpdate(req, res, next) {
     });
 };
 
+/* BEGIN JSSTYLED */
+/**
+ * Set the same properties on many servers at once. The servers to update are
+ * given either as a list of `uuids` or as a `filter` expression (see
+ * [Filtering servers](#filtering-servers)), and the properties to set are
+ * given as `patch`. Only `reserved`, `traits`, `next_reboot` and
+ * `rack_identifier` can be set this way.
+ *
+ * Each server is updated independently, with at most `concurrency` updates in
+ * progress at once, so a failure to update one server does not prevent the
+ * others from being updated. The response contains one entry for each server
+ * with its `server_uuid` and a `result` which is one of `success`, `failure`
+ * or `etag-conflict` (when the server was still being modified by something
+ * else after `etag_retries` retries). Entries which are not a success also
+ * have an `error` message.
+ *
+ * @name ServerBulkUpdate
+ * @endpoint POST /servers/bulk-update
+ * @section Server API
+ *
+ * @param {Array} uuids UUIDs of the servers to update
+ * @param {String} filter Update the servers matching this filter expression
+ * @param {Object} patch The properties to set on each server
+ * @param {Number} concurrency Maximum number of servers to update at once (1-50, default 10)
+ * @param {Number} etag_retries Number of times to retry each update in case of ETag conflict (default 0)
+ * @param {String} origin Name of the tool or service making the change, recorded in the servers' history
+ * @param {String} creator_uuid UUID of the user making the change, recorded in the servers' history
+ *
+ * @example POST /servers/bulk-update
+ *          -d '{ "filter": "rack_identifier=R1", "patch": { "reserved": true } }'
+ *
+ * @response 200 Array The result of updating each server
+ * @response 409 Error Invalid parameters
+ */
+/* END JSSTYLED */
+
+Server.bulkUpdate = function handlerServerBulkUpdate(req, res, next) {
+    var rules = {
+        'concurrency': ['optional', 'isNumberType'],
+        'creator_uuid': ['optional', 'isStringType', 'isTrim'],
+        'etag_retries': ['optional', 'isNumberType'],
+        'filter': ['optional', 'isStringType'],
+        'origin': ['optional', 'isStringType', 'isTrim'],
+        'patch': ['isObjectType'],
+        'uuids': ['optional', 'isArrayType']
+    };
+
+    if (validation.ensureParamsValid(req, res, rules, { strict: true })) {
+        next();
+        return;
+    }
+
+    var concurrency = BULK_UPDATE_DEFAULT_CONCURRENCY;
+    var filterAst;
+    var invalid;
+    var patch = req.params.patch;
+    var patchKeys = Object.keys(patch);
+
+    if ((req.params.uuids === undefined) ===
+        (req.params.filter === undefined)) {
+
+        next(new restify.InvalidArgumentError(
+            'exactly one of uuids or filter must be specified'));
+        return;
+    }
+
+    if (req.params.uuids) {
+        invalid = req.params.uuids.filter(function _isInvalid(u) {
+            return (!endpoints.isUuid(u));
+        });
+        if (invalid.length > 0) {
+            next(new restify.InvalidArgumentError(
+                'uuids contains invalid UUIDs: %s', invalid.join(', ')));
+            return;
+        }
+    } else {
+        try {
+            filterAst = serverFilter.parse(req.params.filter);
+        } catch (parseErr) {
+            next(new restify.InvalidArgumentError(
+                'Invalid filter: ' + parseErr.message));
+            return;
+        }
+    }
+
+    if (req.params.concurrency !== undefined) {
+        concurrency = req.params.concurrency;
+        if (concurrency !== Math.floor(concurrency) || concurrency < 1 ||
+            concurrency > BULK_UPDATE_MAX_CONCURRENCY) {
+
+            next(new restify.InvalidArgumentError(
+                'concurrency must be an integer in the range 1-%d',
+                BULK_UPDATE_MAX_CONCURRENCY));
+            return;
+        }
+    }
+
+    if (patchKeys.length === 0) {
+        next(new restify.InvalidArgumentError('patch must not be empty'));
+        return;
+    }
+
+    invalid = patchKeys.filter(function _isInvalid(k) {
+        var type = BULK_UPDATE_PROPERTIES[k];
+
+        if (!type) {
+            return true;
+        }
+
+        if (type === 'object') {
+            return (typeof (patch[k]) !== 'object' || patch[k] === null ||
+                Array.isArray(patch[k]));
+        }
+
+        return (typeof (patch[k]) !== type);
+    });
+
+    if (invalid.length > 0) {
+        next(new restify.InvalidArgumentError(
+            'patch contains invalid properties: %s (only %s can be set)',
+            invalid.join(', '),
+            Object.keys(BULK_UPDATE_PROPERTIES).join(', ')));
+        return;
+    }
+
+    if (patch.next_reboot &&
+        patch.next_reboot !== new Date(patch.next_reboot).toISOString()) {
+
+        next(new restify.InvalidArgumentError('Invalid date for next_reboot; ' +
+             'not an ISO date format'));
+        return;
+    }
+
+    vasync.waterfall([
+        function _getServerUuids(cb) {
+            if (req.params.uuids) {
+                cb(null, req.params.uuids);
+                return;
+            }
+
+            ModelServer.listUuids(filterAst, cb);
+        },
+        function _update(serverUuids, cb) {
+            req.log.info({
+                count: serverUuids.length,
+                patch: patch
+            }, 'bulk updating servers');
+
+            ModelServer.bulkUpsert(serverUuids, patch, {
+                concurrency: concurrency,
+                etagRetries: req.params.etag_retries || 0,
+                source: {
+                    creator_uuid: req.params.creator_uuid,
+                    origin: req.params.origin,
+                    req_id: req.getId()
+                }
+            }, cb);
+        }
+    ], function _done(err, results) {
+        if (err) {
+            next(new restify.InternalError(err.message));
+            return;
+        }
+
+        res.send(200, results);
+        next();
+    });
+};
+
+
 /* BEGIN JSSTYLED */
 /**
  * Reboot the server.
@@ -1136,6 +1609,422 @@ Server.taskHistory = function handlerServerTaskHistory(req, res, next) {
     });
 };
 
+/* BEGIN JSSTYLED */
+/**
+ * Return the history of changes made to a server's record, newest first. Each
+ * entry contains the `timestamp` of the change, the list of top-level server
+ * properties (`fields`) that changed, a `changes` object with the `before` and
+ * `after` values of each of those properties, and a `source` object which
+ * identifies who made the change (e.g. `req_id`, `origin` and `creator_uuid`
+ * for changes made via ServerUpdate). Changes to the properties which cn-agent
+ * updates periodically (vms, memory and disk usage) and to sysinfo are not
+ * recorded. Changes are kept for serverHistoryRetentionSeconds (30 days by
+ * default).
+ *
+ * @name ServerHistory
+ * @endpoint GET /servers/:server_uuid/history
+ * @section Server API
+ *
+ * @param {String} start Only return changes made at or after this ISO timestamp
+ * @param {String} end Only return changes made at or before this ISO timestamp
+ * @param {String} field Only return changes to this server property
+ * @param {Integer} limit Maximum number of results to return. It must be between 1-1000, inclusive. Defaults to 1000.
+ * @param {Integer} offset Offset the subset of results returned
+ *
+ * @example GET /servers/12494d5e-3960-4d65-a61a-0ca6252d6914/history?field=reserved
+ *
+ * @response 200 Array The history entries
+ * @response 500 Error Could not process request
+ */
+/* END JSSTYLED */
+
+Server.history = function handlerServerHistory(req, res, next) {
+    var rules = {
+        'end': ['optional', 'isStringType', 'isTrim'],
+        'field': [
+            ['optional', undefined],
+            /*JSSTYLED*/
+            ['regex', RegExp(/^[a-zA-Z_]+$/)]
+        ],
+        'limit': ['optional', 'isInt'],
+        'offset': ['optional', 'isInt'],
+        'server_uuid': ['isStringType'],
+        'start': ['optional', 'isStringType', 'isTrim']
+    };
+
+    if (validation.ensureParamsValid(req, res, rules, { strict: true })) {
+        next();
+        return;
+    }
+
+    var badParam;
+    var limit;
+    var params = {
+        end: req.params.end,
+        field: req.params.field,
+        server_uuid: req.params.server_uuid,
+        start: req.params.start
+    };
+
+    ['start', 'end'].forEach(function _checkTimestamp(p) {
+        var val = req.params[p];
+
+        if (val && !badParam && isNaN(new Date(val).getTime())) {
+            badParam = p;
+        }
+    });
+
+    if (badParam) {
+        next(new restify.InvalidArgumentError('Invalid date for ' + badParam +
+            '; not an ISO date format'));
+        return;
+    }
+
+    // Timestamps are compared as strings in moray, so they need to be in the
+    // same form as the ones we've written.
+    if (params.start) {
+        params.start = new Date(params.start).toISOString();
+    }
+    if (params.end) {
+        params.end = new Date(params.end).toISOString();
+    }
+
+    if (req.params.limit !== undefined) {
+        limit = Number(req.params.limit);
+        if (limit < SERVER_HISTORY_MIN_LIMIT ||
+            SERVER_HISTORY_MAX_LIMIT < limit) {
+
+            res.send(400, validation.formatValidationErrors([ {
+                param: 'limit',
+                msg: 'limit must be in the range ' + SERVER_HISTORY_MIN_LIMIT
+                    + '-' + SERVER_HISTORY_MAX_LIMIT + ' (inclusive)'
+            }]));
+            next();
+            return;
+        }
+        params.limit = limit;
+    }
+
+    if (req.params.offset !== undefined) {
+        params.offset = Number(req.params.offset);
+    }
+
+    ModelServerHistory.list(params, function (err, history) {
+        if (err) {
+            next(new restify.InternalError(err.message));
+            return;
+        }
+
+        res.send(200, history);
+        next();
+    });
+};
+
+
+/* BEGIN JSSTYLED */
+/**
+ * Return the recent status transitions of a server, oldest first, e.g. from
+ * `running` to `unknown` when its heartbeats stop and back to `running` when
+ * they resume. Each transition has the `previous` and new `status` and the
+ * `timestamp` of the change, and only the last 100 transitions are kept. The
+ * response also includes `flaps`, the number of times the server dropped out
+ * of `running` within the flapping window (`statusFlapping.windowSeconds` in
+ * the config, default 3600), and `flapping`, which is true when that's more
+ * than `statusFlapping.threshold` (default 3).
+ *
+ * @name ServerStatusHistory
+ * @endpoint GET /servers/:server_uuid/status-history
+ * @section Server API
+ *
+ * @example GET /servers/12494d5e-3960-4d65-a61a-0ca6252d6914/status-history
+ *
+ * @response 200 Object The status history
+ * @response 404 Error No such server
+ * @response 500 Error Could not process request
+ */
+/* END JSSTYLED */
+
+Server.statusHistory = function handlerServerStatusHistory(req, res, next) {
+    var rules = {
+        'server_uuid': ['isStringType']
+    };
+
+    if (validation.ensureParamsValid(req, res, rules, { strict: true })) {
+        next();
+        return;
+    }
+
+    ModelStatusHistory.get(req.params.server_uuid, function (err, history) {
+        if (err) {
+            next(new restify.InternalError(err.message));
+            return;
+        }
+
+        res.send(200, history);
+        next();
+    });
+};
+
+
+/* BEGIN JSSTYLED */
+/**
+ * Return the maintenance state of a server. When the server is in maintenance
+ * the response includes the `maintenance` object that was set with
+ * ServerMaintenanceSet and, if the server is running, the number of cn-agent
+ * tasks which are still running (`running_tasks`) and whether the server has
+ * finished draining (`drained`, true when no tasks are running). If cn-agent
+ * could not be asked for its tasks, `drain_error` contains the reason instead.
+ *
+ * @name ServerMaintenanceGet
+ * @endpoint GET /servers/:server_uuid/maintenance
+ * @section Server API
+ *
+ * @response 200 Object The server's maintenance state
+ * @response 500 Error Could not process request
+ */
+/* END JSSTYLED */
+
+Server.getMaintenance = function handlerServerMaintenanceGet(req, res, next) {
+    var server = req.stash.server;
+
+    var rules = {
+        'server_uuid': ['isStringType']
+    };
+
+    if (validation.ensureParamsValid(req, res, rules, { strict: true })) {
+        next();
+        return;
+    }
+
+    var maintenance = server.value.maintenance;
+    var state = {
+        in_maintenance: Boolean(maintenance),
+        maintenance: maintenance
+    };
+
+    if (!maintenance || server.value.status !== 'running') {
+        res.send(200, state);
+        next();
+        return;
+    }
+
+    server.getActiveTasks(function (err, tasks) {
+        if (err) {
+            req.log.warn({err: err, server_uuid: server.uuid},
+                'failed to get running tasks from cn-agent');
+            state.drain_error = err.message;
+        } else {
+            state.running_tasks = tasks.length;
+            state.drained = (tasks.length === 0);
+        }
+
+        res.send(200, state);
+        next();
+    });
+};
+
+
+/* BEGIN JSSTYLED */
+/**
+ * Put a server into maintenance, or update the details of a server that is
+ * already in maintenance. While a server is in maintenance it will not be
+ * chosen by SelectServer, and cn-agent on the server is paused so that it
+ * accepts no new tasks while the tasks it is already running finish (see
+ * ServerMaintenanceGet for drain progress). A server stays in maintenance until
+ * it is cleared with ServerMaintenanceClear; `end` is informational only.
+ *
+ * If the server is not running, its cn-agent is not paused. Since cn-agent does
+ * not remember that it was paused when it restarts, call this again once the
+ * server is running to pause it.
+ *
+ * @name ServerMaintenanceSet
+ * @endpoint PUT /servers/:server_uuid/maintenance
+ * @section Server API
+ *
+ * @param {String} reason Why the server is in maintenance
+ * @param {String} owner Who is responsible for the maintenance
+ * @param {String} start ISO timestamp when the maintenance started. Defaults to the current time, or the existing start when the server is already in maintenance.
+ * @param {String} end ISO timestamp when the maintenance is expected to end
+ * @param {String} origin Name of the tool or service making the change, recorded in the server's history
+ * @param {String} creator_uuid UUID of the user making the change, recorded in the server's history
+ *
+ * @example PUT /servers/12494d5e-3960-4d65-a61a-0ca6252d6914/maintenance
+ *          -d '{ "reason": "replace disk c0t3d0", "owner": "ops" }'
+ *
+ * @response 200 Object The server's maintenance state
+ * @response 409 Error Invalid parameters
+ * @response 500 Error Could not process request
+ */
+/* END JSSTYLED */
+
+Server.setMaintenance = function handlerServerMaintenanceSet(req, res, next) {
+    var server = req.stash.server;
+
+    var rules = {
+        'creator_uuid': ['optional', 'isStringType', 'isTrim'],
+        'end': ['optional', 'isStringType', 'isTrim'],
+        'origin': ['optional', 'isStringType', 'isTrim'],
+        'owner': ['isStringType', 'isTrim'],
+        'reason': ['isStringType', 'isTrim'],
+        'server_uuid': ['isStringType'],
+        'start': ['optional', 'isStringType', 'isTrim']
+    };
+
+    if (validation.ensureParamsValid(req, res, rules, { strict: true })) {
+        next();
+        return;
+    }
+
+    var badParam;
+    var current = server.value.maintenance;
+    var maintenance = {
+        owner: req.params.owner,
+        reason: req.params.reason
+    };
+
+    ['start', 'end'].forEach(function _checkTimestamp(p) {
+        var val = req.params[p];
+
+        if (val && !badParam && isNaN(new Date(val).getTime())) {
+            badParam = p;
+        }
+    });
+
+    if (badParam) {
+        next(new restify.InvalidArgumentError('Invalid date for ' + badParam +
+            '; not an ISO date format'));
+        return;
+    }
+
+    if (req.params.start) {
+        maintenance.start = new Date(req.params.start).toISOString();
+    } else if (current && current.start) {
+        maintenance.start = current.start;
+    } else {
+        maintenance.start = (new Date()).toISOString();
+    }
+
+    if (req.params.end) {
+        maintenance.end = new Date(req.params.end).toISOString();
+        if (maintenance.end < maintenance.start) {
+            next(new restify.InvalidArgumentError(
+                'end must not be before start'));
+            return;
+        }
+    }
+
+    vasync.pipeline({funcs: [
+        function _setMaintenance(_, cb) {
+            ModelServer.upsert(server.uuid, {
+                maintenance: maintenance
+            }, {
+                allowCreate: false,
+                etagRetries: 0,
+                source: {
+                    creator_uuid: req.params.creator_uuid,
+                    origin: req.params.origin,
+                    req_id: req.getId()
+                }
+            }, cb);
+        },
+        function _pauseCnAgent(_, cb) {
+            if (server.value.status !== 'running') {
+                req.log.info({server_uuid: server.uuid},
+                    'server not running, not pausing cn-agent');
+                cb();
+                return;
+            }
+
+            server.sendRequest({
+                method: 'post',
+                path: '/pause'
+            }, cb);
+        }
+    ]}, function _onSet(err) {
+        if (err) {
+            next(new restify.InternalError(err.message));
+            return;
+        }
+
+        res.send(200, {
+            in_maintenance: true,
+            maintenance: maintenance
+        });
+        next();
+    });
+};
+
+
+/* BEGIN JSSTYLED */
+/**
+ * Take a server out of maintenance. The server can be chosen by SelectServer
+ * again, and cn-agent on the server is resumed so that it accepts new tasks.
+ * Clearing a server that is not in maintenance still resumes its cn-agent.
+ *
+ * @name ServerMaintenanceClear
+ * @endpoint DELETE /servers/:server_uuid/maintenance
+ * @section Server API
+ *
+ * @param {String} origin Name of the tool or service making the change, recorded in the server's history
+ * @param {String} creator_uuid UUID of the user making the change, recorded in the server's history
+ *
+ * @response 204 None The server is no longer in maintenance
+ * @response 500 Error Could not process request
+ */
+/* END JSSTYLED */
+
+Server.clearMaintenance =
+function handlerServerMaintenanceClear(req, res, next) {
+    var server = req.stash.server;
+
+    var rules = {
+        'creator_uuid': ['optional', 'isStringType', 'isTrim'],
+        'origin': ['optional', 'isStringType', 'isTrim'],
+        'server_uuid': ['isStringType']
+    };
+
+    if (validation.ensureParamsValid(req, res, rules, { strict: true })) {
+        next();
+        return;
+    }
+
+    vasync.pipeline({funcs: [
+        function _clearMaintenance(_, cb) {
+            ModelServer.upsert(server.uuid, {
+                maintenance: undefined
+            }, {
+                allowCreate: false,
+                etagRetries: 0,
+                source: {
+                    creator_uuid: req.params.creator_uuid,
+                    origin: req.params.origin,
+                    req_id: req.getId()
+                }
+            }, cb);
+        },
+        function _resumeCnAgent(_, cb) {
+            if (server.value.status !== 'running') {
+                cb();
+                return;
+            }
+
+            server.sendRequest({
+                method: 'post',
+                path: '/resume'
+            }, cb);
+        }
+    ]}, function _onCleared(err) {
+        if (err) {
+            next(new restify.InternalError(err.message));
+            return;
+        }
+
+        res.send(204);
+        next();
+    });
+};
+
+
 /* BEGIN JSSTYLED */
 /**
  * Makes cn-agent stop accepting new tasks
@@ -1831,6 +2720,14 @@ function attachTo(http, app) {
         }),
         Server.list);
 
+    // Follow changes to servers (must come before /servers/:server_uuid)
+    http.get(
+        { path: '/servers/changes', name: 'ServerChanges' },
+        ensure({
+            app: app
+        }),
+        Server.changes);
+
     // Get server
     http.get(
         { path: '/servers/:server_uuid', name: 'ServerGet' },
@@ -1842,6 +2739,16 @@ function attachTo(http, app) {
         }),
         Server.get);
 
+    // Update many servers (must come before /servers/:server_uuid)
+    http.post(
+        { path: '/servers/bulk-update', name: 'ServerBulkUpdate' },
+        ensure({
+            connectionTimeoutSeconds: 60 * 60,
+            app: app,
+            connected: ['moray']
+        }),
+        Server.bulkUpdate);
+
     // Update server
     http.post(
         { path: '/servers/:server_uuid', name: 'ServerUpdate' },
@@ -2002,6 +2909,63 @@ function attachTo(http, app) {
         }),
         Server.taskHistory);
 
+    // Server record change history
+    http.get(
+        { path: '/servers/:server_uuid/history', name: 'ServerHistory' },
+        ensure({
+            connectionTimeoutSeconds: 60 * 60,
+            app: app,
+            prepopulate: ['server'],
+            connected: ['moray']
+        }),
+        Server.history);
+
+    // Server status transitions
+    http.get({
+        path: '/servers/:server_uuid/status-history',
+        name: 'ServerStatusHistory' },
+        ensure({
+            connectionTimeoutSeconds: 60 * 60,
+            app: app,
+            prepopulate: ['server'],
+            connected: ['moray']
+        }),
+        Server.statusHistory);
+
+    // Server maintenance state
+    http.get({
+        path: '/servers/:server_uuid/maintenance',
+        name: 'ServerMaintenanceGet' },
+        ensure({
+            connectionTimeoutSeconds: 60 * 60,
+            app: app,
+            prepopulate: ['server'],
+            connected: ['moray']
+        }),
+        Server.getMaintenance);
+
+    http.put({
+        path: '/servers/:server_uuid/maintenance',
+        name: 'ServerMaintenanceSet' },
+        ensure({
+            connectionTimeoutSeconds: 60 * 60,
+            app: app,
+            prepopulate: ['server'],
+            connected: ['moray']
+        }),
+        Server.setMaintenance);
+
+    http.del({
+        path: '/servers/:server_uuid/maintenance',
+        name: 'ServerMaintenanceClear' },
+        ensure({
+            connectionTimeoutSeconds: 60 * 60,
+            app: app,
+            prepopulate: ['server'],
+            connected: ['moray']
+        }),
+        Server.clearMaintenance);
+
     // cn-agent pause-resume
     http.post({
         path: '/servers/:server_uuid/cn-agent/pause',
@@ -21,8 +21,10 @@ var async = require('async');
 var verror = require('verror');
 
 var validation = require('../validation/endpoints');
+var ModelServer = require('../models/server');
 var ModelVM = require('../models/vm');
 var ModelWaitlist = require('../models/waitlist');
+var endpoints = require('../endpoints');
 
 
 var UPPER_LIMIT = 1000;
@@ -44,6 +46,10 @@ ControllerWaitlist.init = function () {
  * creation (`created_at` timestamp). By default the responses are limited to 1000
  * results. Use the `limit` and `offset` to page through results.
  *
+ * Each queued ticket has a `queue_position`, which is its position in the queue
+ * for its scope and id, where 1 is the next ticket to be activated. Queued
+ * tickets are activated by priority, then in the order they were created.
+ *
  * @name ServerWaitlistList
  * @endpoint GET /servers/:server_uuid/tickets
  * @section Waitlist API
@@ -134,16 +140,58 @@ function handlerControllerWaitlistList(req, res, next) {
  * @param {String} scope Limit the ticket to the given scope
  * @param {String} id The id of the resource of type 'scope'
  * @param {String} expires_at ISO 8601 date string when ticket will expire
+ * @param {Number} lease_seconds Instead of expires_at, make this a lease ticket, which expires this many seconds (from 1 to 3600) after it's created or last renewed with ServerWaitlistTicketRenew
  * @param {String} action Description of acting to be undertaken
+ * @param {String} mode 'shared' if the ticket can be active along with other shared tickets for the same scope and id (e.g. for read-only actions), or 'exclusive' (the default) if it must be active on its own
+ * @param {Number} priority Integer from 0 (the default) to 100. Queued tickets with a higher priority are activated before those with a lower one, e.g. so that stopping or destroying a VM needn't wait for queued provisions
  * @param {Object} extra Object containing client specific metadata
  *
  * @response 202 Array Waitlist ticket created successfully
+ * @response 409 Error Invalid parameters
  * @response 500 Error Could not process request
  */
 /* END JSSTYLED */
 
 ControllerWaitlist.createTicket =
 function handlerControllerWaitlistCreateTicket(req, res, next) {
+    if (req.params.mode !== undefined &&
+        ModelWaitlist.TICKET_MODES.indexOf(req.params.mode) === -1) {
+
+        next(new restify.InvalidArgumentError('mode must be one of: %s',
+            ModelWaitlist.TICKET_MODES.join(', ')));
+        return;
+    }
+
+    if (req.params.priority !== undefined &&
+        (typeof (req.params.priority) !== 'number' ||
+        req.params.priority % 1 !== 0 || req.params.priority < 0 ||
+        req.params.priority > ModelWaitlist.TICKET_PRIORITY_MAX)) {
+
+        next(new restify.InvalidArgumentError(
+            'priority must be an integer from 0 to %d',
+            ModelWaitlist.TICKET_PRIORITY_MAX));
+        return;
+    }
+
+    if (req.params.lease_seconds !== undefined &&
+        (typeof (req.params.lease_seconds) !== 'number' ||
+        req.params.lease_seconds % 1 !== 0 || req.params.lease_seconds < 1 ||
+        req.params.lease_seconds > ModelWaitlist.TICKET_LEASE_SECONDS_MAX)) {
+
+        next(new restify.InvalidArgumentError(
+            'lease_seconds must be an integer from 1 to %d',
+            ModelWaitlist.TICKET_LEASE_SECONDS_MAX));
+        return;
+    }
+
+    if ((req.params.expires_at === undefined) ===
+        (req.params.lease_seconds === undefined)) {
+
+        next(new restify.InvalidArgumentError(
+            'exactly one of expires_at and lease_seconds must be given'));
+        return;
+    }
+
     req.params.reqid = req.getId();
     ModelWaitlist.createTicket(req.params, function (error, uuid, tickets) {
         if (error) {
@@ -158,6 +206,163 @@ function handlerControllerWaitlistCreateTicket(req, res, next) {
 };
 
 
+/* BEGIN JSSTYLED */
+/**
+ * Create a group of waitlist tickets, possibly on several servers, which
+ * become active all at once or not at all. None of them is activated until
+ * each is next in its queue, so an action needing several resources (e.g.
+ * migrating a VM between two servers) never holds some while waiting for the
+ * others. Groups are queued in the same order in every queue, so they can't
+ * deadlock waiting on each other. Group tickets are always exclusive.
+ *
+ * The group's uuid can be given to ServerWaitlistTicketsWait, which waits
+ * until all of its tickets are active (or any has expired), to
+ * ServerWaitlistTicketsRelease, which releases all of them, and (when the
+ * group was created with `lease_seconds`) to ServerWaitlistTicketRenew, which
+ * renews all of them.
+ *
+ * @name ServerWaitlistTicketGroupCreate
+ * @endpoint POST /tickets/group
+ * @section Waitlist API
+ *
+ * @param {Array} tickets Objects with the `server_uuid`, `scope` and `id` of each ticket
+ * @param {String} expires_at ISO 8601 date string when the tickets will expire
+ * @param {Number} lease_seconds Instead of expires_at, make the tickets lease tickets, as for ServerWaitlistTicketCreate
+ * @param {String} action Description of acting to be undertaken
+ * @param {Number} priority Integer from 0 (the default) to 100, as for ServerWaitlistTicketCreate
+ * @param {Object} extra Object containing client specific metadata
+ *
+ * @response 202 Object The group's `uuid`, and its `tickets`
+ * @response 409 Error Invalid parameters
+ * @response 500 Error Could not process request
+ */
+/* END JSSTYLED */
+
+ControllerWaitlist.createTicketGroup =
+function handlerControllerWaitlistCreateTicketGroup(req, res, next) {
+    var params = req.params;
+    var seen = {};
+
+    if (!Array.isArray(params.tickets) || params.tickets.length === 0) {
+        next(new restify.InvalidArgumentError(
+            'tickets must be a non-empty array'));
+        return;
+    }
+
+    for (var i = 0; i < params.tickets.length; i++) {
+        var t = params.tickets[i];
+
+        if (typeof (t) !== 'object' || t === null ||
+            !endpoints.isUuid(t.server_uuid) ||
+            typeof (t.scope) !== 'string' || typeof (t.id) !== 'string') {
+
+            next(new restify.InvalidArgumentError(
+                'tickets must each have a server_uuid, scope and id'));
+            return;
+        }
+
+        var key = [t.server_uuid, t.scope, t.id].join('/');
+        if (seen[key]) {
+            next(new restify.InvalidArgumentError(
+                'tickets has more than one ticket for %s', key));
+            return;
+        }
+        seen[key] = true;
+    }
+
+    if (params.expires_at !== undefined &&
+        (typeof (params.expires_at) !== 'string' ||
+        isNaN(new Date(params.expires_at).getTime()))) {
+
+        next(new restify.InvalidArgumentError(
+            'expires_at must be an ISO timestamp'));
+        return;
+    }
+
+    if (params.lease_seconds !== undefined &&
+        (typeof (params.lease_seconds) !== 'number' ||
+        params.lease_seconds % 1 !== 0 || params.lease_seconds < 1 ||
+        params.lease_seconds > ModelWaitlist.TICKET_LEASE_SECONDS_MAX)) {
+
+        next(new restify.InvalidArgumentError(
+            'lease_seconds must be an integer from 1 to %d',
+            ModelWaitlist.TICKET_LEASE_SECONDS_MAX));
+        return;
+    }
+
+    if ((params.expires_at === undefined) ===
+        (params.lease_seconds === undefined)) {
+
+        next(new restify.InvalidArgumentError(
+            'exactly one of expires_at and lease_seconds must be given'));
+        return;
+    }
+
+    if (params.priority !== undefined &&
+        (typeof (params.priority) !== 'number' ||
+        params.priority % 1 !== 0 || params.priority < 0 ||
+        params.priority > ModelWaitlist.TICKET_PRIORITY_MAX)) {
+
+        next(new restify.InvalidArgumentError(
+            'priority must be an integer from 0 to %d',
+            ModelWaitlist.TICKET_PRIORITY_MAX));
+        return;
+    }
+
+    var serverUuids = Object.keys(seen).map(function (k) {
+        return k.split('/')[0];
+    }).filter(function (serverUuid, idx, arr) {
+        return (arr.indexOf(serverUuid) === idx);
+    });
+
+    async.forEachSeries(serverUuids, function _checkServer(serverUuid, cb) {
+        ModelServer.get(serverUuid, function (getErr, model, server) {
+            if (getErr) {
+                cb(new restify.InternalError(getErr.message));
+                return;
+            }
+
+            if (!server) {
+                cb(new restify.InvalidArgumentError('server %s not found',
+                    serverUuid));
+                return;
+            }
+
+            cb();
+        });
+    }, function _onChecked(checkErr) {
+        if (checkErr) {
+            next(checkErr);
+            return;
+        }
+
+        ModelWaitlist.createTicketGroup({
+            action: params.action,
+            expires_at: params.expires_at,
+            extra: params.extra,
+            lease_seconds: params.lease_seconds,
+            priority: params.priority,
+            req_id: req.getId(),
+            tickets: params.tickets.map(function (ticket) {
+                return {
+                    id: ticket.id,
+                    scope: ticket.scope,
+                    server_uuid: ticket.server_uuid
+                };
+            })
+        }, function (error, uuid, tickets) {
+            if (error) {
+                next(new restify.InternalError(error.message));
+                return;
+            }
+
+            res.send(202, { uuid: uuid, tickets: tickets });
+            next();
+        });
+    });
+};
+
+
 /* BEGIN JSSTYLED */
 /**
  * Retrieve a waitlist ticket.
@@ -260,7 +465,9 @@ function handlerControllerWaitlistDeleteAllTickets(req, res, next) {
 
 /* BEGIN JSSTYLED */
 /**
- * Wait until a waitlist ticket either expires or becomes active.
+ * Wait until a waitlist ticket either expires or becomes active. Given the uuid
+ * of a ticket group, waits until all of its tickets are active, or any of them
+ * has expired.
  *
  * @name ServerWaitlistTicketsWait
  * @endpoint GET /tickets/:ticket_uuid/wait
@@ -295,7 +502,8 @@ function handlerControllerWaitlistWaitTicket(req, res, next) {
 
 /* BEGIN JSSTYLED */
 /**
- * Release a currently active or queued waitlist ticket.
+ * Release a currently active or queued waitlist ticket. Given the uuid of a
+ * ticket group, releases all of its tickets.
  *
  * @name ServerWaitlistTicketsRelease
  * @endpoint GET /tickets/:ticket_uuid/release
@@ -327,6 +535,58 @@ function handlerControllerWaitlistReleaseTicket(req, res, next) {
 };
 
 
+/* BEGIN JSSTYLED */
+/**
+ * Renew a lease ticket (one created with `lease_seconds`), so that it expires
+ * `lease_seconds` from now. The holder of a lease ticket must renew it, while
+ * it's queued and while it's active, more often than every `lease_seconds`
+ * (e.g. every third of that), otherwise the ticket expires and the next ticket
+ * for the scope and id may be activated. Given the uuid of a group of lease
+ * tickets (see ServerWaitlistTicketGroupCreate), all of its tickets are
+ * renewed, and the group's `uuid` and `tickets` are returned.
+ *
+ * @name ServerWaitlistTicketRenew
+ * @endpoint POST /tickets/:ticket_uuid/renew
+ * @section Waitlist API
+ *
+ * @response 200 Object The renewed ticket, with its new `expires_at`
+ * @response 404 Error No such ticket
+ * @response 409 Error The ticket is not a lease ticket
+ * @response 410 Error The ticket has been released, or has expired
+ * @response 500 Error Could not process request
+ */
+/* END JSSTYLED */
+
+ControllerWaitlist.renewTicket =
+function handlerControllerWaitlistRenewTicket(req, res, next) {
+    var ticket_uuid = req.params.ticket_uuid;
+
+    if (!endpoints.isUuid(ticket_uuid)) {
+        next(new restify.InvalidArgumentError('Invalid ticket_uuid'));
+        return;
+    }
+
+    ModelWaitlist.renewTicket(ticket_uuid,
+    function _onRenew(renewerror, ticket) {
+        if (renewerror) {
+            if (verror.hasCauseWithName(renewerror, 'ResourceNotFoundError') ||
+                verror.hasCauseWithName(renewerror, 'InvalidArgumentError') ||
+                verror.hasCauseWithName(renewerror, 'GoneError')) {
+
+                next(renewerror);
+                return;
+            }
+
+            next(new restify.InternalError(renewerror.message));
+            return;
+        }
+
+        res.send(200, ticket);
+        next();
+    });
+};
+
+
 function attachTo(http, app) {
     ControllerWaitlist.init();
 
@@ -371,6 +631,20 @@ function attachTo(http, app) {
         }),
         ControllerWaitlist.createTicket);
 
+    // Create a group of waitlist tickets
+    http.post(
+        {
+            path: '/tickets/group',
+            name: 'ServerWaitlistTicketGroupCreate'
+        },
+        ensure({
+            connectionTimeoutSeconds: 60 * 60,
+            app: app,
+            prepopulate: [],
+            connected: ['moray']
+        }),
+        ControllerWaitlist.createTicketGroup);
+
     // Delete all waitlist ticket
     http.del(
         {
@@ -428,6 +702,20 @@ function attachTo(http, app) {
             connected: ['moray']
         }),
         ControllerWaitlist.releaseTicket);
+
+    // Renew a lease ticket
+    http.post(
+        {
+            path: '/tickets/:ticket_uuid/renew',
+            name: 'ServerWaitlistTicketRenew'
+        },
+        ensure({
+            connectionTimeoutSeconds: 60,
+            app: app,
+            prepopulate: [],
+            connected: ['moray']
+        }),
+        ControllerWaitlist.renewTicket);
 }
 
 exports.attachTo = attachTo;
@@ -135,12 +135,15 @@ NotImplementedError.description =
 
 
 
-function NoAllocatableServersError(msg) {
+function NoAllocatableServersError(msg, errors) {
     _CnapiBaseError.call(this, {
         restCode: this.constructor.restCode,
         statusCode: this.constructor.statusCode,
             message: 'No compute resources available' + (msg ? ': ' + msg : '')
         });
+    if (errors) {
+        this.body.errors = errors;
+    }
 }
 util.inherits(NoAllocatableServersError, _CnapiBaseError);
 NoAllocatableServersError.prototype.name = 'NoAllocatableServersError';
@@ -13,8 +13,12 @@
  * written to CNAPI memory, with the cnapi_status bucket in Moray and the
  * 'status' field of servers. It sets servers' status to 'running' when it sees
  * a current heartbeat, and sets the status to 'unknown' when there has been no
- * heartbeat within HEARTBEAT_LIFETIME_SECONDS so long as no other CNAPI
- * instance has received a more recent heartbeat.
+ * heartbeat within the heartbeat lifetime (heartbeatLifetimeSeconds in the
+ * config, or HEARTBEAT_LIFETIME_SECONDS) plus the server's
+ * status_grace_seconds, so long as no other CNAPI instance has received a more
+ * recent heartbeat. These status changes end up
+ * in each server's status history (see lib/models/status_history.js), which
+ * is used to detect servers that are flapping.
  */
 
 var assert = require('assert-plus');
@@ -30,11 +34,15 @@ function HeartbeatReconciler(opts) {
 
     assert.object(opts, opts);
     assert.object(opts.app, 'opts.app');
+    assert.optionalNumber(opts.heartbeatLifetimeSeconds,
+        'opts.heartbeatLifetimeSeconds');
     assert.object(opts.log, 'opts.log');
     assert.object(opts.metricsManager, 'opts.metricsManager');
     assert.object(opts.moray, 'opts.moray');
 
     self.app = opts.app;
+    self.heartbeatLifetimeSeconds = opts.heartbeatLifetimeSeconds ||
+        common.HEARTBEAT_LIFETIME_SECONDS;
     self.log = opts.log.child({component: 'heartbeat_reconciler'});
     self.metricsManager = opts.metricsManager;
     self.moray = opts.moray;
@@ -215,7 +223,45 @@ function heartbeatServerUpdate(serverUuid, opts, callback) {
     }
 
     vasync.pipeline({arg: {}, funcs: [
-        function _getStatusObject(ctx, cb) {
+        function _checkGracePeriod(ctx, cb) {
+            if (observedStatus.last_heartbeat === undefined ||
+                observedStatus.last_heartbeat >= opts.stale) {
+
+                cb();
+                return;
+            }
+
+            // The last heartbeat is older than the heartbeat lifetime, but the
+            // server might have a grace period which allows for more.
+            ModelServer.get(serverUuid, function _onGet(err, _, serverObj) {
+                var graceMs;
+
+                if (err) {
+                    cb(err);
+                    return;
+                }
+
+                graceMs = ((serverObj && serverObj.status_grace_seconds) || 0) *
+                    1000;
+
+                if (new Date(observedStatus.last_heartbeat).getTime() >=
+                    new Date(opts.stale).getTime() - graceMs) {
+
+                    self.log.trace({
+                        graceSeconds: serverObj.status_grace_seconds,
+                        serverUuid: serverUuid
+                    }, 'last_heartbeat is stale, but within grace period');
+                    ctx.skip = true;
+                }
+
+                cb();
+            });
+        }, function _getStatusObject(ctx, cb) {
+            if (ctx.skip) {
+                cb();
+                return;
+            }
+
             // Get the existing cnapi_status entry (if any) for this server.
             moray.getObject(cnapiStatusBucket, serverUuid,
                 function _onGetObject(err, obj) {
@@ -421,7 +467,7 @@ HeartbeatReconciler.prototype.reconcile =
 function heartbeatReconcile(callback) {
     var self = this;
 
-    var expirationMs = (common.HEARTBEAT_LIFETIME_SECONDS * 1000);
+    var expirationMs = (self.heartbeatLifetimeSeconds * 1000);
     var now = Date.now();
     var nowISO = new Date(now).toISOString();
     var stale = new Date(now - expirationMs).toISOString();
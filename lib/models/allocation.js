@@ -0,0 +1,215 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2021 Joyent, Inc.
+ */
+
+/*
+ * This file contains the logic for recording and looking up the decisions made
+ * by the allocator (see SelectServer).
+ *
+ * Every allocation request writes an entry to the cnapi_allocations bucket
+ * with the server that was chosen (if any), the steps the allocator took for
+ * each chunk of servers it was run over, and for each server that was
+ * rejected, the step which rejected it and why. To keep entries small in large
+ * datacenters, each step only keeps how many servers remained after it and the
+ * reasons which applied to the step as a whole, since the reasons for each
+ * server are already in its rejection. Entries can be looked up by
+ * their own UUID, the id of the request which made the allocation, or the
+ * UUID of the VM being allocated. They are deleted once they are older than
+ * allocationLogRetentionSeconds (see the config).
+ */
+
+var assert = require('assert-plus');
+var libuuid = require('libuuid');
+var once = require('once');
+var sprintf = require('sprintf').sprintf;
+
+var buckets = require('../apis/moray').BUCKETS;
+var common = require('../common');
+var ModelBase = require('./base');
+
+var DEFAULT_ALLOCATION_LOG_RETENTION_SECONDS = 7 * 24 * 60 * 60;
+
+
+function ModelAllocation() {}
+
+ModelAllocation.init = function (app) {
+    this.app = app;
+
+    Object.keys(ModelBase.staticFn).forEach(function (p) {
+        ModelAllocation[p] = ModelBase.staticFn[p];
+    });
+
+    ModelAllocation.log = app.getLog();
+};
+
+
+/*
+ * Return an object mapping the UUID of each server the allocator rejected to
+ * the step which rejected it and the reason it gave. Reasons under '*' apply
+ * to the step as a whole rather than to any one server, so they're left in the
+ * steps.
+ */
+function getRejections(steps) {
+    var rejections = {};
+
+    steps.forEach(function _addStepRejections(step) {
+        Object.keys(step.reasons || {}).forEach(function _addReason(uuid) {
+            if (uuid === '*') {
+                return;
+            }
+
+            rejections[uuid] = {
+                reason: step.reasons[uuid],
+                step: step.step
+            };
+        });
+    });
+
+    return rejections;
+}
+
+
+/*
+ * Return the steps with the list of servers remaining after each step replaced
+ * by their number (remaining_count), and without the reasons given for single
+ * servers (see getRejections()).
+ */
+function summarizeSteps(steps) {
+    return steps.map(function _summarizeStep(step) {
+        var summary = {
+            remaining_count: (step.remaining || []).length,
+            step: step.step
+        };
+
+        if (step.reasons && step.reasons['*']) {
+            summary.reasons = { '*': step.reasons['*'] };
+        }
+
+        return summary;
+    });
+}
+
+
+/*
+ * Write an entry for an allocation.
+ *
+ * The request is kept so that it can be replayed with another allocator config
+ * (see SelectServerSimulate).
+ *
+ * @param params {Object}
+ *        req_id {String} - The id of the request which made the allocation.
+ *        request {Object} - The vm, image, package, nic_tags and
+ *            nic_tag_requirements parameters passed to SelectServer.
+ *        server_uuid {String} - The server chosen, if one was.
+ *        error {String} - Why no server was chosen, if none was.
+ *        steps {Array} - The allocator's steps, across all of its runs.
+ * @param callback {Function} `function (err, allocation)`
+ */
+ModelAllocation.record = function (params, callback) {
+    assert.object(params, 'params');
+    assert.string(params.req_id, 'params.req_id');
+    assert.object(params.request, 'params.request');
+    assert.object(params.request.vm, 'params.request.vm');
+    assert.optionalUuid(params.server_uuid, 'params.server_uuid');
+    assert.optionalString(params.error, 'params.error');
+    assert.arrayOfObject(params.steps, 'params.steps');
+    assert.func(callback, 'callback');
+
+    var vm = params.request.vm;
+    var allocation = {
+        created: (new Date()).toISOString(),
+        error: params.error,
+        owner_uuid: vm.owner_uuid,
+        rejections: getRejections(params.steps),
+        req_id: params.req_id,
+        request: params.request,
+        server_uuid: params.server_uuid || null,
+        steps: summarizeSteps(params.steps),
+        uuid: libuuid.create(),
+        vm_uuid: vm.vm_uuid
+    };
+
+    ModelAllocation.getMoray().putObject(
+        buckets.allocations.name,
+        allocation.uuid,
+        allocation,
+        function _onPut(err) {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            callback(null, allocation);
+        });
+};
+
+
+/*
+ * Return the most recent allocation whose UUID, request id or VM UUID is 'id',
+ * or nothing if there's none.
+ */
+ModelAllocation.get = function (id, callback) {
+    assert.string(id, 'id');
+    assert.func(callback, 'callback');
+
+    var self = this;
+
+    var allocation;
+    var escId = common.filterEscape(id);
+    var filter = sprintf('(|(uuid=%s)(req_id=%s)(vm_uuid=%s))',
+        escId, escId, escId);
+    var req;
+
+    callback = once(callback);
+
+    req = ModelAllocation.getMoray().findObjects(
+        buckets.allocations.name,
+        filter,
+        {
+            sort: {
+                attribute: 'created',
+                order: 'DESC'
+            },
+            limit: 1
+        });
+
+    req.on('error', function _onError(err) {
+        self.log.error(err, 'error retrieving allocation');
+        callback(err);
+    });
+
+    req.on('record', function _onRecord(obj) {
+        allocation = obj.value;
+    });
+
+    req.on('end', function _onEnd() {
+        callback(null, allocation);
+    });
+};
+
+
+/*
+ * Delete the allocations which are older than the retention period.
+ */
+ModelAllocation.cleanup = function (callback) {
+    assert.func(callback, 'callback');
+
+    var retentionSeconds =
+        ModelAllocation.getConfig().allocationLogRetentionSeconds ||
+        DEFAULT_ALLOCATION_LOG_RETENTION_SECONDS;
+    var then = new Date(Date.now() - retentionSeconds * 1000);
+    var filter = sprintf('(!(created>=%s))',
+        common.filterEscape(then.toISOString()));
+
+    ModelAllocation.getMoray().deleteMany(buckets.allocations.name, filter,
+        callback);
+};
+
+
+module.exports = ModelAllocation;
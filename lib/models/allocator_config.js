@@ -0,0 +1,92 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2021 Joyent, Inc.
+ */
+
+/*
+ * This file contains the logic for storing the allocator config (the
+ * allocation pipeline description and the changeDefaults) when it's changed
+ * through AllocatorConfigUpdate.
+ *
+ * The config is kept as a single object in the cnapi_allocator_config bucket.
+ * Until it's first changed there's no object, and every CNAPI instance uses
+ * dapi.allocationDescription and dapi.changeDefaults from its config file.
+ * Afterward, each instance periodically checks the stored config and switches
+ * its allocators over to it when it's been updated (see
+ * App.prototype.setupAllocatorConfigWatcher).
+ */
+
+var assert = require('assert-plus');
+var VError = require('verror');
+
+var buckets = require('../apis/moray').BUCKETS;
+var ModelBase = require('./base');
+
+var ALLOCATOR_CONFIG_KEY = 'allocator';
+
+
+function ModelAllocatorConfig() {}
+
+ModelAllocatorConfig.init = function (app) {
+    this.app = app;
+
+    Object.keys(ModelBase.staticFn).forEach(function (p) {
+        ModelAllocatorConfig[p] = ModelBase.staticFn[p];
+    });
+
+    ModelAllocatorConfig.log = app.getLog();
+};
+
+
+/*
+ * Return the stored allocator config and its etag, or nothing if it has never
+ * been changed.
+ */
+ModelAllocatorConfig.get = function (callback) {
+    assert.func(callback, 'callback');
+
+    ModelAllocatorConfig.getMoray().getObject(
+        buckets.allocator_config.name,
+        ALLOCATOR_CONFIG_KEY,
+        function _onGet(err, obj) {
+            if (err && VError.hasCauseWithName(err, 'ObjectNotFoundError')) {
+                callback();
+                return;
+            } else if (err) {
+                callback(err);
+                return;
+            }
+
+            callback(null, obj.value, obj._etag);
+        });
+};
+
+
+/*
+ * Store the allocator config. 'etag' is the etag of the config that was
+ * changed (null if there was none), so that a concurrent change fails with an
+ * EtagConflictError rather than being lost.
+ */
+ModelAllocatorConfig.put = function (config, etag, callback) {
+    assert.object(config, 'config');
+    assert.array(config.allocationDescription,
+        'config.allocationDescription');
+    assert.object(config.changeDefaults, 'config.changeDefaults');
+    assert.string(config.updated, 'config.updated');
+    assert.func(callback, 'callback');
+
+    ModelAllocatorConfig.getMoray().putObject(
+        buckets.allocator_config.name,
+        ALLOCATOR_CONFIG_KEY,
+        config,
+        {etag: etag},
+        callback);
+};
+
+
+module.exports = ModelAllocatorConfig;
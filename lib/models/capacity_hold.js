@@ -0,0 +1,374 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2021 Joyent, Inc.
+ */
+
+/*
+ * This file contains the logic for capacity holds.
+ *
+ * A capacity hold keeps some of a server's RAM (and optionally disk), in MiB,
+ * for one owner until it expires, without reserving the whole server. Holds
+ * are stored in the cnapi_capacity_holds bucket. When allocating, each hold is
+ * given to the allocator as if it were a ticket for a VM of that size on the
+ * server (see ModelCapacityHold.toTicket()), so calculate-server-unreserved
+ * subtracts it from the server's spare capacity, except when the VM being
+ * allocated belongs to the hold's owner, who may use what's held. Holds are
+ * also subtracted from the spare capacity ServerGet, ServerList and
+ * ServerCapacity return.
+ *
+ * Expired holds are ignored from the moment they expire, and are deleted from
+ * moray periodically (see App.startCapacityHoldCleaner()).
+ */
+
+var assert = require('assert-plus');
+var libuuid = require('libuuid');
+var once = require('once');
+var sprintf = require('sprintf').sprintf;
+var VError = require('verror');
+
+var buckets = require('../apis/moray').BUCKETS;
+var common = require('../common');
+var ModelBase = require('./base');
+
+var CAPACITY_HOLD_DEFAULT_LIMIT = 1000;
+
+
+function ModelCapacityHold() {}
+
+ModelCapacityHold.init = function (app) {
+    this.app = app;
+
+    Object.keys(ModelBase.staticFn).forEach(function (p) {
+        ModelCapacityHold[p] = ModelBase.staticFn[p];
+    });
+
+    ModelCapacityHold.log = app.getLog();
+};
+
+
+/*
+ * Create a new hold and write it to moray.
+ *
+ * @param params {Object}
+ *        server_uuid {String} - The server the capacity is held on.
+ *        owner_uuid {String} - The owner it's held for.
+ *        ram {Number} - The RAM held, in MiB.
+ *        disk {Number} - optional, the disk held, in MiB.
+ *        expires_at {String} - ISO timestamp when the hold is released.
+ * @param callback {Function} `function (err, hold)`
+ */
+ModelCapacityHold.create = function (params, callback) {
+    assert.object(params, 'params');
+    assert.uuid(params.server_uuid, 'params.server_uuid');
+    assert.uuid(params.owner_uuid, 'params.owner_uuid');
+    assert.number(params.ram, 'params.ram');
+    assert.optionalNumber(params.disk, 'params.disk');
+    assert.string(params.expires_at, 'params.expires_at');
+    assert.func(callback, 'callback');
+
+    var hold = {
+        created: (new Date()).toISOString(),
+        disk: params.disk || 0,
+        expires_at: params.expires_at,
+        owner_uuid: params.owner_uuid,
+        ram: params.ram,
+        server_uuid: params.server_uuid,
+        uuid: libuuid.create()
+    };
+
+    ModelCapacityHold.getMoray().putObject(
+        buckets.capacity_holds.name,
+        hold.uuid,
+        hold,
+        function _onPut(err) {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            callback(null, hold);
+        });
+};
+
+
+/*
+ * Look up a hold. The callback is called with `function (err, hold)`, where
+ * hold is undefined if there's none with this uuid, or it has expired.
+ */
+ModelCapacityHold.get = function (uuid, callback) {
+    assert.uuid(uuid, 'uuid');
+    assert.func(callback, 'callback');
+
+    ModelCapacityHold.getMoray().getObject(
+        buckets.capacity_holds.name,
+        uuid,
+        function _onGet(err, obj) {
+            if (err && VError.hasCauseWithName(err, 'ObjectNotFoundError')) {
+                callback();
+                return;
+            } else if (err) {
+                callback(err);
+                return;
+            }
+
+            if (obj.value.expires_at <= (new Date()).toISOString()) {
+                callback();
+                return;
+            }
+
+            callback(null, obj.value);
+        });
+};
+
+
+/*
+ * Return the moray filter for the holds which haven't expired, restricted to
+ * the server_uuid and owner_uuid in params (if given) and any other filters
+ * in 'extra'.
+ */
+function holdsFilter(params, extra) {
+    var filters = [
+        sprintf('(expires_at>=%s)',
+            common.filterEscape((new Date()).toISOString()))
+    ];
+
+    ['server_uuid', 'owner_uuid'].forEach(function _addFilter(param) {
+        if (params[param] !== undefined) {
+            filters.push(sprintf('(%s=%s)', param,
+                common.filterEscape(params[param])));
+        }
+    });
+
+    filters = filters.concat(extra || []);
+
+    return (filters.length === 1 ? filters[0] :
+        sprintf('(&%s)', filters.join('')));
+}
+
+
+function findHolds(filter, findOpts, callback) {
+    var holds = [];
+    var req;
+
+    callback = once(callback);
+
+    req = ModelCapacityHold.getMoray().findObjects(
+        buckets.capacity_holds.name,
+        filter,
+        findOpts);
+
+    req.on('error', function _onError(err) {
+        ModelCapacityHold.log.error(err, 'error retrieving capacity holds');
+        callback(err);
+    });
+
+    req.on('record', function _onRecord(obj) {
+        holds.push(obj.value);
+    });
+
+    req.on('end', function _onEnd() {
+        callback(null, holds);
+    });
+}
+
+
+/*
+ * Return the holds which haven't expired, soonest to expire first.
+ *
+ * @param params {Object}
+ *        server_uuid {String} - Only holds on this server.
+ *        owner_uuid {String} - Only holds for this owner.
+ *        limit {Number} - Restrict to this many holds.
+ *        offset {Number} - Skip this many holds.
+ * @param callback {Function} `function (err, holds)`
+ */
+ModelCapacityHold.list = function (params, callback) {
+    assert.object(params, 'params');
+    assert.optionalUuid(params.server_uuid, 'params.server_uuid');
+    assert.optionalUuid(params.owner_uuid, 'params.owner_uuid');
+    assert.optionalNumber(params.limit, 'params.limit');
+    assert.optionalNumber(params.offset, 'params.offset');
+    assert.func(callback, 'callback');
+
+    var findOpts = {
+        sort: {
+            attribute: 'expires_at',
+            order: 'ASC'
+        },
+        limit: params.limit || CAPACITY_HOLD_DEFAULT_LIMIT
+    };
+
+    if (params.offset !== undefined) {
+        findOpts.offset = params.offset;
+    }
+
+    findHolds(holdsFilter(params), findOpts, callback);
+};
+
+
+/*
+ * Return all of the holds which haven't expired, however many there are, in
+ * no particular order. Holds are fetched a page at a time, each following on
+ * from the last UUID of the one before, so that holds created or deleted
+ * meanwhile don't cause others to be skipped or seen twice.
+ *
+ * @param params {Object}
+ *        server_uuid {String} - Only holds on this server.
+ *        owner_uuid {String} - Only holds for this owner.
+ * @param callback {Function} `function (err, holds)`
+ */
+ModelCapacityHold.listAll = function (params, callback) {
+    assert.object(params, 'params');
+    assert.optionalUuid(params.server_uuid, 'params.server_uuid');
+    assert.optionalUuid(params.owner_uuid, 'params.owner_uuid');
+    assert.func(callback, 'callback');
+
+    var holds = [];
+
+    function _findPage(after) {
+        var extra = [];
+
+        if (after) {
+            extra.push(sprintf('(uuid>=%s)(!(uuid=%s))',
+                common.filterEscape(after), common.filterEscape(after)));
+        }
+
+        findHolds(holdsFilter(params, extra), {
+            sort: {
+                attribute: 'uuid',
+                order: 'ASC'
+            },
+            limit: CAPACITY_HOLD_DEFAULT_LIMIT
+        }, function _onPage(err, page) {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            holds = holds.concat(page);
+
+            if (page.length < CAPACITY_HOLD_DEFAULT_LIMIT) {
+                callback(null, holds);
+                return;
+            }
+
+            _findPage(page[page.length - 1].uuid);
+        });
+    }
+
+    _findPage();
+};
+
+
+/*
+ * Delete a hold, releasing the capacity it held.
+ */
+ModelCapacityHold.del = function (uuid, callback) {
+    assert.uuid(uuid, 'uuid');
+    assert.func(callback, 'callback');
+
+    ModelCapacityHold.getMoray().delObject(
+        buckets.capacity_holds.name,
+        uuid,
+        function _onDel(err) {
+            callback(err);
+        });
+};
+
+
+/*
+ * Delete the holds which have expired.
+ */
+ModelCapacityHold.cleanup = function (callback) {
+    assert.func(callback, 'callback');
+
+    var filter = sprintf('(!(expires_at>=%s))',
+        common.filterEscape((new Date()).toISOString()));
+
+    ModelCapacityHold.getMoray().deleteMany(buckets.capacity_holds.name,
+        filter, callback);
+};
+
+
+/*
+ * Return a ticket like the one VMAPI creates when it provisions a VM, for a VM
+ * using what a hold keeps on its server, so that the allocator accounts for
+ * the hold as it does for VMs being provisioned. It's never written to the
+ * waitlist, and is marked with `capacity_hold` so it can be told apart from
+ * real tickets.
+ */
+ModelCapacityHold.toTicket = function toTicket(hold) {
+    assert.object(hold, 'hold');
+
+    return {
+        action: 'provision',
+        capacity_hold: true,
+        extra: {
+            // What's held is accounted for like a zone of this size.
+            brand: 'joyent-minimal',
+            max_physical_memory: hold.ram,
+            owner_uuid: hold.owner_uuid,
+            quota: Math.ceil((hold.disk || 0) / 1024)
+        },
+        id: hold.uuid,
+        scope: 'vm',
+        server_uuid: hold.server_uuid,
+        status: 'active'
+    };
+};
+
+
+/*
+ * Subtract what the given holds keep on each server from the spare capacity
+ * of servers with unreserved_ram and unreserved_disk (as added by
+ * Designation.serverCapacity()), and add the holds on each server as its
+ * `capacity_holds`.
+ */
+ModelCapacityHold.applyToServers = function applyToServers(holds, servers) {
+    assert.arrayOfObject(holds, 'holds');
+    assert.arrayOfObject(servers, 'servers');
+
+    servers.forEach(function _applyToServer(server) {
+        server.capacity_holds = holds.filter(function _isOnServer(hold) {
+            return (hold.server_uuid === server.uuid);
+        });
+
+        server.capacity_holds.forEach(function _subtract(hold) {
+            if (server.unreserved_ram !== undefined) {
+                server.unreserved_ram -= hold.ram;
+            }
+            if (server.unreserved_disk !== undefined) {
+                server.unreserved_disk -= hold.disk || 0;
+            }
+        });
+    });
+};
+
+
+/*
+ * Subtract what the given holds keep on each server from the spare capacity in
+ * 'capacities', which maps server UUIDs to their spare `cpu`, `ram` and `disk`
+ * as returned by Designation.serverCapacity().
+ */
+ModelCapacityHold.applyToCapacities =
+function applyToCapacities(holds, capacities) {
+    assert.arrayOfObject(holds, 'holds');
+    assert.object(capacities, 'capacities');
+
+    holds.forEach(function _subtract(hold) {
+        var capacity = capacities[hold.server_uuid];
+
+        if (capacity) {
+            capacity.ram -= hold.ram;
+            capacity.disk -= hold.disk || 0;
+        }
+    });
+};
+
+
+module.exports = ModelCapacityHold;
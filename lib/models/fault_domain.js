@@ -0,0 +1,490 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2021 Joyent, Inc.
+ */
+
+/*
+ * This file contains the logic for fault domains.
+ *
+ * Servers are grouped into fault domains: datacenter -> room -> rack ->
+ * server. The datacenter is the server's `datacenter`, and the rack is its
+ * `rack_identifier`. Rooms and racks are stored in the cnapi_fault_domains
+ * bucket, each with a `type` and a `name`. A rack's name is the
+ * rack_identifier of the servers in it, and its `parent_uuid` is the room it's
+ * in (or null if that isn't known). Servers whose rack_identifier doesn't name
+ * a rack here are still in that rack, but in no known room.
+ *
+ * The fault domains are used to spread an owner's VMs across racks or rooms
+ * when allocating (see owner_fault_domain_spread in the allocator's
+ * changeDefaults), and to add up spare capacity per fault domain (see
+ * ServerList and ServerCapacity).
+ */
+
+var assert = require('assert-plus');
+var libuuid = require('libuuid');
+var once = require('once');
+var sprintf = require('sprintf').sprintf;
+var VError = require('verror');
+
+var buckets = require('../apis/moray').BUCKETS;
+var common = require('../common');
+var ModelBase = require('./base');
+var ModelServer = require('./server');
+var ModelVm = require('./vm');
+
+var FAULT_DOMAIN_TYPES = ['rack', 'room'];
+var FAULT_DOMAIN_LEVELS = ['datacenter', 'rack', 'room'];
+
+var FAULT_DOMAIN_DEFAULT_LIMIT = 1000;
+
+
+function ModelFaultDomain() {}
+
+ModelFaultDomain.init = function (app) {
+    this.app = app;
+
+    Object.keys(ModelBase.staticFn).forEach(function (p) {
+        ModelFaultDomain[p] = ModelBase.staticFn[p];
+    });
+
+    ModelFaultDomain.log = app.getLog();
+};
+
+
+/*
+ * Create a new room or rack and write it to moray.
+ *
+ * @param params {Object}
+ *        type {String} - 'room' or 'rack'.
+ *        name {String} - The name of the room, or the rack_identifier of the
+ *                        servers in the rack.
+ *        parent_uuid {String} - optional, the room a rack is in.
+ * @param callback {Function} `function (err, domain)`
+ */
+ModelFaultDomain.create = function (params, callback) {
+    assert.object(params, 'params');
+    assert.string(params.type, 'params.type');
+    assert.string(params.name, 'params.name');
+    assert.optionalUuid(params.parent_uuid, 'params.parent_uuid');
+    assert.func(callback, 'callback');
+
+    var now = (new Date()).toISOString();
+    var domain = {
+        created: now,
+        name: params.name,
+        parent_uuid: params.parent_uuid || null,
+        type: params.type,
+        updated: now,
+        uuid: libuuid.create()
+    };
+
+    ModelFaultDomain.getMoray().putObject(
+        buckets.fault_domains.name,
+        domain.uuid,
+        domain,
+        function _onPut(err) {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            callback(null, domain);
+        });
+};
+
+
+/*
+ * Look up a room or rack. The callback is called with
+ * `function (err, domain, etag)`, where domain is undefined if there's none
+ * with this uuid.
+ */
+ModelFaultDomain.get = function (uuid, callback) {
+    assert.uuid(uuid, 'uuid');
+    assert.func(callback, 'callback');
+
+    ModelFaultDomain.getMoray().getObject(
+        buckets.fault_domains.name,
+        uuid,
+        function _onGet(err, obj) {
+            if (err && VError.hasCauseWithName(err, 'ObjectNotFoundError')) {
+                callback();
+                return;
+            } else if (err) {
+                callback(err);
+                return;
+            }
+
+            callback(null, obj.value, obj._etag);
+        });
+};
+
+
+/*
+ * Return rooms and racks, sorted by name.
+ *
+ * @param params {Object}
+ *        type {String} - Only rooms or only racks.
+ *        name {String} - Only those with this name.
+ *        parent_uuid {String} - Only the racks in this room.
+ * @param callback {Function} `function (err, domains)`
+ */
+ModelFaultDomain.list = function (params, callback) {
+    assert.object(params, 'params');
+    assert.optionalString(params.type, 'params.type');
+    assert.optionalString(params.name, 'params.name');
+    assert.optionalUuid(params.parent_uuid, 'params.parent_uuid');
+    assert.func(callback, 'callback');
+
+    var filters = [];
+    var filter = '(uuid=*)';
+
+    ['type', 'name', 'parent_uuid'].forEach(function _addFilter(param) {
+        if (params[param] !== undefined) {
+            filters.push(sprintf('(%s=%s)', param,
+                common.filterEscape(params[param])));
+        }
+    });
+    if (filters.length === 1) {
+        filter = filters[0];
+    } else if (filters.length > 1) {
+        filter = sprintf('(&%s)', filters.join(''));
+    }
+
+    findDomains(filter, {
+        sort: {
+            attribute: 'name',
+            order: 'ASC'
+        },
+        limit: FAULT_DOMAIN_DEFAULT_LIMIT
+    }, callback);
+};
+
+
+/*
+ * Return every room and rack, however many there are, in no particular order.
+ * They're fetched a page at a time, each following on from the last UUID of
+ * the one before.
+ */
+ModelFaultDomain.listAll = function (callback) {
+    assert.func(callback, 'callback');
+
+    var domains = [];
+
+    function _findPage(after) {
+        var filter = '(uuid=*)';
+
+        if (after) {
+            filter = sprintf('(&(uuid>=%s)(!(uuid=%s)))',
+                common.filterEscape(after), common.filterEscape(after));
+        }
+
+        findDomains(filter, {
+            sort: {
+                attribute: 'uuid',
+                order: 'ASC'
+            },
+            limit: FAULT_DOMAIN_DEFAULT_LIMIT
+        }, function _onPage(err, page) {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            domains = domains.concat(page);
+
+            if (page.length < FAULT_DOMAIN_DEFAULT_LIMIT) {
+                callback(null, domains);
+                return;
+            }
+
+            _findPage(page[page.length - 1].uuid);
+        });
+    }
+
+    _findPage();
+};
+
+
+function findDomains(filter, findOpts, callback) {
+    var domains = [];
+    var req;
+
+    callback = once(callback);
+
+    req = ModelFaultDomain.getMoray().findObjects(
+        buckets.fault_domains.name,
+        filter,
+        findOpts);
+
+    req.on('error', function _onError(err) {
+        ModelFaultDomain.log.error(err, 'error retrieving fault domains');
+        callback(err);
+    });
+
+    req.on('record', function _onRecord(obj) {
+        domains.push(obj.value);
+    });
+
+    req.on('end', function _onEnd() {
+        callback(null, domains);
+    });
+}
+
+
+/*
+ * Write an updated room or rack back to moray. If etag is given, the write
+ * fails with an EtagConflictError when it has been changed by someone else
+ * since it was read.
+ */
+ModelFaultDomain.put = function (domain, etag, callback) {
+    var putOpts = {};
+
+    assert.object(domain, 'domain');
+    assert.optionalString(etag, 'etag');
+    assert.func(callback, 'callback');
+
+    if (etag) {
+        putOpts.etag = etag;
+    }
+
+    domain.updated = (new Date()).toISOString();
+
+    ModelFaultDomain.getMoray().putObject(
+        buckets.fault_domains.name,
+        domain.uuid,
+        domain,
+        putOpts,
+        callback);
+};
+
+
+/*
+ * Delete a room or rack.
+ */
+ModelFaultDomain.del = function (uuid, callback) {
+    assert.uuid(uuid, 'uuid');
+    assert.func(callback, 'callback');
+
+    ModelFaultDomain.getMoray().delObject(
+        buckets.fault_domains.name,
+        uuid,
+        function _onDel(err) {
+            callback(err);
+        });
+};
+
+
+/*
+ * Load every room and rack, for working out which fault domains servers are
+ * in with ModelFaultDomain.locate(). The callback is called with
+ * `function (err, tree)`, where tree has the racks by name (`racks`) and the
+ * rooms by UUID (`rooms`).
+ */
+ModelFaultDomain.loadTree = function (callback) {
+    assert.func(callback, 'callback');
+
+    ModelFaultDomain.listAll(function _onList(err, domains) {
+        var tree = {
+            racks: {},
+            rooms: {}
+        };
+
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        domains.forEach(function _addDomain(domain) {
+            if (domain.type === 'rack') {
+                tree.racks[domain.name] = domain;
+            } else {
+                tree.rooms[domain.uuid] = domain;
+            }
+        });
+
+        callback(null, tree);
+    });
+};
+
+
+/*
+ * Return the datacenter, room and rack a server is in (each null if it isn't
+ * known), given the tree from ModelFaultDomain.loadTree().
+ */
+ModelFaultDomain.locate = function (tree, server) {
+    var rack = server.rack_identifier ? tree.racks[server.rack_identifier] :
+        undefined;
+    var room = rack && rack.parent_uuid ? tree.rooms[rack.parent_uuid] :
+        undefined;
+
+    return {
+        datacenter: server.datacenter || null,
+        rack: server.rack_identifier || null,
+        room: room ? room.name : null
+    };
+};
+
+
+/*
+ * Return a key for the fault domain at the given level ('datacenter', 'room'
+ * or 'rack') which a server is in. Servers whose fault domain at that level
+ * isn't known are each treated as being in one of their own.
+ */
+ModelFaultDomain.domainKey = function (tree, server, level) {
+    var location = ModelFaultDomain.locate(tree, server);
+
+    if (location[level] === null) {
+        return ('server:' + server.uuid);
+    }
+
+    return (level + ':' + location[level]);
+};
+
+
+/*
+ * Add up the spare capacity of servers per fault domain at the given level
+ * ('datacenter', 'room' or 'rack'). 'capacities' maps each server's UUID to
+ * its spare `cpu`, `ram` and `disk`, as returned by
+ * Designation.serverCapacity(); servers without one count as having none.
+ * Returns an array with, for each fault domain, where it is (its datacenter,
+ * and room and rack down to the level given), the UUIDs of its servers, and
+ * their total spare cpu, ram and disk.
+ */
+ModelFaultDomain.aggregateCapacity =
+function aggregateCapacity(tree, servers, level, capacities) {
+    assert.object(tree, 'tree');
+    assert.arrayOfObject(servers, 'servers');
+    assert.string(level, 'level');
+    assert.object(capacities, 'capacities');
+
+    var levels = ['datacenter', 'room', 'rack'];
+    var fields = levels.slice(0, levels.indexOf(level) + 1);
+    var domains = {};
+    var keys = [];
+
+    servers.forEach(function _addServer(server) {
+        var capacity = capacities[server.uuid] || {};
+        var location = ModelFaultDomain.locate(tree, server);
+        var key = JSON.stringify(fields.map(function _getField(field) {
+            return location[field];
+        }));
+        var domain = domains[key];
+
+        if (!domain) {
+            domain = domains[key] = {
+                cpu: 0,
+                disk: 0,
+                ram: 0,
+                servers: []
+            };
+
+            fields.forEach(function _setField(field) {
+                domain[field] = location[field];
+            });
+
+            keys.push(key);
+        }
+
+        domain.cpu += capacity.cpu || 0;
+        domain.disk += capacity.disk || 0;
+        domain.ram += capacity.ram || 0;
+        domain.servers.push(server.uuid);
+    });
+
+    return keys.sort().map(function _getDomain(key) {
+        return domains[key];
+    });
+};
+
+
+/*
+ * Count an owner's VMs in each fault domain at the given level ('room' or
+ * 'rack'), given the tree from ModelFaultDomain.loadTree(). VMs in 'tickets'
+ * (open provisioning tickets) which VMAPI doesn't have on a server yet are
+ * counted too. The callback is called with `function (err, counts)`, where
+ * counts maps the keys returned by ModelFaultDomain.domainKey() to the number
+ * of VMs in the domain.
+ */
+ModelFaultDomain.countOwnerVms =
+function countOwnerVms(ownerUuid, tree, level, tickets, callback) {
+    assert.uuid(ownerUuid, 'ownerUuid');
+    assert.object(tree, 'tree');
+    assert.string(level, 'level');
+    assert.arrayOfObject(tickets, 'tickets');
+    assert.func(callback, 'callback');
+
+    var counts = {};
+    var seen = {};
+    var serverCounts = {};
+
+    function addVm(serverUuid, vmUuid) {
+        if (!seen[vmUuid]) {
+            seen[vmUuid] = true;
+            serverCounts[serverUuid] = (serverCounts[serverUuid] || 0) + 1;
+        }
+    }
+
+    ModelVm.listVmsViaVmapi({
+        fields: 'uuid,server_uuid',
+        owner_uuid: ownerUuid,
+        predicate: {
+            and: [
+                { ne: ['state', 'destroyed'] },
+                { ne: ['state', 'failed'] }
+            ]
+        }
+    }, function _onVms(err, vms) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        vms.forEach(function _countVm(vm) {
+            if (vm.server_uuid) {
+                addVm(vm.server_uuid, vm.uuid);
+            }
+        });
+
+        tickets.forEach(function _countTicket(ticket) {
+            // Capacity held for the owner isn't one of their VMs.
+            if (ticket.server_uuid && ticket.extra && !ticket.capacity_hold &&
+                ticket.extra.owner_uuid === ownerUuid) {
+
+                addVm(ticket.server_uuid, ticket.id);
+            }
+        });
+
+        if (Object.keys(serverCounts).length === 0) {
+            callback(null, counts);
+            return;
+        }
+
+        ModelServer.list({
+            raw: true,
+            uuid: Object.keys(serverCounts)
+        }, function _onServers(listErr, servers) {
+            if (listErr) {
+                callback(listErr);
+                return;
+            }
+
+            servers.forEach(function _countServer(server) {
+                var key = ModelFaultDomain.domainKey(tree, server, level);
+
+                counts[key] = (counts[key] || 0) + serverCounts[server.uuid];
+            });
+
+            callback(null, counts);
+        });
+    });
+};
+
+
+module.exports = ModelFaultDomain;
+module.exports.FAULT_DOMAIN_LEVELS = FAULT_DOMAIN_LEVELS;
+module.exports.FAULT_DOMAIN_TYPES = FAULT_DOMAIN_TYPES;
@@ -0,0 +1,431 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2021 Joyent, Inc.
+ */
+
+/*
+ * This file contains the logic for owner quotas.
+ *
+ * An owner's quota limits how many of their VMs (`max_vms_per_server`) and how
+ * much of their VMs' RAM in MiB (`max_ram_per_server`) SelectServer puts on any
+ * one server, and lists the servers restricted to them (`servers`), which
+ * SelectServer gives no other owner's VMs. Each is left out (null, or empty
+ * for `servers`) when there's no such limit.
+ *
+ * Quotas are stored in the cnapi_owner_quotas bucket, keyed by owner UUID.
+ * Unlike the allocator's filter_vm_limit and filter_owner_server defaults,
+ * which apply to every owner alike, they're enforced by CNAPI before the
+ * servers are given to the allocator, and how much of each server an owner
+ * already uses is looked up in VMAPI at allocation time.
+ */
+
+var assert = require('assert-plus');
+var once = require('once');
+var sprintf = require('sprintf').sprintf;
+var VError = require('verror');
+
+var buckets = require('../apis/moray').BUCKETS;
+var common = require('../common');
+var ModelBase = require('./base');
+var ModelVm = require('./vm');
+
+var OWNER_QUOTA_DEFAULT_LIMIT = 1000;
+
+
+function ModelOwnerQuota() {}
+
+ModelOwnerQuota.init = function (app) {
+    this.app = app;
+
+    Object.keys(ModelBase.staticFn).forEach(function (p) {
+        ModelOwnerQuota[p] = ModelBase.staticFn[p];
+    });
+
+    ModelOwnerQuota.log = app.getLog();
+};
+
+
+/*
+ * Look up an owner's quota. The callback is called with
+ * `function (err, quota, etag)`, where quota is undefined if the owner has
+ * none.
+ */
+ModelOwnerQuota.get = function (ownerUuid, callback) {
+    assert.uuid(ownerUuid, 'ownerUuid');
+    assert.func(callback, 'callback');
+
+    ModelOwnerQuota.getMoray().getObject(
+        buckets.owner_quotas.name,
+        ownerUuid,
+        function _onGet(err, obj) {
+            if (err && VError.hasCauseWithName(err, 'ObjectNotFoundError')) {
+                callback();
+                return;
+            } else if (err) {
+                callback(err);
+                return;
+            }
+
+            callback(null, obj.value, obj._etag);
+        });
+};
+
+
+/*
+ * Return quotas, sorted by owner UUID.
+ *
+ * @param params {Object}
+ *        server_uuid {String} - Only the quota of the owner this server is
+ *                               restricted to.
+ *        limit {Number} - Restrict to this many quotas.
+ *        offset {Number} - Skip this many quotas.
+ * @param callback {Function} `function (err, quotas)`
+ */
+ModelOwnerQuota.list = function (params, callback) {
+    assert.object(params, 'params');
+    assert.optionalUuid(params.server_uuid, 'params.server_uuid');
+    assert.optionalNumber(params.limit, 'params.limit');
+    assert.optionalNumber(params.offset, 'params.offset');
+    assert.func(callback, 'callback');
+
+    var filter = '(owner_uuid=*)';
+    var findOpts = {
+        sort: {
+            attribute: 'owner_uuid',
+            order: 'ASC'
+        },
+        limit: params.limit || OWNER_QUOTA_DEFAULT_LIMIT
+    };
+
+    if (params.server_uuid !== undefined) {
+        filter = sprintf('(servers=%s)',
+            common.filterEscape(params.server_uuid));
+    }
+    if (params.offset !== undefined) {
+        findOpts.offset = params.offset;
+    }
+
+    findQuotas(filter, findOpts, callback);
+};
+
+
+/*
+ * Return every quota which restricts servers to its owner, however many there
+ * are, sorted by owner UUID. They're fetched a page at a time, each following
+ * on from the last owner UUID of the one before.
+ */
+ModelOwnerQuota.listAllRestricting = function (callback) {
+    assert.func(callback, 'callback');
+
+    var quotas = [];
+
+    function _findPage(after) {
+        var filter = '(servers=*)';
+
+        if (after) {
+            filter = sprintf('(&(servers=*)(owner_uuid>=%s)' +
+                '(!(owner_uuid=%s)))',
+                common.filterEscape(after), common.filterEscape(after));
+        }
+
+        findQuotas(filter, {
+            sort: {
+                attribute: 'owner_uuid',
+                order: 'ASC'
+            },
+            limit: OWNER_QUOTA_DEFAULT_LIMIT
+        }, function _onPage(err, page) {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            quotas = quotas.concat(page);
+
+            if (page.length < OWNER_QUOTA_DEFAULT_LIMIT) {
+                callback(null, quotas);
+                return;
+            }
+
+            _findPage(page[page.length - 1].owner_uuid);
+        });
+    }
+
+    _findPage();
+};
+
+
+function findQuotas(filter, findOpts, callback) {
+    var quotas = [];
+    var req;
+
+    callback = once(callback);
+
+    req = ModelOwnerQuota.getMoray().findObjects(
+        buckets.owner_quotas.name,
+        filter,
+        findOpts);
+
+    req.on('error', function _onError(err) {
+        ModelOwnerQuota.log.error(err, 'error retrieving owner quotas');
+        callback(err);
+    });
+
+    req.on('record', function _onRecord(obj) {
+        quotas.push(obj.value);
+    });
+
+    req.on('end', function _onEnd() {
+        callback(null, quotas);
+    });
+}
+
+
+/*
+ * Write an owner's quota to moray, creating it if the owner has none. If etag
+ * is given, the write fails with an EtagConflictError when the quota has been
+ * changed by someone else since it was read.
+ */
+ModelOwnerQuota.put = function (quota, etag, callback) {
+    var putOpts = {};
+
+    assert.object(quota, 'quota');
+    assert.uuid(quota.owner_uuid, 'quota.owner_uuid');
+    assert.optionalString(etag, 'etag');
+    assert.func(callback, 'callback');
+
+    if (etag) {
+        putOpts.etag = etag;
+    }
+
+    quota.updated = (new Date()).toISOString();
+    if (!quota.created) {
+        quota.created = quota.updated;
+    }
+
+    ModelOwnerQuota.getMoray().putObject(
+        buckets.owner_quotas.name,
+        quota.owner_uuid,
+        quota,
+        putOpts,
+        callback);
+};
+
+
+/*
+ * Delete an owner's quota.
+ */
+ModelOwnerQuota.del = function (ownerUuid, callback) {
+    assert.uuid(ownerUuid, 'ownerUuid');
+    assert.func(callback, 'callback');
+
+    ModelOwnerQuota.getMoray().delObject(
+        buckets.owner_quotas.name,
+        ownerUuid,
+        function _onDel(err) {
+            callback(err);
+        });
+};
+
+
+/*
+ * Load what SelectServer needs to keep a VM within its owner's quota: the
+ * owner's quota (`quota`, null if they have none), which owner each
+ * restricted server is restricted to (`restricted`, by server UUID), and how
+ * much of each server the owner already uses (`usage`, see
+ * ModelOwnerQuota.getUsage(), which is only looked up when the owner has
+ * per-server limits). 'tickets' are the open provisioning tickets, whose VMs
+ * may not be in VMAPI yet.
+ *
+ * @param ownerUuid {String} - The VM's owner, or undefined if it has none.
+ * @param tickets {Array} - The open provisioning tickets.
+ * @param callback {Function} `function (err, ownerQuotas)`
+ */
+ModelOwnerQuota.loadForAllocation = function (ownerUuid, tickets, callback) {
+    assert.optionalUuid(ownerUuid, 'ownerUuid');
+    assert.arrayOfObject(tickets, 'tickets');
+    assert.func(callback, 'callback');
+
+    var ownerQuotas = {
+        quota: null,
+        restricted: {},
+        usage: {}
+    };
+
+    function _getQuota(cb) {
+        if (!ownerUuid) {
+            cb();
+            return;
+        }
+
+        ModelOwnerQuota.get(ownerUuid, function _onGet(err, quota) {
+            if (err) {
+                cb(err);
+                return;
+            }
+
+            ownerQuotas.quota = quota || null;
+            cb();
+        });
+    }
+
+    function _onList(err, quotas) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        quotas.forEach(function _addQuota(quota) {
+            (quota.servers || []).forEach(function _addServer(serverUuid) {
+                ownerQuotas.restricted[serverUuid] = quota.owner_uuid;
+            });
+        });
+
+        if (!ownerQuotas.quota || (!ownerQuotas.quota.max_vms_per_server &&
+            !ownerQuotas.quota.max_ram_per_server)) {
+
+            callback(null, ownerQuotas);
+            return;
+        }
+
+        ModelOwnerQuota.getUsage(ownerUuid, tickets,
+            function _onUsage(usageErr, usage) {
+                if (usageErr) {
+                    callback(usageErr);
+                    return;
+                }
+
+                ownerQuotas.usage = usage;
+                callback(null, ownerQuotas);
+            });
+    }
+
+    _getQuota(function _onQuota(getErr) {
+        if (getErr) {
+            callback(getErr);
+            return;
+        }
+
+        ModelOwnerQuota.listAllRestricting(_onList);
+    });
+};
+
+
+/*
+ * Look up how much of each server an owner uses. The callback is called with
+ * `function (err, usage)`, where usage maps server UUIDs to the UUIDs of the
+ * owner's VMs on the server (`vms`) and their total RAM in MiB (`ram`). VMs in
+ * 'tickets' (open provisioning tickets) which VMAPI doesn't have on a server
+ * yet are counted too.
+ */
+ModelOwnerQuota.getUsage = function (ownerUuid, tickets, callback) {
+    assert.uuid(ownerUuid, 'ownerUuid');
+    assert.arrayOfObject(tickets, 'tickets');
+    assert.func(callback, 'callback');
+
+    var usage = {};
+
+    function addVm(serverUuid, vmUuid, ram) {
+        var serverUsage = usage[serverUuid];
+
+        if (!serverUsage) {
+            serverUsage = usage[serverUuid] = {
+                ram: 0,
+                vms: []
+            };
+        }
+
+        if (serverUsage.vms.indexOf(vmUuid) === -1) {
+            serverUsage.vms.push(vmUuid);
+            serverUsage.ram += ram || 0;
+        }
+    }
+
+    ModelVm.listVmsViaVmapi({
+        fields: 'uuid,server_uuid,ram',
+        owner_uuid: ownerUuid,
+        predicate: {
+            and: [
+                { ne: ['state', 'destroyed'] },
+                { ne: ['state', 'failed'] }
+            ]
+        }
+    }, function _onVms(err, vms) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        vms.forEach(function _addVm(vm) {
+            if (vm.server_uuid) {
+                addVm(vm.server_uuid, vm.uuid, vm.ram);
+            }
+        });
+
+        tickets.forEach(function _addTicket(ticket) {
+            // Capacity held for the owner isn't one of their VMs.
+            if (ticket.server_uuid && ticket.extra && !ticket.capacity_hold &&
+                ticket.extra.owner_uuid === ownerUuid) {
+
+                addVm(ticket.server_uuid, ticket.id,
+                    ticket.extra.max_physical_memory);
+            }
+        });
+
+        callback(null, usage);
+    });
+};
+
+
+/*
+ * Return why a server can't take a VM of an owner with 'ram' MiB of RAM,
+ * given what ModelOwnerQuota.loadForAllocation() loaded, or null if it can.
+ * The VM being allocated isn't counted against the quota if it's already on
+ * the server (e.g. from its own ticket).
+ */
+ModelOwnerQuota.rejectReason =
+function rejectReason(ownerQuotas, ownerUuid, vmUuid, server, ram) {
+    assert.object(ownerQuotas, 'ownerQuotas');
+    assert.object(server, 'server');
+
+    var quota = ownerQuotas.quota;
+    var restrictedTo = ownerQuotas.restricted[server.uuid];
+    var serverUsage = ownerQuotas.usage[server.uuid] || {
+        ram: 0,
+        vms: []
+    };
+
+    if (restrictedTo && restrictedTo !== ownerUuid) {
+        return ('Server is restricted to owner ' + restrictedTo);
+    }
+
+    if (!quota || serverUsage.vms.indexOf(vmUuid) !== -1) {
+        return null;
+    }
+
+    if (quota.max_vms_per_server &&
+        serverUsage.vms.length >= quota.max_vms_per_server) {
+
+        return sprintf('Server has %d of the owner\'s VMs, and the owner\'s ' +
+            'limit is %d per server', serverUsage.vms.length,
+            quota.max_vms_per_server);
+    }
+
+    if (quota.max_ram_per_server &&
+        serverUsage.ram + (ram || 0) > quota.max_ram_per_server) {
+
+        return sprintf('Server has %d MiB of the owner\'s VMs\' RAM, and ' +
+            '%d MiB more would exceed the owner\'s limit of %d MiB per server',
+            serverUsage.ram, ram || 0, quota.max_ram_per_server);
+    }
+
+    return null;
+};
+
+
+module.exports = ModelOwnerQuota;
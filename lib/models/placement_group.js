@@ -0,0 +1,382 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2021 Joyent, Inc.
+ */
+
+/*
+ * This file contains the logic for placement groups.
+ *
+ * A placement group is a named set of VMs which should be kept apart from each
+ * other, either on different servers or in different racks (according to the
+ * servers' rack_identifier), which is its `spread`. Its `policy` says whether
+ * that's required (hard), in which case SelectServer fails rather than put a
+ * VM with the others, or only preferred (soft), in which case the others are
+ * only avoided while there are other servers that can take the VM.
+ *
+ * Groups are stored in the cnapi_placement_groups bucket. A VM is added to its
+ * group when SelectServer chooses a server for it, so the VMs placed after it
+ * are kept apart from it. Which servers the VMs are on is looked up in VMAPI
+ * (and in the open provisioning tickets, for VMs still being created) at
+ * allocation time, so VMs which have since been destroyed or moved need not
+ * be removed from the group.
+ */
+
+var assert = require('assert-plus');
+var libuuid = require('libuuid');
+var once = require('once');
+var sprintf = require('sprintf').sprintf;
+var VError = require('verror');
+
+var buckets = require('../apis/moray').BUCKETS;
+var common = require('../common');
+var ModelBase = require('./base');
+var ModelServer = require('./server');
+var ModelVm = require('./vm');
+
+var PLACEMENT_GROUP_POLICIES = ['hard', 'soft'];
+var PLACEMENT_GROUP_SPREADS = ['rack', 'server'];
+
+var PLACEMENT_GROUP_DEFAULT_LIMIT = 1000;
+var PLACEMENT_GROUP_ETAG_RETRIES = 3;
+
+
+function ModelPlacementGroup() {}
+
+ModelPlacementGroup.init = function (app) {
+    this.app = app;
+
+    Object.keys(ModelBase.staticFn).forEach(function (p) {
+        ModelPlacementGroup[p] = ModelBase.staticFn[p];
+    });
+
+    ModelPlacementGroup.log = app.getLog();
+};
+
+
+/*
+ * Create a new placement group and write it to moray.
+ *
+ * @param params {Object}
+ *        name {String} - The name of the group.
+ *        policy {String} - 'hard' or 'soft'.
+ *        spread {String} - 'server' or 'rack'.
+ *        vms {Array} - UUIDs of the VMs already in the group.
+ *        owner_uuid {String} - optional, the only owner whose VMs may be
+ *                              allocated in the group.
+ * @param callback {Function} `function (err, group)`
+ */
+ModelPlacementGroup.create = function (params, callback) {
+    assert.object(params, 'params');
+    assert.string(params.name, 'params.name');
+    assert.string(params.policy, 'params.policy');
+    assert.string(params.spread, 'params.spread');
+    assert.arrayOfUuid(params.vms, 'params.vms');
+    assert.optionalUuid(params.owner_uuid, 'params.owner_uuid');
+    assert.func(callback, 'callback');
+
+    var now = (new Date()).toISOString();
+    var group = {
+        created: now,
+        name: params.name,
+        owner_uuid: params.owner_uuid,
+        policy: params.policy,
+        spread: params.spread,
+        updated: now,
+        uuid: libuuid.create(),
+        vms: params.vms
+    };
+
+    ModelPlacementGroup.getMoray().putObject(
+        buckets.placement_groups.name,
+        group.uuid,
+        group,
+        function _onPut(err) {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            callback(null, group);
+        });
+};
+
+
+/*
+ * Look up a group. The callback is called with `function (err, group, etag)`,
+ * where group is undefined if there's no group with this uuid.
+ */
+ModelPlacementGroup.get = function (uuid, callback) {
+    assert.uuid(uuid, 'uuid');
+    assert.func(callback, 'callback');
+
+    ModelPlacementGroup.getMoray().getObject(
+        buckets.placement_groups.name,
+        uuid,
+        function _onGet(err, obj) {
+            if (err && VError.hasCauseWithName(err, 'ObjectNotFoundError')) {
+                callback();
+                return;
+            } else if (err) {
+                callback(err);
+                return;
+            }
+
+            callback(null, obj.value, obj._etag);
+        });
+};
+
+
+/*
+ * Return groups, newest first.
+ *
+ * @param params {Object}
+ *        name {String} - Only groups with this name.
+ *        owner_uuid {String} - Only groups with this owner.
+ *        limit {Number} - Restrict to this many groups.
+ *        offset {Number} - Skip this many groups.
+ * @param callback {Function} `function (err, groups)`
+ */
+ModelPlacementGroup.list = function (params, callback) {
+    assert.object(params, 'params');
+    assert.optionalString(params.name, 'params.name');
+    assert.optionalUuid(params.owner_uuid, 'params.owner_uuid');
+    assert.optionalNumber(params.limit, 'params.limit');
+    assert.optionalNumber(params.offset, 'params.offset');
+    assert.func(callback, 'callback');
+
+    var self = this;
+
+    var filters = [];
+    var filter = '(uuid=*)';
+    var findOpts = {
+        sort: {
+            attribute: 'created',
+            order: 'DESC'
+        },
+        limit: params.limit || PLACEMENT_GROUP_DEFAULT_LIMIT
+    };
+    var groups = [];
+    var req;
+
+    callback = once(callback);
+
+    if (params.name !== undefined) {
+        filters.push(sprintf('(name=%s)', common.filterEscape(params.name)));
+    }
+    if (params.owner_uuid !== undefined) {
+        filters.push(sprintf('(owner_uuid=%s)',
+            common.filterEscape(params.owner_uuid)));
+    }
+    if (filters.length === 1) {
+        filter = filters[0];
+    } else if (filters.length > 1) {
+        filter = sprintf('(&%s)', filters.join(''));
+    }
+    if (params.offset !== undefined) {
+        findOpts.offset = params.offset;
+    }
+
+    req = ModelPlacementGroup.getMoray().findObjects(
+        buckets.placement_groups.name,
+        filter,
+        findOpts);
+
+    req.on('error', function _onError(err) {
+        self.log.error(err, 'error retrieving placement groups');
+        callback(err);
+    });
+
+    req.on('record', function _onRecord(obj) {
+        groups.push(obj.value);
+    });
+
+    req.on('end', function _onEnd() {
+        callback(null, groups);
+    });
+};
+
+
+/*
+ * Write an updated group back to moray. If etag is given, the write fails with
+ * an EtagConflictError when the group has been changed by someone else since
+ * it was read.
+ */
+ModelPlacementGroup.put = function (group, etag, callback) {
+    var putOpts = {};
+
+    assert.object(group, 'group');
+    assert.optionalString(etag, 'etag');
+    assert.func(callback, 'callback');
+
+    if (etag) {
+        putOpts.etag = etag;
+    }
+
+    group.updated = (new Date()).toISOString();
+
+    ModelPlacementGroup.getMoray().putObject(
+        buckets.placement_groups.name,
+        group.uuid,
+        group,
+        putOpts,
+        callback);
+};
+
+
+/*
+ * Delete a group.
+ */
+ModelPlacementGroup.del = function (uuid, callback) {
+    assert.uuid(uuid, 'uuid');
+    assert.func(callback, 'callback');
+
+    ModelPlacementGroup.getMoray().delObject(
+        buckets.placement_groups.name,
+        uuid,
+        function _onDel(err) {
+            callback(err);
+        });
+};
+
+
+/*
+ * Add a VM to a group, unless it's already in it. Since VMs in a group may be
+ * allocated at the same time, a conflicting write is retried with the group
+ * as it is then. The callback is called with `function (err, group)`, where
+ * group is undefined if it doesn't exist.
+ */
+ModelPlacementGroup.addVm = function (uuid, vmUuid, callback) {
+    assert.uuid(uuid, 'uuid');
+    assert.uuid(vmUuid, 'vmUuid');
+    assert.func(callback, 'callback');
+
+    var etagRetries = PLACEMENT_GROUP_ETAG_RETRIES;
+
+    function _tryAdd() {
+        ModelPlacementGroup.get(uuid, function _onGet(err, group, etag) {
+            if (err || !group || group.vms.indexOf(vmUuid) !== -1) {
+                callback(err, group);
+                return;
+            }
+
+            group.vms.push(vmUuid);
+
+            ModelPlacementGroup.put(group, etag, function _onPut(putErr) {
+                if (putErr && etagRetries > 0 &&
+                    VError.hasCauseWithName(putErr, 'EtagConflictError')) {
+
+                    etagRetries--;
+                    _tryAdd();
+                    return;
+                }
+
+                callback(putErr, group);
+            });
+        });
+    }
+
+    _tryAdd();
+};
+
+
+/*
+ * Look up where the VMs in a group are, other than the VM given (the one being
+ * allocated), so that it can be kept apart from them. VMs in 'tickets' (open
+ * provisioning tickets) are counted on the ticket's server, since VMAPI may not
+ * have them on a server yet. The callback is called with
+ * `function (err, placement)`, where placement has the UUIDs of the servers
+ * the VMs are on (`servers`), and the rack_identifiers of those servers which
+ * have one (`racks`).
+ */
+ModelPlacementGroup.getPlacement = function (group, vmUuid, tickets, callback) {
+    assert.object(group, 'group');
+    assert.uuid(vmUuid, 'vmUuid');
+    assert.arrayOfObject(tickets, 'tickets');
+    assert.func(callback, 'callback');
+
+    var placement = {
+        racks: [],
+        servers: []
+    };
+    var vmUuids = group.vms.filter(function _isOther(uuid) {
+        return (uuid !== vmUuid);
+    });
+
+    function addServer(serverUuid) {
+        if (serverUuid && placement.servers.indexOf(serverUuid) === -1) {
+            placement.servers.push(serverUuid);
+        }
+    }
+
+    if (vmUuids.length === 0) {
+        callback(null, placement);
+        return;
+    }
+
+    var uuidPredicates = vmUuids.map(function _uuidPredicate(uuid) {
+        return { eq: ['uuid', uuid] };
+    });
+
+    ModelVm.listVmsViaVmapi({
+        fields: 'uuid,server_uuid,state',
+        predicate: {
+            and: [
+                (uuidPredicates.length === 1) ? uuidPredicates[0] :
+                    { or: uuidPredicates },
+                { ne: ['state', 'destroyed'] },
+                { ne: ['state', 'failed'] }
+            ]
+        }
+    }, function _onVms(err, vms) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        vms.forEach(function _addVm(vm) {
+            addServer(vm.server_uuid);
+        });
+
+        tickets.forEach(function _addTicket(ticket) {
+            // Capacity holds aren't VMs.
+            if (!ticket.capacity_hold && vmUuids.indexOf(ticket.id) !== -1) {
+                addServer(ticket.server_uuid);
+            }
+        });
+
+        if (group.spread !== 'rack' || placement.servers.length === 0) {
+            callback(null, placement);
+            return;
+        }
+
+        ModelServer.list({
+            raw: true,
+            uuid: placement.servers
+        }, function _onServers(listErr, servers) {
+            if (listErr) {
+                callback(listErr);
+                return;
+            }
+
+            servers.forEach(function _addRack(server) {
+                if (server.rack_identifier &&
+                    placement.racks.indexOf(server.rack_identifier) === -1) {
+
+                    placement.racks.push(server.rack_identifier);
+                }
+            });
+
+            callback(null, placement);
+        });
+    });
+};
+
+
+module.exports = ModelPlacementGroup;
+module.exports.PLACEMENT_GROUP_POLICIES = PLACEMENT_GROUP_POLICIES;
+module.exports.PLACEMENT_GROUP_SPREADS = PLACEMENT_GROUP_SPREADS;
@@ -0,0 +1,725 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2021 Joyent, Inc.
+ */
+
+/*
+ * This file contains the logic for platform rollouts.
+ *
+ * A rollout moves a list of servers onto a target platform image in batches of
+ * at most batch_size servers. For each batch, the servers' boot_platform is
+ * set to the target platform and, if the rollout has `reboot` set, a reboot
+ * plan (see lib/models/reboot_plan.js) is created to reboot them. The next
+ * batch isn't started until every server in the current one has either
+ * converged or failed. Rollouts are stored in the cnapi_platform_rollouts
+ * bucket and are moved along by the reboot scheduler (see
+ * lib/reboot_scheduler.js), which calls ModelPlatformRollout.advance() on each
+ * active rollout periodically.
+ *
+ * A rollout is in one of the same states as a reboot plan:
+ *
+ *     running   - batches are being started as earlier ones finish
+ *     stopping  - no more batches will be started (because the rollout was
+ *                 stopped, or a server failed and stop_on_failure is set), but
+ *                 some servers are still rebooting
+ *     stopped   - stopped, and no servers are rebooting
+ *     complete  - every server has either converged or failed
+ *
+ * and each server in the rollout is in one of the states:
+ *
+ *     pending   - not yet started (or picked for a batch which hasn't been
+ *                 started yet, in which case it has `batch` set)
+ *     staged    - boot_platform has been set, and we're waiting for the server
+ *                 to be booted onto the platform (by someone else, when the
+ *                 rollout doesn't reboot servers itself)
+ *     rebooting - the server is being rebooted by the batch's reboot plan
+ *     converged - the server is running the target platform, according to
+ *                 the 'Live Image' in its sysinfo (current_platform)
+ *     failed    - boot_platform could not be set, the reboot failed, or the
+ *                 server booted a different platform
+ */
+
+var assert = require('assert-plus');
+var async = require('async');
+var libuuid = require('libuuid');
+var once = require('once');
+var sprintf = require('sprintf').sprintf;
+var VError = require('verror');
+
+var buckets = require('../apis/moray').BUCKETS;
+var common = require('../common');
+var ModelBase = require('./base');
+var ModelRebootPlan = require('./reboot_plan');
+var ModelServer = require('./server');
+
+var PLATFORM_ROLLOUT_ACTIVE_STATES = ['running', 'stopping'];
+var PLATFORM_ROLLOUT_STATES = ['complete', 'running', 'stopped', 'stopping'];
+var PLATFORM_ROLLOUT_SERVER_STATES =
+    ['converged', 'failed', 'pending', 'rebooting', 'staged'];
+
+var PLATFORM_ROLLOUT_DEFAULT_LIMIT = 1000;
+
+// Number of servers checked on at once when advancing a rollout.
+var PLATFORM_ROLLOUT_CHECK_CONCURRENCY = 10;
+
+
+function ModelPlatformRollout() {}
+
+ModelPlatformRollout.init = function (app) {
+    this.app = app;
+
+    Object.keys(ModelBase.staticFn).forEach(function (p) {
+        ModelPlatformRollout[p] = ModelBase.staticFn[p];
+    });
+
+    ModelPlatformRollout.log = app.getLog();
+};
+
+
+function countServers(rollout) {
+    var counts = {};
+
+    PLATFORM_ROLLOUT_SERVER_STATES.forEach(function _initCount(state) {
+        counts[state] = 0;
+    });
+
+    rollout.servers.forEach(function _countServer(server) {
+        counts[server.state]++;
+    });
+
+    return counts;
+}
+
+
+/*
+ * Create a new rollout of params.platform to the servers in params.servers (an
+ * array of server UUIDs) and write it to moray.
+ *
+ * @param params {Object}
+ *        platform {String} - The platform image to move the servers onto.
+ *        servers {Array} - UUIDs of the servers, in order.
+ *        batch_size {Number} - Maximum number of servers in each batch.
+ *        reboot {Boolean} - Reboot each batch onto the platform.
+ *        stop_on_failure {Boolean} - Stop the rollout when a server fails.
+ *        drain {Boolean} - Passed to the server-reboot workflow.
+ *        origin {String} - optional
+ *        creator_uuid {String} - optional
+ * @param callback {Function} `function (err, rollout)`
+ */
+ModelPlatformRollout.create = function (params, callback) {
+    assert.object(params, 'params');
+    assert.string(params.platform, 'params.platform');
+    assert.arrayOfUuid(params.servers, 'params.servers');
+    assert.number(params.batch_size, 'params.batch_size');
+    assert.bool(params.reboot, 'params.reboot');
+    assert.bool(params.stop_on_failure, 'params.stop_on_failure');
+    assert.bool(params.drain, 'params.drain');
+    assert.optionalString(params.origin, 'params.origin');
+    assert.optionalString(params.creator_uuid, 'params.creator_uuid');
+    assert.func(callback, 'callback');
+
+    var now = (new Date()).toISOString();
+    var rollout = {
+        batch_size: params.batch_size,
+        batches: 0,
+        created: now,
+        creator_uuid: params.creator_uuid,
+        drain: params.drain,
+        origin: params.origin,
+        platform: params.platform,
+        reboot: params.reboot,
+        servers: params.servers.map(function _newServer(serverUuid) {
+            return {
+                server_uuid: serverUuid,
+                state: 'pending'
+            };
+        }),
+        state: 'running',
+        stop_on_failure: params.stop_on_failure,
+        updated: now,
+        uuid: libuuid.create()
+    };
+
+    rollout.counts = countServers(rollout);
+
+    ModelPlatformRollout.getMoray().putObject(
+        buckets.platform_rollouts.name,
+        rollout.uuid,
+        rollout,
+        function _onPut(err) {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            callback(null, rollout);
+        });
+};
+
+
+/*
+ * Look up a rollout. The callback is called with
+ * `function (err, rollout, etag)`, where rollout is undefined if there's no
+ * rollout with this uuid.
+ */
+ModelPlatformRollout.get = function (uuid, callback) {
+    assert.uuid(uuid, 'uuid');
+    assert.func(callback, 'callback');
+
+    ModelPlatformRollout.getMoray().getObject(
+        buckets.platform_rollouts.name,
+        uuid,
+        function _onGet(err, obj) {
+            if (err && VError.hasCauseWithName(err, 'ObjectNotFoundError')) {
+                callback();
+                return;
+            } else if (err) {
+                callback(err);
+                return;
+            }
+
+            callback(null, obj.value, obj._etag);
+        });
+};
+
+
+/*
+ * Return rollouts, newest first.
+ *
+ * @param params {Object}
+ *        state {String|Array} - Only rollouts in this state (or these states).
+ *        limit {Number} - Restrict to this many rollouts.
+ *        offset {Number} - Skip this many rollouts.
+ * @param callback {Function} `function (err, rollouts)`
+ */
+ModelPlatformRollout.list = function (params, callback) {
+    assert.object(params, 'params');
+    assert.optionalNumber(params.limit, 'params.limit');
+    assert.optionalNumber(params.offset, 'params.offset');
+    assert.func(callback, 'callback');
+
+    var self = this;
+
+    var filter = '(uuid=*)';
+    var findOpts = {
+        sort: {
+            attribute: 'created',
+            order: 'DESC'
+        },
+        limit: params.limit || PLATFORM_ROLLOUT_DEFAULT_LIMIT
+    };
+    var req;
+    var rollouts = [];
+    var states;
+
+    callback = once(callback);
+
+    if (params.state) {
+        states = Array.isArray(params.state) ? params.state : [params.state];
+        filter = states.map(function _stateFilter(state) {
+            return sprintf('(state=%s)', common.filterEscape(state));
+        }).join('');
+        if (states.length > 1) {
+            filter = sprintf('(|%s)', filter);
+        }
+    }
+    if (params.offset !== undefined) {
+        findOpts.offset = params.offset;
+    }
+
+    req = ModelPlatformRollout.getMoray().findObjects(
+        buckets.platform_rollouts.name,
+        filter,
+        findOpts);
+
+    req.on('error', function _onError(err) {
+        self.log.error(err, 'error retrieving platform rollouts');
+        callback(err);
+    });
+
+    req.on('record', function _onRecord(obj) {
+        rollouts.push(obj.value);
+    });
+
+    req.on('end', function _onEnd() {
+        callback(null, rollouts);
+    });
+};
+
+
+/*
+ * Return the rollouts which are still being worked on.
+ */
+ModelPlatformRollout.listActive = function (callback) {
+    ModelPlatformRollout.list({state: PLATFORM_ROLLOUT_ACTIVE_STATES},
+        callback);
+};
+
+
+/*
+ * Write an updated rollout back to moray. If etag is given, the write fails
+ * with an EtagConflictError when the rollout has been changed by someone else
+ * since it was read.
+ */
+ModelPlatformRollout.put = function (rollout, etag, callback) {
+    var putOpts = {};
+
+    assert.object(rollout, 'rollout');
+    assert.optionalString(etag, 'etag');
+    assert.func(callback, 'callback');
+
+    if (etag) {
+        putOpts.etag = etag;
+    }
+
+    rollout.counts = countServers(rollout);
+    rollout.updated = (new Date()).toISOString();
+
+    ModelPlatformRollout.getMoray().putObject(
+        buckets.platform_rollouts.name,
+        rollout.uuid,
+        rollout,
+        putOpts,
+        callback);
+};
+
+
+/*
+ * Stop a rollout: no more batches will be started, though servers in the
+ * current batch which are already rebooting are still followed until they are
+ * done. Stopping a rollout that is no longer running does nothing. The
+ * callback is called with `function (err, rollout)`, where rollout is
+ * undefined if it doesn't exist.
+ */
+ModelPlatformRollout.stop = function (uuid, reason, callback) {
+    assert.uuid(uuid, 'uuid');
+    assert.string(reason, 'reason');
+    assert.func(callback, 'callback');
+
+    ModelPlatformRollout.get(uuid, function _onGet(err, rollout, etag) {
+        if (err || !rollout || rollout.state !== 'running') {
+            callback(err, rollout);
+            return;
+        }
+
+        rollout.state = 'stopping';
+        rollout.stop_reason = reason;
+
+        ModelPlatformRollout.put(rollout, etag, function _onPut(putErr) {
+            callback(putErr, rollout);
+        });
+    });
+};
+
+
+function failServer(rollout, server, msg) {
+    server.state = 'failed';
+    server.error = msg;
+    server.finished = (new Date()).toISOString();
+    ModelPlatformRollout.log.warn({server: server, rollout_uuid: rollout.uuid},
+        'server failed to move to platform');
+}
+
+
+/*
+ * Check whether a server in the 'staged' state is now running the rollout's
+ * platform. A server which has booted since it was staged but isn't running
+ * the platform has failed.
+ */
+ModelPlatformRollout._checkStagedServer =
+function _checkStagedServer(rollout, server, callback) {
+    var log = ModelPlatformRollout.log;
+
+    ModelServer.get(server.server_uuid,
+        function _onServer(err, _, serverObj) {
+            if (err) {
+                // We'll try again next time.
+                log.warn({err: err, server: server},
+                    'failed to get staged server');
+                callback();
+                return;
+            }
+
+            if (!serverObj) {
+                failServer(rollout, server, 'server not found');
+            } else if (serverObj.status !== 'running' ||
+                serverObj.transitional_status) {
+
+                // Not up yet, so there's nothing to check.
+                callback();
+                return;
+            } else if (serverObj.current_platform === rollout.platform) {
+                server.state = 'converged';
+                server.finished = (new Date()).toISOString();
+            } else if (serverObj.last_boot !== server.last_boot) {
+                failServer(rollout, server, sprintf(
+                    'server booted platform %s', serverObj.current_platform));
+            }
+
+            callback();
+        });
+};
+
+
+/*
+ * Check on the servers in the 'rebooting' state. Once the batch's reboot plan
+ * has rebooted a server we check which platform it came up on, and servers
+ * which the plan didn't get to (because it was stopped) go back to 'staged'.
+ */
+ModelPlatformRollout._checkRebootingServers =
+function _checkRebootingServers(rollout, servers, callback) {
+    var log = ModelPlatformRollout.log;
+    var planUuids = [];
+
+    servers.forEach(function _addPlanUuid(server) {
+        if (planUuids.indexOf(server.reboot_plan_uuid) === -1) {
+            planUuids.push(server.reboot_plan_uuid);
+        }
+    });
+
+    async.eachSeries(planUuids, function _checkPlan(planUuid, cb) {
+        var planServers = servers.filter(function _inPlan(server) {
+            return (server.reboot_plan_uuid === planUuid);
+        });
+
+        ModelRebootPlan.get(planUuid, function _onPlan(err, plan) {
+            var planActive;
+
+            if (err) {
+                log.warn({err: err, reboot_plan_uuid: planUuid},
+                    'failed to get reboot plan');
+                cb();
+                return;
+            }
+
+            if (!plan) {
+                planServers.forEach(function _failServer(server) {
+                    failServer(rollout, server, sprintf(
+                        'reboot plan %s not found', planUuid));
+                });
+                cb();
+                return;
+            }
+
+            planActive = (ModelRebootPlan.REBOOT_PLAN_ACTIVE_STATES.indexOf(
+                plan.state) !== -1);
+
+            async.eachLimit(planServers, PLATFORM_ROLLOUT_CHECK_CONCURRENCY,
+                function _checkServer(server, next) {
+                    var planServer = plan.servers.filter(function _match(s) {
+                        return (s.server_uuid === server.server_uuid);
+                    })[0];
+
+                    if (!planServer) {
+                        failServer(rollout, server, sprintf(
+                            'server not in reboot plan %s', planUuid));
+                        next();
+                        return;
+                    }
+
+                    switch (planServer.state) {
+                        case 'complete':
+                            server.state = 'staged';
+                            ModelPlatformRollout._checkStagedServer(rollout,
+                                server, next);
+                            return;
+                        case 'failed':
+                            failServer(rollout, server, planServer.error);
+                            break;
+                        default:
+                            if (!planActive) {
+                                server.state = 'staged';
+                            }
+                            break;
+                    }
+
+                    next();
+                }, cb);
+        });
+    }, callback);
+};
+
+
+/*
+ * Start the next batch of pending servers. The batch (and, if the rollout
+ * reboots servers, the UUID of its reboot plan) is first written to the
+ * rollout using etag, so that only one CNAPI instance starts it. Then
+ * boot_platform is set on the servers, and a reboot plan is created for the
+ * ones that aren't already running the platform. If we don't get that far,
+ * the next advance() finds the batch's servers still pending and picks up
+ * where we left off: setting boot_platform again does nothing, and the plan
+ * is created with the same UUID so it's only created once.
+ *
+ * The callback is called with `function (err, etag)`, where etag is the one to
+ * use for the next write of the rollout.
+ */
+ModelPlatformRollout._startBatch =
+function _startBatch(rollout, etag, callback) {
+    var batch = rollout.servers.filter(function _isClaimed(server) {
+        return (server.state === 'pending' &&
+            server.batch === rollout.batches);
+    });
+    var planUuid;
+
+    if (batch.length > 0) {
+        ModelPlatformRollout._stageBatch(rollout, batch,
+            batch[0].reboot_plan_uuid, function _onStaged(err) {
+                callback(err, etag);
+            });
+        return;
+    }
+
+    batch = rollout.servers.filter(function _isPending(server) {
+        return (server.state === 'pending');
+    }).slice(0, rollout.batch_size);
+
+    rollout.batches++;
+    if (rollout.reboot) {
+        planUuid = libuuid.create();
+    }
+
+    batch.forEach(function _claim(server) {
+        server.batch = rollout.batches;
+        if (planUuid) {
+            server.reboot_plan_uuid = planUuid;
+        }
+    });
+
+    ModelPlatformRollout.put(rollout, etag, function _onPut(err, meta) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        ModelPlatformRollout._stageBatch(rollout, batch, planUuid,
+            function _onStaged(stageErr) {
+                callback(stageErr, meta && meta.etag);
+            });
+    });
+};
+
+
+/*
+ * Set boot_platform on the servers in a batch, and if planUuid is given,
+ * create the batch's reboot plan for the ones that aren't already running the
+ * platform.
+ */
+ModelPlatformRollout._stageBatch =
+function _stageBatch(rollout, batch, planUuid, callback) {
+    var log = ModelPlatformRollout.log;
+    var toReboot = [];
+
+    async.eachSeries(batch, function _stageServer(server, cb) {
+        ModelServer.get(server.server_uuid,
+            function _onServer(err, _, serverObj) {
+                if (err) {
+                    failServer(rollout, server, err.message);
+                    cb();
+                    return;
+                }
+
+                if (!serverObj) {
+                    failServer(rollout, server, 'server not found');
+                    cb();
+                    return;
+                }
+
+                ModelServer.upsert(server.server_uuid, {
+                    boot_platform: rollout.platform
+                }, {
+                    allowCreate: false,
+                    etagRetries: 10,
+                    source: {
+                        creator_uuid: rollout.creator_uuid,
+                        origin: rollout.origin,
+                        platform_rollout_uuid: rollout.uuid
+                    }
+                }, function _onUpsert(upsertErr) {
+                    if (upsertErr) {
+                        failServer(rollout, server, upsertErr.message);
+                        cb();
+                        return;
+                    }
+
+                    server.last_boot = serverObj.last_boot;
+                    server.started = (new Date()).toISOString();
+                    server.state = 'staged';
+
+                    if (serverObj.status === 'running' &&
+                        serverObj.current_platform === rollout.platform) {
+
+                        server.state = 'converged';
+                        server.finished = server.started;
+                    } else if (planUuid) {
+                        toReboot.push(server);
+                    }
+
+                    cb();
+                });
+            });
+    }, function _staged(err) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        // Only the servers which are rebooted by the plan keep its UUID.
+        batch.forEach(function _clearPlan(server) {
+            if (toReboot.indexOf(server) === -1) {
+                delete server.reboot_plan_uuid;
+            }
+        });
+
+        log.info({rollout_uuid: rollout.uuid, batch: rollout.batches,
+            servers: batch.length}, 'started platform rollout batch');
+
+        if (toReboot.length === 0) {
+            callback();
+            return;
+        }
+
+        ModelRebootPlan.create({
+            concurrency: toReboot.length,
+            creator_uuid: rollout.creator_uuid,
+            drain: rollout.drain,
+            origin: rollout.origin,
+            servers: toReboot.map(function _getUuid(server) {
+                return server.server_uuid;
+            }),
+            stop_on_failure: false,
+            uuid: planUuid
+        }, function _onCreate(createErr) {
+            if (createErr) {
+                // The servers are left staged, so that someone else can
+                // still reboot them onto the platform.
+                log.warn({err: createErr, rollout_uuid: rollout.uuid},
+                    'failed to create reboot plan for rollout batch');
+                toReboot.forEach(function _clearPlan(server) {
+                    delete server.reboot_plan_uuid;
+                });
+                callback();
+                return;
+            }
+
+            toReboot.forEach(function _setRebooting(server) {
+                server.state = 'rebooting';
+            });
+
+            callback();
+        });
+    });
+};
+
+
+/*
+ * Move a rollout along: check on the servers in the current batch, then, if
+ * they're all done, start the next batch (see _startBatch()), then work out
+ * the rollout's new state and write it back (using etag, so that if something
+ * else changed the rollout in the meantime our changes are discarded and the
+ * rollout will be looked at again next time).
+ */
+ModelPlatformRollout.advance = function (rollout, etag, callback) {
+    assert.object(rollout, 'rollout');
+    assert.optionalString(etag, 'etag');
+    assert.func(callback, 'callback');
+
+    var log = ModelPlatformRollout.log;
+    var orig = JSON.stringify(rollout);
+
+    function inState(state) {
+        return rollout.servers.filter(function _inState(server) {
+            return (server.state === state);
+        });
+    }
+
+    function checkFailures() {
+        var failed = inState('failed');
+
+        if (rollout.state === 'running' && rollout.stop_on_failure &&
+            failed.length > 0) {
+
+            rollout.state = 'stopping';
+            rollout.stop_reason = sprintf(
+                'server %s failed to move to platform %s',
+                failed[0].server_uuid, rollout.platform);
+        }
+    }
+
+    async.series([
+        function _checkRebooting(cb) {
+            ModelPlatformRollout._checkRebootingServers(rollout,
+                inState('rebooting'), cb);
+        },
+        function _checkStaged(cb) {
+            // Staged servers are only followed while the rollout is running,
+            // since without a reboot they may never be done.
+            if (rollout.state !== 'running') {
+                cb();
+                return;
+            }
+
+            async.eachLimit(inState('staged'),
+                PLATFORM_ROLLOUT_CHECK_CONCURRENCY,
+                function _checkServer(server, next) {
+                    ModelPlatformRollout._checkStagedServer(rollout, server,
+                        next);
+                }, cb);
+        },
+        function _startBatch(cb) {
+            checkFailures();
+
+            if (rollout.state !== 'running' ||
+                inState('pending').length === 0 ||
+                inState('staged').length > 0 ||
+                inState('rebooting').length > 0) {
+
+                cb();
+                return;
+            }
+
+            ModelPlatformRollout._startBatch(rollout, etag,
+                function _onStarted(err, newEtag) {
+                    etag = newEtag;
+                    checkFailures();
+                    cb(err);
+                });
+        }
+    ], function _advanced(err) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        if (inState('rebooting').length === 0) {
+            if (rollout.state === 'stopping') {
+                rollout.state = 'stopped';
+            } else if (inState('pending').length === 0 &&
+                inState('staged').length === 0) {
+
+                rollout.state = 'complete';
+            }
+        }
+
+        if (JSON.stringify(rollout) === orig) {
+            callback(null, rollout);
+            return;
+        }
+
+        log.info({rollout_uuid: rollout.uuid, state: rollout.state},
+            'updating platform rollout');
+
+        ModelPlatformRollout.put(rollout, etag, function _onPut(putErr) {
+            callback(putErr, rollout);
+        });
+    });
+};
+
+
+module.exports = ModelPlatformRollout;
+module.exports.PLATFORM_ROLLOUT_ACTIVE_STATES = PLATFORM_ROLLOUT_ACTIVE_STATES;
+module.exports.PLATFORM_ROLLOUT_STATES = PLATFORM_ROLLOUT_STATES;
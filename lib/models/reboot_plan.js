@@ -0,0 +1,671 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2021 Joyent, Inc.
+ */
+
+/*
+ * This file contains the logic for reboot plans.
+ *
+ * A reboot plan is a list of servers to be rebooted (using the server-reboot
+ * workflow), along with the maximum number of those servers which may be
+ * rebooting at once and whether the plan should stop when a server fails to
+ * reboot. Plans are stored in the cnapi_reboot_plans bucket and are moved
+ * along by the reboot scheduler (see lib/reboot_scheduler.js) which calls
+ * ModelRebootPlan.advance() on each active plan periodically.
+ *
+ * A plan is in one of the following states:
+ *
+ *     running   - reboots are being started as earlier ones complete
+ *     stopping  - no more reboots will be started (because the plan was
+ *                 stopped, or a server failed to reboot and stop_on_failure
+ *                 is set), but some servers are still rebooting
+ *     stopped   - stopped, and no servers are rebooting
+ *     complete  - every server has either rebooted or failed to
+ *
+ * and each server in the plan is in one of the states:
+ *
+ *     pending   - not yet started
+ *     rebooting - a server-reboot job has been created for it
+ *     complete  - the server has come back up after being rebooted
+ *     failed    - the job failed, or the server did not come back in time
+ *
+ * A server is only considered to have rebooted once its server-reboot job has
+ * succeeded and it is running again with a different last_boot than it had
+ * when we started, since the job itself completes as soon as the reboot has
+ * been requested.
+ *
+ * Since every CNAPI instance advances the active plans, a server is claimed
+ * by writing it to the plan as 'rebooting' (using the plan's etag) before its
+ * server-reboot job is created, so that only one instance starts its reboot.
+ * The job's uuid is written to the plan once the job has been created.
+ */
+
+var assert = require('assert-plus');
+var async = require('async');
+var libuuid = require('libuuid');
+var once = require('once');
+var semver = require('semver');
+var sprintf = require('sprintf').sprintf;
+var VError = require('verror');
+
+var buckets = require('../apis/moray').BUCKETS;
+var common = require('../common');
+var ModelBase = require('./base');
+var ModelServer = require('./server');
+
+var REBOOT_PLAN_ACTIVE_STATES = ['running', 'stopping'];
+var REBOOT_PLAN_STATES = ['complete', 'running', 'stopped', 'stopping'];
+var REBOOT_PLAN_SERVER_STATES = ['complete', 'failed', 'pending', 'rebooting'];
+
+var REBOOT_PLAN_DEFAULT_LIMIT = 1000;
+
+// How long after its reboot was started we'll wait for a server to come back.
+var REBOOT_PLAN_SERVER_TIMEOUT_SECONDS = 60 * 60;
+
+// How long a server may be claimed without a server-reboot job before we
+// decide the instance which claimed it went away before creating the job.
+var REBOOT_PLAN_CLAIM_TIMEOUT_SECONDS = 5 * 60;
+
+// How many times the plan is re-read to record a started reboot after an etag
+// conflict.
+var REBOOT_PLAN_RECORD_RETRIES = 3;
+
+// Number of server reboots checked on at once when advancing a plan.
+var REBOOT_PLAN_CHECK_CONCURRENCY = 10;
+
+// cn-agent versions from this one on can reboot the server themselves rather
+// than the server-reboot workflow using Ur (same as ServerReboot).
+var TASK_SERVER_REBOOT_MIN_VERSION = '2.11.0';
+
+
+function ModelRebootPlan() {}
+
+ModelRebootPlan.init = function (app) {
+    this.app = app;
+
+    Object.keys(ModelBase.staticFn).forEach(function (p) {
+        ModelRebootPlan[p] = ModelBase.staticFn[p];
+    });
+
+    ModelRebootPlan.log = app.getLog();
+};
+
+
+function countServers(plan) {
+    var counts = {};
+
+    REBOOT_PLAN_SERVER_STATES.forEach(function _initCount(state) {
+        counts[state] = 0;
+    });
+
+    plan.servers.forEach(function _countServer(server) {
+        counts[server.state]++;
+    });
+
+    return counts;
+}
+
+
+function supportsServerRebootTask(serverObj) {
+    var agents = (serverObj && Array.isArray(serverObj.agents)) ?
+        serverObj.agents : [];
+    var idx;
+
+    for (idx = 0; idx < agents.length; idx++) {
+        if (agents[idx].name === 'cn-agent' && agents[idx].version) {
+            return semver.gte(agents[idx].version,
+                TASK_SERVER_REBOOT_MIN_VERSION);
+        }
+    }
+
+    return false;
+}
+
+
+/*
+ * Create a new plan to reboot the servers in params.servers (an array of
+ * server UUIDs) and write it to moray.
+ *
+ * @param params {Object}
+ *        servers {Array} - UUIDs of the servers to reboot, in order.
+ *        concurrency {Number} - Maximum number of servers rebooting at once.
+ *        stop_on_failure {Boolean} - Stop the plan when a server fails.
+ *        drain {Boolean} - Passed to the server-reboot workflow.
+ *        scheduled {Boolean} - Whether the reboot scheduler created the plan
+ *                              for servers whose next_reboot has passed.
+ *        origin {String} - optional
+ *        creator_uuid {String} - optional
+ *        uuid {String} - optional, the plan's UUID. If a plan with this UUID
+ *                        already exists, it's returned instead of being
+ *                        replaced, so that callers can retry creating it.
+ * @param callback {Function} `function (err, plan)`
+ */
+ModelRebootPlan.create = function (params, callback) {
+    assert.object(params, 'params');
+    assert.arrayOfUuid(params.servers, 'params.servers');
+    assert.number(params.concurrency, 'params.concurrency');
+    assert.bool(params.stop_on_failure, 'params.stop_on_failure');
+    assert.bool(params.drain, 'params.drain');
+    assert.optionalBool(params.scheduled, 'params.scheduled');
+    assert.optionalString(params.origin, 'params.origin');
+    assert.optionalString(params.creator_uuid, 'params.creator_uuid');
+    assert.optionalUuid(params.uuid, 'params.uuid');
+    assert.func(callback, 'callback');
+
+    var now = (new Date()).toISOString();
+    var plan = {
+        concurrency: params.concurrency,
+        created: now,
+        creator_uuid: params.creator_uuid,
+        drain: params.drain,
+        origin: params.origin,
+        scheduled: Boolean(params.scheduled),
+        servers: params.servers.map(function _newServer(serverUuid) {
+            return {
+                server_uuid: serverUuid,
+                state: 'pending'
+            };
+        }),
+        state: 'running',
+        stop_on_failure: params.stop_on_failure,
+        updated: now,
+        uuid: params.uuid || libuuid.create()
+    };
+
+    plan.counts = countServers(plan);
+
+    // An etag of null means the put only succeeds if there's no such plan.
+    ModelRebootPlan.getMoray().putObject(
+        buckets.reboot_plans.name,
+        plan.uuid,
+        plan,
+        {etag: null},
+        function _onPut(err) {
+            if (err && params.uuid &&
+                VError.hasCauseWithName(err, 'EtagConflictError')) {
+
+                ModelRebootPlan.get(plan.uuid,
+                    function _onGet(getErr, existing) {
+                        if (getErr || !existing) {
+                            callback(getErr || err);
+                            return;
+                        }
+                        callback(null, existing);
+                    });
+                return;
+            } else if (err) {
+                callback(err);
+                return;
+            }
+
+            callback(null, plan);
+        });
+};
+
+
+/*
+ * Look up a plan. The callback is called with `function (err, plan, etag)`,
+ * where plan is undefined if there's no plan with this uuid.
+ */
+ModelRebootPlan.get = function (uuid, callback) {
+    assert.uuid(uuid, 'uuid');
+    assert.func(callback, 'callback');
+
+    ModelRebootPlan.getMoray().getObject(
+        buckets.reboot_plans.name,
+        uuid,
+        function _onGet(err, obj) {
+            if (err && VError.hasCauseWithName(err, 'ObjectNotFoundError')) {
+                callback();
+                return;
+            } else if (err) {
+                callback(err);
+                return;
+            }
+
+            callback(null, obj.value, obj._etag);
+        });
+};
+
+
+/*
+ * Return plans, newest first.
+ *
+ * @param params {Object}
+ *        state {String|Array} - Only plans in this state (or these states).
+ *        limit {Number} - Restrict to this many plans.
+ *        offset {Number} - Skip this many plans.
+ * @param callback {Function} `function (err, plans)`
+ */
+ModelRebootPlan.list = function (params, callback) {
+    assert.object(params, 'params');
+    assert.optionalNumber(params.limit, 'params.limit');
+    assert.optionalNumber(params.offset, 'params.offset');
+    assert.func(callback, 'callback');
+
+    var self = this;
+
+    var filter = '(uuid=*)';
+    var findOpts = {
+        sort: {
+            attribute: 'created',
+            order: 'DESC'
+        },
+        limit: params.limit || REBOOT_PLAN_DEFAULT_LIMIT
+    };
+    var plans = [];
+    var req;
+    var states;
+
+    callback = once(callback);
+
+    if (params.state) {
+        states = Array.isArray(params.state) ? params.state : [params.state];
+        filter = states.map(function _stateFilter(state) {
+            return sprintf('(state=%s)', common.filterEscape(state));
+        }).join('');
+        if (states.length > 1) {
+            filter = sprintf('(|%s)', filter);
+        }
+    }
+    if (params.offset !== undefined) {
+        findOpts.offset = params.offset;
+    }
+
+    req = ModelRebootPlan.getMoray().findObjects(
+        buckets.reboot_plans.name,
+        filter,
+        findOpts);
+
+    req.on('error', function _onError(err) {
+        self.log.error(err, 'error retrieving reboot plans');
+        callback(err);
+    });
+
+    req.on('record', function _onRecord(obj) {
+        plans.push(obj.value);
+    });
+
+    req.on('end', function _onEnd() {
+        callback(null, plans);
+    });
+};
+
+
+/*
+ * Return the plans which are still being worked on.
+ */
+ModelRebootPlan.listActive = function (callback) {
+    ModelRebootPlan.list({state: REBOOT_PLAN_ACTIVE_STATES}, callback);
+};
+
+
+/*
+ * Write an updated plan back to moray. If etag is given, the write fails with
+ * an EtagConflictError when the plan has been changed by someone else since
+ * it was read.
+ */
+ModelRebootPlan.put = function (plan, etag, callback) {
+    var putOpts = {};
+
+    assert.object(plan, 'plan');
+    assert.optionalString(etag, 'etag');
+    assert.func(callback, 'callback');
+
+    if (etag) {
+        putOpts.etag = etag;
+    }
+
+    plan.counts = countServers(plan);
+    plan.updated = (new Date()).toISOString();
+
+    ModelRebootPlan.getMoray().putObject(
+        buckets.reboot_plans.name,
+        plan.uuid,
+        plan,
+        putOpts,
+        callback);
+};
+
+
+/*
+ * Stop a plan: no more reboots will be started, though any servers that are
+ * already rebooting are still followed until they are done. Stopping a plan
+ * that is no longer active does nothing. The callback is called with
+ * `function (err, plan)`, where plan is undefined if it doesn't exist.
+ */
+ModelRebootPlan.stop = function (uuid, reason, callback) {
+    assert.uuid(uuid, 'uuid');
+    assert.string(reason, 'reason');
+    assert.func(callback, 'callback');
+
+    ModelRebootPlan.get(uuid, function _onGet(err, plan, etag) {
+        if (err || !plan || plan.state !== 'running') {
+            callback(err, plan);
+            return;
+        }
+
+        plan.state = 'stopping';
+        plan.stop_reason = reason;
+
+        ModelRebootPlan.put(plan, etag, function _onPut(putErr) {
+            callback(putErr, plan);
+        });
+    });
+};
+
+
+/*
+ * Check on a server in the 'rebooting' state, updating it to 'complete' or
+ * 'failed' when its reboot is done.
+ */
+ModelRebootPlan._checkServer = function _checkServer(server, callback) {
+    var log = ModelRebootPlan.log;
+
+    assert.object(server, 'server');
+    assert.optionalUuid(server.job_uuid, 'server.job_uuid');
+
+    function fail(msg) {
+        server.state = 'failed';
+        server.error = msg;
+        server.finished = (new Date()).toISOString();
+        log.warn({server: server}, 'server failed to reboot');
+    }
+
+    function timedOut() {
+        return (Date.now() - new Date(server.started).getTime() >
+            REBOOT_PLAN_SERVER_TIMEOUT_SECONDS * 1000);
+    }
+
+    // The server has been claimed, but its job hasn't been recorded yet.
+    if (!server.job_uuid) {
+        if (Date.now() - new Date(server.started).getTime() >
+            REBOOT_PLAN_CLAIM_TIMEOUT_SECONDS * 1000) {
+
+            fail('no server-reboot job was recorded');
+        }
+        callback();
+        return;
+    }
+
+    ModelRebootPlan.getWorkflow().getClient().getJob(server.job_uuid,
+        function _onJob(jobErr, job) {
+            if (jobErr) {
+                // We'll try again next time.
+                log.warn({err: jobErr, server: server},
+                    'failed to get server-reboot job');
+                callback();
+                return;
+            }
+
+            if (job.execution === 'failed' || job.execution === 'canceled') {
+                fail(sprintf('server-reboot job %s %s', job.uuid,
+                    job.execution));
+                callback();
+                return;
+            }
+
+            if (job.execution !== 'succeeded') {
+                if (timedOut()) {
+                    fail('timed out waiting for server-reboot job');
+                }
+                callback();
+                return;
+            }
+
+            ModelServer.get(server.server_uuid,
+                function _onServer(err, _, serverObj) {
+                    if (err) {
+                        log.warn({err: err, server: server},
+                            'failed to get rebooting server');
+                        callback();
+                        return;
+                    }
+
+                    if (!serverObj) {
+                        fail('server not found');
+                    } else if (serverObj.status === 'running' &&
+                        !serverObj.transitional_status &&
+                        serverObj.last_boot !== server.last_boot) {
+
+                        server.state = 'complete';
+                        server.finished = (new Date()).toISOString();
+                    } else if (timedOut()) {
+                        fail('timed out waiting for server to reboot');
+                    }
+
+                    callback();
+                });
+        });
+};
+
+
+/*
+ * Start rebooting a server in the 'pending' state, updating it to 'rebooting'
+ * or to 'failed' if the reboot could not be started. The server is claimed
+ * by calling `claim` (see ModelRebootPlan.advance()) once it's 'rebooting',
+ * and its job is only created if that succeeds; if it fails, the callback is
+ * called with its error.
+ */
+ModelRebootPlan._startServer =
+function _startServer(plan, server, claim, callback) {
+    var log = ModelRebootPlan.log;
+
+    function fail(msg) {
+        server.state = 'failed';
+        server.error = msg;
+        server.finished = (new Date()).toISOString();
+        log.warn({server: server, plan_uuid: plan.uuid},
+            'failed to start server reboot');
+        callback();
+    }
+
+    ModelServer.get(server.server_uuid,
+        function _onServer(err, serverModel, serverObj) {
+            if (err) {
+                fail(err.message);
+                return;
+            }
+
+            if (!serverObj) {
+                fail('server not found');
+                return;
+            }
+
+            if (serverObj.status !== 'running') {
+                fail('server is not running');
+                return;
+            }
+
+            server.last_boot = serverObj.last_boot;
+            server.started = (new Date()).toISOString();
+            server.state = 'rebooting';
+
+            claim(function _onClaim(claimErr) {
+                if (claimErr) {
+                    callback(claimErr);
+                    return;
+                }
+
+                serverModel.reboot({
+                    creator_uuid: plan.creator_uuid,
+                    drain: plan.drain,
+                    origin: plan.origin,
+                    supportsServerRebootTask:
+                        supportsServerRebootTask(serverObj)
+                }, function _onReboot(rebootErr, jobUuid) {
+                    if (rebootErr) {
+                        fail(rebootErr.message);
+                        return;
+                    }
+
+                    server.job_uuid = jobUuid;
+
+                    log.info({server: server, plan_uuid: plan.uuid},
+                        'started server reboot');
+
+                    callback();
+                });
+            });
+        });
+};
+
+
+/*
+ * Move a plan along: check on the servers which are rebooting, then start as
+ * many pending servers as the plan's concurrency allows, then work out the
+ * plan's new state and write it back.
+ *
+ * All writes use the plan's etag. Each server is claimed by writing the plan
+ * before its reboot is started, so if something else changed the plan in the
+ * meantime (e.g. another CNAPI instance advanced it, or it was stopped) the
+ * claim fails, nothing is started and the plan will be looked at again next
+ * time. Once a reboot has been started it's recorded in the plan straight
+ * away, re-reading the plan if it has changed since the claim, since the
+ * reboot can't be taken back. What we found out about servers that were
+ * already rebooting is only written at the end, and is discarded on a
+ * conflict, since it will be found out again next time.
+ */
+ModelRebootPlan.advance = function (plan, etag, callback) {
+    assert.object(plan, 'plan');
+    assert.optionalString(etag, 'etag');
+    assert.func(callback, 'callback');
+
+    var log = ModelRebootPlan.log;
+    var orig = JSON.stringify(plan);
+
+    function putPlan(cb) {
+        ModelRebootPlan.put(plan, etag, function _onPut(putErr, meta) {
+            if (!putErr) {
+                etag = meta && meta.etag;
+                orig = JSON.stringify(plan);
+            }
+            cb(putErr);
+        });
+    }
+
+    // Write a server we've just started (or failed to start) to the plan.
+    function recordServer(server, retries, cb) {
+        putPlan(function _onRecord(putErr) {
+            if (!putErr ||
+                !VError.hasCauseWithName(putErr, 'EtagConflictError') ||
+                retries === 0) {
+
+                cb(putErr);
+                return;
+            }
+
+            ModelRebootPlan.get(plan.uuid,
+                function _onGet(getErr, latest, latestEtag) {
+                    if (getErr || !latest) {
+                        cb(getErr || putErr);
+                        return;
+                    }
+
+                    log.info({plan_uuid: plan.uuid, server: server},
+                        'reboot plan changed since server was claimed, ' +
+                        'recording its reboot in the latest plan');
+
+                    Object.keys(latest).forEach(function _copy(k) {
+                        plan[k] = latest[k];
+                    });
+                    plan.servers.forEach(function _merge(s, idx) {
+                        if (s.server_uuid === server.server_uuid) {
+                            plan.servers[idx] = server;
+                        }
+                    });
+                    etag = latestEtag;
+
+                    recordServer(server, retries - 1, cb);
+                });
+        });
+    }
+
+    function inState(state) {
+        return plan.servers.filter(function _inState(server) {
+            return (server.state === state);
+        });
+    }
+
+    function checkFailures() {
+        var failed = inState('failed');
+
+        if (plan.state === 'running' && plan.stop_on_failure &&
+            failed.length > 0) {
+
+            plan.state = 'stopping';
+            plan.stop_reason = sprintf('server %s failed to reboot',
+                failed[0].server_uuid);
+        }
+    }
+
+    async.series([
+        function _checkRebooting(cb) {
+            async.eachLimit(inState('rebooting'),
+                REBOOT_PLAN_CHECK_CONCURRENCY, ModelRebootPlan._checkServer,
+                cb);
+        },
+        function _startPending(cb) {
+            checkFailures();
+
+            // Servers are started one at a time so that we stop starting them
+            // as soon as one fails, if the plan says to.
+            async.whilst(function _canStart() {
+                return (plan.state === 'running' &&
+                    inState('pending').length > 0 &&
+                    inState('rebooting').length < plan.concurrency);
+            }, function _startNext(next) {
+                var server = inState('pending')[0];
+
+                ModelRebootPlan._startServer(plan, server, putPlan,
+                    function _onStarted(startErr) {
+                        if (startErr) {
+                            next(startErr);
+                            return;
+                        }
+
+                        recordServer(server, REBOOT_PLAN_RECORD_RETRIES,
+                            function _onRecorded(recordErr) {
+                                checkFailures();
+                                next(recordErr);
+                            });
+                    });
+            }, cb);
+        }
+    ], function _advanced(err) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        if (inState('rebooting').length === 0) {
+            if (plan.state === 'stopping') {
+                plan.state = 'stopped';
+            } else if (inState('pending').length === 0) {
+                plan.state = 'complete';
+            }
+        }
+
+        if (JSON.stringify(plan) === orig) {
+            callback(null, plan);
+            return;
+        }
+
+        log.info({plan_uuid: plan.uuid, state: plan.state},
+            'updating reboot plan');
+
+        ModelRebootPlan.put(plan, etag, function _onPut(putErr) {
+            callback(putErr, plan);
+        });
+    });
+};
+
+
+module.exports = ModelRebootPlan;
+module.exports.REBOOT_PLAN_ACTIVE_STATES = REBOOT_PLAN_ACTIVE_STATES;
+module.exports.REBOOT_PLAN_STATES = REBOOT_PLAN_STATES;
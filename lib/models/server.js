@@ -30,9 +30,11 @@ var once = require('once');
 
 var buckets = require('../apis/moray').BUCKETS;
 var common = require('../common');
+var serverFilter = require('../server_filter');
 var ModelBase = require('./base');
 var ModelVM = require('./vm');
 var ModelWaitlist = require('./waitlist');
+var ServerChangeFeed = require('../server_change_feed');
 
 // These are all updated through "status" messages from cn-agent
 var DISK_USAGE_KEYS = [
@@ -73,6 +75,7 @@ var GENERAL_KEYS = [
     'hostname',                // set from sysinfo on first creation
     'kernel_flags',            // bootparams
     'last_boot',               // sysinfo['Boot Time']
+    'maintenance',             // set/cleared with PUT/DELETE /servers/:uuid/maintenance
     'next_reboot',             // updated manually (ServerUpdate)
     'overprovision_ratios',    // ServerUpdate (See also TRITON-441)
     'rack_identifier',         // starts as empty string, updated with ServerUpdate
@@ -84,6 +87,7 @@ var GENERAL_KEYS = [
     'setting_up',              // ServerUpdate (set true during server setup)
     'setup',                   // sysinfo['Setup']
     'status',                  // special, see below
+    'status_grace_seconds',    // updated manually (ServerUpdate), see below
     'sysinfo',                 // the whole sysinfo object from /usr/bin/sysinfo
     'system_type',             // sysinfo['System Type']
     'traits',                  // initially empty, updated manually (POST /servers/:uuid
@@ -97,12 +101,15 @@ var GENERAL_KEYS = [
 // The special "status" field is currently updated differently depending on
 // whether a server is setup or not. For unsetup servers, we mark status as
 // 'running' if we have seen an ur.sysinfo broadcast message in the last 90
-// seconds. For setup servers, the status is marked running if we have seen
-// heartbeat from cn-agent in the last 11 seconds. Otherwise, the server is
-// marked 'unknown'. When a CN is rebooting we also set transitional_status
-// to 'rebooting' (in the server-reboot job) and replace 'unknown' with
-// 'rebooting' as the status when that is set. So consumers should only look at
-// status for the values: ['running', 'unknown', 'rebooting'].
+// seconds (unsetupSysinfoTimeoutSeconds in the config). For setup servers, the
+// status is marked running if we have seen heartbeat from cn-agent in the last
+// 11 seconds (heartbeatLifetimeSeconds in the config). A server's
+// status_grace_seconds, if set, is added to both of these for that server.
+// Otherwise, the server is marked 'unknown'. When a CN is rebooting we also
+// set transitional_status to 'rebooting' (in the server-reboot job) and
+// replace 'unknown' with 'rebooting' as the status when that is set. So
+// consumers should only look at status for the values: ['running', 'unknown',
+// 'rebooting'].
 //
 // The "bootparams" fields are initially set to the default bootparams and
 // maintained after that through the bootparams endpoints. Most of these can
@@ -138,6 +145,11 @@ var NON_UPDATABLE_KEYS = [
     'uuid'
 ];
 
+// When we need to walk all servers, we fetch them from moray in pages of this
+// size. This is also moray's default limit for findObjects, so it's the most
+// servers ModelServer.list will return when no limit is given.
+var SERVER_FIND_PAGE_SIZE = 1000;
+
 /**
  * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * *
  *
@@ -179,6 +191,7 @@ ModelServer.init = function (app) {
 
     ModelServer.tasks = {};
     ModelServer.log = app.getLog();
+    ModelServer.changeFeed = new ServerChangeFeed({log: ModelServer.log});
 };
 
 
@@ -189,12 +202,21 @@ ModelServer.init = function (app) {
  *        limit {Number} - Restrict to this many entries.
  *        offset {Number} - Return servers from this point onwards.
  *        raw {Boolean} - Return the raw moray server entries (not Models).
+ *        after {String} - Only return servers whose UUID sorts after this
+ *            one. Since servers are sorted by UUID, passing the UUID of the
+ *            last server of one page returns the next page.
+ *        filter {Object} - A filter AST from server_filter.parse(). The parts
+ *            of the filter which can be answered using the bucket's indexes
+ *            are added to the moray query, and if that's not the whole
+ *            filter, the rest is evaluated against the servers moray returns.
  */
 
 ModelServer.list = function (params, callback) {
     assert.optionalNumber(params.limit, 'params.limit');
     assert.optionalNumber(params.offset, 'params.offset');
     assert.optionalBool(params.raw, 'params.raw');
+    assert.optionalUuid(params.after, 'params.after');
+    assert.optionalObject(params.filter, 'params.filter');
 
     var self = this;
 
@@ -215,6 +237,8 @@ ModelServer.list = function (params, callback) {
         'system_type'
     ];
     var filter = '';
+    var filterInMemory = false;
+    var pushdown;
 
     if (Array.isArray(uuid)) {
         var uuidFilter = uuid.map(function (u) {
@@ -249,6 +273,24 @@ ModelServer.list = function (params, callback) {
         }
     });
 
+    if (params.after) {
+        paramsFilter.push(sprintf('(uuid>=%s)', params.after));
+        paramsFilter.push(sprintf('(!(uuid=%s))', params.after));
+    }
+
+    if (params.filter) {
+        pushdown = serverFilter.toMorayFilter(params.filter,
+            buckets.servers.bucket.index);
+        if (pushdown.filter) {
+            paramsFilter.push(pushdown.filter);
+        }
+
+        // When moray can't answer the whole filter, we have to look at every
+        // server it returns, so limit and offset are only applied after we've
+        // evaluated the filter.
+        filterInMemory = !pushdown.exact;
+    }
+
     paramsFilter.push('!(uuid=default)');
 
     if (paramsFilter.length > 1) {
@@ -257,8 +299,6 @@ ModelServer.list = function (params, callback) {
         filter = sprintf('(&%s%s)', filter, paramsFilter[0]);
     }
 
-    var moray = ModelServer.getMoray();
-
     var findOpts = {
             sort: {
                 attribute: 'uuid',
@@ -266,6 +306,11 @@ ModelServer.list = function (params, callback) {
             }
         };
 
+    if (filterInMemory) {
+        findAllServers(_onServers);
+        return;
+    }
+
     if (params.limit !== undefined) {
         findOpts.limit = params.limit;
     }
@@ -273,29 +318,74 @@ ModelServer.list = function (params, callback) {
         findOpts.offset = params.offset;
     }
 
-    var servers = [];
+    findServers(filter, findOpts, _onServers);
 
-    var req = moray.findObjects(
-        buckets.servers.name,
-        filter,
-        findOpts);
+    function findServers(findFilter, opts, cb) {
+        var found = [];
+        var req = ModelServer.getMoray().findObjects(
+            buckets.servers.name,
+            findFilter,
+            opts);
 
-    req.on('error', _onError);
-    req.on('record', _onRecord);
-    req.on('end', _onEnd);
+        req.on('error', function _onError(error) {
+            self.log.error(error, 'error retriving servers');
+            cb(error);
+        });
 
-    function _onError(error) {
-        self.log.error(error, 'error retriving servers');
-        callback(error);
+        req.on('record', function _onRecord(server) {
+            found.push(server.value);
+        });
+
+        req.on('end', function _onEnd() {
+            cb(null, found);
+        });
     }
 
-    function _onRecord(server) {
-        servers.push(server.value);
+    function findAllServers(cb) {
+        var servers = [];
+
+        // Pages follow on from the last UUID seen rather than an offset, so
+        // that servers created or deleted while we're paging aren't skipped
+        // or seen twice.
+        function _findPage(after) {
+            var opts = jsprim.deepCopy(findOpts);
+            var pageFilter = filter;
+
+            opts.limit = SERVER_FIND_PAGE_SIZE;
+
+            if (after) {
+                pageFilter = sprintf('(&%s(uuid>=%s)(!(uuid=%s)))', filter,
+                    common.filterEscape(after), common.filterEscape(after));
+            }
+
+            findServers(pageFilter, opts, function _onPage(error, page) {
+                if (error) {
+                    cb(error);
+                    return;
+                }
+
+                servers = servers.concat(page);
+
+                if (page.length < SERVER_FIND_PAGE_SIZE) {
+                    cb(null, servers);
+                    return;
+                }
+
+                _findPage(page[page.length - 1].uuid);
+            });
+        }
+
+        _findPage();
     }
 
-    function _onEnd() {
+    function _onServers(error, servers) {
+        if (error) {
+            callback(error);
+            return;
+        }
+
         if (params.raw) {
-            callback(null, servers);
+            _done(servers);
             return;
         }
 
@@ -307,14 +397,70 @@ ModelServer.list = function (params, callback) {
                 serverModel.getFinal({
                     extras: extras,
                     serverObj: server
-                }, function _gotFinal(error, s) {
+                }, function _gotFinal(err, s) {
                     cb(null, s);
                 });
             },
-            function (error, results) {
-                callback(null, results);
+            function (err, results) {
+                _done(results);
             });
     }
+
+    function _done(servers) {
+        var offset = params.offset || 0;
+
+        if (!filterInMemory) {
+            callback(null, servers);
+            return;
+        }
+
+        servers = servers.filter(function _matchesFilter(server) {
+            return serverFilter.match(params.filter, server);
+        });
+
+        callback(null, servers.slice(offset,
+            offset + (params.limit || SERVER_FIND_PAGE_SIZE)));
+    }
+};
+
+
+/**
+ * Return the UUIDs of all servers matching a filter AST (see
+ * server_filter.parse()), fetching them from moray a page at a time.
+ */
+
+ModelServer.listUuids = function (filter, callback) {
+    assert.object(filter, 'filter');
+    assert.func(callback, 'callback');
+
+    var serverUuids = [];
+
+    function _listPage(after) {
+        ModelServer.list({
+            after: after,
+            filter: filter,
+            limit: SERVER_FIND_PAGE_SIZE,
+            raw: true
+        }, function _onList(err, servers) {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            servers.forEach(function _addUuid(server) {
+                serverUuids.push(server.uuid);
+            });
+
+            if (servers.length < SERVER_FIND_PAGE_SIZE) {
+                callback(null, serverUuids);
+                return;
+            }
+
+            _listPage(servers[servers.length - 1].uuid);
+        });
+    }
+
+    _listPage();
 };
 
 
@@ -1873,6 +2019,31 @@ ModelServer.prototype.sendRequest = function (opts, cb) {
     });
 };
 
+/*
+ * Ask cn-agent for its task history and call callback with the tasks which are
+ * still running (i.e. have status 'active'). This is what we use to tell when
+ * a server with cn-agent paused has finished draining.
+ */
+ModelServer.prototype.getActiveTasks = function (callback) {
+    var self = this;
+
+    assert.func(callback, 'callback');
+
+    self.sendRequest({
+        method: 'get',
+        path: '/history'
+    }, function _onHistory(err, history) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        callback(null, (history || []).filter(function _isActive(task) {
+            return (task.status === 'active');
+        }));
+    });
+};
+
 ModelServer.prototype.zfsTask = function (task, opts, callback) {
     var self = this;
 
@@ -1918,6 +2089,7 @@ function _attemptUpsert(
     assert.optionalBool(opts.allowCreate, 'opts.allowCreate');
     assert.optionalBool(opts.overrideNonUpdatable, 'opts.overrideNonUpdatable');
     assert.object(opts.log, 'opts.log');
+    assert.optionalObject(opts.source, 'opts.source');
     assert.uuid(serverUuid, 'serverUuid');
     assert.object(properties, 'properties');
     assert.number(etagRetries, 'etagRetries');
@@ -2208,9 +2380,11 @@ function _attemptUpsert(
                 putOpts.etag = ctx.etag;
             }
 
+            ctx.diff = deepDiff(ctx.serverIsNew ?  {} : ctx.serverObj,
+                ctx.newServerObj);
+
             opts.log.trace({
-                diff: deepDiff(ctx.serverIsNew ?  {} : ctx.serverObj,
-                    ctx.newServerObj),
+                diff: ctx.diff,
                 putOpts: putOpts,
                 serverUuid: ctx.newServerObj.uuid
             }, 'Writing change');
@@ -2238,6 +2412,24 @@ function _attemptUpsert(
 
                     cb(err);
                 });
+        }, function _publishChange(ctx, cb) {
+            if (!modified) {
+                cb();
+                return;
+            }
+
+            // Keys that were removed show up in the diff with an undefined
+            // value, so they're included here along with added and modified
+            // keys.
+            results.change = ModelServer.changeFeed.publish({
+                server_uuid: ctx.newServerObj.uuid,
+                changed: Object.keys(ctx.diff),
+                source: opts.source,
+                before: ctx.serverIsNew ? undefined : ctx.serverObj,
+                after: ctx.newServerObj
+            });
+
+            cb();
         }
     ]}, function _triedPut(err) {
         if (err && VError.hasCauseWithName(err, 'EtagConflictError') &&
@@ -2294,6 +2486,15 @@ function _attemptUpsert(
  * So, results.stats.putObjectAttempts can be checked in order to see how many
  * times moray.putObject() was called. If undefined, it was never called.
  *
+ * When the record was written, 'results' will also contain a 'change' property
+ * which is the event that was published to ModelServer.changeFeed for the
+ * write. Since this is the only writer, that feed sees every change made to a
+ * server record by this CNAPI.
+ *
+ * If opts.source is passed, it should be an object describing who is making
+ * the change (e.g. {req_id, origin, creator_uuid} for an API request). It is
+ * included in the published change and so ends up in the server's history.
+ *
  */
 ModelServer.upsert = function upsert(serverUuid, properties, opts, callback) {
     var self = this;
@@ -2304,11 +2505,68 @@ ModelServer.upsert = function upsert(serverUuid, properties, opts, callback) {
     ModelServer._attemptUpsert({
         allowCreate: opts.allowCreate,
         log: self.log,
-        overrideNonUpdatable: opts.overrideNonUpdatable
+        overrideNonUpdatable: opts.overrideNonUpdatable,
+        source: opts.source
     }, serverUuid, properties, opts.etagRetries || 0, {stats: {}}, callback);
 };
 
 
+/*
+ * Apply the same properties to many servers, using ModelServer.upsert for each
+ * with at most opts.concurrency upserts outstanding at once. Servers which
+ * don't exist are not created. Failing to update one server does not stop the
+ * others from being updated, so the callback is called as:
+ *
+ *   callback(null, results)
+ *
+ * where 'results' has an entry for each of serverUuids, in the same order, of
+ * the form:
+ *
+ *   {server_uuid: <uuid>, result: 'success'}
+ *   {server_uuid: <uuid>, result: 'etag-conflict', error: <message>}
+ *   {server_uuid: <uuid>, result: 'failure', error: <message>}
+ *
+ * with 'etag-conflict' meaning the server was still being modified by someone
+ * else after opts.etagRetries retries.
+ */
+ModelServer.bulkUpsert =
+function bulkUpsert(serverUuids, properties, opts, callback) {
+    assert.arrayOfUuid(serverUuids, 'serverUuids');
+    assert.object(properties, 'properties');
+    assert.object(opts, 'opts');
+    assert.number(opts.concurrency, 'opts.concurrency');
+    assert.optionalNumber(opts.etagRetries, 'opts.etagRetries');
+    assert.optionalObject(opts.source, 'opts.source');
+    assert.func(callback, 'callback');
+
+    async.mapLimit(serverUuids, opts.concurrency,
+        function _upsertOne(serverUuid, cb) {
+            ModelServer.upsert(serverUuid, properties, {
+                allowCreate: false,
+                etagRetries: opts.etagRetries,
+                source: opts.source
+            }, function _onUpsert(err) {
+                var result = {server_uuid: serverUuid, result: 'success'};
+
+                if (err && VError.hasCauseWithName(err, 'EtagConflictError')) {
+                    result.result = 'etag-conflict';
+                    result.error = err.message;
+                } else if (err && VError.hasCauseWithName(err,
+                    'ObjectNotFoundError')) {
+
+                    result.result = 'failure';
+                    result.error = 'server not found';
+                } else if (err) {
+                    result.result = 'failure';
+                    result.error = err.message;
+                }
+
+                cb(null, result);
+            });
+        }, callback);
+};
+
+
 /*
  * This can go away when TRITON-1216 is implemented and rolled out everywhere.
  */
@@ -2455,3 +2713,5 @@ ModelServer.updateFromSysinfo = function updateFromSysinfo(sysinfo, callback) {
 };
 
 module.exports = ModelServer;
+module.exports.DISK_USAGE_KEYS = DISK_USAGE_KEYS;
+module.exports.MEMORY_USAGE_KEYS = MEMORY_USAGE_KEYS;
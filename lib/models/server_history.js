@@ -0,0 +1,215 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2021 Joyent, Inc.
+ */
+
+/*
+ * This file contains the logic for recording and looking up the history of
+ * changes made to server records.
+ *
+ * Every write made through ModelServer.upsert is published to the server
+ * change feed along with the before and after versions of the record. For
+ * each of these we write an entry to the cnapi_server_history bucket which
+ * contains the previous and new values of each top-level property that
+ * changed, along with the source of the change (e.g. the request id and
+ * origin/creator_uuid of a ServerUpdate) when the writer provided one.
+ *
+ * Properties which are updated from cn-agent's periodic status messages, and
+ * the sysinfo blob itself, change far too often (or are far too large) to be
+ * worth keeping here, so changes to those are not recorded. Entries are
+ * deleted once they are older than serverHistoryRetentionSeconds (see the
+ * config).
+ */
+
+var assert = require('assert-plus');
+var libuuid = require('libuuid');
+var once = require('once');
+var sprintf = require('sprintf').sprintf;
+
+var buckets = require('../apis/moray').BUCKETS;
+var common = require('../common');
+var ModelBase = require('./base');
+var ModelServer = require('./server');
+
+var HISTORY_IGNORED_KEYS = [].concat(
+    ModelServer.DISK_USAGE_KEYS,
+    ModelServer.MEMORY_USAGE_KEYS,
+    ['sysinfo', 'vms']
+);
+
+var DEFAULT_SERVER_HISTORY_RETENTION_SECONDS = 30 * 24 * 60 * 60;
+var SERVER_HISTORY_DEFAULT_LIMIT = 1000;
+
+
+function ModelServerHistory() {}
+
+ModelServerHistory.init = function (app) {
+    this.app = app;
+
+    Object.keys(ModelBase.staticFn).forEach(function (p) {
+        ModelServerHistory[p] = ModelBase.staticFn[p];
+    });
+
+    ModelServerHistory.log = app.getLog();
+};
+
+
+/*
+ * Write a history entry for a change published by the server change feed.
+ * 'states' contains the 'before' and 'after' versions of the server record
+ * ('before' is undefined when the server was created by this write). If none
+ * of the changed properties are ones we keep history for, nothing is written.
+ */
+ModelServerHistory.record = function (change, states, callback) {
+    assert.object(change, 'change');
+    assert.uuid(change.server_uuid, 'change.server_uuid');
+    assert.arrayOfString(change.changed, 'change.changed');
+    assert.string(change.timestamp, 'change.timestamp');
+    assert.object(states, 'states');
+    assert.optionalObject(states.before, 'states.before');
+    assert.object(states.after, 'states.after');
+    assert.func(callback, 'callback');
+
+    var before = states.before || {};
+    var entry;
+    var fields;
+
+    fields = change.changed.filter(function _isRecorded(field) {
+        return (HISTORY_IGNORED_KEYS.indexOf(field) === -1);
+    });
+
+    if (fields.length === 0) {
+        callback();
+        return;
+    }
+
+    entry = {
+        changes: {},
+        fields: fields,
+        server_uuid: change.server_uuid,
+        source: change.source || {},
+        timestamp: change.timestamp,
+        uuid: libuuid.create()
+    };
+
+    // A property that was added has no 'before' and one that was removed has
+    // no 'after'.
+    fields.forEach(function _addChange(field) {
+        entry.changes[field] = {
+            before: before[field],
+            after: states.after[field]
+        };
+    });
+
+    ModelServerHistory.getMoray().putObject(
+        buckets.server_history.name,
+        entry.uuid,
+        entry,
+        function _onPut(err) {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            callback(null, entry);
+        });
+};
+
+
+/*
+ * Return the history entries for a server, newest first.
+ *
+ * @param params {Object}
+ *        server_uuid {String} - The server to look up history for.
+ *        start {String} - Only entries at or after this ISO timestamp.
+ *        end {String} - Only entries at or before this ISO timestamp.
+ *        field {String} - Only entries where this property changed.
+ *        limit {Number} - Restrict to this many entries.
+ *        offset {Number} - Skip this many entries.
+ * @param callback {Function} `function (err, entries)`
+ */
+ModelServerHistory.list = function (params, callback) {
+    assert.object(params, 'params');
+    assert.uuid(params.server_uuid, 'params.server_uuid');
+    assert.optionalString(params.start, 'params.start');
+    assert.optionalString(params.end, 'params.end');
+    assert.optionalString(params.field, 'params.field');
+    assert.optionalNumber(params.limit, 'params.limit');
+    assert.optionalNumber(params.offset, 'params.offset');
+    assert.func(callback, 'callback');
+
+    var self = this;
+
+    var entries = [];
+    var filter = sprintf('(server_uuid=%s)', params.server_uuid);
+    var findOpts = {
+        sort: {
+            attribute: 'timestamp',
+            order: 'DESC'
+        },
+        limit: params.limit || SERVER_HISTORY_DEFAULT_LIMIT
+    };
+    var req;
+
+    callback = once(callback);
+
+    if (params.start) {
+        filter += sprintf('(timestamp>=%s)', common.filterEscape(params.start));
+    }
+    if (params.end) {
+        filter += sprintf('(timestamp<=%s)', common.filterEscape(params.end));
+    }
+    if (params.field) {
+        filter += sprintf('(fields=%s)', common.filterEscape(params.field));
+    }
+    if (params.offset !== undefined) {
+        findOpts.offset = params.offset;
+    }
+
+    filter = sprintf('(&%s)', filter);
+
+    req = ModelServerHistory.getMoray().findObjects(
+        buckets.server_history.name,
+        filter,
+        findOpts);
+
+    req.on('error', function _onError(err) {
+        self.log.error(err, 'error retrieving server history');
+        callback(err);
+    });
+
+    req.on('record', function _onRecord(obj) {
+        entries.push(obj.value);
+    });
+
+    req.on('end', function _onEnd() {
+        callback(null, entries);
+    });
+};
+
+
+/*
+ * Delete the history entries which are older than the retention period.
+ */
+ModelServerHistory.cleanup = function (callback) {
+    assert.func(callback, 'callback');
+
+    var retentionSeconds =
+        ModelServerHistory.getConfig().serverHistoryRetentionSeconds ||
+        DEFAULT_SERVER_HISTORY_RETENTION_SECONDS;
+    var then = new Date(Date.now() - retentionSeconds * 1000);
+    var filter = sprintf('(!(timestamp>=%s))',
+        common.filterEscape(then.toISOString()));
+
+    ModelServerHistory.getMoray().deleteMany(buckets.server_history.name,
+        filter, callback);
+};
+
+
+module.exports = ModelServerHistory;
+module.exports.HISTORY_IGNORED_KEYS = HISTORY_IGNORED_KEYS;
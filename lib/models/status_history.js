@@ -0,0 +1,192 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2021 Joyent, Inc.
+ */
+
+/*
+ * This file contains the logic for recording the history of each server's
+ * 'status' and detecting servers whose status is flapping.
+ *
+ * Whenever a write made through ModelServer.upsert changes a server's status
+ * (e.g. when the heartbeat reconciler marks a server 'unknown' because its
+ * heartbeats stopped, or 'running' again when they start back up), the
+ * transition is appended to that server's entry in the cnapi_status_history
+ * bucket. Each entry keeps only the last STATUS_HISTORY_MAX_TRANSITIONS
+ * transitions, oldest first, so it works as a ring buffer.
+ *
+ * A server is considered to be flapping when it has dropped out of 'running'
+ * more than statusFlapping.threshold times within the last
+ * statusFlapping.windowSeconds (see the config).
+ */
+
+var assert = require('assert-plus');
+var VError = require('verror');
+
+var buckets = require('../apis/moray').BUCKETS;
+var ModelBase = require('./base');
+
+var STATUS_HISTORY_MAX_TRANSITIONS = 100;
+var STATUS_HISTORY_ETAG_RETRIES = 3;
+
+var DEFAULT_FLAPPING_THRESHOLD = 3;
+var DEFAULT_FLAPPING_WINDOW_SECONDS = 60 * 60;
+
+
+function ModelStatusHistory() {}
+
+ModelStatusHistory.init = function (app) {
+    this.app = app;
+
+    Object.keys(ModelBase.staticFn).forEach(function (p) {
+        ModelStatusHistory[p] = ModelBase.staticFn[p];
+    });
+
+    ModelStatusHistory.log = app.getLog();
+};
+
+
+function getFlappingConfig() {
+    var config = ModelStatusHistory.getConfig().statusFlapping || {};
+
+    return {
+        threshold: (config.threshold !== undefined) ?
+            config.threshold : DEFAULT_FLAPPING_THRESHOLD,
+        windowSeconds: (config.windowSeconds !== undefined) ?
+            config.windowSeconds : DEFAULT_FLAPPING_WINDOW_SECONDS
+    };
+}
+
+
+/*
+ * Add the flapping information to a status history entry: `flaps` is the
+ * number of times the server dropped out of 'running' within the flapping
+ * window, and `flapping` is true when that's more than the threshold.
+ */
+function addFlapping(history) {
+    var flappingConfig = getFlappingConfig();
+    var since = new Date(Date.now() -
+        flappingConfig.windowSeconds * 1000).toISOString();
+
+    history.flaps = history.transitions.filter(function _isFlap(t) {
+        return (t.previous === 'running' && t.status !== 'running' &&
+            t.timestamp >= since);
+    }).length;
+    history.flapping = (history.flaps > flappingConfig.threshold);
+
+    return history;
+}
+
+
+/*
+ * Record a status transition if the change published by the server change feed
+ * changed the server's status. 'states' contains the 'before' and 'after'
+ * versions of the server record.
+ */
+ModelStatusHistory.record = function (change, states, callback) {
+    assert.object(change, 'change');
+    assert.uuid(change.server_uuid, 'change.server_uuid');
+    assert.arrayOfString(change.changed, 'change.changed');
+    assert.string(change.timestamp, 'change.timestamp');
+    assert.object(states, 'states');
+    assert.optionalObject(states.before, 'states.before');
+    assert.object(states.after, 'states.after');
+    assert.func(callback, 'callback');
+
+    var etagRetries = STATUS_HISTORY_ETAG_RETRIES;
+    var moray = ModelStatusHistory.getMoray();
+    var transition;
+
+    if (change.changed.indexOf('status') === -1) {
+        callback();
+        return;
+    }
+
+    transition = {
+        previous: (states.before || {}).status,
+        status: states.after.status,
+        timestamp: change.timestamp
+    };
+
+    function _tryRecord() {
+        moray.getObject(buckets.status_history.name, change.server_uuid,
+            function _onGet(getErr, obj) {
+                var etag = null;
+                var history = {
+                    server_uuid: change.server_uuid,
+                    transitions: []
+                };
+
+                if (getErr && !VError.hasCauseWithName(getErr,
+                    'ObjectNotFoundError')) {
+
+                    callback(getErr);
+                    return;
+                } else if (!getErr) {
+                    etag = obj._etag;
+                    history = obj.value;
+                }
+
+                history.transitions.push(transition);
+                history.transitions = history.transitions.slice(
+                    -STATUS_HISTORY_MAX_TRANSITIONS);
+                history.updated = change.timestamp;
+
+                // A null etag means the entry must not exist yet, so a
+                // concurrent first write is also caught as a conflict.
+                moray.putObject(buckets.status_history.name,
+                    change.server_uuid, history, {etag: etag},
+                    function _onPut(putErr) {
+                        if (putErr && etagRetries > 0 &&
+                            VError.hasCauseWithName(putErr,
+                                'EtagConflictError')) {
+
+                            etagRetries--;
+                            _tryRecord();
+                            return;
+                        }
+
+                        callback(putErr, history);
+                    });
+            });
+    }
+
+    _tryRecord();
+};
+
+
+/*
+ * Return the status history for a server, with the flapping information added
+ * (see addFlapping). A server with no recorded transitions has an empty
+ * history.
+ */
+ModelStatusHistory.get = function (serverUuid, callback) {
+    assert.uuid(serverUuid, 'serverUuid');
+    assert.func(callback, 'callback');
+
+    ModelStatusHistory.getMoray().getObject(
+        buckets.status_history.name,
+        serverUuid,
+        function _onGet(err, obj) {
+            if (err && VError.hasCauseWithName(err, 'ObjectNotFoundError')) {
+                callback(null, addFlapping({
+                    server_uuid: serverUuid,
+                    transitions: []
+                }));
+                return;
+            } else if (err) {
+                callback(err);
+                return;
+            }
+
+            callback(null, addFlapping(obj.value));
+        });
+};
+
+
+module.exports = ModelStatusHistory;
+module.exports.STATUS_HISTORY_MAX_TRANSITIONS = STATUS_HISTORY_MAX_TRANSITIONS;
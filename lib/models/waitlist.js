@@ -29,6 +29,7 @@ var restify = require('restify');
 var ModelBase = require('./base');
 var buckets = require('../apis/moray').BUCKETS;
 var common = require('../common');
+var WaitlistNotifier = require('../waitlist_notifier');
 
 // Ticket status values
 var TICKET_STATUS_ACTIVE = 'active';
@@ -36,6 +37,17 @@ var TICKET_STATUS_EXPIRED = 'expired';
 var TICKET_STATUS_FINISHED = 'finished';
 var TICKET_STATUS_QUEUED = 'queued';
 
+// Ticket modes
+var TICKET_MODE_EXCLUSIVE = 'exclusive';
+var TICKET_MODE_SHARED = 'shared';
+
+// Ticket priorities; queued tickets with a higher priority are activated first
+var TICKET_PRIORITY_DEFAULT = 0;
+var TICKET_PRIORITY_MAX = 100;
+
+// The longest lease (in seconds) a lease ticket can be created with
+var TICKET_LEASE_SECONDS_MAX = 3600;
+
 // Ticket modify operations
 var TICKET_OPERATION_DELETE = 'delete';
 var TICKET_OPERATION_CREATE = 'create';
@@ -47,6 +59,17 @@ var MORAY_BUCKET_WAITLIST_TICKETS = buckets.waitlist_tickets.name;
 // How long, (in ms), between checks to moray for ticket updates
 var WAITLIST_PERIOD_MS = 500;
 
+// How long, (in ms), between checks to moray for ticket updates we haven't
+// been notified of, when waitlist notifications are available
+var WAITLIST_NOTIFIED_PERIOD_MS = 5000;
+
+// How long, (in ms), after a ticket is due to expire that we keep checking for
+// ticket updates every WAITLIST_PERIOD_MS, when notifications are available
+var WAITLIST_EXPIRY_GRACE_MS = 3000;
+
+// How many times renewing a ticket is retried on an etag conflict
+var WAITLIST_RENEW_ETAG_RETRIES = 3;
+
 // Period (ms) between attempts to ensure activation of tickets.
 var WAITLIST_PERIODIC_ACTIVATION_PERIOD_MS = 60 * 1000;
 
@@ -57,9 +80,15 @@ var WAITLIST_CLEANUP_PERIOD_MS = 3600 * 1000;
 var WAITLIST_CLEANUP_MAX_AGE_MS = 30 * 24 * 3600 * 1000;
 
 /*
- * The WaitlistDirector periodically checks moray for waitlist tickets that
- * have been updated and takes appropriate action, such as: dispatching wait
- * callbacks and updating ticket statuses.
+ * The WaitlistDirector checks moray for waitlist tickets that have been updated
+ * and takes appropriate action, such as: dispatching wait callbacks and
+ * updating ticket statuses.
+ *
+ * When waitlist notifications are available (see lib/waitlist_notifier.js),
+ * it checks as soon as it's notified that a ticket has changed, and otherwise
+ * only when a ticket it knows of is due to expire, since nothing is notified
+ * then, and every WAITLIST_NOTIFIED_PERIOD_MS in case a notification was lost.
+ * When they're not, it polls moray every WAITLIST_PERIOD_MS.
  *
  * There will only be one instance of this object per running CNAPI instance.
  */
@@ -69,6 +98,7 @@ function WaitlistDirector(params) {
     self.params = params;
     self.log = ModelWaitlist.log;
     self.callbacks = {};
+    self.notifier = params.notifier;
 }
 
 
@@ -81,10 +111,15 @@ WaitlistDirector.prototype.start =
 function WaitlistDirectorStart() {
     var self = this;
 
+    var checking = false;
+    var checkAgain = false;
+    // When each unfinished ticket we've seen expires, by ticket uuid.
+    var expiries = {};
     var lastCheck;
     var start = new Date();
 
     self.log.info('starting WaitlistDirector');
+    self.stopped = false;
 
     if (!WaitlistDirector.timeout) {
         clearInterval(WaitlistDirector.timeout);
@@ -100,7 +135,18 @@ function WaitlistDirectorStart() {
     // Ensure we don't stop activating tickets.
     activationTimerFn();
 
+    if (self.notifier) {
+        self.onNotification = checkNow;
+        self.notifier.on('updated', checkNow);
+        // Go back to polling straight away, rather than at the next check.
+        self.notifier.on('unavailable', checkNow);
+    }
+
     function activationTimerFn() {
+        if (self.stopped) {
+            return;
+        }
+
         WaitlistDirector.activationTimer = setTimeout(function () {
             self.ensureServerQueuesHaveActiveTickets(
             function (activateError) {
@@ -115,8 +161,22 @@ function WaitlistDirectorStart() {
 
     }
 
+    // Check for updated tickets now, or as soon as the check that's running
+    // is done.
+    function checkNow() {
+        if (checking) {
+            checkAgain = true;
+            return;
+        }
+
+        clearTimeout(WaitlistDirector.timeout);
+        intervalFn();
+    }
+
     function intervalFn() {
         var params = { timestamp: lastCheck && new Date(lastCheck - 1000) };
+        checking = true;
+        checkAgain = false;
         start = new Date();
         ModelWaitlist.ticketsUpdatedSince(params, onTicketsUpdated);
     }
@@ -125,11 +185,42 @@ function WaitlistDirectorStart() {
         WaitlistDirector.cleanupOldTickets(self.log, onTicketsCleanedUp);
     }
 
+    // Schedule the next check. Without notifications that's a poll.
+    function scheduleCheck() {
+        var delay = WAITLIST_PERIOD_MS;
+        var now = Date.now();
+
+        if (self.stopped) {
+            return;
+        }
+
+        if (checkAgain) {
+            delay = 0;
+        } else if (self.notifier && self.notifier.isAvailable()) {
+            delay = WAITLIST_NOTIFIED_PERIOD_MS;
+
+            // A ticket is only found to have expired by a check more than a
+            // second after it was due (see the timestamp given to
+            // ticketsUpdatedSince()), so keep checking at the polling rate
+            // for a while after that.
+            Object.keys(expiries).forEach(function (uuid) {
+                if (expiries[uuid] + WAITLIST_EXPIRY_GRACE_MS < now) {
+                    delete expiries[uuid];
+                    return;
+                }
+
+                delay = Math.min(delay,
+                    Math.max(expiries[uuid] - now, WAITLIST_PERIOD_MS));
+            });
+        }
+
+        WaitlistDirector.timeout = setTimeout(intervalFn, delay);
+    }
+
     // This gets called every time we check and find tickets that have been
     // updated since the last time we looked.
     function onTicketsUpdated(error, tickets) {
-        // We want this rescheduled even if we get an error
-        WaitlistDirector.timeout = setTimeout(intervalFn, WAITLIST_PERIOD_MS);
+        checking = false;
 
         if (error) {
             self.log.error({ error: error }, 'failed to get tickets since %s',
@@ -139,6 +230,15 @@ function WaitlistDirectorStart() {
         var date = lastCheck;
         lastCheck = new Date();
 
+        // Note when these tickets expire before scheduling the next check, so
+        // that it's made in time to find them expired.
+        (tickets || []).forEach(function (ticket) {
+            expiries[ticket.uuid] = new Date(ticket.expires_at).getTime();
+        });
+
+        // We want this rescheduled even if we get an error
+        scheduleCheck();
+
         // If there are tickets with an updated_at time later than the last
         // time we last checked, process those tickets.
         if (tickets && tickets.length) {
@@ -160,12 +260,40 @@ function WaitlistDirectorStart() {
             self.log.error({ error: error }, 'error cleaning up tickets');
         }
 
+        if (self.stopped) {
+            return;
+        }
+
         WaitlistDirector.cleanupTimeout =
             setTimeout(cleanupIntervalFn, WAITLIST_CLEANUP_PERIOD_MS);
     }
 };
 
 
+/*
+ * Stop checking moray for ticket updates, cleaning up old tickets and ensuring
+ * activation. A check that's running when this is called isn't followed by
+ * another.
+ */
+
+WaitlistDirector.prototype.stop =
+function WaitlistDirectorStop() {
+    var self = this;
+
+    self.log.info('stopping WaitlistDirector');
+    self.stopped = true;
+
+    clearTimeout(WaitlistDirector.timeout);
+    clearTimeout(WaitlistDirector.cleanupTimeout);
+    clearTimeout(WaitlistDirector.activationTimer);
+
+    if (self.notifier) {
+        self.notifier.removeListener('updated', self.onNotification);
+        self.notifier.removeListener('unavailable', self.onNotification);
+    }
+};
+
+
 /*
  * Called with a timestamp and list of tickets that have had their
  * `updated_at` value updated since last we checked. This will dispatch
@@ -188,6 +316,28 @@ function WaitlistDirectorOnUpdate(timestamp, tickets) {
         tickets,
         function _forEachTicket(ticket, next) {
             var i;
+
+            // The members of a group are activated together, and all expire
+            // at the same time, so those waiting on the group are called
+            // back with the first member that does either.
+            if (ticket.group_uuid && self.callbacks[ticket.group_uuid] &&
+                (ticket.status === TICKET_STATUS_ACTIVE ||
+                (timestamp && timestamp.toISOString() > ticket.expires_at))) {
+
+                self.log.info(
+                    'ticket group %s %s, invoking %d callbacks',
+                    ticket.group_uuid,
+                    ticket.status === TICKET_STATUS_ACTIVE ?
+                        'became active' : 'expired',
+                    self.callbacks[ticket.group_uuid].length);
+                var groupErr = (ticket.status === TICKET_STATUS_ACTIVE ?
+                    undefined : new VError('ticket has expired'));
+                for (i in self.callbacks[ticket.group_uuid]) {
+                    self.callbacks[ticket.group_uuid][i](groupErr);
+                }
+                delete self.callbacks[ticket.group_uuid];
+            }
+
             // Check if ticket needs to be expired.
             if (ticket.status !== TICKET_STATUS_FINISHED &&
                        ticket.status !== TICKET_STATUS_EXPIRED &&
@@ -248,7 +398,8 @@ function WaitlistDirectorOnUpdate(timestamp, tickets) {
 
 /*
  * Places a callback on list of callbacks to be called when ticket goes to the
- * 'active' status.
+ * 'active' status. The uuid may instead be that of a ticket group, in which
+ * case the callback is called when the group's tickets go to 'active'.
  */
 
 WaitlistDirector.prototype.waitForTicketByUuid =
@@ -268,9 +419,9 @@ function ModelWaitlisWaitForTicketByUuid(uuid, callback) {
 
         var ticket = result.ticket;
 
-        // If the ticket doesn't exist, callback with error
+        // If the ticket doesn't exist, it may be a group.
         if (!ticket) {
-            callback(new VError('no such ticket %s', uuid));
+            self.waitForTicketGroup(uuid, callback);
             return;
         }
 
@@ -300,6 +451,55 @@ function ModelWaitlisWaitForTicketByUuid(uuid, callback) {
 };
 
 
+/*
+ * Places a callback on the list of callbacks to be called when the tickets of
+ * a group go to the 'active' status, which they do together.
+ */
+
+WaitlistDirector.prototype.waitForTicketGroup =
+function WaitlistDirectorWaitForTicketGroup(group_uuid, callback) {
+    var self = this;
+
+    ModelWaitlist.getTicketGroup(group_uuid,
+    function _onGetGroup(error, group) {
+        if (error) {
+            callback(new VError('fetching ticket group %s', group_uuid));
+            return;
+        }
+
+        // If the group doesn't exist either, callback with error
+        if (group.length === 0) {
+            callback(new VError('no such ticket %s', group_uuid));
+            return;
+        }
+
+        if (group.some(function (t) {
+            return (t.status === TICKET_STATUS_EXPIRED);
+        })) {
+            self.log.warn('ticket group %s found expired', group_uuid);
+            callback(new VError('ticket %s is expired', group_uuid));
+            return;
+        }
+
+        if (group.every(function (t) {
+            return (t.status === TICKET_STATUS_ACTIVE);
+        })) {
+            self.log.warn('ticket group %s found active', group_uuid);
+            callback();
+            return;
+        }
+
+        if (!self.callbacks[group_uuid]) {
+            self.callbacks[group_uuid] = [];
+        }
+
+        self.log.info('setting callback for ticket group %s', group_uuid);
+
+        self.callbacks[group_uuid].push(once(callback));
+    });
+};
+
+
 
 /**
  * Each instance of ModelWaitlist corresponds to a "waitlist" for a particular
@@ -333,6 +533,10 @@ ModelWaitlist.init = function (app) {
 
     ModelWaitlist.pendingActivationsByServer = {};
     ModelWaitlist.log = app.getLog();
+    ModelWaitlist.notifier = new WaitlistNotifier({
+        log: ModelWaitlist.log,
+        mode: app.config.waitlistNotifications
+    });
 };
 
 
@@ -369,6 +573,26 @@ function ModelWaitlistGetTicket(uuid, callback) {
 };
 
 
+/**
+ * Fetch the tickets of a ticket group from moray by the group's uuid.
+ *
+ * @param {String} group_uuid
+ * @param callback {Function} `function (err, tickets)`, where tickets is empty
+ *        if there's no such group
+ */
+
+ModelWaitlist.getTicketGroup =
+function ModelWaitlistGetTicketGroup(group_uuid, callback) {
+    assert.uuid(group_uuid, 'group_uuid');
+    assert.func(callback, 'callback');
+
+    ModelWaitlist.query(
+        sprintf('(group_uuid=%s)', common.filterEscape(group_uuid)),
+        {},
+        callback);
+};
+
+
 ModelWaitlist.ticketsUpdatedSince =
 function ModelWaitlistTicketsUpdatedSince(opts, callback) {
     var self = this;
@@ -485,7 +709,68 @@ ModelWaitlist.list = function (params, callback) {
         queryOpts.attribute = params.attribute;
     }
 
-    ModelWaitlist.query('(server_uuid=' + uuid + ')', queryOpts, callback);
+    ModelWaitlist.query('(server_uuid=' + uuid + ')', queryOpts,
+    function _onQuery(err, tickets) {
+        if (err || !params.server_uuid) {
+            callback(err, tickets);
+            return;
+        }
+
+        ModelWaitlist.addQueuePositions(params.server_uuid, tickets, callback);
+    });
+};
+
+
+/*
+ * Add a `queue_position` to each of the given queued tickets of a server: its
+ * position in the queue for its scope/id, in the order the queued tickets will
+ * be activated, where 1 is the next to be activated. Calls `callback` with
+ * `function (err, tickets)`.
+ */
+
+ModelWaitlist.addQueuePositions =
+function ModelWaitlistAddQueuePositions(server_uuid, tickets, callback) {
+    assert.string(server_uuid, 'server_uuid');
+    assert.arrayOfObject(tickets, 'tickets');
+    assert.func(callback, 'callback');
+
+    var filter = sprintf('(&(server_uuid=%s)(status=%s))',
+        server_uuid, TICKET_STATUS_QUEUED);
+
+    ModelWaitlist.query(filter, {}, function _onQuery(err, queued) {
+        var positions = {};
+        var queues = {};
+
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        queued.forEach(function (ticket) {
+            var key = ticket.scope + '/' + ticket.id;
+
+            if (!queues[key]) {
+                queues[key] = [];
+            }
+            queues[key].push(ticket);
+        });
+
+        Object.keys(queues).forEach(function (key) {
+            queues[key].sort(compareQueueOrder).forEach(function (ticket, i) {
+                positions[ticket.uuid] = i + 1;
+            });
+        });
+
+        tickets.forEach(function (ticket) {
+            if (ticket.status === TICKET_STATUS_QUEUED &&
+                positions[ticket.uuid]) {
+
+                ticket.queue_position = positions[ticket.uuid];
+            }
+        });
+
+        callback(null, tickets);
+    });
 };
 
 /*
@@ -611,7 +896,9 @@ function ModelWaitlistQuery(filter, findOpts, callback) {
 /* BEGIN JSSTYLED */
 /*
  * Look up active and queued tickets, given a scope and id. Calls callback with
- * an array of ticket records.
+ * an array of ticket records, in the order they're activated in: active
+ * tickets first, then queued tickets by priority and age (see
+ * compareQueueOrder()).
  * Calls `callback` with an array of responses resembling:
  *     {
  *         ticket: ticketObj,
@@ -664,6 +951,8 @@ function ModelWaitlistGetServerQueue(opts, callback) {
 
         var results = tickets.map(function (t) {
             return { ticket: t.value, etag: t._etag };
+        }).sort(function (a, b) {
+            return compareQueueOrder(a.ticket, b.ticket);
         });
 
         self.log.debug({ filter: filter, tickets: results },
@@ -822,24 +1111,34 @@ function WaitlistDirectorRemoveFromPendingActivations(opts) {
 /* BEGIN JSSTYLED */
 /*
  * Check if there are tickets with status=`active` for a given `scope`,
- * `server_uuid` and `id`. If none match, take the oldest with
- * `status`='queued' by `created_at` and update its status (to 'active'). Calls
- * `callback` with the UUID of the created ticket as well as the current list
- * of tickets for this server/scope/id.
+ * `server_uuid` and `id`. If none match, take the next ticket with
+ * `status`='queued' (the one with the highest priority, and the oldest by
+ * `created_at` of those) and update its status (to 'active').
+ *
+ * Tickets with `mode`='shared' can be active together: if the next queued
+ * ticket is shared, it's activated along with the shared tickets queued
+ * straight after it, and while only shared tickets are active, queued shared
+ * tickets are activated up to the first queued exclusive one. An exclusive
+ * ticket is only activated once there are no active tickets, so that shared
+ * tickets queued after it wait for it.
+ *
+ * A ticket in a group (see ModelWaitlist.createTicketGroup()) is only activated
+ * once every ticket in the group is next to be activated in its own queue, and
+ * then they're all activated at once. Until then, the queue waits for it.
  *
  * @param opts {Object}
  * @param opts.server_uuid {String} scope/id apply to the server given by this uuid
  * @param opts.scope {String} ticket scope
  * @param opts.id {String} The id of resource within given scope
- * @param callback {Function} `function (err, createdTicketUuid, arrayOfTickets)`
+ * @param callback {Function} `function (err)`
  */
 /* END JSSTYLED */
 
 ModelWaitlist.activateOneTicket =
 function ModelWaitlistActivateOne(opts, callback) {
     var self = this;
-    var ticket;
-    var etag;
+    var group;
+    var toActivate = [];
 
     assert.object(opts, 'opts');
 
@@ -873,60 +1172,175 @@ function ModelWaitlistActivateOne(opts, callback) {
                     return;
                 }
 
-                var activeCount = results.filter(function (i) {
+                var active = results.filter(function (i) {
                     return i.ticket.status === TICKET_STATUS_ACTIVE;
+                });
+                var queued = results.filter(function (i) {
+                    return i.ticket.status === TICKET_STATUS_QUEUED;
+                });
+                var activeExclusive = active.filter(function (i) {
+                    return !isShared(i.ticket);
                 }).length;
 
-                if (activeCount > 1) {
+                if (activeExclusive > 0 && active.length > 1) {
                     self.log.error(
                         { opts: opts, results: results },
                         'activateOneTicket: ' +
-                        'found more than one active ticket for criteria');
+                        'found an exclusive ticket active with others');
+                    next();
+                    return;
+                }
+
+                if (activeExclusive > 0) {
+                    self.log.debug(opts,
+                        'activateOneTicket: ' +
+                        'found an active exclusive ticket so nothing to do');
                     next();
                     return;
                 }
 
-                if (activeCount > 0) {
+                if (queued.length === 0) {
                     self.log.debug(opts,
                         'activateOneTicket: ' +
-                        'found an active ticket so nothing to do');
+                        'found no queued tickets so nothing to do');
+                    next();
+                    return;
+                }
+
+                if (!isShared(queued[0].ticket)) {
+                    // Exclusive tickets wait for the shared ones to finish.
+                    if (active.length === 0 && queued[0].ticket.group_uuid) {
+                        group = queued[0].ticket.group_uuid;
+                    } else if (active.length === 0) {
+                        toActivate.push(queued[0]);
+                    }
                     next();
                     return;
                 }
 
-                ticket = results[0].ticket;
-                etag = results[0].etag;
+                var i = 0;
+                while (i < queued.length && isShared(queued[i].ticket)) {
+                    toActivate.push(queued[i]);
+                    i++;
+                }
+
                 next();
             });
         },
-        function activateOldest(next) {
-            // If `ticket` is unset, it means we found an active ticket for
-            // this queue, so we can remove it from pending activations. We
-            // only care about the case when we only have queued tickets.
-            if (!ticket) {
-                WaitlistDirector.removeFromPendingActivations(opts);
+        function getGroup(next) {
+            if (!group) {
                 next();
                 return;
             }
 
-            // If `ticket` is set, we have a ticket we need to activate.
-
-            ticket.status = TICKET_STATUS_ACTIVE;
-            ticket.updated_at = (new Date()).toISOString();
+            getReadyTicketGroup(group, function _onGetGroup(err, results) {
+                if (err) {
+                    next(err);
+                    return;
+                }
 
-            ModelWaitlist.getMoray().putObject(
-                MORAY_BUCKET_WAITLIST_TICKETS,
-                ticket.uuid,
-                ticket,
-                { etag: etag },
-                function _onActivateOnePut(puterror) {
-                    if (puterror) {
-                        next(VError(puterror, 'failed to updated ticket'));
-                        return;
-                    }
-                    WaitlistDirector.removeFromPendingActivations(opts);
+                if (!results) {
+                    self.log.debug(opts,
+                        'activateOneTicket: ' +
+                        'ticket group %s is still waiting', group);
                     next();
+                    return;
+                }
+
+                toActivate = results;
+                next();
+            });
+        },
+        function activateGroup(next) {
+            if (!group || toActivate.length === 0) {
+                next();
+                return;
+            }
+
+            // The group's tickets are all activated, or none are.
+            var requests = toActivate.map(function (result) {
+                result.ticket.status = TICKET_STATUS_ACTIVE;
+                result.ticket.updated_at = (new Date()).toISOString();
+
+                return {
+                    bucket: MORAY_BUCKET_WAITLIST_TICKETS,
+                    key: result.ticket.uuid,
+                    operation: 'put',
+                    options: { etag: result.etag },
+                    value: result.ticket
+                };
+            });
+
+            ModelWaitlist.getMoray().batch(requests,
+            function _onActivateGroup(batcherror) {
+                if (batcherror) {
+                    next(VError(batcherror,
+                        'failed to activate ticket group %s', group));
+                    return;
+                }
+
+                toActivate.forEach(function (result) {
+                    WaitlistDirector.removeFromPendingActivations({
+                        id: result.ticket.id,
+                        scope: result.ticket.scope,
+                        server_uuid: result.ticket.server_uuid
+                    });
+                    ModelWaitlist.notifier.publish(result.ticket);
                 });
+                next();
+            });
+        },
+        function activateOldest(next) {
+            // A group that's still waiting for other queues stays pending, so
+            // that it's checked again periodically.
+            if (group) {
+                next();
+                return;
+            }
+
+            // If there's nothing to activate, it means we found an active
+            // ticket for this queue, so we can remove it from pending
+            // activations. We only care about the case when we only have
+            // queued tickets.
+            if (toActivate.length === 0) {
+                WaitlistDirector.removeFromPendingActivations(opts);
+                next();
+                return;
+            }
+
+            // Otherwise we have tickets we need to activate.
+
+            vasync.forEachPipeline({
+                inputs: toActivate,
+                func: function _activateTicket(result, done) {
+                    var ticket = result.ticket;
+
+                    ticket.status = TICKET_STATUS_ACTIVE;
+                    ticket.updated_at = (new Date()).toISOString();
+
+                    ModelWaitlist.getMoray().putObject(
+                        MORAY_BUCKET_WAITLIST_TICKETS,
+                        ticket.uuid,
+                        ticket,
+                        { etag: result.etag },
+                        function _onActivateOnePut(puterror) {
+                            if (puterror) {
+                                done(VError(puterror,
+                                    'failed to updated ticket'));
+                                return;
+                            }
+                            ModelWaitlist.notifier.publish(ticket);
+                            done();
+                        });
+                }
+            }, function _onActivated(err) {
+                if (err) {
+                    next(err);
+                    return;
+                }
+                WaitlistDirector.removeFromPendingActivations(opts);
+                next();
+            });
         }
     ], callback);
 };
@@ -1035,6 +1449,7 @@ function ModelWaitlistTicketOperation(opts, callback) {
                                 ticket.uuid));
                             return;
                         }
+                        ModelWaitlist.notifier.publish(ticket);
                         next();
                     });
             } else if (opts.operation === TICKET_OPERATION_UPDATE ||
@@ -1059,6 +1474,7 @@ function ModelWaitlistTicketOperation(opts, callback) {
                                 ticket.uuid));
                             return;
                         }
+                        ModelWaitlist.notifier.publish(ticket);
                         next();
                     });
             } else {
@@ -1068,35 +1484,14 @@ function ModelWaitlistTicketOperation(opts, callback) {
 
         // If there are tickets for this server/scope/id, make sure one of them
         // is considered active (having `status` = 'active'). If one is not
-        // active, activate the oldest one.
-        //
-        // We'll wrap this with `backoff` so that if we get an etag conflict we
-        // can re-attempt the operation. If we get a conflict and we retry and
-        // there is an active ticket now, then can stop, having satisfied our
-        // requirement that a ticket be in status='active'.
+        // active, activate the next one (see activateQueue()).
 
         function activateOneTicket(next) {
-            var call = backoff.call(
-                ModelWaitlist.activateOneTicket.bind(self),
-                {
-                    server_uuid: ticket.server_uuid,
-                    scope: ticket.scope,
-                    id: ticket.id
-                },
-                function _onBackoffCall(err) {
-                    if (err) {
-                        self.log.error(err,
-                            'activateOneTicket: returned error');
-                    }
-                    next();
-                });
-
-            call.retryIf(function _onRetryIf(err) {
-                return VError.hasCauseWithName(err, 'EtagConflictError');
-            });
-            call.setStrategy(new backoff.ExponentialStrategy());
-            call.failAfter(10);
-            call.start();
+            activateQueue({
+                server_uuid: ticket.server_uuid,
+                scope: ticket.scope,
+                id: ticket.id
+            }, next);
         }
     ],
     function _onModifyWfEnd(wferr) {
@@ -1108,16 +1503,25 @@ function ModelWaitlistTicketOperation(opts, callback) {
 
 /* BEGIN JSSTYLED */
 /*
- * Create a new ticket record. Ticket execution order depends on ticket age
- * (oldest tickets first), grouped by server UUID, scope and id. Tickets are first
- * created with a status of 'queued'. As tickets are released, subsequent
- * tickets are activated (status=active).
+ * Create a new ticket record. Ticket execution order depends on ticket priority
+ * (highest first) and then age (oldest tickets first), grouped by server UUID,
+ * scope and id. Tickets are first created with a status of 'queued'. As tickets
+ * are released, subsequent tickets are activated (status=active). Any number of
+ * tickets with a mode of 'shared' may be active together, but an 'exclusive'
+ * ticket is only active on its own (see ModelWaitlist.activateOneTicket()).
+ *
+ * A ticket created with `lease_seconds` rather than `expires_at` is a lease
+ * ticket, which expires that many seconds after it was created or last renewed
+ * (see ModelWaitlist.renewTicket()).
  *
  * @param opts {Object}
  * @param opts.scope {String} ticket scope
  * @param opts.id {String} The id of resource within given scope
- * @param opts.expires_at {String} isodate when ticket is considered expired
+ * @param opts.expires_at {OptionalString} isodate when ticket is considered expired
+ * @param opts.lease_seconds {OptionalNumber} 1 to 3600, how long the ticket is held for without being renewed
  * @param opts.action {OptionalString} action associated with this ticket
+ * @param opts.mode {OptionalString} 'shared' or 'exclusive' (the default)
+ * @param opts.priority {OptionalNumber} 0 (the default) to 100, where queued tickets with a higher priority are activated first
  * @param opts.req_id {OptionalString} restify request id
  * @param opts.extra {OptionalObject} arbitrary metadata set by caller
  * @param callback {Function} `function (err, createdTicketUuid, currentTicketQueue)`
@@ -1130,8 +1534,13 @@ function ModelWaitlistCreateTicket(opts, callback) {
     assert.object(opts, 'opts');
     assert.string(opts.scope, 'opts.scope');
     assert.string(opts.id, 'opts.id');
-    assert.string(opts.expires_at, 'opts.expires_at');
+    assert.optionalString(opts.expires_at, 'opts.expires_at');
+    assert.optionalNumber(opts.lease_seconds, 'opts.lease_seconds');
+    assert.ok(opts.expires_at || opts.lease_seconds,
+        'opts.expires_at or opts.lease_seconds');
     assert.optionalString(opts.action, 'opts.action');
+    assert.optionalString(opts.mode, 'opts.mode');
+    assert.optionalNumber(opts.priority, 'opts.priority');
 
     if (opts.server_uuid !== 'default') {
         assert.optionalUuid(opts.server_uuid, 'opts.server_uuid');
@@ -1144,9 +1553,13 @@ function ModelWaitlistCreateTicket(opts, callback) {
     var ticket = {
         action: opts.action,
         created_at: (new Date()).toISOString(),
-        expires_at: opts.expires_at,
+        expires_at: (opts.lease_seconds ?
+            leaseExpiry(opts.lease_seconds) : opts.expires_at),
         extra: opts.extra || {},
         id: opts.id,
+        lease_seconds: opts.lease_seconds,
+        mode: opts.mode || TICKET_MODE_EXCLUSIVE,
+        priority: opts.priority || TICKET_PRIORITY_DEFAULT,
         reqid: opts.req_id,
         scope: opts.scope,
         server_uuid: opts.server_uuid,
@@ -1192,6 +1605,124 @@ function ModelWaitlistCreateTicket(opts, callback) {
 
 };
 
+
+/* BEGIN JSSTYLED */
+/*
+ * Create a group of tickets, possibly on several servers, which are activated
+ * all at once or not at all: none of them is activated until every one of them
+ * is next to be activated in its queue, so that an operation needing all of
+ * them never holds some while waiting for the others. The tickets are written
+ * to moray together, and share the group's uuid (`group_uuid`), `created_at`
+ * and `priority`, so they're in the same order relative to every other group in
+ * every queue they share, which means groups can't wait on each other in a
+ * cycle. They're always exclusive. The group's uuid can be waited on,
+ * released and (for a group of lease tickets) renewed like a ticket's.
+ *
+ * @param opts {Object}
+ * @param opts.tickets {Array} each ticket's `server_uuid`, `scope` and `id`
+ * @param opts.expires_at {OptionalString} isodate when the tickets are considered expired
+ * @param opts.lease_seconds {OptionalNumber} 1 to 3600, how long the tickets are held for without being renewed (see createTicket)
+ * @param opts.action {OptionalString} action associated with the tickets
+ * @param opts.priority {OptionalNumber} the tickets' priority (see createTicket)
+ * @param opts.req_id {OptionalString} restify request id
+ * @param opts.extra {OptionalObject} arbitrary metadata set by caller
+ * @param callback {Function} `function (err, groupUuid, tickets)`
+ */
+/* END JSSTYLED */
+
+ModelWaitlist.createTicketGroup =
+function ModelWaitlistCreateTicketGroup(opts, callback) {
+    var self = this;
+
+    assert.object(opts, 'opts');
+    assert.arrayOfObject(opts.tickets, 'opts.tickets');
+    assert.optionalString(opts.expires_at, 'opts.expires_at');
+    assert.optionalNumber(opts.lease_seconds, 'opts.lease_seconds');
+    assert.ok(opts.expires_at || opts.lease_seconds,
+        'opts.expires_at or opts.lease_seconds');
+    assert.optionalString(opts.action, 'opts.action');
+    assert.optionalNumber(opts.priority, 'opts.priority');
+    assert.optionalString(opts.req_id, 'opts.req_id');
+    assert.optionalObject(opts.extra, 'opts.extra');
+    assert.func(callback, 'callback');
+
+    var now = (new Date()).toISOString();
+    var expires_at = (opts.lease_seconds ?
+        leaseExpiry(opts.lease_seconds) : opts.expires_at);
+    var group_uuid = libuuid.create();
+
+    var tickets = opts.tickets.map(function (t) {
+        assert.uuid(t.server_uuid, 'opts.tickets.server_uuid');
+        assert.string(t.scope, 'opts.tickets.scope');
+        assert.string(t.id, 'opts.tickets.id');
+
+        return {
+            action: opts.action,
+            created_at: now,
+            expires_at: expires_at,
+            extra: opts.extra || {},
+            group_uuid: group_uuid,
+            id: t.id,
+            lease_seconds: opts.lease_seconds,
+            mode: TICKET_MODE_EXCLUSIVE,
+            priority: opts.priority || TICKET_PRIORITY_DEFAULT,
+            reqid: opts.req_id,
+            scope: t.scope,
+            server_uuid: t.server_uuid,
+            status: TICKET_STATUS_QUEUED,
+            updated_at: now,
+            uuid: libuuid.create()
+        };
+    });
+
+    self.log.info({ group_uuid: group_uuid, tickets: tickets },
+        'creating ticket group');
+
+    vasync.waterfall([
+        function doCreate(next) {
+            ModelWaitlist.getMoray().batch(tickets.map(function (ticket) {
+                return {
+                    bucket: MORAY_BUCKET_WAITLIST_TICKETS,
+                    key: ticket.uuid,
+                    operation: 'put',
+                    value: ticket
+                };
+            }), function _onCreate(err) {
+                if (err) {
+                    next(VError(err, 'failed to write ticket group %s',
+                        group_uuid));
+                    return;
+                }
+
+                tickets.forEach(function (ticket) {
+                    ModelWaitlist.notifier.publish(ticket);
+                });
+                next();
+            });
+        },
+        function doActivate(next) {
+            // The last queue checked activates the group if it's ready.
+            vasync.forEachPipeline({
+                inputs: tickets,
+                func: function _activateQueue(ticket, done) {
+                    activateQueue({
+                        server_uuid: ticket.server_uuid,
+                        scope: ticket.scope,
+                        id: ticket.id
+                    }, done);
+                }
+            }, next);
+        }
+    ],
+    function (err) {
+        if (err) {
+            callback(err);
+            return;
+        }
+        callback(null, group_uuid, tickets);
+    });
+};
+
 /**
  * Function called when a ticket is has exhausted the lifetime (ie it's
  * expires_at timestamp is now in the past).
@@ -1216,10 +1747,39 @@ function ModelWaitlistExpireTicket(ticket_uuid, callback) {
 };
 
 
+/*
+ * Renew a lease ticket (one created with `lease_seconds`), so that it expires
+ * `lease_seconds` from now. Holders renew their lease tickets while they're
+ * queued or active, so that when a holder dies its ticket is expired by the
+ * director soon after, rather than holding up the queue until some fixed
+ * time. A ticket whose lease has lapsed can't be renewed, even if the director
+ * hasn't marked it as expired yet, since the next ticket may be activated at
+ * any moment. If ticket_uuid is that of a group of lease tickets, all of its
+ * tickets are renewed.
+ *
+ * @param ticket_uuid {String} The ticket (or ticket group) to be renewed.
+ * @param callback {Function} `function (err, ticket)`, where for a group
+ *        ticket is an object with the group's `uuid` and its `tickets`
+ */
+
+ModelWaitlist.renewTicket =
+function ModelWaitlistRenewTicket(ticket_uuid, callback) {
+    var self = this;
+
+    assert.uuid(ticket_uuid, 'ticket_uuid');
+    assert.func(callback, 'callback');
+
+    self.log.info({ uuid: ticket_uuid }, 'going to renew ticket');
+
+    attemptRenewal(ticket_uuid, WAITLIST_RENEW_ETAG_RETRIES, callback);
+};
+
+
 /*
  * Release an active waitlist ticket, and allow and subsequent tickets for the
  * same scope/id combination to be activated. The status for the given ticket
- * will be set as 'finished'.
+ * will be set as 'finished'. If ticket_uuid is that of a ticket group, all of
+ * its tickets are released.
  *
  * @param ticket_uuid {String} The ticket to be released.
  * @param callback {Function} `function (err)`
@@ -1239,7 +1799,44 @@ function ModelWaitlistReleaseTicket(ticket_uuid, callback) {
         payload: {
             status: TICKET_STATUS_FINISHED
         }
-    }, callback);
+    }, function _onRelease(err) {
+        if (!err || !VError.hasCauseWithName(err, 'ResourceNotFoundError')) {
+            callback(err);
+            return;
+        }
+
+        // It may be a ticket group, whose tickets are all released.
+        ModelWaitlist.getTicketGroup(ticket_uuid,
+        function _onGetGroup(groupErr, group) {
+            if (groupErr) {
+                callback(groupErr);
+                return;
+            }
+
+            if (group.length === 0) {
+                callback(err);
+                return;
+            }
+
+            self.log.info({ group_uuid: ticket_uuid },
+                'going to release ticket group');
+
+            vasync.forEachPipeline({
+                inputs: group,
+                func: function _releaseTicket(ticket, next) {
+                    ModelWaitlist.ticketOperationActivateNext({
+                        ticket_uuid: ticket.uuid,
+                        operation: TICKET_OPERATION_UPDATE,
+                        payload: {
+                            status: TICKET_STATUS_FINISHED
+                        }
+                    }, next);
+                }
+            }, function _onReleased(releaseErr) {
+                callback(releaseErr);
+            });
+        });
+    });
 };
 
 
@@ -1353,4 +1950,261 @@ ModelWaitlist.prototype.countTickets = function (callback) {
 };
 
 
+/*
+ * Look up the tickets of a group, and whether they're all ready to be
+ * activated: each is next to be activated in its queue (see getServerQueue()),
+ * and there are no active tickets in it. Calls `callback` with
+ * `function (err, results)`, where results are the group's tickets and their
+ * etags if they're all ready, and null if they're not.
+ */
+function getReadyTicketGroup(group_uuid, callback) {
+    var ready = [];
+
+    ModelWaitlist.getTicketGroup(group_uuid, function _onGetGroup(err, group) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        vasync.forEachPipeline({
+            inputs: group,
+            func: function _checkQueue(ticket, next) {
+                ModelWaitlist.getServerQueue({
+                    server_uuid: ticket.server_uuid,
+                    scope: ticket.scope,
+                    id: ticket.id
+                }, function _onGetQueue(queueErr, results) {
+                    if (queueErr) {
+                        next(queueErr);
+                        return;
+                    }
+
+                    // Active tickets come first in the queue.
+                    if (results.length > 0 &&
+                        results[0].ticket.uuid === ticket.uuid &&
+                        results[0].ticket.status === TICKET_STATUS_QUEUED) {
+
+                        ready.push(results[0]);
+                    }
+                    next();
+                });
+            }
+        }, function _onChecked(checkErr) {
+            if (checkErr) {
+                callback(checkErr);
+                return;
+            }
+
+            callback(null, (group.length > 0 && ready.length === group.length) ?
+                ready : null);
+        });
+    });
+}
+
+
+/*
+ * Make sure a queue (given by its `server_uuid`, `scope` and `id`) has an
+ * active ticket, if it has any (see ModelWaitlist.activateOneTicket()).
+ *
+ * We wrap this with `backoff` so that if we get an etag conflict we can
+ * re-attempt the operation. If we get a conflict and we retry and there is an
+ * active ticket now, then can stop, having satisfied our requirement that a
+ * ticket be in status='active'.
+ */
+function activateQueue(queue, callback) {
+    var call = backoff.call(
+        ModelWaitlist.activateOneTicket.bind(ModelWaitlist),
+        queue,
+        function _onBackoffCall(err) {
+            if (err) {
+                ModelWaitlist.log.error(err,
+                    'activateOneTicket: returned error');
+            }
+            callback();
+        });
+
+    call.retryIf(function _onRetryIf(err) {
+        return VError.hasCauseWithName(err, 'EtagConflictError');
+    });
+    call.setStrategy(new backoff.ExponentialStrategy());
+    call.failAfter(10);
+    call.start();
+}
+
+
+/*
+ * Renew a lease ticket (see ModelWaitlist.renewTicket()), retrying up to
+ * `retries` times if the ticket is changed (e.g. activated) while we're
+ * renewing it.
+ */
+function attemptRenewal(ticket_uuid, retries, callback) {
+    ModelWaitlist.getTicket(ticket_uuid, function _onGetTicket(err, result) {
+        if (err) {
+            callback(VError(err, 'failed to retrieve ticket %s', ticket_uuid));
+            return;
+        }
+
+        var ticket = result.ticket;
+
+        if (!ticket) {
+            // It may be a ticket group, whose tickets are all renewed.
+            renewTicketGroup(ticket_uuid, callback);
+            return;
+        }
+
+        if (!ticket.lease_seconds) {
+            callback(new restify.InvalidArgumentError(
+                'ticket %s is not a lease ticket', ticket_uuid));
+            return;
+        }
+
+        if (ticket.status === TICKET_STATUS_FINISHED) {
+            callback(new restify.GoneError(
+                'ticket %s has been released', ticket_uuid));
+            return;
+        }
+
+        if (ticket.status === TICKET_STATUS_EXPIRED ||
+            (new Date()).toISOString() > ticket.expires_at) {
+
+            callback(new restify.GoneError(
+                'ticket %s has expired', ticket_uuid));
+            return;
+        }
+
+        ticket.expires_at = leaseExpiry(ticket.lease_seconds);
+        ticket.updated_at = (new Date()).toISOString();
+
+        ModelWaitlist.getMoray().putObject(
+            MORAY_BUCKET_WAITLIST_TICKETS,
+            ticket.uuid,
+            ticket,
+            { etag: result.etag },
+            function _onRenewPut(putError) {
+                if (putError &&
+                    VError.hasCauseWithName(putError, 'EtagConflictError') &&
+                    retries > 0) {
+
+                    setImmediate(attemptRenewal, ticket_uuid, retries - 1,
+                        callback);
+                    return;
+                } else if (putError) {
+                    callback(VError(putError,
+                        'failed to write ticket %s to moray', ticket.uuid));
+                    return;
+                }
+
+                ModelWaitlist.notifier.publish(ticket);
+                callback(null, ticket);
+            });
+    });
+}
+
+
+/*
+ * Renew each of the lease tickets of a group (see ModelWaitlist.renewTicket()),
+ * calling back with the group's `uuid` and its renewed `tickets`.
+ */
+function renewTicketGroup(group_uuid, callback) {
+    var renewed = [];
+
+    ModelWaitlist.getTicketGroup(group_uuid, function _onGetGroup(err, group) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        if (group.length === 0) {
+            callback(new restify.ResourceNotFoundError(
+                'ticket %s not found', group_uuid));
+            return;
+        }
+
+        ModelWaitlist.log.info({ group_uuid: group_uuid },
+            'going to renew ticket group');
+
+        vasync.forEachPipeline({
+            inputs: group,
+            func: function _renewTicket(ticket, next) {
+                attemptRenewal(ticket.uuid, WAITLIST_RENEW_ETAG_RETRIES,
+                    function _onRenew(renewErr, renewedTicket) {
+                        if (renewedTicket) {
+                            renewed.push(renewedTicket);
+                        }
+                        next(renewErr);
+                    });
+            }
+        }, function _onRenewed(renewErr) {
+            if (renewErr) {
+                callback(renewErr);
+                return;
+            }
+
+            callback(null, { uuid: group_uuid, tickets: renewed });
+        });
+    });
+}
+
+
+/*
+ * When a lease of `lease_seconds` taken (or renewed) now ends.
+ */
+function leaseExpiry(lease_seconds) {
+    return (new Date(Date.now() + lease_seconds * 1000)).toISOString();
+}
+
+
+/*
+ * Tickets are exclusive unless they were created with `mode`='shared'.
+ * Tickets created before there were modes have none.
+ */
+function isShared(ticket) {
+    return (ticket.mode === TICKET_MODE_SHARED);
+}
+
+
+/*
+ * Compare two active or queued tickets of the same queue by the order they're
+ * activated in. Active tickets come first. Queued tickets with a higher
+ * priority are activated before those with a lower one, however long those
+ * have been queued, and tickets with the same priority are activated oldest
+ * first, then by the UUID of their group (or their own when they aren't in
+ * one). Tickets created before there were priorities have the default one.
+ * This is a total order over all tickets, which is what keeps ticket groups
+ * from waiting on each other (see createTicketGroup()).
+ */
+function compareQueueOrder(a, b) {
+    var aActive = (a.status === TICKET_STATUS_ACTIVE);
+    var bActive = (b.status === TICKET_STATUS_ACTIVE);
+    var aPriority = a.priority || TICKET_PRIORITY_DEFAULT;
+    var bPriority = b.priority || TICKET_PRIORITY_DEFAULT;
+
+    if (aActive !== bActive) {
+        return (aActive ? -1 : 1);
+    }
+
+    if (!aActive && aPriority !== bPriority) {
+        return (bPriority - aPriority);
+    }
+
+    if (a.created_at !== b.created_at) {
+        return (a.created_at < b.created_at ? -1 : 1);
+    }
+
+    // So that groups created at the same time are in the same order in every
+    // queue they share.
+    var aKey = a.group_uuid || a.uuid;
+    var bKey = b.group_uuid || b.uuid;
+
+    if (aKey === bKey) {
+        return 0;
+    }
+
+    return (aKey < bKey ? -1 : 1);
+}
+
+
 module.exports = ModelWaitlist;
+module.exports.TICKET_MODES = [TICKET_MODE_SHARED, TICKET_MODE_EXCLUSIVE];
+module.exports.TICKET_PRIORITY_MAX = TICKET_PRIORITY_MAX;
+module.exports.TICKET_LEASE_SECONDS_MAX = TICKET_LEASE_SECONDS_MAX;
@@ -0,0 +1,309 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2021 Joyent, Inc.
+ */
+
+/*
+ * This file contains the reboot scheduler, which is run periodically by the
+ * app (see App.prototype.setupRebootScheduler) to:
+ *
+ *  - create a reboot plan for the running servers whose next_reboot has
+ *    passed, clearing their next_reboot first so that they're only rebooted
+ *    once (even with several CNAPI instances running the scheduler)
+ *
+ *  - advance each active reboot plan (see lib/models/reboot_plan.js), which
+ *    starts server-reboot jobs and follows them through to completion
+ *
+ *  - advance each active platform rollout (see
+ *    lib/models/platform_rollout.js), which sets boot_platform on batches of
+ *    servers and creates reboot plans for them
+ *
+ * A next_reboot which passed more than SCHEDULED_REBOOT_MAX_LATENESS_SECONDS
+ * ago is ignored, so that stale values (e.g. from before CNAPI acted on
+ * next_reboot, or from while CNAPI was down for a long time) don't cause
+ * surprise reboots.
+ */
+
+var assert = require('assert-plus');
+var async = require('async');
+var libuuid = require('libuuid');
+var sprintf = require('sprintf').sprintf;
+var VError = require('verror');
+
+var ModelPlatformRollout = require('./models/platform_rollout');
+var ModelRebootPlan = require('./models/reboot_plan');
+var ModelServer = require('./models/server');
+var serverFilter = require('./server_filter');
+
+var REBOOT_SCHEDULER_PERIOD_SECONDS = 30;
+
+var SCHEDULED_REBOOT_CONCURRENCY = 10;
+var SCHEDULED_REBOOT_MAX_LATENESS_SECONDS = 24 * 60 * 60;
+
+
+function RebootScheduler(opts) {
+    var self = this;
+
+    assert.object(opts, 'opts');
+    assert.object(opts.log, 'opts.log');
+
+    self.log = opts.log.child({component: 'reboot_scheduler'});
+}
+
+
+/*
+ * Find the servers which are due to be rebooted and aren't already part of an
+ * active plan, and create a plan to reboot them.
+ *
+ * Every CNAPI instance runs the scheduler, so before a server is added to a
+ * plan it's claimed by clearing its next_reboot. ModelServer.upsert() only
+ * writes (with the server's etag) when that changes the server, so when two
+ * instances race for a server only one of them sees next_reboot in the
+ * change it made, and only that one puts the server in its plan.
+ */
+RebootScheduler.prototype._scheduleDueReboots =
+function _scheduleDueReboots(activePlans, callback) {
+    var self = this;
+
+    var filter;
+    var now = new Date();
+    var oldest = new Date(now.getTime() -
+        SCHEDULED_REBOOT_MAX_LATENESS_SECONDS * 1000);
+    var planned = {};
+
+    activePlans.forEach(function _addPlanned(plan) {
+        plan.servers.forEach(function _addServer(server) {
+            if (server.state === 'pending' || server.state === 'rebooting') {
+                planned[server.server_uuid] = true;
+            }
+        });
+    });
+
+    filter = serverFilter.parse(sprintf(
+        'status=running and next_reboot>="%s" and next_reboot<="%s"',
+        oldest.toISOString(), now.toISOString()));
+
+    ModelServer.list({
+        filter: filter,
+        raw: true,
+        setup: true
+    }, function _onServers(err, servers) {
+        var claimed = [];
+        var dueServers;
+        var planUuid = libuuid.create();
+
+        if (err) {
+            callback(new VError(err, 'failed to list servers due a reboot'));
+            return;
+        }
+
+        dueServers = servers.filter(function _notPlanned(server) {
+            return !planned[server.uuid];
+        });
+
+        async.eachSeries(dueServers, function _claim(server, cb) {
+            ModelServer.upsert(server.uuid, {
+                next_reboot: undefined
+            }, {
+                allowCreate: false,
+                etagRetries: 3,
+                source: {
+                    origin: 'cnapi-reboot-scheduler',
+                    reboot_plan_uuid: planUuid
+                }
+            }, function _onUpsert(upsertErr, results) {
+                if (upsertErr) {
+                    self.log.warn({err: upsertErr, server_uuid: server.uuid},
+                        'failed to clear next_reboot');
+                } else if (results && results.change &&
+                    results.change.changed.indexOf('next_reboot') !== -1) {
+
+                    claimed.push(server);
+                }
+                cb();
+            });
+        }, function _onClaimed() {
+            var claimedUuids = claimed.map(function _getUuid(server) {
+                return server.uuid;
+            });
+
+            if (claimedUuids.length === 0) {
+                callback();
+                return;
+            }
+
+            self.log.info({servers: claimedUuids, plan_uuid: planUuid},
+                'creating scheduled reboot plan');
+
+            ModelRebootPlan.create({
+                concurrency: SCHEDULED_REBOOT_CONCURRENCY,
+                drain: false,
+                origin: 'cnapi-reboot-scheduler',
+                scheduled: true,
+                servers: claimedUuids,
+                stop_on_failure: false,
+                uuid: planUuid
+            }, function _onCreate(createErr, plan) {
+                if (createErr) {
+                    self._restoreNextReboots(claimed, function _onRestore() {
+                        callback(new VError(createErr,
+                            'failed to create scheduled reboot plan'));
+                    });
+                    return;
+                }
+
+                activePlans.push(plan);
+                callback();
+            });
+        });
+    });
+};
+
+
+/*
+ * Put back the next_reboot of servers which were claimed for a plan that
+ * couldn't be created, so that the next run schedules them again.
+ */
+RebootScheduler.prototype._restoreNextReboots =
+function _restoreNextReboots(servers, callback) {
+    var self = this;
+
+    async.eachSeries(servers, function _restore(server, cb) {
+        ModelServer.upsert(server.uuid, {
+            next_reboot: server.next_reboot
+        }, {
+            allowCreate: false,
+            etagRetries: 3,
+            source: {
+                origin: 'cnapi-reboot-scheduler'
+            }
+        }, function _onUpsert(upsertErr) {
+            if (upsertErr) {
+                self.log.error({err: upsertErr, server_uuid: server.uuid,
+                    next_reboot: server.next_reboot},
+                    'failed to restore next_reboot');
+            }
+            cb();
+        });
+    }, callback);
+};
+
+
+/*
+ * Advance each active plan. Plans are read again individually so that we have
+ * their etag, and a failure to advance one plan doesn't stop the others.
+ */
+RebootScheduler.prototype._advancePlans =
+function _advancePlans(activePlans, callback) {
+    var self = this;
+
+    async.eachSeries(activePlans, function _advance(activePlan, cb) {
+        ModelRebootPlan.get(activePlan.uuid,
+            function _onGet(err, plan, etag) {
+                if (err || !plan) {
+                    self.log.warn({err: err, plan_uuid: activePlan.uuid},
+                        'failed to get reboot plan');
+                    cb();
+                    return;
+                }
+
+                ModelRebootPlan.advance(plan, etag,
+                    function _onAdvance(advanceErr) {
+                        if (advanceErr) {
+                            self.log.warn({err: advanceErr,
+                                plan_uuid: plan.uuid},
+                                'failed to advance reboot plan');
+                        }
+                        cb();
+                    });
+            });
+    }, callback);
+};
+
+
+/*
+ * Advance each active platform rollout. As with plans, a failure to advance
+ * one rollout doesn't stop the others.
+ */
+RebootScheduler.prototype._advanceRollouts = function _advanceRollouts(
+    callback) {
+
+    var self = this;
+
+    ModelPlatformRollout.listActive(function _onList(err, activeRollouts) {
+        if (err) {
+            callback(new VError(err, 'failed to list platform rollouts'));
+            return;
+        }
+
+        async.eachSeries(activeRollouts, function _advance(activeRollout, cb) {
+            ModelPlatformRollout.get(activeRollout.uuid,
+                function _onGet(getErr, rollout, etag) {
+                    if (getErr || !rollout) {
+                        self.log.warn({err: getErr,
+                            rollout_uuid: activeRollout.uuid},
+                            'failed to get platform rollout');
+                        cb();
+                        return;
+                    }
+
+                    ModelPlatformRollout.advance(rollout, etag,
+                        function _onAdvance(advanceErr) {
+                            if (advanceErr) {
+                                self.log.warn({err: advanceErr,
+                                    rollout_uuid: rollout.uuid},
+                                    'failed to advance platform rollout');
+                            }
+                            cb();
+                        });
+                });
+        }, callback);
+    });
+};
+
+
+/*
+ * Do one pass of scheduling and advancing plans. The callback is always called
+ * without an error (errors are logged), so that the caller can just schedule
+ * the next run.
+ */
+RebootScheduler.prototype.run = function run(callback) {
+    var self = this;
+
+    var activePlans;
+
+    assert.func(callback, 'callback');
+
+    async.series([
+        function _listActive(cb) {
+            ModelRebootPlan.listActive(function _onList(err, plans) {
+                activePlans = plans;
+                cb(err);
+            });
+        },
+        function _schedule(cb) {
+            self._scheduleDueReboots(activePlans, cb);
+        },
+        function _advance(cb) {
+            self._advancePlans(activePlans, cb);
+        },
+        function _advanceRollouts(cb) {
+            self._advanceRollouts(cb);
+        }
+    ], function _done(err) {
+        if (err) {
+            self.log.error(err, 'error running reboot scheduler');
+        }
+        callback();
+    });
+};
+
+
+module.exports = RebootScheduler;
+module.exports.REBOOT_SCHEDULER_PERIOD_SECONDS =
+    REBOOT_SCHEDULER_PERIOD_SECONDS;
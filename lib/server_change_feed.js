@@ -0,0 +1,130 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2021 Joyent, Inc.
+ */
+
+/*
+ * This file contains the in-memory feed of changes made to server records.
+ *
+ * ModelServer.upsert is the only thing that writes server records to Moray,
+ * and every time it successfully writes a record it publishes an event here.
+ * Each event is assigned a sequence number which increases monotonically for
+ * the life of this CNAPI process. The most recent events are kept in a bounded
+ * buffer so that a consumer (see GET /servers/changes) which has been
+ * disconnected can resume from the last sequence number it saw, so long as
+ * that event has not yet fallen out of the buffer.
+ *
+ * Sequence numbers are only meaningful to the CNAPI instance that issued them
+ * and are reset when CNAPI restarts. A consumer that asks for changes from a
+ * sequence number we can't satisfy must re-list the servers it cares about
+ * and then start following the feed again from the current sequence number.
+ */
+
+var assert = require('assert-plus');
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+
+// Number of events retained for consumers resuming after a disconnect.
+var SERVER_CHANGE_FEED_MAX_EVENTS = 1000;
+
+
+function ServerChangeFeed(opts) {
+    var self = this;
+
+    assert.object(opts, 'opts');
+    assert.object(opts.log, 'opts.log');
+    assert.optionalNumber(opts.maxEvents, 'opts.maxEvents');
+
+    EventEmitter.call(self);
+
+    self.log = opts.log;
+    self.maxEvents = opts.maxEvents || SERVER_CHANGE_FEED_MAX_EVENTS;
+    self.events = [];
+    self.seq = 0;
+
+    // Each connected consumer of GET /servers/changes is a listener.
+    self.setMaxListeners(0);
+}
+util.inherits(ServerChangeFeed, EventEmitter);
+
+
+/*
+ * Record that the server record for opts.server_uuid was written, with
+ * opts.changed being the list of top-level keys that changed and opts.source
+ * optionally describing who made the change. The event is added to the buffer
+ * and emitted as 'change' to any current listeners.
+ *
+ * Listeners are also passed an object with the 'before' and 'after' versions
+ * of the server record. These are not retained in the buffer, as they can be
+ * quite large.
+ */
+ServerChangeFeed.prototype.publish = function publish(opts) {
+    var self = this;
+
+    assert.object(opts, 'opts');
+    assert.uuid(opts.server_uuid, 'opts.server_uuid');
+    assert.arrayOfString(opts.changed, 'opts.changed');
+    assert.optionalObject(opts.source, 'opts.source');
+    assert.optionalObject(opts.before, 'opts.before');
+    assert.object(opts.after, 'opts.after');
+
+    var event = {
+        seq: ++self.seq,
+        server_uuid: opts.server_uuid,
+        changed: opts.changed.slice().sort(),
+        source: opts.source,
+        timestamp: (new Date()).toISOString()
+    };
+
+    self.events.push(event);
+    if (self.events.length > self.maxEvents) {
+        self.events.shift();
+    }
+
+    self.log.trace({event: event}, 'publishing server change');
+
+    self.emit('change', event, {before: opts.before, after: opts.after});
+
+    return event;
+};
+
+
+/*
+ * Return the buffered events with a sequence number greater than 'seq', or
+ * undefined when we can no longer tell the caller everything that happened
+ * after 'seq'. That's the case when events after 'seq' have already been
+ * dropped from the buffer, or when 'seq' is from the future (typically because
+ * it was issued by an earlier incarnation of this CNAPI).
+ */
+ServerChangeFeed.prototype.eventsSince = function eventsSince(seq) {
+    var self = this;
+
+    assert.number(seq, 'seq');
+
+    var oldest;
+
+    if (seq < 0 || seq > self.seq) {
+        return undefined;
+    }
+
+    if (seq === self.seq) {
+        return [];
+    }
+
+    oldest = self.events[0].seq;
+
+    if (seq < oldest - 1) {
+        return undefined;
+    }
+
+    return self.events.slice(seq - oldest + 1);
+};
+
+
+module.exports = ServerChangeFeed;
+module.exports.SERVER_CHANGE_FEED_MAX_EVENTS = SERVER_CHANGE_FEED_MAX_EVENTS;
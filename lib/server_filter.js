@@ -0,0 +1,512 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2021 Joyent, Inc.
+ */
+
+/*
+ * This file implements the small predicate language accepted by the 'filter'
+ * parameter of ServerList (and the other endpoints which select servers).
+ *
+ * A filter is made up of comparisons joined with 'and', 'or' and 'not', with
+ * parentheses for grouping. 'not' binds tighter than 'and', which binds
+ * tighter than 'or'. For example:
+ *
+ *     status=running and current_platform<20210101T000000Z and
+ *         (rack_identifier=R1 or rack_identifier^=R2-)
+ *
+ * The supported comparison operators are:
+ *
+ *     =   equal
+ *     !=  not equal
+ *     <   less than
+ *     <=  less than or equal
+ *     >   greater than
+ *     >=  greater than or equal
+ *     ^=  starts with (strings only)
+ *
+ * Values which contain whitespace, parentheses, quotes or operator characters,
+ * or which are one of the keywords, must be double quoted. Within a quoted
+ * value, a backslash escapes the following character.
+ *
+ * The fields which can be compared are listed in FILTER_FIELDS, along with
+ * their type. In addition, 'traits.<name>' compares against the value of the
+ * trait <name>. Traits have no fixed type: numeric traits are compared
+ * numerically, and a trait whose value is an array matches if any element
+ * does (or for '!=', if no element does).
+ *
+ * parse() turns a filter string into an AST, toMorayFilter() produces the part
+ * of that AST which can be answered by the indexes on the cnapi_servers bucket
+ * and match() evaluates the whole AST against a server object.
+ */
+
+var assert = require('assert-plus');
+var sprintf = require('sprintf').sprintf;
+var VError = require('verror');
+
+var common = require('./common');
+
+var FILTER_FIELDS = {
+    boot_platform: 'string',
+    current_platform: 'string',
+    datacenter: 'string',
+    headnode: 'boolean',
+    hostname: 'string',
+    next_reboot: 'string',
+    rack_identifier: 'string',
+    ram: 'number',
+    reserved: 'boolean',
+    reservoir: 'boolean',
+    setup: 'boolean',
+    status: 'string',
+    system_type: 'string',
+    uuid: 'string'
+};
+
+var TRAITS_PREFIX = 'traits.';
+
+var OPERATORS = {
+    '=': 'eq',
+    '!=': 'ne',
+    '<': 'lt',
+    '<=': 'le',
+    '>': 'gt',
+    '>=': 'ge',
+    '^=': 'prefix'
+};
+
+var KEYWORDS = ['and', 'not', 'or'];
+
+// Characters which end an unquoted word.
+var WORD_END_RE = /[\s()"=!<>^]/;
+
+
+// All errors for invalid filters are VErrors with this name.
+var PARSE_ERROR = 'FilterParseError';
+
+
+function tokenize(str) {
+    var ch;
+    var idx = 0;
+    var op;
+    var tokens = [];
+    var word;
+
+    while (idx < str.length) {
+        ch = str[idx];
+
+        if (/\s/.test(ch)) {
+            idx++;
+            continue;
+        }
+
+        if (ch === '(' || ch === ')') {
+            tokens.push({type: ch, pos: idx});
+            idx++;
+            continue;
+        }
+
+        op = str.substr(idx, 2);
+        if (!OPERATORS.hasOwnProperty(op)) {
+            op = ch;
+        }
+        if (OPERATORS.hasOwnProperty(op)) {
+            tokens.push({type: 'op', value: OPERATORS[op], pos: idx});
+            idx += op.length;
+            continue;
+        }
+
+        if (ch === '"') {
+            word = '';
+            idx++;
+            while (idx < str.length && str[idx] !== '"') {
+                if (str[idx] === '\\') {
+                    idx++;
+                }
+                if (idx < str.length) {
+                    word += str[idx];
+                    idx++;
+                }
+            }
+            if (idx >= str.length) {
+                throw new VError({name: PARSE_ERROR},
+                    'unterminated quoted value');
+            }
+            idx++;
+            tokens.push({type: 'value', value: word, pos: idx});
+            continue;
+        }
+
+        if (ch === '!' || ch === '^') {
+            throw new VError({name: PARSE_ERROR},
+                'unexpected "%s" at position %d', ch, idx);
+        }
+
+        word = '';
+        while (idx < str.length && !WORD_END_RE.test(str[idx])) {
+            word += str[idx];
+            idx++;
+        }
+
+        if (KEYWORDS.indexOf(word.toLowerCase()) !== -1) {
+            tokens.push({type: word.toLowerCase(), pos: idx});
+        } else {
+            tokens.push({type: 'word', value: word, pos: idx});
+        }
+    }
+
+    return tokens;
+}
+
+
+function fieldType(field) {
+    if (field.indexOf(TRAITS_PREFIX) === 0 &&
+        field.length > TRAITS_PREFIX.length) {
+
+        return 'trait';
+    }
+
+    return FILTER_FIELDS[field];
+}
+
+
+/*
+ * Check and convert 'value' to the type of 'field', returning the new value.
+ */
+function convertValue(field, type, op, value) {
+    var num;
+
+    if (type === 'boolean') {
+        if (op !== 'eq' && op !== 'ne') {
+            throw new VError({name: PARSE_ERROR},
+                'field "%s" only supports "=" and "!="', field);
+        }
+        if (value !== 'true' && value !== 'false') {
+            throw new VError({name: PARSE_ERROR},
+                'field "%s" must be compared with true or false', field);
+        }
+        return (value === 'true');
+    }
+
+    if (type === 'number') {
+        if (op === 'prefix') {
+            throw new VError({name: PARSE_ERROR},
+                'field "%s" does not support "^="', field);
+        }
+        num = Number(value);
+        if (value === '' || isNaN(num)) {
+            throw new VError({name: PARSE_ERROR},
+                'field "%s" must be compared with a number', field);
+        }
+        return num;
+    }
+
+    return value;
+}
+
+
+/*
+ * Parse a filter string, returning the AST. Nodes in the AST are one of:
+ *
+ *   {op: 'and' | 'or', args: [node, ...]}
+ *   {op: 'not', arg: node}
+ *   {op: 'eq' | 'ne' | 'lt' | 'le' | 'gt' | 'ge' | 'prefix',
+ *       field: <String>, type: <String>, value: <String|Number|Boolean>}
+ *
+ * Throws an error named FilterParseError if the filter is invalid.
+ */
+function parse(str) {
+    assert.string(str, 'str');
+
+    var ast;
+    var pos = 0;
+    var tokens = tokenize(str);
+
+    function peek() {
+        return tokens[pos];
+    }
+
+    function describe(token) {
+        if (!token) {
+            return 'end of filter';
+        }
+        return sprintf('"%s" at position %d',
+            token.value !== undefined ? token.value : token.type, token.pos);
+    }
+
+    function expect(type) {
+        var token = tokens[pos];
+
+        if (!token || token.type !== type) {
+            throw new VError({name: PARSE_ERROR},
+                'expected %s but found %s', type, describe(token));
+        }
+        pos++;
+        return token;
+    }
+
+    function parseOr() {
+        var args = [parseAnd()];
+
+        while (peek() && peek().type === 'or') {
+            pos++;
+            args.push(parseAnd());
+        }
+
+        return (args.length === 1 ? args[0] : {op: 'or', args: args});
+    }
+
+    function parseAnd() {
+        var args = [parseNot()];
+
+        while (peek() && peek().type === 'and') {
+            pos++;
+            args.push(parseNot());
+        }
+
+        return (args.length === 1 ? args[0] : {op: 'and', args: args});
+    }
+
+    function parseNot() {
+        var node;
+        var token = peek();
+
+        if (token && token.type === 'not') {
+            pos++;
+            return {op: 'not', arg: parseNot()};
+        }
+
+        if (token && token.type === '(') {
+            pos++;
+            node = parseOr();
+            expect(')');
+            return node;
+        }
+
+        return parseComparison();
+    }
+
+    function parseComparison() {
+        var field = expect('word').value;
+        var op = expect('op').value;
+        var token = peek();
+        var type = fieldType(field);
+
+        if (!type) {
+            throw new VError({name: PARSE_ERROR},
+                'unknown field "%s"', field);
+        }
+
+        if (!token || (token.type !== 'word' && token.type !== 'value')) {
+            throw new VError({name: PARSE_ERROR},
+                'expected a value for "%s" but found %s', field,
+                describe(token));
+        }
+        pos++;
+
+        return {
+            op: op,
+            field: field,
+            type: type,
+            value: convertValue(field, type, op, token.value)
+        };
+    }
+
+    if (tokens.length === 0) {
+        throw new VError({name: PARSE_ERROR}, 'filter is empty');
+    }
+
+    ast = parseOr();
+
+    if (pos < tokens.length) {
+        throw new VError({name: PARSE_ERROR}, 'unexpected %s',
+            describe(tokens[pos]));
+    }
+
+    return ast;
+}
+
+
+/*
+ * Given a filter AST and the indexes of the cnapi_servers bucket, return an
+ * object with:
+ *
+ *   filter -- an LDAP filter string matching at least every server the AST
+ *             matches, or undefined if no such restriction can be made
+ *   exact  -- true if 'filter' matches exactly the servers the AST matches,
+ *             so that there's no need to also evaluate the AST in memory
+ */
+function toMorayFilter(ast, index) {
+    assert.object(ast, 'ast');
+    assert.object(index, 'index');
+
+    var args;
+    var children;
+    var escaped;
+
+    switch (ast.op) {
+        case 'and':
+        case 'or':
+            children = ast.args.map(function _childFilter(arg) {
+                return toMorayFilter(arg, index);
+            });
+            args = children.filter(function _hasFilter(c) {
+                return (c.filter !== undefined);
+            });
+
+            // For 'or', a child which can't be restricted means that the
+            // whole disjunction can't be restricted either.
+            if (args.length === 0 ||
+                (ast.op === 'or' && args.length !== children.length)) {
+
+                return {filter: undefined, exact: false};
+            }
+
+            return {
+                filter: (args.length === 1 ? args[0].filter :
+                    sprintf('(%s%s)', ast.op === 'and' ? '&' : '|',
+                        args.map(function (c) { return c.filter; }).join(''))),
+                exact: (args.length === children.length &&
+                    children.every(function (c) { return c.exact; }))
+            };
+        case 'not':
+            // As with '!=' below, a negation in moray wouldn't match servers
+            // which are missing the field, so these are left for match().
+            return {filter: undefined, exact: false};
+        default:
+            break;
+    }
+
+    // Only top-level fields can be indexed, and we don't push down '!=' since
+    // it also needs to match servers which don't have the field at all.
+    if (!index.hasOwnProperty(ast.field) || ast.op === 'ne') {
+        return {filter: undefined, exact: false};
+    }
+
+    escaped = common.filterEscape(String(ast.value));
+
+    switch (ast.op) {
+        case 'eq':
+            return {filter: sprintf('(%s=%s)', ast.field, escaped),
+                exact: true};
+        case 'prefix':
+            return {filter: sprintf('(%s=%s*)', ast.field, escaped),
+                exact: true};
+        case 'le':
+        case 'lt':
+            return {filter: sprintf('(%s<=%s)', ast.field, escaped),
+                exact: (ast.op === 'le')};
+        case 'ge':
+        case 'gt':
+            return {filter: sprintf('(%s>=%s)', ast.field, escaped),
+                exact: (ast.op === 'ge')};
+        default:
+            throw new VError('unexpected filter op: %s', ast.op);
+    }
+}
+
+
+function compareValues(actual, op, expected) {
+    switch (op) {
+        case 'eq':
+            return (actual === expected);
+        case 'lt':
+            return (actual < expected);
+        case 'le':
+            return (actual <= expected);
+        case 'gt':
+            return (actual > expected);
+        case 'ge':
+            return (actual >= expected);
+        case 'prefix':
+            return (typeof (actual) === 'string' &&
+                actual.indexOf(expected) === 0);
+        default:
+            throw new VError('unexpected filter op: %s', op);
+    }
+}
+
+
+/*
+ * Compare a single trait value with the (string) value from the filter.
+ */
+function compareTrait(actual, op, expected) {
+    var num = Number(expected);
+
+    if (typeof (actual) === 'number' && op !== 'prefix' &&
+        expected !== '' && !isNaN(num)) {
+        return compareValues(actual, op, num);
+    }
+
+    if (typeof (actual) === 'boolean' && op !== 'eq') {
+        return false;
+    }
+
+    return compareValues(String(actual), op, expected);
+}
+
+
+/*
+ * Return true if the server object matches the filter AST.
+ */
+function match(ast, server) {
+    assert.object(ast, 'ast');
+    assert.object(server, 'server');
+
+    var actual;
+    var eqOp;
+    var values;
+
+    switch (ast.op) {
+        case 'and':
+            return ast.args.every(function (arg) {
+                return match(arg, server);
+            });
+        case 'or':
+            return ast.args.some(function (arg) {
+                return match(arg, server);
+            });
+        case 'not':
+            return !match(ast.arg, server);
+        default:
+            break;
+    }
+
+    if (ast.type === 'trait') {
+        actual = server.traits ?
+            server.traits[ast.field.substr(TRAITS_PREFIX.length)] :
+            undefined;
+    } else {
+        actual = server[ast.field];
+    }
+
+    if (actual === undefined || actual === null) {
+        return (ast.op === 'ne');
+    }
+
+    // '!=' is evaluated as the negation of '=', so that for array traits it
+    // means "no element is equal".
+    eqOp = (ast.op === 'ne' ? 'eq' : ast.op);
+
+    if (ast.type === 'trait') {
+        values = Array.isArray(actual) ? actual : [actual];
+        return (values.some(function (v) {
+            return compareTrait(v, eqOp, ast.value);
+        }) !== (ast.op === 'ne'));
+    }
+
+    return (compareValues(actual, eqOp, ast.value) !== (ast.op === 'ne'));
+}
+
+
+module.exports = {
+    FILTER_FIELDS: FILTER_FIELDS,
+    PARSE_ERROR: PARSE_ERROR,
+    match: match,
+    parse: parse,
+    toMorayFilter: toMorayFilter
+};
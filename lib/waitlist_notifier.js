@@ -0,0 +1,176 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2021 Joyent, Inc.
+ */
+
+/*
+ * This file contains the notifications sent when waitlist tickets change.
+ *
+ * Every time a ticket is written to or deleted from Moray (created, released,
+ * expired, activated, etc.), ModelWaitlist publishes a notification here, and
+ * the WaitlistDirector looks for updated tickets as soon as one is emitted as
+ * 'updated', rather than waiting for its next poll. How notifications get to
+ * the directors depends on the waitlistNotifications config var:
+ *
+ * - "local": notifications are only emitted in this process. This is only
+ *   correct when a single CNAPI instance is running.
+ * - "amqp": notifications are also published to the cnapi.waitlist fanout
+ *   exchange, and those published by other CNAPI instances are emitted here.
+ *   They're only available while we're subscribed to the exchange.
+ *
+ * Otherwise (the default) there are no notifications, and the director polls
+ * Moray for updated tickets as it always has. The director falls back to
+ * polling whenever isAvailable() is false, and 'unavailable' is emitted when
+ * the AMQP connection is lost so that it can do so straight away.
+ */
+
+var assert = require('assert-plus');
+var EventEmitter = require('events').EventEmitter;
+var libuuid = require('libuuid');
+var util = require('util');
+
+var WAITLIST_NOTIFICATION_MODES = ['amqp', 'local'];
+
+// The fanout exchange notifications are published to in "amqp" mode.
+var WAITLIST_EXCHANGE = 'cnapi.waitlist';
+
+
+function WaitlistNotifier(opts) {
+    var self = this;
+
+    assert.object(opts, 'opts');
+    assert.object(opts.log, 'opts.log');
+    assert.optionalString(opts.mode, 'opts.mode');
+
+    EventEmitter.call(self);
+
+    self.log = opts.log;
+    self.mode = null;
+
+    // Used to ignore our own notifications coming back from the exchange.
+    self.id = libuuid.create();
+    self.exchange = null;
+    self.subscribed = false;
+
+    if (WAITLIST_NOTIFICATION_MODES.indexOf(opts.mode) !== -1) {
+        self.mode = opts.mode;
+    } else if (opts.mode) {
+        self.log.warn('unknown waitlistNotifications "%s", will poll for ' +
+            'ticket updates', opts.mode);
+    }
+}
+util.inherits(WaitlistNotifier, EventEmitter);
+
+
+/*
+ * Returns true if notifications are being delivered, meaning the director
+ * needn't poll for updated tickets.
+ */
+WaitlistNotifier.prototype.isAvailable = function isAvailable() {
+    var self = this;
+
+    return (self.mode === 'local' || (self.mode === 'amqp' && self.subscribed));
+};
+
+
+/*
+ * Notify the directors that a ticket has changed. This is called once the
+ * change has been written to Moray, so that the director will find it.
+ */
+WaitlistNotifier.prototype.publish = function publish(ticket) {
+    var self = this;
+
+    assert.object(ticket, 'ticket');
+
+    if (!self.mode) {
+        return;
+    }
+
+    var notification = {
+        notifier: self.id,
+        server_uuid: ticket.server_uuid,
+        ticket_uuid: ticket.uuid
+    };
+
+    self.emit('updated', notification);
+
+    if (self.mode === 'amqp' && self.exchange) {
+        self.exchange.publish('', notification);
+    }
+};
+
+
+/*
+ * Declare the exchange and subscribe to it with a queue of our own, using an
+ * AMQP connection that has just become ready. This is called each time the
+ * connection becomes ready, since the queue doesn't outlive the connection.
+ */
+WaitlistNotifier.prototype.useConnection = function useConnection(connection) {
+    var self = this;
+
+    assert.object(connection, 'connection');
+
+    if (self.mode !== 'amqp') {
+        return;
+    }
+
+    self.exchange = null;
+    self.subscribed = false;
+
+    connection.exchange(WAITLIST_EXCHANGE, {
+        type: 'fanout',
+        autoDelete: false
+    }, function _onExchange(exchange) {
+        self.exchange = exchange;
+
+        // The broker names the queue, and deletes it when we disconnect.
+        connection.queue('', { exclusive: true }, function _onQueue(queue) {
+            queue.on('error', function _onQueueError(err) {
+                self.log.error(err, 'waitlist notification queue error');
+            });
+
+            queue.bind(WAITLIST_EXCHANGE, '');
+
+            queue.subscribe(function _onMessage(notification) {
+                if (notification.notifier === self.id) {
+                    return;
+                }
+
+                self.emit('updated', notification);
+            }).addCallback(function _onSubscribed() {
+                self.log.info('subscribed to waitlist notifications');
+                self.subscribed = true;
+            });
+        });
+    });
+};
+
+
+/*
+ * Called when the AMQP connection has been lost, after which notifications
+ * are unavailable until useConnection() is called again.
+ */
+WaitlistNotifier.prototype.connectionLost = function connectionLost() {
+    var self = this;
+
+    if (self.mode !== 'amqp' || !self.subscribed) {
+        self.exchange = null;
+        return;
+    }
+
+    self.log.warn('waitlist notifications unavailable, will poll for ' +
+        'ticket updates');
+
+    self.exchange = null;
+    self.subscribed = false;
+
+    self.emit('unavailable');
+};
+
+
+module.exports = WaitlistNotifier;
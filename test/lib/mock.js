@@ -19,6 +19,12 @@ var configFilename = path.join(__dirname, '..', '..', 'config', 'test.json');
 var mockedMetricsManager = {
     collectRestifyMetrics: function _collectRestifyMetrics() {},
     collector: {
+        counter: function _createCounter(opts) {
+            return {
+                add: function _add() {},
+                increment: function _increment() {}
+            };
+        },
         gauge: function _createGauge(opts) { return {}; }
     },
     addPreCollectFunc: function _addPreCollectFunc() {}
@@ -125,7 +131,9 @@ function (bucket, key, value, opts, callback) {
         arg = val;
     }
 
-    callback.apply(null, [ arg ]);
+    // Each successful write gets a new etag, as moray's would.
+    callback.apply(null,
+        [ arg, arg ? undefined : { etag: 'etag' + this.history.length } ]);
     return this;
 };
 
@@ -137,6 +145,13 @@ MockMoray.prototype.delObject = function (bucket, key, callback) {
 };
 
 
+MockMoray.prototype.batch = function (requests, callback) {
+    this.history.push(['batch', requests]);
+    callback.apply(null, [ null ]);
+    return this;
+};
+
+
 MockMoray.prototype.findObjects = function (bucket, filter, opts) {
     var self = this;
     this.history.push(['findObjects', bucket, filter, opts]);
@@ -172,7 +187,8 @@ MockMorayWrapper.prototype.getClient = function () {
 function MockWorkflow() {
     this.history = [];
     this.callbackValues = {
-        createJob: []
+        createJob: [],
+        getJob: []
     };
 }
 
@@ -197,6 +213,13 @@ MockWorkflow.prototype.createJob = function (workflowName, params, callback) {
 };
 
 
+MockWorkflow.prototype.getJob = function (jobUuid, callback) {
+    this.history.push(['getJob', jobUuid]);
+    callback.apply(null, this.callbackValues.getJob.pop());
+    return this;
+};
+
+
 function MockWorkflowWrapper() {
     this.client = new MockWorkflow();
 }
@@ -284,5 +307,6 @@ function newApp(callback) {
 module.exports = {
     MockMorayWrapper: MockMorayWrapper,
     MockWorkflowWrapper: MockWorkflowWrapper,
+    mockedMetricsManager: mockedMetricsManager,
     newApp: newApp
 };
@@ -0,0 +1,128 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2021 Joyent, Inc.
+ */
+
+var mock = require('../lib/mock');
+var nodeunit = require('nodeunit');
+
+var HeartbeatReconciler = require('../../lib/heartbeat_reconciler');
+
+var serverUuid = '372bdb58-f8dd-11e1-8038-0b6dbddc5e58';
+
+
+function setup(callback) {
+    callback();
+}
+
+function teardown(callback) {
+    callback();
+}
+
+// Returns a reconciler for app which has last seen a heartbeat from serverUuid
+// 30 seconds ago.
+function newReconciler(app, components) {
+    var lastHeartbeat = new Date(Date.now() - 30 * 1000).toISOString();
+    var moray = components.moray;
+
+    // The reconciler loads cnapi_status and the list of servers at startup.
+    moray.client._findObjectsResults([]);
+    moray.client._findObjectsResults([]);
+
+    app.observedHeartbeats[serverUuid] = {
+        last_heartbeat: lastHeartbeat,
+        last_status_update: lastHeartbeat,
+        server_uuid: serverUuid
+    };
+
+    return new HeartbeatReconciler({
+        app: app,
+        heartbeatLifetimeSeconds: 11,
+        log: app.getLog(),
+        metricsManager: mock.mockedMetricsManager,
+        moray: moray.client
+    });
+}
+
+//
+// This tests that a server whose last heartbeat is older than the heartbeat
+// lifetime isn't marked unknown while it's within its grace period.
+function testStaleWithinGracePeriod(test) {
+    test.expect(4);
+
+    mock.newApp(function (error, app, components) {
+        test.equal(error, null, 'should not encounter an error');
+
+        var moray = components.moray;
+        var reconciler = newReconciler(app, components);
+
+        moray.client.when('getObject', [], {value: {
+            status: 'running',
+            status_grace_seconds: 60,
+            uuid: serverUuid
+        }});
+
+        reconciler.reconcile(function _onReconcile(err) {
+            test.equal(err, null, 'reconcile() should succeed');
+            test.equal(moray.client.history.filter(function (h) {
+                return (h[0] === 'putObject');
+            }).length, 0, 'nothing should be written');
+            test.ok(app.observedHeartbeats[serverUuid],
+                'server should still be tracked');
+            test.done();
+        });
+    });
+}
+
+//
+// This tests that a server whose last heartbeat is older than the heartbeat
+// lifetime plus its grace period is marked unknown.
+function testStalePastGracePeriod(test) {
+    test.expect(3);
+
+    mock.newApp(function (error, app, components) {
+        test.equal(error, null, 'should not encounter an error');
+
+        var moray = components.moray;
+        var reconciler = newReconciler(app, components);
+        var serverObj = {
+            status: 'running',
+            status_grace_seconds: 10,
+            uuid: serverUuid
+        };
+
+        // The mock pops these: first the server to check its grace period,
+        // then its cnapi_status entry, then the server again when it's
+        // updated.
+        moray.client.when('getObject', [], {value: serverObj});
+        moray.client.when('getObject', [], {value: {
+            cnapi_instance: app.cnapi_instance,
+            server_uuid: serverUuid
+        }});
+        moray.client.when('getObject', [], {value: serverObj});
+
+        reconciler.reconcile(function _onReconcile(err) {
+            var serverPut = moray.client.history.filter(function (h) {
+                return (h[0] === 'putObject' && h[1] === 'cnapi_servers');
+            })[0];
+
+            test.equal(err, null, 'reconcile() should succeed');
+            test.equal(serverPut[3].status, 'unknown',
+                'server should be marked unknown');
+            test.done();
+        });
+    });
+}
+
+
+module.exports = nodeunit.testCase({
+    setUp: setup,
+    tearDown: teardown,
+    'stale heartbeat within grace period':    testStaleWithinGracePeriod,
+    'stale heartbeat past grace period':      testStalePastGracePeriod
+});
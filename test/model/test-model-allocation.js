@@ -0,0 +1,164 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2021 Joyent, Inc.
+ */
+
+var mock = require('../lib/mock');
+var nodeunit = require('nodeunit');
+
+var ModelAllocation = require('../../lib/models/allocation');
+
+var reqId = '5b3c8a42-0a1b-11ec-a3c1-7f2e9d0b6c51';
+var vmUuid = 'd2f1e0c4-0a1b-11ec-8a1e-5b9c7d3e2f10';
+var ownerUuid = '930896af-bf8c-48d4-885c-6573a94b1853';
+
+var uuids = [
+    '372bdb58-f8dd-11e1-8038-0b6dbddc5e58',
+    '6e8eb888-f8e0-11e1-b1a8-5f74056f9365',
+    'b31695ce-f8e6-11e1-b252-fb742866284b'
+];
+
+var steps = [
+    {
+        remaining: uuids,
+        step: 'Received by DAPI'
+    },
+    {
+        reasons: {
+            'b31695ce-f8e6-11e1-b252-fb742866284b': 'Not enough RAM'
+        },
+        remaining: uuids.slice(0, 2),
+        step: 'Servers which have enough RAM'
+    },
+    {
+        reasons: {
+            '372bdb58-f8dd-11e1-8038-0b6dbddc5e58': 'VM limit reached'
+        },
+        remaining: uuids.slice(1, 2),
+        step: 'Servers with fewer than the VM limit'
+    },
+    {
+        reasons: {
+            '*': 'Weighted servers'
+        },
+        remaining: uuids.slice(1, 2),
+        step: 'Servers sorted by score'
+    }
+];
+
+
+function setup(callback) {
+    callback();
+}
+
+function teardown(callback) {
+    callback();
+}
+
+//
+// This tests that an allocation is written with its request and the step which
+// rejected each server, leaving reasons for a whole step out of the rejections,
+// and that only a summary of each step is kept.
+function testRecordAllocation(test) {
+    test.expect(7);
+
+    mock.newApp(function (error, app, components) {
+        test.equal(error, null, 'should not encounter an error');
+
+        var moray = components.moray;
+        var request = {
+            image: {},
+            nic_tags: ['external'],
+            vm: { owner_uuid: ownerUuid, vm_uuid: vmUuid }
+        };
+
+        ModelAllocation.record({
+            req_id: reqId,
+            request: request,
+            server_uuid: uuids[1],
+            steps: steps
+        }, function _onRecord(err, allocation) {
+            var put = moray.client.history[moray.client.history.length - 1];
+
+            test.equal(err, null, 'record() should succeed');
+            test.deepEqual(allocation.rejections, {
+                '372bdb58-f8dd-11e1-8038-0b6dbddc5e58': {
+                    reason: 'VM limit reached',
+                    step: 'Servers with fewer than the VM limit'
+                },
+                'b31695ce-f8e6-11e1-b252-fb742866284b': {
+                    reason: 'Not enough RAM',
+                    step: 'Servers which have enough RAM'
+                }
+            }, 'rejections should be keyed by server');
+            test.deepEqual([
+                allocation.req_id, allocation.vm_uuid, allocation.server_uuid
+            ], [reqId, vmUuid, uuids[1]],
+                'allocation should be keyed by request and VM');
+            test.deepEqual(allocation.steps, [
+                { remaining_count: 3, step: 'Received by DAPI' },
+                { remaining_count: 2, step: 'Servers which have enough RAM' },
+                {
+                    remaining_count: 1,
+                    step: 'Servers with fewer than the VM limit'
+                },
+                {
+                    reasons: { '*': 'Weighted servers' },
+                    remaining_count: 1,
+                    step: 'Servers sorted by score'
+                }
+            ], 'steps should only keep the servers remaining and whole-step ' +
+                'reasons');
+            test.deepEqual(allocation.request, request,
+                'request should be kept for replaying');
+            test.deepEqual(put.slice(0, 3), [
+                'putObject', 'cnapi_allocations', allocation.uuid
+            ], 'allocation should be written');
+            test.done();
+        });
+    });
+}
+
+//
+// This tests that an allocation is looked up by its UUID, request id or VM
+// UUID, newest first.
+function testGetAllocation(test) {
+    test.expect(4);
+
+    mock.newApp(function (error, app, components) {
+        test.equal(error, null, 'should not encounter an error');
+
+        var moray = components.moray;
+
+        moray.client._findObjectsResults([
+            { req_id: reqId, vm_uuid: vmUuid }
+        ]);
+
+        ModelAllocation.get(vmUuid, function _onGet(err, allocation) {
+            var find = moray.client.history[moray.client.history.length - 1];
+
+            test.equal(err, null, 'get() should succeed');
+            test.equal(allocation.req_id, reqId, 'should return allocation');
+            test.deepEqual(find.slice(1), [
+                'cnapi_allocations',
+                '(|(uuid=' + vmUuid + ')(req_id=' + vmUuid + ')(vm_uuid=' +
+                    vmUuid + '))',
+                { sort: { attribute: 'created', order: 'DESC' }, limit: 1 }
+            ], 'should look up the newest matching allocation');
+            test.done();
+        });
+    });
+}
+
+
+module.exports = nodeunit.testCase({
+    setUp: setup,
+    tearDown: teardown,
+    'record an allocation':                   testRecordAllocation,
+    'look up an allocation':                  testGetAllocation
+});
@@ -0,0 +1,64 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2021 Joyent, Inc.
+ */
+
+var mock = require('../lib/mock');
+var nodeunit = require('nodeunit');
+
+var ModelAllocatorConfig = require('../../lib/models/allocator_config');
+
+
+function setup(callback) {
+    callback();
+}
+
+function teardown(callback) {
+    callback();
+}
+
+//
+// This tests that there's no stored allocator config until one is written, and
+// that it's written with the etag of the config it replaces.
+function testGetAndPutConfig(test) {
+    test.expect(4);
+
+    mock.newApp(function (error, app, components) {
+        test.equal(error, null, 'should not encounter an error');
+
+        var moray = components.moray;
+        var config = {
+            allocationDescription: ['pipe', 'hard-filter-setup'],
+            changeDefaults: { weight_unreserved_ram: '3' },
+            updated: (new Date()).toISOString()
+        };
+
+        ModelAllocatorConfig.get(function _onGet(err, stored) {
+            test.equal(err, null, 'get() should succeed');
+            test.equal(stored, undefined, 'nothing should be stored');
+
+            ModelAllocatorConfig.put(config, 'etag1', function _onPut() {
+                var put =
+                    moray.client.history[moray.client.history.length - 1];
+
+                test.deepEqual(put.slice(1), [
+                    'cnapi_allocator_config', 'allocator', config,
+                    {etag: 'etag1'}
+                ], 'config should be written with its etag');
+                test.done();
+            });
+        });
+    });
+}
+
+
+module.exports = nodeunit.testCase({
+    setUp: setup,
+    tearDown: teardown,
+    'get and put the allocator config':       testGetAndPutConfig
+});
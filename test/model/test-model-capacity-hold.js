@@ -0,0 +1,171 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2021 Joyent, Inc.
+ */
+
+var mock = require('../lib/mock');
+var nodeunit = require('nodeunit');
+var sprintf = require('sprintf').sprintf;
+
+var ModelCapacityHold = require('../../lib/models/capacity_hold');
+
+var holdUuid = 'e1f2a3b4-2c3d-11ec-8e9f-0a1b2c3d4e01';
+var ownerUuid = '930896af-bf8c-48d4-885c-6573a94b1853';
+var serverUuid = '372bdb58-f8dd-11e1-8038-0b6dfcbd8a01';
+
+
+function setup(callback) {
+    callback();
+}
+
+function teardown(callback) {
+    callback();
+}
+
+function newHold(expiresAt) {
+    return {
+        created: '2021-10-01T00:00:00.000Z',
+        disk: 10240,
+        expires_at: expiresAt,
+        owner_uuid: ownerUuid,
+        ram: 65536,
+        server_uuid: serverUuid,
+        uuid: holdUuid
+    };
+}
+
+//
+// This tests that a hold which has expired is treated as if it were gone.
+function testGetExpired(test) {
+    test.expect(3);
+
+    mock.newApp(function (error, app, components) {
+        test.equal(error, null, 'should not encounter an error');
+
+        components.moray.client.when('getObject', [], {
+            value: newHold('2000-01-01T00:00:00.000Z'),
+            _etag: 'etag1'
+        });
+
+        ModelCapacityHold.get(holdUuid, function _onGet(err, hold) {
+            test.equal(err, null, 'get() should succeed');
+            test.equal(hold, undefined, 'expired hold should not be found');
+            test.done();
+        });
+    });
+}
+
+//
+// This tests that only holds which haven't expired are listed.
+function testListUnexpired(test) {
+    test.expect(3);
+
+    mock.newApp(function (error, app, components) {
+        test.equal(error, null, 'should not encounter an error');
+
+        var moray = components.moray;
+
+        moray.client._findObjectsResults([]);
+
+        ModelCapacityHold.list({
+            server_uuid: serverUuid
+        }, function _onList(err) {
+            var find = moray.client.history[moray.client.history.length - 1];
+
+            test.equal(err, null, 'list() should succeed');
+            test.ok(/^\(&\(expires_at>=[^)]+\)\(server_uuid=[^)]+\)\)$/.test(
+                find[2]), 'should filter out expired holds');
+            test.done();
+        });
+    });
+}
+
+//
+// This tests that listAll() keeps fetching pages of holds, each after the last
+// UUID of the one before, until a page isn't full.
+function testListAllPages(test) {
+    test.expect(6);
+
+    mock.newApp(function (error, app, components) {
+        test.equal(error, null, 'should not encounter an error');
+
+        var i;
+        var moray = components.moray;
+        var page = [];
+        var uuid;
+
+        for (i = 0; i < 1000; i++) {
+            uuid = sprintf('e1f2a3b4-2c3d-11ec-8e9f-0a1b2c3d%s', (
+                '0000' + i.toString(16)).slice(-4));
+            page.push({uuid: uuid});
+        }
+
+        moray.client._findObjectsResults(page);
+        moray.client._findObjectsResults([newHold('2100-01-01T00:00:00.000Z')]);
+
+        ModelCapacityHold.listAll({}, function _onList(err, holds) {
+            var finds = moray.client.history.filter(function (h) {
+                return (h[0] === 'findObjects');
+            });
+
+            test.equal(err, null, 'listAll() should succeed');
+            test.equal(holds.length, 1001, 'should return every hold');
+            test.equal(finds.length, 2, 'should fetch two pages');
+            test.equal(finds[1][2].indexOf(sprintf('(uuid>=%s)(!(uuid=%s))',
+                uuid, uuid)) !== -1, true,
+                'second page should follow the first');
+            test.equal(finds[1][3].sort.attribute, 'uuid',
+                'pages should be sorted by UUID');
+            test.done();
+        });
+    });
+}
+
+//
+// This tests that what's held is subtracted from servers' spare capacity, and
+// that holds are given to the allocator as tickets.
+function testApplyHolds(test) {
+    var hold = newHold('2100-01-01T00:00:00.000Z');
+    var capacities = {};
+    var server = {
+        unreserved_disk: 102400,
+        unreserved_ram: 131072,
+        uuid: serverUuid
+    };
+    var ticket = ModelCapacityHold.toTicket(hold);
+
+    capacities[serverUuid] = { cpu: 800, disk: 102400, ram: 131072 };
+
+    ModelCapacityHold.applyToServers([hold], [server]);
+    ModelCapacityHold.applyToCapacities([hold], capacities);
+
+    test.deepEqual(server, {
+        capacity_holds: [hold],
+        unreserved_disk: 92160,
+        unreserved_ram: 65536,
+        uuid: serverUuid
+    }, 'hold should be subtracted from the server');
+    test.deepEqual(capacities[serverUuid],
+        { cpu: 800, disk: 92160, ram: 65536 },
+        'hold should be subtracted from the capacity');
+    test.equal(ticket.server_uuid, serverUuid, 'ticket should be on server');
+    test.equal(ticket.extra.max_physical_memory, 65536,
+        'ticket should use the RAM held');
+    test.equal(ticket.extra.quota, 10, 'ticket should use the disk held');
+    test.done();
+}
+
+
+module.exports = nodeunit.testCase({
+    setUp: setup,
+    tearDown: teardown,
+    'get an expired capacity hold':        testGetExpired,
+    'list capacity holds':                 testListUnexpired,
+    'list all capacity holds':             testListAllPages,
+    'apply capacity holds to capacity':    testApplyHolds
+});
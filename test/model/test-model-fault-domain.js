@@ -0,0 +1,300 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2021 Joyent, Inc.
+ */
+
+var mock = require('../lib/mock');
+var nodeunit = require('nodeunit');
+var sprintf = require('sprintf').sprintf;
+
+var ModelFaultDomain = require('../../lib/models/fault_domain');
+var ModelVm = require('../../lib/models/vm');
+
+var ownerUuid = 'e1f0e74c-9f11-4d80-b6d1-74dcf1f5aafb';
+var roomUuid = '9ed7a1e6-2a7c-11ec-9b1e-8f3a5c6d7e01';
+var serverUuids = [
+    '372bdb58-f8dd-11e1-8038-0b6dfcbd8a01',
+    '372bdb58-f8dd-11e1-8038-0b6dfcbd8a02',
+    '372bdb58-f8dd-11e1-8038-0b6dfcbd8a03'
+];
+var vmUuids = [
+    '6a0b4f7e-2a7d-11ec-9f2a-1b2c3d4e5f01',
+    '6a0b4f7e-2a7d-11ec-9f2a-1b2c3d4e5f02',
+    '6a0b4f7e-2a7d-11ec-9f2a-1b2c3d4e5f03'
+];
+var listVmsViaVmapi = ModelVm.listVmsViaVmapi;
+
+
+function setup(callback) {
+    callback();
+}
+
+function teardown(callback) {
+    ModelVm.listVmsViaVmapi = listVmsViaVmapi;
+    callback();
+}
+
+function newDomains() {
+    return [
+        {
+            name: 'R1',
+            parent_uuid: roomUuid,
+            type: 'rack',
+            uuid: 'a4c7ea4c-2a7c-11ec-8a6e-3b1c2d4e5f01'
+        },
+        {
+            name: 'Room 1',
+            parent_uuid: null,
+            type: 'room',
+            uuid: roomUuid
+        }
+    ];
+}
+
+function newServers() {
+    return [
+        {
+            datacenter: 'us-east-1',
+            rack_identifier: 'R1',
+            uuid: serverUuids[0]
+        },
+        {
+            datacenter: 'us-east-1',
+            rack_identifier: 'R1',
+            uuid: serverUuids[1]
+        },
+        {
+            datacenter: 'us-east-1',
+            rack_identifier: 'R2',
+            uuid: serverUuids[2]
+        }
+    ];
+}
+
+//
+// This tests that rooms and racks are loaded into a tree, and that servers
+// are located in it by their rack_identifier.
+function testLoadTreeAndLocate(test) {
+    test.expect(5);
+
+    mock.newApp(function (error, app, components) {
+        test.equal(error, null, 'should not encounter an error');
+
+        components.moray.client._findObjectsResults(newDomains());
+
+        ModelFaultDomain.loadTree(function _onLoad(err, tree) {
+            var servers = newServers();
+
+            test.equal(err, null, 'loadTree() should succeed');
+            test.deepEqual(ModelFaultDomain.locate(tree, servers[0]), {
+                datacenter: 'us-east-1',
+                rack: 'R1',
+                room: 'Room 1'
+            }, 'server should be in the rack\'s room');
+            test.deepEqual(ModelFaultDomain.locate(tree, servers[2]), {
+                datacenter: 'us-east-1',
+                rack: 'R2',
+                room: null
+            }, 'server in an unknown rack should be in no room');
+            test.equal(ModelFaultDomain.domainKey(tree, servers[2], 'room'),
+                'server:' + serverUuids[2],
+                'server in no room should have a domain of its own');
+            test.done();
+        });
+    });
+}
+
+//
+// This tests that spare capacity is added up per rack.
+function testAggregateCapacity(test) {
+    var tree = {
+        racks: { R1: newDomains()[0] },
+        rooms: {}
+    };
+    var capacities = {};
+
+    tree.rooms[roomUuid] = newDomains()[1];
+    capacities[serverUuids[0]] = { cpu: 100, disk: 1000, ram: 512 };
+    capacities[serverUuids[1]] = { cpu: 200, disk: 2000, ram: 1024 };
+    capacities[serverUuids[2]] = { cpu: 400, disk: 4000, ram: 2048 };
+
+    test.deepEqual(ModelFaultDomain.aggregateCapacity(tree, newServers(),
+        'rack', capacities), [
+        {
+            cpu: 300,
+            datacenter: 'us-east-1',
+            disk: 3000,
+            rack: 'R1',
+            ram: 1536,
+            room: 'Room 1',
+            servers: [serverUuids[0], serverUuids[1]]
+        },
+        {
+            cpu: 400,
+            datacenter: 'us-east-1',
+            disk: 4000,
+            rack: 'R2',
+            ram: 2048,
+            room: null,
+            servers: [serverUuids[2]]
+        }
+    ], 'capacity should be added up per rack');
+
+    test.deepEqual(ModelFaultDomain.aggregateCapacity(tree, newServers(),
+        'datacenter', capacities), [
+        {
+            cpu: 700,
+            datacenter: 'us-east-1',
+            disk: 7000,
+            ram: 3584,
+            servers: serverUuids
+        }
+    ], 'capacity should be added up per datacenter');
+    test.done();
+}
+
+//
+// This tests that the racks in a room are listed by type and parent.
+function testListRacks(test) {
+    test.expect(3);
+
+    mock.newApp(function (error, app, components) {
+        test.equal(error, null, 'should not encounter an error');
+
+        var moray = components.moray;
+
+        moray.client._findObjectsResults([newDomains()[0]]);
+
+        ModelFaultDomain.list({
+            parent_uuid: roomUuid,
+            type: 'rack'
+        }, function _onList(err) {
+            var find = moray.client.history[moray.client.history.length - 1];
+
+            test.equal(err, null, 'list() should succeed');
+            test.equal(find[2],
+                '(&(type=rack)(parent_uuid=' + roomUuid + '))',
+                'should filter on type and parent');
+            test.done();
+        });
+    });
+}
+
+//
+// This tests that loadTree() keeps fetching pages of domains, each after the
+// last UUID of the one before, until a page isn't full.
+function testLoadTreePages(test) {
+    test.expect(6);
+
+    mock.newApp(function (error, app, components) {
+        test.equal(error, null, 'should not encounter an error');
+
+        var i;
+        var moray = components.moray;
+        var page = [];
+        var uuid;
+
+        for (i = 0; i < 1000; i++) {
+            uuid = sprintf('b5d8fb5d-2a7c-11ec-8a6e-3b1c2d4e%s', (
+                '0000' + i.toString(16)).slice(-4));
+            page.push({
+                name: 'Rack ' + i,
+                parent_uuid: null,
+                type: 'rack',
+                uuid: uuid
+            });
+        }
+
+        moray.client._findObjectsResults(page);
+        moray.client._findObjectsResults(newDomains());
+
+        ModelFaultDomain.loadTree(function _onLoad(err, tree) {
+            var finds = moray.client.history.filter(function (h) {
+                return (h[0] === 'findObjects');
+            });
+
+            test.equal(err, null, 'loadTree() should succeed');
+            test.equal(Object.keys(tree.racks).length, 1001,
+                'should load every rack');
+            test.equal(finds.length, 2, 'should fetch two pages');
+            test.equal(finds[1][2], sprintf('(&(uuid>=%s)(!(uuid=%s)))',
+                uuid, uuid), 'second page should follow the first');
+            test.equal(finds[1][3].sort.attribute, 'uuid',
+                'pages should be sorted by UUID');
+            test.done();
+        });
+    });
+}
+
+//
+// This tests that an owner's VMs are counted per rack, including those in
+// open provisioning tickets which VMAPI doesn't have on a server yet, but not
+// capacity held for the owner or VMs counted twice.
+function testCountOwnerVms(test) {
+    test.expect(3);
+
+    mock.newApp(function (error, app, components) {
+        test.equal(error, null, 'should not encounter an error');
+
+        var tree = {
+            racks: { R1: newDomains()[0] },
+            rooms: {}
+        };
+
+        tree.rooms[roomUuid] = newDomains()[1];
+
+        ModelVm.listVmsViaVmapi = function (opts, callback) {
+            callback(null, [
+                { server_uuid: serverUuids[0], uuid: vmUuids[0] },
+                { server_uuid: null, uuid: vmUuids[1] }
+            ]);
+        };
+
+        components.moray.client._findObjectsResults([
+            newServers()[0],
+            newServers()[2]
+        ]);
+
+        ModelFaultDomain.countOwnerVms(ownerUuid, tree, 'rack', [
+            {
+                extra: { owner_uuid: ownerUuid },
+                id: vmUuids[0],
+                server_uuid: serverUuids[0]
+            },
+            {
+                extra: { owner_uuid: ownerUuid },
+                id: vmUuids[1],
+                server_uuid: serverUuids[2]
+            },
+            {
+                capacity_hold: true,
+                extra: { owner_uuid: ownerUuid },
+                id: vmUuids[2],
+                server_uuid: serverUuids[2]
+            }
+        ], function _onCounts(err, counts) {
+            test.equal(err, null, 'countOwnerVms() should succeed');
+            test.deepEqual(counts, {
+                'rack:R1': 1,
+                'rack:R2': 1
+            }, 'VMs should be counted once per rack');
+            test.done();
+        });
+    });
+}
+
+
+module.exports = nodeunit.testCase({
+    setUp: setup,
+    tearDown: teardown,
+    'load fault domains and locate servers':  testLoadTreeAndLocate,
+    'add up capacity per fault domain':       testAggregateCapacity,
+    'list the racks in a room':               testListRacks,
+    'load every page of fault domains':       testLoadTreePages,
+    'count an owner\'s VMs per rack':         testCountOwnerVms
+});
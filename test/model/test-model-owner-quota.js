@@ -0,0 +1,232 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2021 Joyent, Inc.
+ */
+
+var mock = require('../lib/mock');
+var nodeunit = require('nodeunit');
+var sprintf = require('sprintf').sprintf;
+
+var ModelOwnerQuota = require('../../lib/models/owner_quota');
+
+var ownerUuids = [
+    '930896af-bf8c-48d4-885c-6573a94b1853',
+    'b6b5c1a2-2b3c-11ec-9d4e-5f6a7b8c9d01'
+];
+var serverUuids = [
+    '372bdb58-f8dd-11e1-8038-0b6dfcbd8a01',
+    '372bdb58-f8dd-11e1-8038-0b6dfcbd8a02'
+];
+var vmUuids = [
+    '7beee9e1-3488-4696-8a93-6403372bc150',
+    'a3a7c6b2-0c9f-4b8e-9f2e-6d1d1c2f5e44',
+    'c9d1e2f3-4a5b-4c6d-8e7f-0a1b2c3d4e5f'
+];
+
+
+function setup(callback) {
+    callback();
+}
+
+function teardown(callback) {
+    callback();
+}
+
+function newOwnerQuotas() {
+    var ownerQuotas = {
+        quota: {
+            max_ram_per_server: 4096,
+            max_vms_per_server: 2,
+            owner_uuid: ownerUuids[0],
+            servers: []
+        },
+        restricted: {},
+        usage: {}
+    };
+
+    ownerQuotas.restricted[serverUuids[1]] = ownerUuids[1];
+    ownerQuotas.usage[serverUuids[0]] = {
+        ram: 3072,
+        vms: [vmUuids[0]]
+    };
+
+    return ownerQuotas;
+}
+
+//
+// This tests that servers are rejected when they would take a VM over its
+// owner's quotas, or are restricted to another owner.
+function testRejectReason(test) {
+    var ownerQuotas = newOwnerQuotas();
+    var server = { uuid: serverUuids[0] };
+
+    test.equal(ModelOwnerQuota.rejectReason(ownerQuotas, ownerUuids[0],
+        vmUuids[1], server, 1024), null,
+        'server should take a VM within the quota');
+    test.equal(ModelOwnerQuota.rejectReason(ownerQuotas, ownerUuids[0],
+        vmUuids[1], server, 2048),
+        'Server has 3072 MiB of the owner\'s VMs\' RAM, and 2048 MiB more ' +
+        'would exceed the owner\'s limit of 4096 MiB per server',
+        'server should be rejected over the RAM limit');
+
+    ownerQuotas.usage[serverUuids[0]].vms.push(vmUuids[2]);
+
+    test.equal(ModelOwnerQuota.rejectReason(ownerQuotas, ownerUuids[0],
+        vmUuids[1], server, 0),
+        'Server has 2 of the owner\'s VMs, and the owner\'s limit is 2 per ' +
+        'server', 'server should be rejected over the VM limit');
+    test.equal(ModelOwnerQuota.rejectReason(ownerQuotas, ownerUuids[0],
+        vmUuids[0], server, 0), null,
+        'VM already on the server should not count against the quota');
+    test.equal(ModelOwnerQuota.rejectReason(ownerQuotas, ownerUuids[0],
+        vmUuids[1], { uuid: serverUuids[1] }, 0),
+        'Server is restricted to owner ' + ownerUuids[1],
+        'server restricted to another owner should be rejected');
+    test.equal(ModelOwnerQuota.rejectReason(ownerQuotas, ownerUuids[1],
+        vmUuids[1], { uuid: serverUuids[1] }, 0), null,
+        'server should take its own owner\'s VMs');
+    test.done();
+}
+
+//
+// This tests that the owner's quota and the servers restricted to each owner
+// are loaded for an allocation, without looking up usage when the owner has no
+// limits.
+function testLoadForAllocation(test) {
+    test.expect(6);
+
+    mock.newApp(function (error, app, components) {
+        test.equal(error, null, 'should not encounter an error');
+
+        var moray = components.moray;
+
+        moray.client.when('getObject', [], {
+            value: {
+                max_ram_per_server: null,
+                max_vms_per_server: null,
+                owner_uuid: ownerUuids[0],
+                servers: []
+            }
+        });
+        moray.client._findObjectsResults([
+            {
+                max_ram_per_server: null,
+                max_vms_per_server: null,
+                owner_uuid: ownerUuids[1],
+                servers: [serverUuids[1]]
+            }
+        ]);
+
+        ModelOwnerQuota.loadForAllocation(ownerUuids[0], [],
+            function _onLoad(err, ownerQuotas) {
+                var restricted = {};
+
+                restricted[serverUuids[1]] = ownerUuids[1];
+
+                test.equal(err, null, 'loadForAllocation() should succeed');
+                test.equal(moray.client.history[0][2], ownerUuids[0],
+                    'should get the owner\'s quota by key');
+                test.equal(moray.client.history[1][2], '(servers=*)',
+                    'should find the quotas restricting servers');
+                test.equal(ownerQuotas.quota.owner_uuid, ownerUuids[0],
+                    'should have the owner\'s quota');
+                test.deepEqual(ownerQuotas.restricted, restricted,
+                    'should have the restricted servers');
+                test.done();
+            });
+    });
+}
+
+//
+// This tests that every page of quotas restricting servers is loaded for an
+// allocation, each after the last owner UUID of the one before, and that an
+// owner without a quota has none.
+function testLoadForAllocationPages(test) {
+    test.expect(7);
+
+    mock.newApp(function (error, app, components) {
+        test.equal(error, null, 'should not encounter an error');
+
+        var i;
+        var moray = components.moray;
+        var page = [];
+        var ownerUuid;
+
+        for (i = 0; i < 1000; i++) {
+            ownerUuid = sprintf('d0e1f2a3-2b3c-11ec-9d4e-5f6a7b8c%s', (
+                '0000' + i.toString(16)).slice(-4));
+            page.push({
+                owner_uuid: ownerUuid,
+                servers: [serverUuids[0]]
+            });
+        }
+
+        moray.client._findObjectsResults(page);
+        moray.client._findObjectsResults([
+            {
+                owner_uuid: ownerUuids[1],
+                servers: [serverUuids[1]]
+            }
+        ]);
+
+        ModelOwnerQuota.loadForAllocation(ownerUuids[0], [],
+            function _onLoad(err, ownerQuotas) {
+                var finds = moray.client.history.filter(function (h) {
+                    return (h[0] === 'findObjects');
+                });
+
+                test.equal(err, null, 'loadForAllocation() should succeed');
+                test.equal(ownerQuotas.quota, null,
+                    'owner should have no quota');
+                test.equal(ownerQuotas.restricted[serverUuids[1]],
+                    ownerUuids[1], 'should have the second page\'s servers');
+                test.equal(finds.length, 2, 'should fetch two pages');
+                test.equal(finds[1][2], sprintf('(&(servers=*)' +
+                    '(owner_uuid>=%s)(!(owner_uuid=%s)))', ownerUuid,
+                    ownerUuid), 'second page should follow the first');
+                test.equal(finds[1][3].sort.attribute, 'owner_uuid',
+                    'pages should be sorted by owner UUID');
+                test.done();
+            });
+    });
+}
+
+//
+// This tests that quotas are listed by restricted server.
+function testListByServer(test) {
+    test.expect(3);
+
+    mock.newApp(function (error, app, components) {
+        test.equal(error, null, 'should not encounter an error');
+
+        var moray = components.moray;
+
+        moray.client._findObjectsResults([]);
+
+        ModelOwnerQuota.list({
+            server_uuid: serverUuids[1]
+        }, function _onList(err) {
+            var find = moray.client.history[moray.client.history.length - 1];
+
+            test.equal(err, null, 'list() should succeed');
+            test.equal(find[2], '(servers=' + serverUuids[1] + ')',
+                'should filter on restricted server');
+            test.done();
+        });
+    });
+}
+
+
+module.exports = nodeunit.testCase({
+    setUp: setup,
+    tearDown: teardown,
+    'reject servers over an owner\'s quotas':  testRejectReason,
+    'load owner quotas for an allocation':     testLoadForAllocation,
+    'load every page of restricting quotas':   testLoadForAllocationPages,
+    'list owner quotas by server':             testListByServer
+});
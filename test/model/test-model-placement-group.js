@@ -0,0 +1,187 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2021 Joyent, Inc.
+ */
+
+var mock = require('../lib/mock');
+var nodeunit = require('nodeunit');
+var VError = require('verror');
+
+var ModelPlacementGroup = require('../../lib/models/placement_group');
+var ModelVm = require('../../lib/models/vm');
+
+var groupUuid = '0f5b9d6c-1a2b-11ec-9c3e-3f6a2b7d8e01';
+var vmUuids = [
+    '7beee9e1-3488-4696-8a93-6403372bc150',
+    'a3a7c6b2-0c9f-4b8e-9f2e-6d1d1c2f5e44',
+    'c9e4f2d0-1a2b-11ec-8f3a-2b1c4d5e6f70'
+];
+var serverUuids = [
+    '372bdb58-f8dd-11e1-8038-0b6dbddc5e58',
+    '6e8eb888-f8e0-11e1-b1a8-5f74056f9365'
+];
+
+var listVmsViaVmapi = ModelVm.listVmsViaVmapi;
+
+
+function setup(callback) {
+    callback();
+}
+
+function teardown(callback) {
+    ModelVm.listVmsViaVmapi = listVmsViaVmapi;
+    callback();
+}
+
+function newGroup() {
+    return {
+        name: 'db-cluster',
+        policy: 'hard',
+        spread: 'rack',
+        uuid: groupUuid,
+        vms: [vmUuids[0]]
+    };
+}
+
+function groupPuts(moray) {
+    return moray.client.history.filter(function (h) {
+        return (h[0] === 'putObject' && h[1] === 'cnapi_placement_groups');
+    });
+}
+
+//
+// This tests that a VM is added to its group with the etag of the group it
+// was added to, and that the write is retried when the group was changed in
+// the meantime.
+function testAddVm(test) {
+    test.expect(5);
+
+    mock.newApp(function (error, app, components) {
+        test.equal(error, null, 'should not encounter an error');
+
+        var moray = components.moray;
+
+        // The mock pops these, so the group is first read with etag1.
+        moray.client.when('getObject', [],
+            {value: newGroup(), _etag: 'etag2'});
+        moray.client.when('getObject', [],
+            {value: newGroup(), _etag: 'etag1'});
+        moray.client.when('putObject', [],
+            new VError({name: 'EtagConflictError'}, 'etag conflict'));
+
+        ModelPlacementGroup.addVm(groupUuid, vmUuids[1],
+            function _onAdd(err, group) {
+                var puts = groupPuts(moray);
+
+                test.equal(err, null, 'addVm() should succeed');
+                test.deepEqual(group.vms, vmUuids.slice(0, 2),
+                    'VM should be added');
+                test.equal(puts.length, 2, 'write should be retried');
+                test.deepEqual(puts[1][4], {etag: 'etag2'},
+                    'retry should use the new etag');
+                test.done();
+            });
+    });
+}
+
+//
+// This tests that adding a VM which is already in the group writes nothing.
+function testAddExistingVm(test) {
+    test.expect(3);
+
+    mock.newApp(function (error, app, components) {
+        test.equal(error, null, 'should not encounter an error');
+
+        var moray = components.moray;
+
+        moray.client.when('getObject', [],
+            {value: newGroup(), _etag: 'etag1'});
+
+        ModelPlacementGroup.addVm(groupUuid, vmUuids[0],
+            function _onAdd(err) {
+                test.equal(err, null, 'addVm() should succeed');
+                test.equal(groupPuts(moray).length, 0,
+                    'nothing should be written');
+                test.done();
+            });
+    });
+}
+
+//
+// This tests that groups are listed by name and owner.
+function testListGroups(test) {
+    test.expect(3);
+
+    mock.newApp(function (error, app, components) {
+        test.equal(error, null, 'should not encounter an error');
+
+        var moray = components.moray;
+        var ownerUuid = '930896af-bf8c-48d4-885c-6573a94b1853';
+
+        moray.client._findObjectsResults([newGroup()]);
+
+        ModelPlacementGroup.list({
+            name: 'db-cluster',
+            owner_uuid: ownerUuid
+        }, function _onList(err) {
+            var find = moray.client.history[moray.client.history.length - 1];
+
+            test.equal(err, null, 'list() should succeed');
+            test.equal(find[2],
+                '(&(name=db-cluster)(owner_uuid=' + ownerUuid + '))',
+                'should filter on name and owner');
+            test.done();
+        });
+    });
+}
+
+//
+// This tests that a VM in the group which VMAPI doesn't have on a server yet
+// is counted on the server of its open provisioning ticket, and that capacity
+// holds and the VM being allocated are left out.
+function testGetPlacementWithTickets(test) {
+    test.expect(2);
+
+    mock.newApp(function (error, app) {
+        test.equal(error, null, 'should not encounter an error');
+
+        var group = newGroup();
+        var holdUuid = 'e1d2c3b4-1a2b-11ec-9a8b-7c6d5e4f3a2b';
+
+        group.spread = 'server';
+        group.vms = vmUuids.slice();
+
+        ModelVm.listVmsViaVmapi = function (opts, callback) {
+            callback(null, [
+                { server_uuid: null, state: 'provisioning', uuid: vmUuids[0] }
+            ]);
+        };
+
+        ModelPlacementGroup.getPlacement(group, vmUuids[2], [
+            { id: vmUuids[0], server_uuid: serverUuids[0] },
+            { capacity_hold: true, id: holdUuid, server_uuid: serverUuids[1] },
+            { id: vmUuids[2], server_uuid: serverUuids[1] }
+        ], function _onPlacement(err, placement) {
+            test.deepEqual(placement, {
+                racks: [],
+                servers: [serverUuids[0]]
+            }, 'only the ticket of the other VM in the group should count');
+            test.done();
+        });
+    });
+}
+
+
+module.exports = nodeunit.testCase({
+    setUp: setup,
+    tearDown: teardown,
+    'add a VM to a placement group':          testAddVm,
+    'add a VM already in a placement group':  testAddExistingVm,
+    'list placement groups':                  testListGroups,
+    'get placement with open tickets':        testGetPlacementWithTickets
+});
@@ -0,0 +1,292 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2021 Joyent, Inc.
+ */
+
+var mock = require('../lib/mock');
+var nodeunit = require('nodeunit');
+var VError = require('verror');
+
+var ModelPlatformRollout = require('../../lib/models/platform_rollout');
+
+var rolloutUuid = '0f5c6a2e-0a1b-11ec-9d4e-3b2a1c0d9e8f';
+var planUuid = '2a7d8e9f-0a1b-11ec-8c3d-4e5f6a7b8c9d';
+
+var platform = '20210826T002459Z';
+var oldPlatform = '20210101T000000Z';
+
+var uuids = [
+    '372bdb58-f8dd-11e1-8038-0b6dbddc5e58',
+    '6e8eb888-f8e0-11e1-b1a8-5f74056f9365',
+    'b31695ce-f8e6-11e1-b252-fb742866284b'
+];
+
+
+function setup(callback) {
+    callback();
+}
+
+function teardown(callback) {
+    callback();
+}
+
+// Returns a rollout for uuids where the first two servers are in the current
+// batch (in the given state) and the last is pending.
+function newRollout(batchState, stopOnFailure) {
+    return {
+        batch_size: 2,
+        batches: 1,
+        created: '2021-08-26T00:00:00.000Z',
+        drain: false,
+        platform: platform,
+        reboot: (batchState === 'rebooting'),
+        servers: [
+            {
+                batch: 1,
+                last_boot: '2021-08-01T00:00:00.000Z',
+                reboot_plan_uuid: (batchState === 'rebooting') ?
+                    planUuid : undefined,
+                server_uuid: uuids[0],
+                started: '2021-08-26T00:00:00.000Z',
+                state: batchState
+            },
+            {
+                batch: 1,
+                last_boot: '2021-08-01T00:00:00.000Z',
+                reboot_plan_uuid: (batchState === 'rebooting') ?
+                    planUuid : undefined,
+                server_uuid: uuids[1],
+                started: '2021-08-26T00:00:00.000Z',
+                state: batchState
+            },
+            { server_uuid: uuids[2], state: 'pending' }
+        ],
+        state: 'running',
+        stop_on_failure: stopOnFailure,
+        updated: '2021-08-26T00:00:00.000Z',
+        uuid: rolloutUuid
+    };
+}
+
+/*
+ * Return the writes of the rollout in history, with the index of each in
+ * history, the servers written and the options of the write.
+ */
+function rolloutPuts(history) {
+    var puts = [];
+
+    history.forEach(function (item, idx) {
+        if (item[0] === 'putObject' && item[1] === 'cnapi_platform_rollouts') {
+            puts.push({
+                idx: idx,
+                opts: item[4],
+                servers: JSON.parse(JSON.stringify(item[3].servers))
+            });
+        }
+    });
+
+    return puts;
+}
+
+//
+// This tests that a staged server which comes up on the rollout's platform
+// converges, one which comes up on another platform fails, and that the
+// rollout then stops without starting the next batch.
+function testAdvanceStagedRollout(test) {
+    test.expect(7);
+
+    mock.newApp(function (error, app, components) {
+        test.equal(error, null, 'should not encounter an error');
+
+        var moray = components.moray;
+
+        // The mock pops these, so the second is for uuids[0].
+        moray.client.when('getObject', [], {value: {
+            current_platform: oldPlatform,
+            last_boot: '2021-08-26T00:05:00.000Z',
+            status: 'running',
+            uuid: uuids[1]
+        }});
+        moray.client.when('getObject', [], {value: {
+            current_platform: platform,
+            last_boot: '2021-08-26T00:05:00.000Z',
+            status: 'running',
+            uuid: uuids[0]
+        }});
+
+        ModelPlatformRollout.advance(newRollout('staged', true), 'etag1',
+            function _onAdvance(err, rollout) {
+                var put = moray.client.history[moray.client.history.length - 1];
+
+                test.equal(err, null, 'advance() should succeed');
+                test.deepEqual(rollout.servers.map(function (s) {
+                    return s.state;
+                }), ['converged', 'failed', 'pending'],
+                    'servers should converge or fail, and no more start');
+                test.equal(rollout.servers[1].error,
+                    'server booted platform ' + oldPlatform,
+                    'failed server should say which platform it booted');
+                test.equal(rollout.state, 'stopped',
+                    'rollout should be stopped');
+                test.deepEqual(rollout.counts, {
+                    converged: 1,
+                    failed: 1,
+                    pending: 1,
+                    rebooting: 0,
+                    staged: 0
+                }, 'rollout should include counts');
+                test.deepEqual(put.slice(0, 3).concat(put[4]), [
+                    'putObject', 'cnapi_platform_rollouts', rolloutUuid,
+                    {etag: 'etag1'}
+                ], 'rollout should be written with its etag');
+
+                test.done();
+            });
+    });
+}
+
+//
+// This tests that servers in a batch's reboot plan are updated from the plan
+// once it has rebooted them, and that the next batch is then started.
+function testAdvanceRebootingRollout(test) {
+    test.expect(10);
+
+    mock.newApp(function (error, app, components) {
+        test.equal(error, null, 'should not encounter an error');
+
+        var moray = components.moray;
+
+        // The mock pops these: first the batch's reboot plan, then uuids[0]
+        // once the plan has rebooted it. Nothing is queued for uuids[2], so
+        // it isn't found when the next batch is started.
+        moray.client.when('getObject', [], {value: {
+            current_platform: platform,
+            last_boot: '2021-08-26T00:05:00.000Z',
+            status: 'running',
+            uuid: uuids[0]
+        }});
+        moray.client.when('getObject', [], {value: {
+            servers: [
+                { server_uuid: uuids[0], state: 'complete' },
+                {
+                    error: 'server-reboot job failed',
+                    server_uuid: uuids[1],
+                    state: 'failed'
+                }
+            ],
+            state: 'complete',
+            uuid: planUuid
+        }});
+
+        ModelPlatformRollout.advance(newRollout('rebooting', false), 'etag1',
+            function _onAdvance(err, rollout) {
+                var puts = rolloutPuts(moray.client.history);
+
+                test.equal(err, null, 'advance() should succeed');
+                test.deepEqual(rollout.servers.map(function (s) {
+                    return s.state;
+                }), ['converged', 'failed', 'failed'],
+                    'servers should be updated from the reboot plan');
+                test.equal(rollout.batches, 2, 'next batch should be started');
+                test.equal(rollout.state, 'complete',
+                    'rollout should be complete');
+                test.equal(puts.length, 2,
+                    'rollout should be written twice');
+                test.deepEqual(puts[0].opts, {etag: 'etag1'},
+                    'batch should be written with the rollout\'s etag');
+                test.equal(puts[0].servers[2].batch, 2,
+                    'batch should be written before it is started');
+                test.deepEqual(puts[1].opts, {etag: 'etag' + (puts[0].idx + 1)},
+                    'rollout should be written with the etag of the batch');
+                test.equal(rollout.servers[2].reboot_plan_uuid, undefined,
+                    'failed server should not have a reboot plan');
+
+                test.done();
+            });
+    });
+}
+
+//
+// This tests that a batch which was written but not started (e.g. because the
+// CNAPI instance starting it went away) is started by the next advance(),
+// with the reboot plan UUID that was written with the batch, and that the plan
+// isn't replaced if it was already created.
+function testAdvanceClaimedRollout(test) {
+    test.expect(7);
+
+    mock.newApp(function (error, app, components) {
+        test.equal(error, null, 'should not encounter an error');
+
+        var moray = components.moray;
+        var claimed = newRollout('pending', false);
+        var serverObjs = [0, 1].map(function (idx) {
+            return {
+                current_platform: oldPlatform,
+                last_boot: '2021-08-26T00:05:00.000Z',
+                status: 'running',
+                uuid: uuids[idx]
+            };
+        });
+
+        claimed.reboot = true;
+        claimed.servers.slice(0, 2).forEach(function (server) {
+            server.reboot_plan_uuid = planUuid;
+            delete server.last_boot;
+            delete server.started;
+        });
+
+        // The mock pops these, and each server is read by both get() and
+        // upsert(), then the existing plan is read when its put conflicts.
+        moray.client.when('getObject', [], {value: {
+            servers: [],
+            state: 'running',
+            uuid: planUuid
+        }});
+        moray.client.when('putObject', [], new VError({
+            name: 'EtagConflictError'
+        }, 'conflict'));
+        moray.client.when('getObject', [], {value: serverObjs[1]});
+        moray.client.when('getObject', [], {value: serverObjs[1]});
+        moray.client.when('getObject', [], {value: serverObjs[0]});
+        moray.client.when('getObject', [], {value: serverObjs[0]});
+
+        ModelPlatformRollout.advance(claimed, 'etag1',
+            function _onAdvance(err, rollout) {
+                var planPut = moray.client.history.filter(function (h) {
+                    return (h[0] === 'putObject' &&
+                        h[1] === 'cnapi_reboot_plans');
+                })[0];
+                var puts = rolloutPuts(moray.client.history);
+
+                test.equal(err, null, 'advance() should succeed');
+                test.equal(rollout.batches, 1,
+                    'no new batch should be started');
+                test.deepEqual(rollout.servers.map(function (s) {
+                    return s.state;
+                }), ['rebooting', 'rebooting', 'pending'],
+                    'claimed servers should be rebooting');
+                test.deepEqual(planPut.slice(2, 3).concat(planPut[4]),
+                    [planUuid, {etag: null}],
+                    'plan should only be created if it doesn\'t exist');
+                test.equal(puts.length, 1, 'rollout should be written once');
+                test.deepEqual(puts[0].opts, {etag: 'etag1'},
+                    'rollout should be written with its etag');
+
+                test.done();
+            });
+    });
+}
+
+
+module.exports = nodeunit.testCase({
+    setUp: setup,
+    tearDown: teardown,
+    'advance a staged platform rollout':      testAdvanceStagedRollout,
+    'advance a rebooting platform rollout':   testAdvanceRebootingRollout,
+    'advance a claimed platform rollout':     testAdvanceClaimedRollout
+});
@@ -0,0 +1,283 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2021 Joyent, Inc.
+ */
+
+var mock = require('../lib/mock');
+var nodeunit = require('nodeunit');
+var VError = require('verror');
+
+var ModelRebootPlan = require('../../lib/models/reboot_plan');
+
+var planUuid = 'd6a3b6a4-7a7c-11eb-9b5d-5f4d3e2c1b0a';
+var jobUuid = '5b0c2d4e-7a7d-11eb-8f1e-9b0a7c6d5e4f';
+
+var uuids = [
+    '372bdb58-f8dd-11e1-8038-0b6dbddc5e58',
+    '6e8eb888-f8e0-11e1-b1a8-5f74056f9365',
+    'b31695ce-f8e6-11e1-b252-fb742866284b'
+];
+
+
+function setup(callback) {
+    callback();
+}
+
+function teardown(callback) {
+    callback();
+}
+
+/*
+ * Return the etags the plan was written with, checking that each write after
+ * the first used the etag the one before it got (see MockMoray.putObject).
+ */
+function putEtags(test, history) {
+    var etags = [];
+    var expected;
+
+    history.forEach(function (item, idx) {
+        if (item[0] !== 'putObject' || item[1] !== 'cnapi_reboot_plans') {
+            return;
+        }
+
+        if (expected) {
+            test.equal(item[4].etag, expected,
+                'plan should be written with the etag of its last write');
+        }
+        etags.push(item[4].etag);
+        expected = 'etag' + (idx + 1);
+    });
+
+    return etags;
+}
+
+// Returns a plan for uuids where all the servers are pending.
+function newPendingPlan() {
+    var plan = newPlan(false);
+
+    plan.servers[0] = { server_uuid: uuids[0], state: 'pending' };
+
+    return plan;
+}
+
+// Returns a plan for uuids where the first server is rebooting and the rest
+// are pending.
+function newPlan(stopOnFailure) {
+    return {
+        concurrency: 1,
+        created: '2021-03-01T00:00:00.000Z',
+        drain: false,
+        scheduled: false,
+        servers: [
+            {
+                job_uuid: jobUuid,
+                last_boot: '2021-02-01T00:00:00.000Z',
+                server_uuid: uuids[0],
+                started: (new Date()).toISOString(),
+                state: 'rebooting'
+            },
+            { server_uuid: uuids[1], state: 'pending' },
+            { server_uuid: uuids[2], state: 'pending' }
+        ],
+        state: 'running',
+        stop_on_failure: stopOnFailure,
+        updated: '2021-03-01T00:00:00.000Z',
+        uuid: planUuid
+    };
+}
+
+//
+// This tests that once a rebooting server has come back with a new last_boot,
+// it is marked complete and the next pending server is started.
+function testAdvancePlan(test) {
+    test.expect(9);
+
+    mock.newApp(function (error, app, components) {
+        test.equal(error, null, 'should not encounter an error');
+
+        var moray = components.moray;
+        var workflow = components.workflow;
+
+        workflow.client.when('getJob', [],
+            [null, {uuid: jobUuid, execution: 'succeeded'}]);
+
+        // The mock pops these, so the first is for uuids[1] when it is started
+        // and the second is for uuids[0] when it is checked.
+        moray.client.when('getObject', [], {value: {
+            last_boot: '2021-02-02T00:00:00.000Z',
+            status: 'running',
+            uuid: uuids[1]
+        }});
+        moray.client.when('getObject', [], {value: {
+            last_boot: '2021-03-01T00:05:00.000Z',
+            status: 'running',
+            uuid: uuids[0]
+        }});
+
+        ModelRebootPlan.advance(newPlan(true), 'etag1',
+            function _onAdvance(err, plan) {
+                var etags = putEtags(test, moray.client.history);
+
+                test.equal(err, null, 'advance() should succeed');
+                test.deepEqual(plan.servers.map(function (s) {
+                    return s.state;
+                }), ['complete', 'rebooting', 'pending'],
+                    'first server should be complete and second started');
+                test.equal(workflow.client.history[1][1], 'server-reboot',
+                    'should create a server-reboot job');
+                test.equal(plan.state, 'running', 'plan should be running');
+                test.deepEqual(plan.counts, {
+                    complete: 1,
+                    failed: 0,
+                    pending: 1,
+                    rebooting: 1
+                }, 'plan should include counts');
+                test.deepEqual(etags.length, 2,
+                    'plan should be written to claim and record the server');
+                test.equal(etags[0], 'etag1',
+                    'plan should first be written with its etag');
+
+                test.done();
+            });
+    });
+}
+
+//
+// This tests that when a server fails to reboot and the plan stops on failure,
+// no more reboots are started and the plan is stopped.
+function testAdvancePlanStopsOnFailure(test) {
+    test.expect(5);
+
+    mock.newApp(function (error, app, components) {
+        test.equal(error, null, 'should not encounter an error');
+
+        var workflow = components.workflow;
+
+        workflow.client.when('getJob', [],
+            [null, {uuid: jobUuid, execution: 'failed'}]);
+
+        ModelRebootPlan.advance(newPlan(true), 'etag1',
+            function _onAdvance(err, plan) {
+                test.equal(err, null, 'advance() should succeed');
+                test.deepEqual(plan.servers.map(function (s) {
+                    return s.state;
+                }), ['failed', 'pending', 'pending'],
+                    'no more servers should be started');
+                test.equal(plan.state, 'stopped', 'plan should be stopped');
+                test.equal(plan.stop_reason,
+                    'server ' + uuids[0] + ' failed to reboot',
+                    'plan should say why it stopped');
+
+                test.done();
+            });
+    });
+}
+
+//
+// This tests that when the plan has changed since it was read, claiming a
+// server fails and its reboot isn't started.
+function testAdvancePlanClaimConflict(test) {
+    test.expect(4);
+
+    mock.newApp(function (error, app, components) {
+        test.equal(error, null, 'should not encounter an error');
+
+        var moray = components.moray;
+        var workflow = components.workflow;
+
+        moray.client.when('putObject', [],
+            new VError({name: 'EtagConflictError'}, 'etag conflict'));
+        moray.client.when('getObject', [], {value: {
+            last_boot: '2021-02-02T00:00:00.000Z',
+            status: 'running',
+            uuid: uuids[0]
+        }});
+
+        ModelRebootPlan.advance(newPendingPlan(), 'etag1',
+            function _onAdvance(err) {
+                test.ok(VError.hasCauseWithName(err, 'EtagConflictError'),
+                    'advance() should fail with the conflict');
+                test.equal(workflow.client.history.filter(function (item) {
+                    return (item[0] === 'createJob');
+                }).length, 0, 'no server-reboot job should be created');
+                test.equal(moray.client.history.filter(function (item) {
+                    return (item[0] === 'putObject');
+                }).length, 1, 'only the claim should be written');
+
+                test.done();
+            });
+    });
+}
+
+//
+// This tests that when the plan changes (here, it's stopped) after a server
+// has been claimed and its reboot started, the reboot is recorded in the
+// latest plan rather than being discarded.
+function testAdvancePlanRecordConflict(test) {
+    test.expect(6);
+
+    mock.newApp(function (error, app, components) {
+        test.equal(error, null, 'should not encounter an error');
+
+        var moray = components.moray;
+        var workflow = components.workflow;
+        var stopped = newPendingPlan();
+
+        stopped.servers[0] = {
+            last_boot: '2021-02-02T00:00:00.000Z',
+            server_uuid: uuids[0],
+            started: (new Date()).toISOString(),
+            state: 'rebooting'
+        };
+        stopped.state = 'stopping';
+        stopped.stop_reason = 'stopped by operator';
+
+        // These are popped: the claim succeeds, recording the job conflicts
+        // and then succeeds against the re-read plan.
+        moray.client.when('putObject', [], undefined);
+        moray.client.when('putObject', [],
+            new VError({name: 'EtagConflictError'}, 'etag conflict'));
+        moray.client.when('putObject', [], undefined);
+        moray.client.when('getObject', [], {value: stopped, _etag: 'etag9'});
+        moray.client.when('getObject', [], {value: {
+            last_boot: '2021-02-02T00:00:00.000Z',
+            status: 'running',
+            uuid: uuids[0]
+        }});
+
+        ModelRebootPlan.advance(newPendingPlan(), 'etag1',
+            function _onAdvance(err, plan) {
+                var puts = moray.client.history.filter(function (item) {
+                    return (item[0] === 'putObject');
+                });
+
+                test.equal(err, null, 'advance() should succeed');
+                test.equal(workflow.client.history.filter(function (item) {
+                    return (item[0] === 'createJob');
+                }).length, 1, 'one server-reboot job should be created');
+                test.equal(plan.state, 'stopping',
+                    'plan should be stopping, as in the latest plan');
+                test.ok(plan.servers[0].job_uuid,
+                    'job should be recorded in the latest plan');
+                test.deepEqual(puts[puts.length - 1][4], {etag: 'etag9'},
+                    'job should be recorded with the latest etag');
+
+                test.done();
+            });
+    });
+}
+
+
+module.exports = nodeunit.testCase({
+    setUp: setup,
+    tearDown: teardown,
+    'advance a reboot plan':                  testAdvancePlan,
+    'reboot plan stops on failure':           testAdvancePlanStopsOnFailure,
+    'reboot plan claim conflict':             testAdvancePlanClaimConflict,
+    'reboot plan record conflict':            testAdvancePlanRecordConflict
+});
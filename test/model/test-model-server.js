@@ -16,6 +16,7 @@ var sprintf = require('sprintf').sprintf;
 var VError = require('verror');
 
 var ModelServer = require('../../lib/models/server');
+var serverFilter = require('../../lib/server_filter');
 
 var uuids = [
     '372bdb58-f8dd-11e1-8038-0b6dbddc5e58',
@@ -238,6 +239,154 @@ function testListServersSetup(test) {
     });
 }
 
+//
+// This tests that the indexed parts of a filter are pushed down to moray and
+// the rest is evaluated against the servers moray returns.
+function testListServersFilter(test) {
+    test.expect(3);
+
+    var expSearchResults = [
+        { uuid: uuids[0], reserved: true, traits: { ssd: true } },
+        { uuid: uuids[1], reserved: true, traits: {} },
+        { uuid: uuids[2], reserved: true, traits: { ssd: [false, true] } }
+    ];
+
+    mock.newApp(function (error, app, components) {
+        test.equal(error, null, 'should not encounter an error');
+
+        var moray = components.moray;
+
+        moray.client.when('findObjects');
+        moray.client._findObjectsResults(expSearchResults);
+
+        ModelServer.init(app);
+
+        var options = {
+            filter: serverFilter.parse('reserved=true and traits.ssd=true'),
+            limit: 1,
+            offset: 1
+        };
+
+        ModelServer.list(options, function (listError, servers) {
+            test.deepEqual(servers.map(function (s) { return s.uuid; }),
+                [uuids[2]], 'should apply filter then limit and offset');
+
+            test.deepEqual(
+                moray.client.history[0],
+                [
+                    'findObjects',
+                    'cnapi_servers',
+                    '(&(uuid=*)(&(reserved=true)!(uuid=default)))',
+                    {
+                        sort: { attribute: 'uuid', order: 'ASC' },
+                        limit: 1000
+                    }
+                ],
+                'moray history should match');
+            test.done();
+        });
+    });
+}
+
+//
+// This tests that when a filter has to be evaluated in memory, servers are
+// fetched from moray a page at a time, each page following on from the last
+// UUID of the one before.
+function testListServersFilterPages(test) {
+    test.expect(4);
+
+    var firstPage = [];
+    var i;
+
+    for (i = 0; i < 1000; i++) {
+        firstPage.push({
+            uuid: sprintf('%08d-f8dd-11e1-8038-0b6dbddc5e58', i),
+            traits: {}
+        });
+    }
+
+    mock.newApp(function (error, app, components) {
+        test.equal(error, null, 'should not encounter an error');
+
+        var moray = components.moray;
+
+        moray.client._findObjectsResults(firstPage);
+        moray.client._findObjectsResults([
+            { uuid: uuids[2], traits: { ssd: true } }
+        ]);
+
+        ModelServer.init(app);
+
+        ModelServer.list({
+            filter: serverFilter.parse('traits.ssd=true'),
+            raw: true
+        }, function (listError, servers) {
+            test.deepEqual(servers.map(function (s) { return s.uuid; }),
+                [uuids[2]], 'should find the matching server');
+            test.equal(moray.client.history.length, 2,
+                'should fetch two pages');
+            test.deepEqual(
+                moray.client.history[1],
+                [
+                    'findObjects',
+                    'cnapi_servers',
+                    '(&(&(uuid=*)!(uuid=default))' +
+                        '(uuid>=00000999-f8dd-11e1-8038-0b6dbddc5e58)' +
+                        '(!(uuid=00000999-f8dd-11e1-8038-0b6dbddc5e58)))',
+                    {
+                        sort: { attribute: 'uuid', order: 'ASC' },
+                        limit: 1000
+                    }
+                ],
+                'second page should follow on from the first');
+            test.done();
+        });
+    });
+}
+
+//
+// This tests that listing servers after a given UUID (as used by ServerList
+// cursors) asks moray only for servers with greater UUIDs.
+function testListServersAfter(test) {
+    test.expect(3);
+
+    var expSearchResults = [
+        { uuid: uuids[2] }
+    ];
+
+    mock.newApp(function (error, app, components) {
+        test.equal(error, null, 'should not encounter an error');
+
+        var moray = components.moray;
+
+        moray.client.when('findObjects');
+        moray.client._findObjectsResults(expSearchResults);
+
+        ModelServer.init(app);
+
+        ModelServer.list({
+            after: uuids[1],
+            limit: 1,
+            raw: true
+        }, function (listError, servers) {
+            test.deepEqual(servers, expSearchResults,
+                'list results should match');
+
+            test.deepEqual(
+                moray.client.history[0],
+                [
+                    'findObjects',
+                    'cnapi_servers',
+                    sprintf('(&(uuid=*)(&(uuid>=%s)(!(uuid=%s))' +
+                        '!(uuid=default)))', uuids[1], uuids[1]),
+                    { sort: { attribute: 'uuid', order: 'ASC' }, limit: 1 }
+                ],
+                'moray history should match');
+            test.done();
+        });
+    });
+}
+
 function testFetchServer(test) {
     test.expect(4);
 
@@ -475,6 +624,213 @@ function testModifyServerWithEtag(test) {
     });
 }
 
+//
+// This tests that a successful upsert publishes an event to the change feed
+// which includes the keys that changed, and that a consumer can resume from
+// the previous sequence number.
+function testModifyServerPublishesChange(test) {
+    test.expect(7);
+
+    mock.newApp(function (error, app, components) {
+        test.equal(error, null, 'should not encounter an error');
+
+        var moray = components.moray;
+        var origObj = {
+            hostname: 'dummyCN',
+            setup: true,
+            uuid: uuids[0]
+        };
+
+        moray.client.when('getObject', [], {value: origObj});
+        ModelServer.init(app);
+
+        var feed = ModelServer.changeFeed;
+        var startSeq = feed.seq;
+        var published = [];
+
+        feed.on('change', function _onChange(change) {
+            published.push(change);
+        });
+
+        ModelServer.upsert(uuids[0], {
+            reserved: true,
+            setup: false
+        }, {
+            etagRetries: 0
+        }, function _onUpsert(err, results) {
+            test.equal(err, null, 'modify server upsert() should succeed');
+            test.equal(published.length, 1, 'should publish one change');
+            test.deepEqual(published[0], results.change,
+                'upsert results should include the published change');
+            test.equal(published[0].server_uuid, uuids[0],
+                'change should be for the upserted server');
+            test.deepEqual(published[0].changed, ['reserved', 'setup'],
+                'change should list the modified keys');
+            test.deepEqual(feed.eventsSince(startSeq), published,
+                'change should be available when resuming');
+
+            test.done();
+        });
+    });
+}
+
+//
+// This tests that when the history recorder is following the change feed, an
+// upsert records the before and after values of the changed fields along with
+// who made the change, and skips fields that we don't keep history for.
+function testModifyServerRecordsHistory(test) {
+    test.expect(8);
+
+    mock.newApp(function (error, app, components) {
+        test.equal(error, null, 'should not encounter an error');
+
+        var moray = components.moray;
+        var origObj = {
+            hostname: 'dummyCN',
+            memory_available_bytes: 1024,
+            reserved: false,
+            uuid: uuids[0]
+        };
+
+        moray.client.when('getObject', [], {value: origObj});
+        ModelServer.init(app);
+        app.setupServerHistoryRecorder();
+
+        ModelServer.upsert(uuids[0], {
+            memory_available_bytes: 2048,
+            reserved: true
+        }, {
+            etagRetries: 0,
+            source: {origin: 'test', req_id: 'abc123'}
+        }, function _onUpsert(err) {
+            var entry;
+
+            test.equal(err, null, 'modify server upsert() should succeed');
+            test.equal(moray.client.history.length, 3,
+                'should be 3 requests in the moray history');
+            test.equal(moray.client.history[2][1], 'cnapi_server_history',
+                'last request should be to the history bucket');
+
+            entry = moray.client.history[2][3];
+
+            test.equal(entry.server_uuid, uuids[0],
+                'entry should be for the upserted server');
+            test.deepEqual(entry.fields, ['reserved'],
+                'entry should only include recorded fields');
+            test.deepEqual(entry.changes.reserved, {
+                before: false,
+                after: true
+            }, 'entry should include before and after values');
+            test.deepEqual(entry.source, {origin: 'test', req_id: 'abc123'},
+                'entry should include the source of the change');
+
+            test.done();
+        });
+    });
+}
+
+//
+// This tests that bulkUpsert reports the result of each server's update
+// separately, and that one server failing doesn't stop the others.
+function testBulkModifyServers(test) {
+    test.expect(3);
+
+    mock.newApp(function (error, app, components) {
+        test.equal(error, null, 'should not encounter an error');
+
+        var moray = components.moray;
+
+        // The mock pops these, so they're in reverse order: uuids[0] will be
+        // updated successfully, uuids[1] will have an Etag conflict and
+        // uuids[2] does not exist.
+        moray.client.when('getObject', [], {value: {uuid: uuids[1]}});
+        moray.client.when('getObject', [], {value: {uuid: uuids[0]}});
+        moray.client.when('putObject', [], new VError({
+            name: 'EtagConflictError'
+        }, 'conflict'));
+        moray.client.when('putObject', [], undefined);
+
+        ModelServer.init(app);
+
+        ModelServer.bulkUpsert(uuids, {
+            reserved: true
+        }, {
+            concurrency: 1,
+            etagRetries: 0
+        }, function _onBulkUpsert(err, results) {
+            test.equal(err, null, 'bulkUpsert() should succeed');
+            test.deepEqual(results, [
+                {server_uuid: uuids[0], result: 'success'},
+                {server_uuid: uuids[1], result: 'etag-conflict',
+                    error: 'conflict'},
+                {server_uuid: uuids[2], result: 'failure',
+                    error: 'server not found'}
+            ], 'should have a result for each server');
+
+            test.done();
+        });
+    });
+}
+
+//
+// This tests that a server's maintenance state is written to its record when
+// set, and removed from the record when cleared.
+function testModifyServerMaintenance(test) {
+    test.expect(6);
+
+    mock.newApp(function (error, app, components) {
+        test.equal(error, null, 'should not encounter an error');
+
+        var moray = components.moray;
+        var maintenance = {
+            owner: 'ops',
+            reason: 'replace disk',
+            start: '2021-03-01T00:00:00.000Z'
+        };
+        var origObj = {
+            hostname: 'dummyCN',
+            uuid: uuids[0]
+        };
+
+        // The mock pops these, so the first upsert sees origObj and the second
+        // sees the server in maintenance.
+        moray.client.when('getObject', [], {value: {
+            hostname: origObj.hostname,
+            maintenance: maintenance,
+            uuid: uuids[0]
+        }});
+        moray.client.when('getObject', [], {value: origObj});
+        ModelServer.init(app);
+
+        ModelServer.upsert(uuids[0], {
+            maintenance: maintenance
+        }, {
+            allowCreate: false,
+            etagRetries: 0
+        }, function _onSet(setErr, results) {
+            test.equal(setErr, null, 'setting maintenance should succeed');
+            test.deepEqual(moray.client.history[1][3].maintenance, maintenance,
+                'maintenance should be written to the server');
+            test.deepEqual(results.change.changed, ['maintenance'],
+                'change should be to maintenance');
+
+            ModelServer.upsert(uuids[0], {
+                maintenance: undefined
+            }, {
+                allowCreate: false,
+                etagRetries: 0
+            }, function _onClear(clearErr) {
+                test.equal(clearErr, null,
+                    'clearing maintenance should succeed');
+                test.equal(moray.client.history[3][3].maintenance, undefined,
+                    'maintenance should be removed from the server');
+
+                test.done();
+            });
+        });
+    });
+}
+
 function testSetBootParameters(test) {
     test.expect(5);
 
@@ -790,12 +1146,19 @@ module.exports = nodeunit.testCase({
     'list all servers':                       testListServersAll,
     'list multiple servers by uuid':          testListServersByUuids,
     'list servers which are marked as setup': testListServersSetup,
+    'list servers matching a filter':         testListServersFilter,
+    'list filtered servers in pages':         testListServersFilterPages,
+    'list servers after a uuid':              testListServersAfter,
     'fetch a particular server':              testFetchServer,
     'create server':                          testCreateServer,
     'delete a server':                        testDeleteServer,
     'reboot server':                          testRebootServer,
     'modify server':                          testModifyServer,
     'modify server with etag':                testModifyServerWithEtag,
+    'modify server publishes change':         testModifyServerPublishesChange,
+    'modify server records history':          testModifyServerRecordsHistory,
+    'bulk modify servers':                    testBulkModifyServers,
+    'set and clear server maintenance':       testModifyServerMaintenance,
     'set server boot parameters':             testSetBootParameters,
     'update server boot parameters':          testUpdateBootParameters
 });
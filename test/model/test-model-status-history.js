@@ -0,0 +1,149 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2021 Joyent, Inc.
+ */
+
+var mock = require('../lib/mock');
+var nodeunit = require('nodeunit');
+
+var ModelStatusHistory = require('../../lib/models/status_history');
+
+var serverUuid = '372bdb58-f8dd-11e1-8038-0b6dbddc5e58';
+
+
+function setup(callback) {
+    callback();
+}
+
+function teardown(callback) {
+    callback();
+}
+
+// Returns 'count' transitions alternating between running and unknown, one a
+// minute, ending now.
+function newTransitions(count) {
+    var idx;
+    var now = Date.now();
+    var transitions = [];
+
+    for (idx = 0; idx < count; idx++) {
+        transitions.push({
+            previous: (idx % 2 === 0) ? 'running' : 'unknown',
+            status: (idx % 2 === 0) ? 'unknown' : 'running',
+            timestamp: new Date(now - (count - idx) * 60 * 1000).toISOString()
+        });
+    }
+
+    return transitions;
+}
+
+//
+// This tests that a status change is appended to the server's status history,
+// and that only the most recent transitions are kept.
+function testRecordStatusChange(test) {
+    test.expect(6);
+
+    mock.newApp(function (error, app, components) {
+        test.equal(error, null, 'should not encounter an error');
+
+        var max = ModelStatusHistory.STATUS_HISTORY_MAX_TRANSITIONS;
+        var moray = components.moray;
+        var timestamp = (new Date()).toISOString();
+
+        moray.client.when('getObject', [], {
+            _etag: 'etag1',
+            value: {
+                server_uuid: serverUuid,
+                transitions: newTransitions(max)
+            }
+        });
+
+        ModelStatusHistory.record({
+            changed: ['status'],
+            server_uuid: serverUuid,
+            timestamp: timestamp
+        }, {
+            before: {status: 'running', uuid: serverUuid},
+            after: {status: 'unknown', uuid: serverUuid}
+        }, function _onRecord(err, history) {
+            var put = moray.client.history[moray.client.history.length - 1];
+
+            test.equal(err, null, 'record() should succeed');
+            test.equal(history.transitions.length, max,
+                'only the most recent transitions should be kept');
+            test.deepEqual(history.transitions[max - 1], {
+                previous: 'running',
+                status: 'unknown',
+                timestamp: timestamp
+            }, 'the new transition should be last');
+            test.deepEqual(put.slice(0, 3).concat(put[4]), [
+                'putObject', 'cnapi_status_history', serverUuid,
+                {etag: 'etag1'}
+            ], 'status history should be written with its etag');
+
+            ModelStatusHistory.record({
+                changed: ['reserved'],
+                server_uuid: serverUuid,
+                timestamp: timestamp
+            }, {
+                before: {reserved: false, uuid: serverUuid},
+                after: {reserved: true, uuid: serverUuid}
+            }, function _onRecordOther(otherErr, otherHistory) {
+                test.equal(otherHistory, undefined,
+                    'other changes should not be recorded');
+                test.done();
+            });
+        });
+    });
+}
+
+//
+// This tests that a server is only flapping once it has dropped out of running
+// more than the threshold number of times within the window.
+function testGetFlapping(test) {
+    test.expect(7);
+
+    mock.newApp(function (error, app, components) {
+        test.equal(error, null, 'should not encounter an error');
+
+        var moray = components.moray;
+
+        // 4 transitions is 2 flaps, and 8 is 4 flaps.
+        moray.client.when('getObject', [], {value: {
+            server_uuid: serverUuid,
+            transitions: newTransitions(8)
+        }});
+        moray.client.when('getObject', [], {value: {
+            server_uuid: serverUuid,
+            transitions: newTransitions(4)
+        }});
+
+        ModelStatusHistory.get(serverUuid, function _onGet(err, history) {
+            test.equal(err, null, 'get() should succeed');
+            test.equal(history.flaps, 2, 'should count flaps');
+            test.equal(history.flapping, false, 'should not be flapping');
+
+            ModelStatusHistory.get(serverUuid,
+                function _onGetFlapping(flappingErr, flappingHistory) {
+                    test.equal(flappingErr, null, 'get() should succeed');
+                    test.equal(flappingHistory.flaps, 4, 'should count flaps');
+                    test.equal(flappingHistory.flapping, true,
+                        'should be flapping');
+                    test.done();
+                });
+        });
+    });
+}
+
+
+module.exports = nodeunit.testCase({
+    setUp: setup,
+    tearDown: teardown,
+    'record a status change':                 testRecordStatusChange,
+    'detect a flapping server':               testGetFlapping
+});
@@ -0,0 +1,502 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2021 Joyent, Inc.
+ */
+
+var mock = require('../lib/mock');
+var nodeunit = require('nodeunit');
+
+var ModelWaitlist = require('../../lib/models/waitlist');
+
+var serverUuid = '372bdb58-f8dd-11e1-8038-0b6dfcbd8a01';
+var otherServerUuid = '372bdb58-f8dd-11e1-8038-0b6dfcbd8a02';
+var groupUuid = 'c1d2e3f4-2f0e-11ec-8a4b-0a1b2c3d4e07';
+var vmUuid = '4f0c8f36-2f0e-11ec-8a4b-0a1b2c3d4e06';
+
+
+function setup(callback) {
+    callback();
+}
+
+function teardown(callback) {
+    callback();
+}
+
+function newTicket(n, mode, status) {
+    return {
+        created_at: '2021-10-01T00:00:0' + n + '.000Z',
+        expires_at: '2021-10-01T01:00:00.000Z',
+        id: vmUuid,
+        mode: mode,
+        scope: 'vm',
+        server_uuid: serverUuid,
+        status: status,
+        updated_at: '2021-10-01T00:00:0' + n + '.000Z',
+        uuid: 'b0c1d2e3-2f0e-11ec-8a4b-0a1b2c3d4e0' + n
+    };
+}
+
+/*
+ * Activate tickets in a queue holding 'tickets', calling back with the UUIDs
+ * of the tickets activated.
+ */
+function activate(tickets, callback) {
+    mock.newApp(function (error, app, components) {
+        if (error) {
+            callback(error);
+            return;
+        }
+
+        components.moray.client._findObjectsResults(tickets);
+
+        ModelWaitlist.activateOneTicket({
+            id: vmUuid,
+            scope: 'vm',
+            server_uuid: serverUuid
+        }, function _onActivate(err) {
+            var activated = components.moray.client.history.filter(
+                function (item) {
+                    return (item[0] === 'putObject');
+                }).map(function (item) {
+                    return item[2];
+                });
+
+            callback(err, activated);
+        });
+    });
+}
+
+//
+// This tests that the shared tickets at the front of the queue are activated
+// together, up to the first exclusive one.
+function testActivateShared(test) {
+    test.expect(2);
+
+    var tickets = [
+        newTicket(1, 'shared', 'queued'),
+        newTicket(2, 'shared', 'queued'),
+        newTicket(3, 'exclusive', 'queued'),
+        newTicket(4, 'shared', 'queued')
+    ];
+
+    activate(tickets, function (err, activated) {
+        test.equal(err, null, 'activateOneTicket() should succeed');
+        test.deepEqual(activated, [tickets[0].uuid, tickets[1].uuid],
+            'leading shared tickets should be activated');
+        test.done();
+    });
+}
+
+//
+// This tests that shared tickets are activated while only shared tickets are
+// active.
+function testJoinShared(test) {
+    test.expect(2);
+
+    var tickets = [
+        newTicket(1, 'shared', 'active'),
+        newTicket(2, 'shared', 'queued'),
+        newTicket(3, 'exclusive', 'queued')
+    ];
+
+    activate(tickets, function (err, activated) {
+        test.equal(err, null, 'activateOneTicket() should succeed');
+        test.deepEqual(activated, [tickets[1].uuid],
+            'queued shared ticket should join the active one');
+        test.done();
+    });
+}
+
+//
+// This tests that an exclusive ticket waits for active shared tickets, and
+// that shared tickets queued after it wait for it.
+function testExclusiveWaitsForShared(test) {
+    test.expect(2);
+
+    var tickets = [
+        newTicket(1, 'shared', 'active'),
+        newTicket(2, 'exclusive', 'queued'),
+        newTicket(3, 'shared', 'queued')
+    ];
+
+    activate(tickets, function (err, activated) {
+        test.equal(err, null, 'activateOneTicket() should succeed');
+        test.deepEqual(activated, [], 'no tickets should be activated');
+        test.done();
+    });
+}
+
+//
+// This tests that an exclusive ticket is activated on its own, and that
+// tickets without a mode are exclusive.
+function testActivateExclusive(test) {
+    test.expect(2);
+
+    var tickets = [
+        newTicket(1, undefined, 'queued'),
+        newTicket(2, 'shared', 'queued')
+    ];
+
+    activate(tickets, function (err, activated) {
+        test.equal(err, null, 'activateOneTicket() should succeed');
+        test.deepEqual(activated, [tickets[0].uuid],
+            'only the exclusive ticket should be activated');
+        test.done();
+    });
+}
+
+//
+// This tests that a queued ticket with a higher priority is activated before
+// older ones.
+function testActivatePriority(test) {
+    test.expect(2);
+
+    var tickets = [
+        newTicket(1, 'exclusive', 'queued'),
+        newTicket(2, 'exclusive', 'queued'),
+        newTicket(3, 'exclusive', 'queued')
+    ];
+
+    tickets[2].priority = 10;
+
+    activate(tickets, function (err, activated) {
+        test.equal(err, null, 'activateOneTicket() should succeed');
+        test.deepEqual(activated, [tickets[2].uuid],
+            'highest priority ticket should be activated');
+        test.done();
+    });
+}
+
+//
+// This tests that listing a server's tickets gives each queued ticket its
+// position in its queue.
+function testListQueuePositions(test) {
+    test.expect(4);
+
+    var tickets = [
+        newTicket(1, 'exclusive', 'active'),
+        newTicket(2, 'exclusive', 'queued'),
+        newTicket(3, 'exclusive', 'queued'),
+        newTicket(4, 'exclusive', 'queued')
+    ];
+
+    tickets[3].priority = 10;
+
+    mock.newApp(function (error, app, components) {
+        test.equal(error, null, 'should not encounter an error');
+
+        // The listed tickets, then the queued tickets of the server.
+        components.moray.client._findObjectsResults(tickets);
+        components.moray.client._findObjectsResults(tickets.slice(1));
+
+        ModelWaitlist.list({ server_uuid: serverUuid },
+        function _onList(err, listed) {
+            test.equal(err, null, 'list() should succeed');
+            test.equal(listed[0].queue_position, undefined,
+                'active ticket should have no position');
+            test.deepEqual(listed.slice(1).map(function (ticket) {
+                return ticket.queue_position;
+            }), [2, 3, 1], 'queued tickets should be in priority order');
+            test.done();
+        });
+    });
+}
+
+/*
+ * Make a group of two tickets, for the VM on this server and on the other
+ * server.
+ */
+function newTicketGroup(n) {
+    var tickets = [newTicket(n, 'exclusive', 'queued'),
+        newTicket(n + 1, 'exclusive', 'queued')];
+
+    tickets[1].created_at = tickets[0].created_at;
+    tickets[1].server_uuid = otherServerUuid;
+    tickets.forEach(function (ticket) {
+        ticket.group_uuid = groupUuid;
+    });
+
+    return tickets;
+}
+
+/*
+ * Activate tickets in the queue on this server, given the results of each
+ * moray query made, calling back with the keys of the tickets written.
+ */
+function activateWithResults(results, callback) {
+    mock.newApp(function (error, app, components) {
+        if (error) {
+            callback(error);
+            return;
+        }
+
+        results.forEach(function (tickets) {
+            components.moray.client._findObjectsResults(tickets);
+        });
+
+        ModelWaitlist.activateOneTicket({
+            id: vmUuid,
+            scope: 'vm',
+            server_uuid: serverUuid
+        }, function _onActivate(err) {
+            var written = [];
+
+            components.moray.client.history.forEach(function (item) {
+                if (item[0] === 'putObject') {
+                    written.push(item[2]);
+                } else if (item[0] === 'batch') {
+                    item[1].forEach(function (request) {
+                        written.push(request.key);
+                    });
+                }
+            });
+
+            callback(err, written);
+        });
+    });
+}
+
+//
+// This tests that the tickets of a group are activated together once each is
+// next in its queue.
+function testActivateGroup(test) {
+    test.expect(2);
+
+    var group = newTicketGroup(1);
+
+    // This queue, the group, then the queues of each of its tickets.
+    activateWithResults([
+        [group[0]],
+        group,
+        [group[0]],
+        [group[1]]
+    ], function (err, written) {
+        test.equal(err, null, 'activateOneTicket() should succeed');
+        test.deepEqual(written, [group[0].uuid, group[1].uuid],
+            'group tickets should be activated together');
+        test.done();
+    });
+}
+
+//
+// This tests that no ticket of a group is activated while one of them is
+// waiting in its queue, and that the queues it's next in wait for it.
+function testGroupWaits(test) {
+    test.expect(2);
+
+    var group = newTicketGroup(2);
+    var active = newTicket(1, 'exclusive', 'active');
+
+    active.server_uuid = otherServerUuid;
+
+    activateWithResults([
+        [group[0], newTicket(4, 'exclusive', 'queued')],
+        group,
+        [group[0]],
+        [active, group[1]]
+    ], function (err, written) {
+        test.equal(err, null, 'activateOneTicket() should succeed');
+        test.deepEqual(written, [], 'no tickets should be activated');
+        test.done();
+    });
+}
+
+//
+// This tests that tickets created in the same millisecond with the same
+// priority are put in order by their group's UUID, or their own when they
+// aren't in a group, whatever order moray returns them in, so that groups are
+// in the same order in every queue they share.
+function testQueueOrderTiebreak(test) {
+    test.expect(5);
+
+    var tickets = [
+        newTicket(3, 'exclusive', 'queued'),
+        newTicket(2, 'exclusive', 'queued'),
+        newTicket(1, 'exclusive', 'queued')
+    ];
+
+    tickets.forEach(function (ticket) {
+        ticket.created_at = tickets[2].created_at;
+    });
+    tickets[0].group_uuid = groupUuid;
+
+    mock.newApp(function (error, app, components) {
+        test.equal(error, null, 'should not encounter an error');
+
+        components.moray.client._findObjectsResults(tickets);
+        components.moray.client._findObjectsResults(
+            tickets.slice().reverse());
+
+        ModelWaitlist.addQueuePositions(serverUuid, tickets,
+        function _onFirst(err, first) {
+            var positions = first.map(function (ticket) {
+                return ticket.queue_position;
+            });
+
+            test.equal(err, null, 'addQueuePositions() should succeed');
+            test.deepEqual(positions, [3, 2, 1],
+                'tickets should be ordered by group or ticket UUID');
+
+            tickets.forEach(function (ticket) {
+                delete ticket.queue_position;
+            });
+
+            ModelWaitlist.addQueuePositions(serverUuid, tickets,
+            function _onSecond(err2, second) {
+                test.equal(err2, null, 'addQueuePositions() should succeed');
+                test.deepEqual(second.map(function (ticket) {
+                    return ticket.queue_position;
+                }), positions, 'order should not depend on moray');
+                test.done();
+            });
+        });
+    });
+}
+
+/*
+ * Renew 'ticket', calling back with the error and the tickets written.
+ */
+function renew(ticket, callback) {
+    mock.newApp(function (error, app, components) {
+        if (error) {
+            callback(error);
+            return;
+        }
+
+        components.moray.client.when('getObject', [], { value: ticket });
+
+        ModelWaitlist.renewTicket(ticket.uuid, function _onRenew(err) {
+            var written = components.moray.client.history.filter(
+                function (item) {
+                    return (item[0] === 'putObject');
+                }).map(function (item) {
+                    return item[3];
+                });
+
+            callback(err, written);
+        });
+    });
+}
+
+//
+// This tests that renewing a lease ticket pushes its expiry out to
+// `lease_seconds` from now.
+function testRenewLease(test) {
+    test.expect(3);
+
+    var ticket = newTicket(1, 'exclusive', 'active');
+    var before = Date.now();
+
+    ticket.lease_seconds = 60;
+    ticket.expires_at = new Date(before + 10 * 1000).toISOString();
+
+    renew(ticket, function (err, written) {
+        test.equal(err, null, 'renewTicket() should succeed');
+        test.equal(written.length, 1, 'ticket should be written');
+        test.ok(new Date(written[0].expires_at).getTime() >=
+            before + 60 * 1000, 'expiry should be a lease from now');
+        test.done();
+    });
+}
+
+//
+// This tests that tickets with a fixed expiry can't be renewed.
+function testRenewNotLease(test) {
+    test.expect(2);
+
+    var ticket = newTicket(1, 'exclusive', 'active');
+
+    renew(ticket, function (err, written) {
+        test.ok(err, 'renewTicket() should fail');
+        test.deepEqual(written, [], 'ticket should not be written');
+        test.done();
+    });
+}
+
+//
+// This tests that a lease ticket can't be renewed once its lease has lapsed,
+// even before it's been marked as expired.
+function testRenewLapsed(test) {
+    test.expect(2);
+
+    var ticket = newTicket(1, 'exclusive', 'active');
+
+    ticket.lease_seconds = 60;
+    ticket.expires_at = new Date(Date.now() - 1000).toISOString();
+
+    renew(ticket, function (err, written) {
+        test.ok(err, 'renewTicket() should fail');
+        test.deepEqual(written, [], 'ticket should not be written');
+        test.done();
+    });
+}
+
+//
+// This tests that renewing a group of lease tickets by the group's uuid renews
+// each of its tickets.
+function testRenewGroup(test) {
+    test.expect(6);
+
+    var before = Date.now();
+    var group = newTicketGroup(1);
+
+    group.forEach(function (ticket) {
+        ticket.lease_seconds = 60;
+        ticket.expires_at = new Date(before + 10 * 1000).toISOString();
+    });
+
+    mock.newApp(function (error, app, components) {
+        test.equal(error, null, 'should not encounter an error');
+
+        var moray = components.moray.client;
+
+        // The group's uuid isn't a ticket's, then each ticket is renewed.
+        moray.when('getObject', [], { value: group[1] });
+        moray.when('getObject', [], { value: group[0] });
+        moray.when('getObject', [], { value: null });
+        moray._findObjectsResults(group);
+
+        ModelWaitlist.renewTicket(groupUuid, function _onRenew(err, renewed) {
+            var written = moray.history.filter(function (item) {
+                return (item[0] === 'putObject');
+            }).map(function (item) {
+                return item[3];
+            });
+
+            test.equal(err, null, 'renewTicket() should succeed');
+            test.equal(renewed.uuid, groupUuid, 'should return the group');
+            test.deepEqual(written.map(function (ticket) {
+                return ticket.uuid;
+            }), [group[0].uuid, group[1].uuid], 'tickets should be written');
+            written.forEach(function (ticket) {
+                test.ok(new Date(ticket.expires_at).getTime() >=
+                    before + 60 * 1000, 'expiry should be a lease from now');
+            });
+            test.done();
+        });
+    });
+}
+
+
+module.exports = nodeunit.testCase({
+    setUp: setup,
+    tearDown: teardown,
+    'activate leading shared tickets':         testActivateShared,
+    'activate shared with active shared':      testJoinShared,
+    'exclusive waits for active shared':       testExclusiveWaitsForShared,
+    'activate exclusive ticket alone':         testActivateExclusive,
+    'activate highest priority ticket':        testActivatePriority,
+    'list queue positions':                    testListQueuePositions,
+    'activate ticket group':                   testActivateGroup,
+    'ticket group waits':                      testGroupWaits,
+    'queue order tiebreak':                    testQueueOrderTiebreak,
+    'renew lease ticket':                      testRenewLease,
+    'renew ticket without lease':              testRenewNotLease,
+    'renew lapsed lease ticket':               testRenewLapsed,
+    'renew lease ticket group':                testRenewGroup
+});
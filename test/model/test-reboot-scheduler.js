@@ -0,0 +1,130 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2021 Joyent, Inc.
+ */
+
+var mock = require('../lib/mock');
+var nodeunit = require('nodeunit');
+
+var RebootScheduler = require('../../lib/reboot_scheduler');
+
+var uuids = [
+    '372bdb58-f8dd-11e1-8038-0b6dbddc5e58',
+    '6e8eb888-f8e0-11e1-b1a8-5f74056f9365'
+];
+
+
+function setup(callback) {
+    callback();
+}
+
+function teardown(callback) {
+    callback();
+}
+
+function puts(history, bucket) {
+    return history.filter(function (h) {
+        return (h[0] === 'putObject' && h[1] === bucket);
+    });
+}
+
+//
+// This tests that a due server is only put in a scheduled plan when this
+// scheduler is the one which cleared its next_reboot, so that a server another
+// CNAPI instance has already claimed isn't rebooted twice.
+function testScheduleOnlyClaimedServers(test) {
+    test.expect(8);
+
+    mock.newApp(function (error, app, components) {
+        test.equal(error, null, 'should not encounter an error');
+
+        var activePlans = [];
+        var moray = components.moray;
+        var nextReboot = new Date(Date.now() - 60 * 1000).toISOString();
+        var scheduler = new RebootScheduler({log: app.getLog()});
+
+        moray.client._findObjectsResults([
+            {next_reboot: nextReboot, status: 'running', uuid: uuids[0]},
+            {next_reboot: nextReboot, status: 'running', uuid: uuids[1]}
+        ]);
+
+        // The servers are claimed in order, so the second server is read
+        // first. Another instance has already cleared its next_reboot.
+        moray.client.when('getObject', [], {value: {
+            status: 'running',
+            uuid: uuids[1]
+        }});
+        moray.client.when('getObject', [], {value: {
+            next_reboot: nextReboot,
+            status: 'running',
+            uuid: uuids[0]
+        }});
+
+        scheduler._scheduleDueReboots(activePlans,
+            function _onSchedule(err) {
+                var planPuts = puts(moray.client.history,
+                    'cnapi_reboot_plans');
+                var serverPuts = puts(moray.client.history, 'cnapi_servers');
+
+                test.equal(err, undefined,
+                    '_scheduleDueReboots() should succeed');
+                test.equal(serverPuts.length, 1,
+                    'only the unclaimed server should be written');
+                test.equal(serverPuts[0][2], uuids[0],
+                    'unclaimed server should be written');
+                test.equal(serverPuts[0][3].next_reboot, undefined,
+                    'next_reboot should be cleared');
+                test.equal(planPuts.length, 1, 'should create one plan');
+                test.deepEqual(planPuts[0][3].servers, [
+                    {server_uuid: uuids[0], state: 'pending'}
+                ], 'plan should only have the claimed server');
+                test.deepEqual(activePlans, [planPuts[0][3]],
+                    'plan should be active');
+                test.done();
+            });
+    });
+}
+
+//
+// This tests that no plan is created when another instance has claimed all the
+// due servers.
+function testScheduleNothingClaimed(test) {
+    test.expect(3);
+
+    mock.newApp(function (error, app, components) {
+        test.equal(error, null, 'should not encounter an error');
+
+        var moray = components.moray;
+        var nextReboot = new Date(Date.now() - 60 * 1000).toISOString();
+        var scheduler = new RebootScheduler({log: app.getLog()});
+
+        moray.client._findObjectsResults([
+            {next_reboot: nextReboot, status: 'running', uuid: uuids[0]}
+        ]);
+        moray.client.when('getObject', [], {value: {
+            status: 'running',
+            uuid: uuids[0]
+        }});
+
+        scheduler._scheduleDueReboots([], function _onSchedule(err) {
+            test.equal(err, undefined, '_scheduleDueReboots() should succeed');
+            test.equal(moray.client.history.filter(function (h) {
+                return (h[0] === 'putObject');
+            }).length, 0, 'nothing should be written');
+            test.done();
+        });
+    });
+}
+
+
+module.exports = nodeunit.testCase({
+    setUp: setup,
+    tearDown: teardown,
+    'schedule only claimed servers':        testScheduleOnlyClaimedServers,
+    'schedule nothing when none claimed':   testScheduleNothingClaimed
+});
@@ -0,0 +1,238 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2021 Joyent, Inc.
+ */
+
+var nodeunit = require('nodeunit');
+var VError = require('verror');
+
+var buckets = require('../../lib/apis/moray').BUCKETS;
+var serverFilter = require('../../lib/server_filter');
+
+var index = buckets.servers.bucket.index;
+
+
+function setup(callback) {
+    callback();
+}
+
+function teardown(callback) {
+    callback();
+}
+
+/*
+ * Return the message of the error parsing 'str' throws, checking that it's a
+ * FilterParseError.
+ */
+function parseError(test, str) {
+    try {
+        serverFilter.parse(str);
+    } catch (err) {
+        test.ok(VError.hasCauseWithName(err, serverFilter.PARSE_ERROR),
+            'error for ' + JSON.stringify(str) + ' should be a parse error');
+        return err.message;
+    }
+
+    test.ok(false, JSON.stringify(str) + ' should not parse');
+    return undefined;
+}
+
+function matches(str, server) {
+    return serverFilter.match(serverFilter.parse(str), server);
+}
+
+function pushdown(str) {
+    return serverFilter.toMorayFilter(serverFilter.parse(str), index);
+}
+
+//
+// This tests that invalid filters are rejected with errors saying why.
+function testParseErrors(test) {
+    var cases = [
+        ['', 'filter is empty'],
+        ['   ', 'filter is empty'],
+        ['bogus=1', 'unknown field "bogus"'],
+        ['traits.=1', 'unknown field "traits."'],
+        ['status=', 'expected a value for "status" but found end of filter'],
+        ['status running', 'expected op but found "running" at position 14'],
+        ['(status=running', 'expected ) but found end of filter'],
+        ['status=running)', 'unexpected ")" at position 14'],
+        ['status=running hostname=a',
+            'unexpected "hostname" at position 23'],
+        ['status="running', 'unterminated quoted value'],
+        ['status!running', 'unexpected "!" at position 6'],
+        ['status=running and', 'expected word but found end of filter'],
+        ['reserved<true', 'field "reserved" only supports "=" and "!="'],
+        ['reserved=yes',
+            'field "reserved" must be compared with true or false'],
+        ['ram^=1', 'field "ram" does not support "^="'],
+        ['ram=lots', 'field "ram" must be compared with a number']
+    ];
+
+    test.expect(cases.length * 2);
+
+    cases.forEach(function (c) {
+        test.equal(parseError(test, c[0]), c[1],
+            'error message for ' + JSON.stringify(c[0]));
+    });
+    test.done();
+}
+
+//
+// This tests that 'not' binds tighter than 'and', which binds tighter than
+// 'or', and that parentheses override that.
+function testParsePrecedence(test) {
+    test.expect(4);
+
+    test.deepEqual(serverFilter.parse(
+        'status=running or not reserved=true and setup=true'), {
+        op: 'or',
+        args: [
+            {op: 'eq', field: 'status', type: 'string', value: 'running'},
+            {op: 'and', args: [
+                {op: 'not', arg: {op: 'eq', field: 'reserved',
+                    type: 'boolean', value: true}},
+                {op: 'eq', field: 'setup', type: 'boolean', value: true}
+            ]}
+        ]
+    }, 'not, then and, then or');
+
+    test.deepEqual(serverFilter.parse(
+        '(status=running OR reserved=true) AND NOT (setup=true)'), {
+        op: 'and',
+        args: [
+            {op: 'or', args: [
+                {op: 'eq', field: 'status', type: 'string', value: 'running'},
+                {op: 'eq', field: 'reserved', type: 'boolean', value: true}
+            ]},
+            {op: 'not', arg: {op: 'eq', field: 'setup', type: 'boolean',
+                value: true}}
+        ]
+    }, 'parentheses group, and keywords are case insensitive');
+
+    test.equal(matches('status=running or reserved=true and setup=true',
+        {status: 'running', reserved: false, setup: false}), true,
+        'or should be looser than and');
+    test.equal(matches('(status=running or reserved=true) and setup=true',
+        {status: 'running', reserved: false, setup: false}), false,
+        'parentheses should group the or');
+    test.done();
+}
+
+//
+// This tests quoted values and escapes in them.
+function testParseQuoting(test) {
+    test.expect(5);
+
+    test.equal(serverFilter.parse('hostname="a b(c)=d"').value, 'a b(c)=d',
+        'quoted value may contain spaces, parentheses and operators');
+    test.equal(serverFilter.parse('hostname="say \\"hi\\""').value,
+        'say "hi"', 'backslash escapes a quote');
+    test.equal(serverFilter.parse('hostname="a\\\\b"').value, 'a\\b',
+        'backslash escapes a backslash');
+    test.equal(serverFilter.parse('hostname="and"').value, 'and',
+        'quoted keyword is a value');
+    test.equal(serverFilter.parse('hostname=""').value, '',
+        'quoted value may be empty');
+    test.done();
+}
+
+//
+// This tests ranges, prefixes, '!=' and trait values in match().
+function testMatch(test) {
+    var server = {
+        current_platform: '20210101T000000Z',
+        hostname: 'cn-r2-07',
+        ram: 65536,
+        status: 'running',
+        traits: {
+            gpus: ['a100', 'v100'],
+            ssd: true,
+            zone: 3
+        }
+    };
+    var cases = [
+        ['ram>=65536', true],
+        ['ram>65536', false],
+        ['ram<65537', true],
+        ['ram<=65535', false],
+        ['current_platform<20210201T000000Z', true],
+        ['hostname^=cn-r2-', true],
+        ['hostname^=cn-r3-', false],
+        ['status!=running', false],
+        ['rack_identifier!=R1', true],
+        ['rack_identifier=R1', false],
+        ['traits.gpus=v100', true],
+        ['traits.gpus!=v100', false],
+        ['traits.gpus!=t4', true],
+        ['traits.gpus^=a1', true],
+        ['traits.ssd=true', true],
+        ['traits.ssd>true', false],
+        ['traits.zone>=3', true],
+        ['traits.zone<10', true],
+        ['traits.zone=03', true],
+        ['traits.missing!=x', true],
+        ['traits.missing=x', false]
+    ];
+
+    test.expect(cases.length);
+
+    cases.forEach(function (c) {
+        test.equal(matches(c[0], server), c[1], c[0]);
+    });
+    test.done();
+}
+
+//
+// This tests which parts of a filter are pushed down to moray, and whether
+// the result is exact.
+function testToMorayFilter(test) {
+    var cases = [
+        // A single term isn't wrapped in '(&...)'.
+        ['hostname=cn1', '(hostname=cn1)', true],
+        ['hostname^=cn', '(hostname=cn*)', true],
+        ['hostname<=cn5', '(hostname<=cn5)', true],
+        ['hostname<cn5', '(hostname<=cn5)', false],
+        ['hostname>cn5', '(hostname>=cn5)', false],
+        ['hostname="a*(b)"', '(hostname=a\\2a\\28b\\29)', true],
+        ['hostname!=cn1', undefined, false],
+        ['not hostname=cn1', undefined, false],
+        ['status=running', undefined, false],
+        ['traits.ssd=true', undefined, false],
+        ['reserved=true and setup=true',
+            '(&(reserved=true)(setup=true))', true],
+        // Unindexed terms of an 'and' are dropped, and it's single again.
+        ['reserved=true and status=running', '(reserved=true)', false],
+        ['reserved=true or setup=true',
+            '(|(reserved=true)(setup=true))', true],
+        ['reserved=true or status=running', undefined, false],
+        ['(reserved=true or setup=true) and hostname^=cn',
+            '(&(|(reserved=true)(setup=true))(hostname=cn*))', true]
+    ];
+
+    test.expect(cases.length * 2);
+
+    cases.forEach(function (c) {
+        var result = pushdown(c[0]);
+
+        test.equal(result.filter, c[1], 'filter for ' + c[0]);
+        test.equal(result.exact, c[2], 'exactness for ' + c[0]);
+    });
+    test.done();
+}
+
+
+module.exports = nodeunit.testCase({
+    setUp: setup,
+    tearDown: teardown,
+    'parse errors':                   testParseErrors,
+    'parse precedence':               testParsePrecedence,
+    'parse quoting':                  testParseQuoting,
+    'match comparisons':              testMatch,
+    'moray filter pushdown':          testToMorayFilter
+});
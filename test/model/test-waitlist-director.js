@@ -0,0 +1,209 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2021 Joyent, Inc.
+ */
+
+var mock = require('../lib/mock');
+var nodeunit = require('nodeunit');
+
+var ModelWaitlist = require('../../lib/models/waitlist');
+var WaitlistNotifier = require('../../lib/waitlist_notifier');
+
+var serverUuid = '372bdb58-f8dd-11e1-8038-0b6dfcbd8a01';
+var ticketUuid = 'a4b5c6d7-2e3f-11ec-9a0b-0a1b2c3d4e05';
+
+var ticketsUpdatedSince = ModelWaitlist.ticketsUpdatedSince;
+var director;
+
+
+function setup(callback) {
+    callback();
+}
+
+function teardown(callback) {
+    if (director) {
+        director.stop();
+        director = null;
+    }
+
+    ModelWaitlist.ticketsUpdatedSince = ticketsUpdatedSince;
+    callback();
+}
+
+/*
+ * Start a director with a notifier in the given mode. Its checks for updated
+ * tickets are recorded in `checks`, each with when it was made and the
+ * callback to finish it with; `onCheck` is called after each is made.
+ */
+function startDirector(mode, onCheck, callback) {
+    var checks = [];
+
+    mock.newApp(function (error, app) {
+        if (error) {
+            callback(error);
+            return;
+        }
+
+        var notifier = new WaitlistNotifier({
+            log: app.getLog(),
+            mode: mode
+        });
+
+        ModelWaitlist.ticketsUpdatedSince = function (opts, cb) {
+            checks.push({ callback: cb, time: Date.now() });
+            onCheck(checks);
+        };
+
+        director = ModelWaitlist.createWaitlistDirector({
+            log: app.getLog(),
+            notifier: notifier
+        });
+        director.onUpdate = function () {};
+        director.start();
+
+        callback(null, notifier, checks);
+    });
+}
+
+function newTicket(expiresAt) {
+    return {
+        expires_at: expiresAt.toISOString(),
+        server_uuid: serverUuid,
+        status: 'active',
+        uuid: ticketUuid
+    };
+}
+
+//
+// This tests that in "local" mode a notification causes a check straight away,
+// after which the director doesn't poll.
+function testNotifiedCheck(test) {
+    test.expect(4);
+
+    startDirector('local', function () {}, function (error, notifier, checks) {
+        test.equal(error, null, 'should not encounter an error');
+
+        notifier.publish({ server_uuid: serverUuid, uuid: ticketUuid });
+        test.equal(checks.length, 1, 'notification should cause a check');
+
+        checks[0].callback(null, []);
+
+        setTimeout(function () {
+            test.equal(checks.length, 1, 'director should not poll');
+
+            notifier.publish({ server_uuid: serverUuid, uuid: ticketUuid });
+            test.equal(checks.length, 2,
+                'next notification should cause a check');
+            test.done();
+        }, 1000);
+    });
+}
+
+//
+// This tests that a notification during a check causes exactly one more check
+// when it's done.
+function testNotifiedDuringCheck(test) {
+    test.expect(4);
+
+    startDirector('local', function () {}, function (error, notifier, checks) {
+        test.equal(error, null, 'should not encounter an error');
+
+        notifier.publish({ server_uuid: serverUuid, uuid: ticketUuid });
+        notifier.publish({ server_uuid: serverUuid, uuid: ticketUuid });
+        notifier.publish({ server_uuid: serverUuid, uuid: ticketUuid });
+        test.equal(checks.length, 1,
+            'notifications during a check should not start another');
+
+        checks[0].callback(null, []);
+
+        setTimeout(function () {
+            test.equal(checks.length, 2,
+                'one more check should follow the first');
+
+            checks[1].callback(null, []);
+
+            setTimeout(function () {
+                test.equal(checks.length, 2, 'no more checks should follow');
+                test.done();
+            }, 1000);
+        }, 100);
+    });
+}
+
+//
+// This tests that in "local" mode a ticket due to expire is checked for when
+// it's due, though nothing is notified when a ticket expires.
+function testExpiryCheck(test) {
+    var failTimer;
+
+    test.expect(3);
+
+    startDirector('local', function _onCheck(checks) {
+        if (checks.length < 2) {
+            return;
+        }
+
+        clearTimeout(failTimer);
+        test.ok(checks[1].time - checks[0].time >= 500,
+            'director should check when the ticket is due to expire');
+        test.done();
+    }, function (error, notifier, checks) {
+        test.equal(error, null, 'should not encounter an error');
+
+        notifier.publish({ server_uuid: serverUuid, uuid: ticketUuid });
+        test.equal(checks.length, 1, 'notification should cause a check');
+
+        checks[0].callback(null, [ newTicket(new Date(Date.now() + 1000)) ]);
+
+        failTimer = setTimeout(function () {
+            test.ok(false, 'director should have checked for the expiry');
+            test.done();
+        }, 3000);
+    });
+}
+
+//
+// This tests that without notifications the director polls, and notifications
+// don't cause checks.
+function testPollWithoutNotifications(test) {
+    var failTimer;
+
+    test.expect(3);
+
+    startDirector(undefined, function _onCheck(checks) {
+        if (checks.length < 2) {
+            checks[0].callback(null, []);
+            return;
+        }
+
+        clearTimeout(failTimer);
+        test.ok(checks[1].time - checks[0].time < 1000,
+            'director should poll');
+        test.done();
+    }, function (error, notifier, checks) {
+        test.equal(error, null, 'should not encounter an error');
+
+        notifier.publish({ server_uuid: serverUuid, uuid: ticketUuid });
+        test.equal(checks.length, 0, 'nothing should be notified');
+
+        failTimer = setTimeout(function () {
+            test.ok(false, 'director should have polled twice');
+            test.done();
+        }, 3000);
+    });
+}
+
+
+module.exports = nodeunit.testCase({
+    setUp: setup,
+    tearDown: teardown,
+    'check when notified':                   testNotifiedCheck,
+    'check again when notified during one':  testNotifiedDuringCheck,
+    'check when a ticket expires':           testExpiryCheck,
+    'poll without notifications':            testPollWithoutNotifications
+});
@@ -0,0 +1,195 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2021 Joyent, Inc.
+ */
+
+var mock = require('../lib/mock');
+var nodeunit = require('nodeunit');
+
+var WaitlistNotifier = require('../../lib/waitlist_notifier');
+
+var serverUuid = '372bdb58-f8dd-11e1-8038-0b6dfcbd8a01';
+var ticketUuid = 'a4b5c6d7-2e3f-11ec-9a0b-0a1b2c3d4e05';
+
+
+function setup(callback) {
+    callback();
+}
+
+function teardown(callback) {
+    callback();
+}
+
+/*
+ * Just enough of an AMQP connection for the notifier: the exchange records
+ * what's published to it, and the queue delivers whatever's passed to the
+ * `deliver` function it's given.
+ */
+function MockAmqpConnection() {
+    this.published = [];
+}
+
+MockAmqpConnection.prototype.exchange = function (name, opts, callback) {
+    var self = this;
+
+    self.exchangeName = name;
+    self.exchangeType = opts.type;
+
+    callback({
+        publish: function _publish(routingKey, message) {
+            self.published.push(message);
+        }
+    });
+};
+
+MockAmqpConnection.prototype.queue = function (name, opts, callback) {
+    var self = this;
+
+    callback({
+        on: function _on() {},
+        bind: function _bind(exchangeName) {
+            self.boundTo = exchangeName;
+        },
+        subscribe: function _subscribe(listener) {
+            self.deliver = listener;
+            return {
+                addCallback: function _addCallback(cb) {
+                    cb({ consumerTag: 'ctag1' });
+                }
+            };
+        }
+    });
+};
+
+function newNotifier(mode, callback) {
+    mock.newApp(function (error, app) {
+        callback(error, new WaitlistNotifier({
+            log: app.getLog(),
+            mode: mode
+        }));
+    });
+}
+
+//
+// This tests that without a mode nothing is notified, so the director polls.
+function testNoNotifications(test) {
+    test.expect(3);
+
+    newNotifier(undefined, function (error, notifier) {
+        var notified = 0;
+
+        test.equal(error, null, 'should not encounter an error');
+
+        notifier.on('updated', function () {
+            notified++;
+        });
+        notifier.publish({ server_uuid: serverUuid, uuid: ticketUuid });
+
+        test.equal(notifier.isAvailable(), false,
+            'notifications should be unavailable');
+        test.equal(notified, 0, 'nothing should be notified');
+        test.done();
+    });
+}
+
+//
+// This tests that in "local" mode changes are notified in this process.
+function testLocalNotifications(test) {
+    test.expect(3);
+
+    newNotifier('local', function (error, notifier) {
+        var notifications = [];
+
+        test.equal(error, null, 'should not encounter an error');
+
+        notifier.on('updated', function (notification) {
+            notifications.push(notification);
+        });
+        notifier.publish({ server_uuid: serverUuid, uuid: ticketUuid });
+
+        test.equal(notifier.isAvailable(), true,
+            'notifications should be available');
+        test.deepEqual(notifications, [ {
+            notifier: notifier.id,
+            server_uuid: serverUuid,
+            ticket_uuid: ticketUuid
+        } ], 'change should be notified');
+        test.done();
+    });
+}
+
+//
+// This tests that in "amqp" mode changes are published to the exchange, that
+// those from other instances are notified and our own aren't notified twice,
+// and that notifications are only available while subscribed.
+function testAmqpNotifications(test) {
+    test.expect(11);
+
+    newNotifier('amqp', function (error, notifier) {
+        var connection = new MockAmqpConnection();
+        var notifications = [];
+        var unavailable = 0;
+
+        test.equal(error, null, 'should not encounter an error');
+
+        notifier.on('updated', function (notification) {
+            notifications.push(notification);
+        });
+        notifier.on('unavailable', function () {
+            unavailable++;
+        });
+
+        test.equal(notifier.isAvailable(), false,
+            'notifications should be unavailable before connecting');
+
+        notifier.useConnection(connection);
+
+        test.equal(notifier.isAvailable(), true,
+            'notifications should be available once subscribed');
+        test.equal(connection.exchangeType, 'fanout',
+            'exchange should be fanout');
+        test.equal(connection.boundTo, connection.exchangeName,
+            'queue should be bound to the exchange');
+
+        notifier.publish({ server_uuid: serverUuid, uuid: ticketUuid });
+
+        test.equal(connection.published.length, 1,
+            'change should be published');
+        test.equal(notifications.length, 1,
+            'change should be notified locally');
+
+        // Our own notification comes back from the exchange.
+        connection.deliver(connection.published[0]);
+        test.equal(notifications.length, 1,
+            'our own notification should be ignored');
+
+        connection.deliver({
+            notifier: 'another-cnapi',
+            server_uuid: serverUuid,
+            ticket_uuid: ticketUuid
+        });
+        test.equal(notifications.length, 2,
+            'other instances\' notifications should be notified');
+
+        notifier.connectionLost();
+
+        test.equal(notifier.isAvailable(), false,
+            'notifications should be unavailable once disconnected');
+        test.equal(unavailable, 1, 'loss should be notified');
+        test.done();
+    });
+}
+
+
+module.exports = nodeunit.testCase({
+    setUp: setup,
+    tearDown: teardown,
+    'no waitlist notifications':         testNoNotifications,
+    'local waitlist notifications':      testLocalNotifications,
+    'amqp waitlist notifications':       testAmqpNotifications
+});
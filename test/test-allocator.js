@@ -12,6 +12,7 @@
  * test-allocator.js: Tests for server-selection endpoint.
  */
 
+var async = require('async');
 var restify = require('restify');
 
 
@@ -83,6 +84,15 @@ function testMalformedServerUuids(t) {
 }
 
 
+function testMalformedPlacementGroup(t) {
+    var data = deepCopy(allocData);
+    data.placement_group = 'foo';
+
+    callApiErr(t, '/allocate', data, 'placement_group',
+        'invalid placement group UUID');
+}
+
+
 function testMissingTags(t) {
     var data = deepCopy(allocData);
     delete data.nic_tags;
@@ -127,6 +137,273 @@ function testMalformedNicTagRequirements2(t) {
 }
 
 
+// As with testAllocator, this may not find room for the VMs on a small setup.
+function testBatch(t) {
+    var first = deepCopy(allocData);
+    var second = deepCopy(allocData);
+    second.vm.vm_uuid = 'a3a7c6b2-0c9f-4b8e-9f2e-6d1d1c2f5e44';
+
+    var data = {
+        vms: [first, second].map(function (request) {
+            request.anti_affinity_group = 'cluster';
+            return request;
+        })
+    };
+
+    client.post('/allocate/batch', data, function (err, req, res, body) {
+        if (err && err.statusCode !== 409)
+            t.ifError(err);
+
+        t.ok(body);
+
+        if (err) {
+            t.equal(body.code, 'NoAllocatableServersError');
+            t.ok(Array.isArray(body.errors));
+            console.warn('Test requires two empty setup CNs. Skipping.');
+        } else {
+            t.equal(body.placements.length, 2);
+            t.notEqual(body.placements[0].server_uuid,
+                body.placements[1].server_uuid);
+        }
+
+        t.done();
+    });
+}
+
+
+// With a quota of one VM per server for the owner, two of their VMs can't be
+// placed on the same server, whether or not the setup has room for one.
+function testBatchOverQuota(t) {
+    var ownerUuid = allocData.vm.owner_uuid;
+    var first = deepCopy(allocData);
+    var second = deepCopy(allocData);
+    second.vm.vm_uuid = 'a3a7c6b2-0c9f-4b8e-9f2e-6d1d1c2f5e44';
+
+    var data = {
+        vms: [first, second].map(function (request) {
+            request.affinity_group = 'together';
+            return request;
+        })
+    };
+
+    client.put('/owner-quotas/' + ownerUuid, { max_vms_per_server: 1 },
+        function (err) {
+        t.ifError(err);
+
+        client.post('/allocate/batch', data, function (err2, req, res, body) {
+            t.ok(err2);
+            if (err2) {
+                t.equal(err2.statusCode, 409);
+            }
+
+            t.equal(body.code, 'NoAllocatableServersError');
+            t.ok(body.errors.some(function (error) {
+                return (error.vm_uuid === second.vm.vm_uuid);
+            }), 'second VM should not be placed');
+
+            client.del('/owner-quotas/' + ownerUuid, function (err3) {
+                t.ifError(err3);
+                t.done();
+            });
+        });
+    });
+}
+
+
+// With owner_fault_domain_spread set to 'rack', two of an owner's VMs placed in
+// one batch go to different racks, since the first VM placed counts towards
+// its rack when the second is placed.
+function testBatchOwnerSpread(t) {
+    var first = deepCopy(allocData);
+    var second = deepCopy(allocData);
+    var oldRacks = {};
+    var oldSpread;
+    var serverUuids;
+
+    second.vm.vm_uuid = 'a3a7c6b2-0c9f-4b8e-9f2e-6d1d1c2f5e44';
+
+    function setRacks(racks, cb) {
+        async.forEachSeries(serverUuids, function (uuid, cb2) {
+            client.post('/servers/' + uuid, { rack_identifier: racks[uuid] },
+                function (err) {
+                cb2(err);
+            });
+        }, cb);
+    }
+
+    function setSpread(spread, cb) {
+        client.put('/allocator/config', {
+            changeDefaults: { owner_fault_domain_spread: spread }
+        }, function (err) {
+            cb(err);
+        });
+    }
+
+    client.get('/servers?setup=true', function (err, req, res, servers) {
+        t.ifError(err);
+
+        if (servers.length < 2) {
+            console.warn('Test requires two setup CNs. Skipping.');
+            t.done();
+            return;
+        }
+
+        servers = servers.slice(0, 2);
+        serverUuids = servers.map(function (server) {
+            oldRacks[server.uuid] = server.rack_identifier || '';
+            return (server.uuid);
+        });
+
+        async.waterfall([
+            function (next) {
+                var racks = {};
+
+                racks[serverUuids[0]] = 'cnapi-test-rack-1';
+                racks[serverUuids[1]] = 'cnapi-test-rack-2';
+                setRacks(racks, next);
+            },
+            function (next) {
+                client.get('/allocator/config',
+                    function (err2, req2, res2, body) {
+                    if (err2) {
+                        next(err2);
+                        return;
+                    }
+
+                    oldSpread =
+                        body.changeDefaults.owner_fault_domain_spread || null;
+                    setSpread('rack', next);
+                });
+            },
+            function (next) {
+                var data = { servers: serverUuids, vms: [first, second] };
+
+                client.post('/allocate/batch', data,
+                    function (err2, req2, res2, body) {
+                    if (err2 && err2.statusCode !== 409)
+                        t.ifError(err2);
+
+                    t.ok(body);
+
+                    if (err2) {
+                        t.equal(body.code, 'NoAllocatableServersError');
+                        console.warn('Test requires two empty setup CNs. ' +
+                            'Skipping.');
+                    } else {
+                        t.equal(body.placements.length, 2);
+                        t.notEqual(body.placements[0].server_uuid,
+                            body.placements[1].server_uuid,
+                            'VMs should be in different racks');
+                    }
+
+                    next();
+                });
+            }
+        ], function (err2) {
+            t.ifError(err2);
+
+            setSpread(oldSpread, function (err3) {
+                t.ifError(err3);
+
+                setRacks(oldRacks, function (err4) {
+                    t.ifError(err4);
+                    t.done();
+                });
+            });
+        });
+    });
+}
+
+
+function testBatchDuplicateVm(t) {
+    var data = { vms: [deepCopy(allocData), deepCopy(allocData)] };
+
+    callApiErr(t, '/allocate/batch', data, 'vms.1.vm', 'duplicate vm_uuid');
+}
+
+
+function testSimulate(t) {
+    client.get('/servers?extras=all', function (err, req, res, servers) {
+        t.ifError(err);
+
+        var data = {
+            servers: servers,
+            requests: [deepCopy(allocData)],
+            config: { changeDefaults: { weight_unreserved_ram: '1' } }
+        };
+
+        client.post('/allocate/simulate', data,
+            function (err2, req2, res2, body) {
+            t.ifError(err2);
+
+            t.ok(body);
+            ['current', 'alternative'].forEach(function (name) {
+                t.equal(body[name].placements.length, 1);
+                t.equal(body[name].placed + body[name].failed, 1);
+                t.ok(typeof (body[name].rejections) === 'object');
+            });
+            t.ok(Array.isArray(body.changed));
+
+            t.done();
+        });
+    });
+}
+
+
+function testSimulateBadConfig(t) {
+    var data = {
+        servers: [],
+        requests: [deepCopy(allocData)],
+        config: { allocationDescription: ['no-such-step'] }
+    };
+
+    client.post('/allocate/simulate', data, function (err, req, res, body) {
+        t.ok(err);
+        if (err) {
+            t.equal(err.statusCode, 409);
+        }
+
+        t.equal(body.code, 'InvalidArgument');
+
+        t.done();
+    });
+}
+
+
+// Whether the headnode is rejected depends on the setup's
+// ALLOC_FILTER_HEADNODE, so this only checks the shape of the explanation.
+function testExplain(t) {
+    var data = deepCopy(allocData);
+    data.server_uuid = headnodeUuid;
+
+    client.post('/allocate/explain', data, function (err, req, res, body) {
+        t.ifError(err);
+
+        t.ok(body);
+        t.equal(body.server_uuid, headnodeUuid);
+        t.ok(body.hasOwnProperty('rejected_by'));
+        t.ok(body.hasOwnProperty('score'));
+        t.ok(Array.isArray(body.steps));
+
+        ['unreserved_cpu', 'unreserved_disk', 'unreserved_ram'].forEach(
+            function (name) {
+                t.ok(typeof (body[name]) === 'number');
+            });
+
+        t.done();
+    });
+}
+
+
+function testExplainBadServerUuid(t) {
+    var data = deepCopy(allocData);
+    data.server_uuid = 'foo';
+
+    callApiErr(t, '/allocate/explain', data, 'server_uuid',
+        'invalid server UUID');
+}
+
+
 // Unfortunately we cannot make too many assumptions about the setup this is
 // tested on, so the tests are fairly generic.
 function testCapacity(t) {
@@ -153,6 +430,105 @@ function testCapacityWithServerUuids(t) {
 }
 
 
+function testCapacityAggregate(t) {
+    var data = { servers: [headnodeUuid], aggregate: 'rack' };
+
+    client.post('/capacity', data, function (err, req, res, body) {
+        t.ifError(err);
+
+        validateCapacityResults(t, body);
+
+        t.ok(Array.isArray(body.fault_domains));
+        t.equal(body.fault_domains.length, 1);
+        t.deepEqual(body.fault_domains[0].servers, [headnodeUuid]);
+
+        t.done();
+    });
+}
+
+
+function testCapacityFit(t) {
+    var data = {
+        packages: [ {
+            uuid: '5d4ba9ac-0a1b-11ec-9b7e-1f3c5a7d9e2b',
+            max_physical_memory: 128,
+            quota: 10240,
+            cpu_cap: 100
+        } ],
+        nic_tags: [ 'external', 'admin' ],
+        servers: [headnodeUuid]
+    };
+
+    client.post('/capacity/fit', data, function (err, req, res, body) {
+        t.ifError(err);
+
+        t.ok(body);
+        t.equal(body.fits.length, 1);
+
+        var fit = body.fits[0];
+        t.equal(fit.package_uuid, data.packages[0].uuid);
+        t.ok(typeof (fit.datacenters) === 'object');
+
+        fit.servers.forEach(function (server) {
+            t.ok(typeof (server.instances) === 'number');
+            t.ok(server.hasOwnProperty('rejected_by'));
+        });
+
+        t.done();
+    });
+}
+
+
+// Depending on what's wrong, the error comes from dapi's package validation or
+// our own, so only the field is checked.
+function testCapacityFitBadPackage(t) {
+    var data = { packages: [ { quota: 10240 } ] };
+
+    client.post('/capacity/fit', data, function (err, req, res, body) {
+        t.ok(err);
+        if (err) {
+            t.equal(err.statusCode, 500);
+        }
+
+        t.equal(body.code, 'InvalidParameters');
+        t.equal(body.errors[0].field, 'packages.0');
+
+        t.done();
+    });
+}
+
+
+function testAllocatorConfig(t) {
+    client.get('/allocator/config', function (err, req, res, body) {
+        t.ifError(err);
+
+        t.ok(body);
+        t.ok(Array.isArray(body.allocationDescription));
+        t.ok(typeof (body.changeDefaults) === 'object');
+        t.ok(typeof (body.defaults) === 'object');
+        t.ok(body.hasOwnProperty('updated'));
+
+        t.done();
+    });
+}
+
+
+function testAllocatorConfigBadDefaults(t) {
+    var data = { changeDefaults: { weight_unreserved_ram: { foo: 1 } } };
+
+    client.put('/allocator/config', data, function (err, req, res, body) {
+        t.ok(err);
+        if (err) {
+            t.equal(err.statusCode, 409);
+        }
+
+        t.equal(body.code, 'InvalidArgument');
+
+        t.done();
+    });
+}
+
+
 function testCapacityBadServerUuids(t) {
     var data = { servers: ['b2e85bcb-6679-48bc-9ecb-8d8322b9d5d0', 'foo']};
 
@@ -160,6 +536,14 @@ function testCapacityBadServerUuids(t) {
 }
 
 
+function testCapacityBadAggregate(t) {
+    var data = { aggregate: 'server' };
+
+    callApiErr(t, '/capacity', data, 'aggregate',
+        'aggregate must be one of: datacenter, rack, room');
+}
+
+
 function callApiErr(t, path, data, errField, errMsg) {
     client.post(path, data, function (err, req, res, body) {
         t.ok(err);
@@ -235,9 +619,24 @@ module.exports = {
     'allocate with malformed tag requirements (inner array contains number)':
         testMalformedNicTagRequirements2,
     'allocate with malformed server UUIDs': testMalformedServerUuids,
+    'allocate with malformed placement group': testMalformedPlacementGroup,
     'allocate with missing nic_tags': testMissingTags,
     'allocate with missing package': testMissingPkg,
     'allocate with missing image': testMissingImg,
+    'batch allocate servers': testBatch,
+    'batch allocate over owner quota': testBatchOverQuota,
+    'batch allocate spread across racks': testBatchOwnerSpread,
+    'batch allocate with duplicate VMs': testBatchDuplicateVm,
+    'simulate allocations': testSimulate,
+    'simulate allocations with malformed config': testSimulateBadConfig,
+    'explain server': testExplain,
+    'explain with malformed server UUID': testExplainBadServerUuid,
     'server capacity': testCapacity,
-    'server capacity with malformed server Uuids': testCapacityBadServerUuids
+    'server capacity with malformed server Uuids': testCapacityBadServerUuids,
+    'server capacity per fault domain': testCapacityAggregate,
+    'server capacity with malformed aggregate': testCapacityBadAggregate,
+    'server capacity fit': testCapacityFit,
+    'server capacity fit with malformed package': testCapacityFitBadPackage,
+    'allocator config': testAllocatorConfig,
+    'allocator config with malformed defaults': testAllocatorConfigBadDefaults
 };